@@ -21,7 +21,7 @@ import {fmap} from './functor';
 
 import {
   defines,
-  dataType
+  instanceFor
 } from './type';
 
 import {error} from './error';
@@ -36,7 +36,8 @@ import {error} from './error';
 export const Applicative = defines(`fmap`, `pure`, `ap`);
 
 /**
- * Lift a value into an applicative context.
+ * Lift a value into an applicative context. The context is also passed to the `pure` method of its
+ * type, so that a type such as `Writer` can build an empty value of the right kind from it.
  * <br>`Haskell> pure :: a -> f a`
  * @param {Object} f - An applicative functor
  * @param {*} a - Any object
@@ -47,7 +48,8 @@ export const Applicative = defines(`fmap`, `pure`, `ap`);
  * pure(lst, 5);            // => [5:[]]
  */
 export const pure = (f, a) => {
-  const pure_ = (f, a) => Applicative(f) ? dataType(f).pure(a) : error.typeError(f, pure);
+  const pure_ = (f, a) =>
+    Applicative(f) ? instanceFor(Applicative, f).pure(a, f) : error.typeError(f, pure);
   return partial(pure_, f, a);
 }
 
@@ -80,7 +82,7 @@ export const ap = (f, a) => {
   const ap_ = (f, a) => {
     if (Applicative(f) === false) { error.typeError(f, ap); }
     if (Applicative(a) === false) { error.typeError(a, ap); }
-    return dataType(a).ap(f, a);
+    return instanceFor(Applicative, a).ap(f, a);
   }
   return partial(ap_, f, a);
 }
@@ -157,7 +159,7 @@ export const skip = (a1, a2) => {
  * liftA(f, mb);            // => Just 10
  */
 export const liftA = (f, a) => {
-  const liftA_ = (f, a) => ap(dataType(a).pure(f))(a);
+  const liftA_ = (f, a) => ap(instanceFor(Applicative, a).pure(f, a))(a);
   return partial(liftA_, f, a);
 }
 
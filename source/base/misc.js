@@ -38,10 +38,9 @@
  */
 export const partial = (f, ...as) => {
   if (as.length === 0) { return f.call(); }
-  const a = as.shift();
-  if (a === undefined) { return f; }
-  const p = f.bind(f, a);
-  return partial(p, ...as);
+  const n = as.indexOf(undefined);
+  if (n === 0) { return f; }
+  return n === -1 ? f.apply(f, as) : f.bind(f, ...as.slice(0, n));
 }
 
 /**
@@ -0,0 +1,170 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * data.js
+ *
+ * @file Algebraic data type definitions.
+ * @license ISC
+ */
+
+/** @module data */
+
+import {
+  partial,
+  show
+} from './base';
+
+import {Type} from './type';
+
+import {isEq} from './eq';
+
+import {
+  compare,
+  EQ,
+  LT,
+  GT
+} from './ord';
+
+import {error} from './error';
+
+/**
+ * The names that the fields of a data constructor may not have, since they would hide the methods
+ * shared by all of its values.
+ * @private
+ */
+const reserved = [`tag`, `fields`, `constructor`, `toString`, `typeOf`, `valueOf`];
+
+/**
+ * Show a field of a value, wrapped in parentheses if it is itself a value made from more than one
+ * word, such as `Just 1`, so that `Circle (Just 1)` is not confused with `Circle Just 1`.
+ * @param {*} a - The field to show
+ * @returns {string} The field as a string
+ * @private
+ */
+const showField = a => {
+  const s = `${show(a)}`;
+  return a instanceof Type && /\s/.test(s) && /^[([]/.test(s) === false ? `(${s})` : s;
+}
+
+/**
+ * The type class instances that `data` can derive, as functions that add the methods of each
+ * instance to a new data type, given the names of its data constructors in the order they were
+ * defined.
+ * @private
+ */
+const derivations = {
+  Eq: d => {
+    d.isEq = (a, b) => a.tag() === b.tag() && a.fields().every((x, i) => isEq(x, b.fields()[i]));
+  },
+  Ord: (d, tags) => {
+    d.compare = (a, b) => {
+      const n = tags.indexOf(a.tag()) - tags.indexOf(b.tag());
+      if (n !== 0) { return n < 0 ? LT : GT; }
+      const ys = b.fields();
+      return a.fields().reduce((ord, x, i) => ord === EQ ? compare(x, ys[i]) : ord, EQ);
+    }
+  },
+  Show: d => {
+    d.prototype.valueOf = function() {
+      return [this.tag()].concat(this.fields().map(showField)).join(` `);
+    }
+  }
+};
+
+/**
+ * Define a new algebraic data type, as Haskell does with `data`, from its name and its data
+ * constructors. Each data constructor is named, and it is given the names of its fields, so that
+ * `{Circle: ['radius'], Rect: ['w', 'h']}` defines a type whose values are either a `Circle` with a
+ * radius or a `Rect` with a width and a height. The new data type is returned, and its data
+ * constructors are available as its properties: those with fields are functions that take one
+ * argument for each field, in order, while those without are simply values. Each value has a
+ * method of the same name for each of its fields, a `tag` method that returns the name of the data
+ * constructor that made it, and a `fields` method that returns an array of its fields, while the
+ * data type itself has a `tags` method that returns the names of all of its data constructors.
+ *
+ * Instances of `Eq`, `Ord`, and `Show` may be derived for the new type by naming them in
+ * `options.deriving`. Two values are equal if they were made by the same data constructor from
+ * equal fields, and values are ordered first by the order their data constructors were defined in
+ * and then by their fields, from first to last, so the fields must be comparable with `isEq` and
+ * `compare`. Since `Ord` requires `Eq`, deriving it also derives `Eq`. Values of a type that
+ * derives `Show` are shown as their data constructor followed by their fields, e.g. `Rect 1 2`,
+ * while others are shown as `[Object Shape]`. Whatever the instances derived, `type` returns the
+ * name of the data type, which `typeCheck` uses to decide that all of its values are the same type.
+ * <br>`Haskell> data Shape = Circle Float | Rect Float Float deriving (Eq, Ord, Show)`
+ * @param {string} name - The name of the data type, which must begin with a capital letter
+ * @param {Object} ctors - The names of the fields of each data constructor, by its name, each of
+ * which must also begin with a capital letter
+ * @param {Object} [options] - Options for the data type
+ * @param {Array.<string>} [options.deriving] - The type classes to derive instances of
+ * @returns {Function} The new data type, with its data constructors as properties
+ * @kind function
+ * @example
+ * const Shape = data(`Shape`, {Circle: [`radius`], Rect: [`w`, `h`]},
+ *   {deriving: [`Eq`, `Ord`, `Show`]});
+ * const {Circle, Rect} = Shape;
+ * const c = Circle(1);
+ * c.radius();                  // => 1
+ * isEq(c, Circle(1));          // => true
+ * compare(c, Rect(1, 2));      // => LT
+ * show(Rect(1, 2));            // => Rect 1 2
+ * type(c);                     // => Shape
+ * typeCheck(c, Rect(1, 2));    // => true
+ * const Color = data(`Color`, {Red: [], Green: [], Blue: []}, {deriving: [`Eq`, `Ord`]});
+ * lessThan(Color.Red, Color.Blue); // => true
+ */
+export const data = (name, ctors, options = {}) => {
+  const data_ = (name, ctors, options = {}) => {
+    const isName = a => typeof a === `string` && /^[A-Z]\w*$/.test(a);
+    if (isName(name) === false) { return error.typeError(name, data); }
+    if (ctors === null || typeof ctors !== `object` || Object.keys(ctors).length === 0) {
+      return error.typeError(ctors, data);
+    }
+    const tags = Object.keys(ctors);
+    const names = new Map();
+    tags.forEach(tag => {
+      if (isName(tag) === false) { return error.typeError(tag, data); }
+      const fields = ctors[tag];
+      if (Array.isArray(fields) === false) { return error.typeError(fields, data); }
+      const isField = f => typeof f === `string` && reserved.indexOf(f) === -1;
+      const field = fields.find((f, i) => isField(f) === false || fields.indexOf(f) !== i);
+      if (field !== undefined) { return error.typeError(field, data); }
+      names.set(tag, fields.slice());
+    });
+    const deriving = options.deriving === undefined ? [] : options.deriving;
+    if (Array.isArray(deriving) === false) { return error.typeError(deriving, data); }
+    const unknown = deriving.find(c => derivations.hasOwnProperty(c) === false);
+    if (unknown !== undefined) { return error.typeError(unknown, data); }
+    class Data extends Type {
+      constructor(tag, as) {
+        super();
+        this.tag = () => tag;
+        this.fields = () => as.slice();
+        names.get(tag).forEach((f, i) => { this[f] = () => as[i]; });
+      }
+      static tags() { return tags.slice(); }
+      valueOf() { return `[Object ${name}]`; }
+    }
+    Object.defineProperty(Data, `name`, {value: name});
+    tags.forEach(tag => {
+      const n = names.get(tag).length;
+      if (n === 0) {
+        Data[tag] = new Data(tag, []);
+        return;
+      }
+      const ctor = (...as) => {
+        if (as.length !== n || as.indexOf(undefined) !== -1) {
+          return error.typeError(as.length > n ? as[n] : undefined, ctor);
+        }
+        return new Data(tag, as);
+      }
+      Object.defineProperty(ctor, `name`, {value: tag});
+      Data[tag] = ctor;
+    });
+    const derived = deriving.indexOf(`Ord`) !== -1 && deriving.indexOf(`Eq`) === -1 ?
+      [`Eq`].concat(deriving) : deriving;
+    derived.forEach(c => derivations[c](Data, tags));
+    return Data;
+  }
+  return partial(data_, name, ctors, options);
+}
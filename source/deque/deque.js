@@ -0,0 +1,118 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * deque/deque.js
+ *
+ * @file Deque data type.
+ * @license ISC
+ */
+
+/** @module deque/deque */
+
+import {isEq} from '../eq';
+
+import {
+  compare,
+  EQ,
+  GT,
+  LT
+} from '../ord';
+
+import {
+  head,
+  isEmpty,
+  fromListToArray,
+  map
+} from '../list';
+
+import {
+  emptyDeque,
+  dequeAppend,
+  dequePopFront,
+  fromDequeToList
+} from '../deque';
+
+import {isNothing} from '../maybe';
+
+import {fromTupleToArray} from '../tuple';
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * A `Deque` is an immutable double-ended queue. It is Okasaki's banker's deque: a `List` of the
+ * values at the front, in order, and a `List` of the values at the back, in reverse order, along
+ * with their lengths. Whenever one list grows more than three times longer than the other, the
+ * values are split evenly between them again, lazily, which keeps adding or removing a value at
+ * either end to amortized constant time, even when the same deque is used more than once.
+ * Reversing a deque just swaps its lists.
+ * @alias module:deque.Deque
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Deque extends Type {
+  /**
+   * Create a new `Deque`.
+   * @param {List} f - The values at the front, in order
+   * @param {number} lf - The length of `f`
+   * @param {List} r - The values at the back, in reverse order
+   * @param {number} lr - The length of `r`
+   * @private
+   */
+  constructor(f, lf, r, lr) {
+    super();
+    this.front = () => f;
+    this.frontLength = () => lf;
+    this.rear = () => r;
+    this.rearLength = () => lr;
+  }
+  // Eq
+  static isEq(d1, d2) {
+    if (d1.frontLength() + d1.rearLength() !== d2.frontLength() + d2.rearLength()) { return false; }
+    const ys = fromListToArray(fromDequeToList(d2));
+    return fromListToArray(fromDequeToList(d1)).every((x, i) => isEq(x, ys[i]));
+  }
+  // Ord
+  static compare(d1, d2) {
+    const xs = fromListToArray(fromDequeToList(d1));
+    const ys = fromListToArray(fromDequeToList(d2));
+    for (let i = 0; i < xs.length && i < ys.length; i += 1) {
+      const ord = compare(xs[i], ys[i]);
+      if (ord !== EQ) { return ord; }
+    }
+    if (xs.length === ys.length) { return EQ; }
+    return xs.length < ys.length ? LT : GT;
+  }
+  // Monoid
+  static mempty() { return emptyDeque; }
+  static mappend(d1, d2) { return dequeAppend(d1, d2); }
+  // Foldable
+  static foldr(f, z, d) {
+    return fromListToArray(fromDequeToList(d)).reduceRight((acc, x) => f(x, acc), z);
+  }
+  // Functor
+  static fmap(f, d) {
+    return new Deque(map(f, d.front()), d.frontLength(), map(f, d.rear()), d.rearLength());
+  }
+  // Match
+  static tags() { return [`Empty`, `Cons`]; }
+  tag() { return isEmpty(this.front()) && isEmpty(this.rear()) ? `Empty` : `Cons`; }
+  fields() {
+    const m = dequePopFront(this);
+    return isNothing(m) ? [] : fromTupleToArray(m.value());
+  }
+  // Prototype
+  toString() { return `[Object Deque]`; }
+  typeOf() {
+    if (isEmpty(this.front()) && isEmpty(this.rear())) { return `Deque`; }
+    return `Deque ${type(head(isEmpty(this.front()) ? this.rear() : this.front()))}`;
+  }
+  valueOf() {
+    const xs = fromListToArray(fromDequeToList(this));
+    return `Deque [${xs.map(x => `${x}`).join(`, `)}]`;
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * deque/func.js
+ *
+ * @file Deque functions.
+ * @license ISC
+ */
+
+/** @module deque/func */
+
+import {partial} from '../base';
+
+import {Deque} from '../deque';
+
+import {typeCheck} from '../type';
+
+import {tuple} from '../tuple';
+
+import {
+  just,
+  Nothing
+} from '../maybe';
+
+import {
+  emptyList,
+  cons,
+  head,
+  tail,
+  isList,
+  isEmpty,
+  length,
+  listAppend,
+  reverse,
+  drop,
+  lazyCons
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * Take the first `n` values of a `List` lazily, so that each value after the first is only taken
+ * once it is needed.
+ * @param {number} n - The number of values to take
+ * @param {List} xs - The `List` to take them from
+ * @returns {List} A lazy `List` of the first `n` values of `xs`
+ * @private
+ */
+const takeLazy = (n, xs) =>
+  n === 0 || isEmpty(xs) ? emptyList : lazyCons(head(xs), () => takeLazy(n - 1, tail(xs)));
+
+/**
+ * Append to one `List` all but the first `n` values of another, in reverse order, lazily, so that
+ * the values of the second `List` are only dropped and reversed once the first runs out.
+ * @param {List} xs - The `List` to append to
+ * @param {number} n - The number of values to drop from `ys`
+ * @param {List} ys - The `List` to drop the values from and reverse
+ * @returns {List} A lazy `List` of the values of `xs` followed by those of `ys` after the first `n`,
+ * reversed
+ * @private
+ */
+const rotate = (xs, n, ys) =>
+  isEmpty(xs) ? reverse(drop(n, ys)) : lazyCons(head(xs), () => rotate(tail(xs), n, ys));
+
+/**
+ * Create a `Deque` from its front and back lists, first splitting the values evenly between them
+ * if either list has grown more than three times longer than the other, plus one. The halves are
+ * built lazily, so that the cost of splitting the values is paid for by the operations that later
+ * reach them, even if the same `Deque` is used more than once.
+ * @param {List} f - The values at the front, in order
+ * @param {number} lf - The length of `f`
+ * @param {List} r - The values at the back, in reverse order
+ * @param {number} lr - The length of `r`
+ * @returns {Deque} A new `Deque`
+ * @private
+ */
+const balance = (f, lf, r, lr) => {
+  const n = lf + lr;
+  if (lf > 3 * lr + 1) {
+    const i = Math.floor(n / 2);
+    return new Deque(takeLazy(i, f), i, rotate(r, i, f), n - i);
+  }
+  if (lr > 3 * lf + 1) {
+    const j = Math.floor(n / 2);
+    return new Deque(rotate(f, j, r), n - j, takeLazy(j, r), j);
+  }
+  return new Deque(f, lf, r, lr);
+}
+
+/**
+ * Determine whether a value may be put into a `Deque` with other values, i.e. whether the `Deque`
+ * is empty or the value has the same type as the values in it.
+ * @param {*} a - The value
+ * @param {Deque} d - The `Deque`
+ * @returns {boolean} `true` if `a` may be added to `d` and `false` otherwise
+ * @private
+ */
+const fits = (a, d) => {
+  if (isEmpty(d.front()) === false) { return typeCheck(a, head(d.front())); }
+  return isEmpty(d.rear()) || typeCheck(a, head(d.rear()));
+}
+
+/**
+ * The empty `Deque`.
+ * <br>`Haskell> empty :: Deque a`
+ * @kind constant
+ * @example
+ * emptyDeque;                  // => Deque []
+ * dequeLength(emptyDeque);     // => 0
+ */
+export const emptyDeque = new Deque(emptyList, 0, emptyList, 0);
+
+/**
+ * Add a value to the front of a `Deque`, in amortized constant time.
+ * <br>`Haskell> cons :: a -> Deque a -> Deque a`
+ * @param {*} a - The value
+ * @param {Deque} d - The `Deque`
+ * @returns {Deque} A new `Deque` with `a` as its first value
+ * @kind function
+ * @example
+ * dequePushFront(0, fromListToDeque(list(1,2,3))); // => Deque [0, 1, 2, 3]
+ */
+export const dequePushFront = (a, d) => {
+  const dequePushFront_ = (a, d) => {
+    if (isDeque(d) === false) { return error.typeError(d, dequePushFront); }
+    if (fits(a, d) === false) { return error.typeError(a, dequePushFront); }
+    return balance(cons(a, d.front()), d.frontLength() + 1, d.rear(), d.rearLength());
+  }
+  return partial(dequePushFront_, a, d);
+}
+
+/**
+ * Add a value to the back of a `Deque`, in amortized constant time.
+ * <br>`Haskell> snoc :: Deque a -> a -> Deque a`
+ * @param {Deque} d - The `Deque`
+ * @param {*} a - The value
+ * @returns {Deque} A new `Deque` with `a` as its last value
+ * @kind function
+ * @example
+ * dequePushBack(fromListToDeque(list(1,2,3)), 4); // => Deque [1, 2, 3, 4]
+ */
+export const dequePushBack = (d, a) => {
+  const dequePushBack_ = (d, a) => {
+    if (isDeque(d) === false) { return error.typeError(d, dequePushBack); }
+    if (fits(a, d) === false) { return error.typeError(a, dequePushBack); }
+    return balance(d.front(), d.frontLength(), cons(a, d.rear()), d.rearLength() + 1);
+  }
+  return partial(dequePushBack_, d, a);
+}
+
+/**
+ * Take the first value off a `Deque`, in amortized constant time.
+ * <br>`Haskell> uncons :: Deque a -> Maybe (a, Deque a)`
+ * @param {Deque} d - The `Deque`
+ * @returns {Maybe} A tuple of the first value of `d` and a `Deque` of the rest in a `Just`, or
+ * `Nothing` if `d` is empty
+ * @kind function
+ * @example
+ * dequePopFront(fromListToDeque(list(1,2,3))); // => Just (1,Deque [2, 3])
+ * dequePopFront(emptyDeque);   // => Nothing
+ */
+export const dequePopFront = d => {
+  if (isDeque(d) === false) { return error.typeError(d, dequePopFront); }
+  const [f, r] = [d.front(), d.rear()];
+  if (isEmpty(f)) { return isEmpty(r) ? Nothing : just(tuple(head(r), emptyDeque)); }
+  return just(tuple(head(f), balance(tail(f), d.frontLength() - 1, r, d.rearLength())));
+}
+
+/**
+ * Take the last value off a `Deque`, in amortized constant time.
+ * <br>`Haskell> unsnoc :: Deque a -> Maybe (Deque a, a)`
+ * @param {Deque} d - The `Deque`
+ * @returns {Maybe} A tuple of a `Deque` of all but the last value of `d` and the last value in a
+ * `Just`, or `Nothing` if `d` is empty
+ * @kind function
+ * @example
+ * dequePopBack(fromListToDeque(list(1,2,3))); // => Just (Deque [1, 2],3)
+ * dequePopBack(emptyDeque);    // => Nothing
+ */
+export const dequePopBack = d => {
+  if (isDeque(d) === false) { return error.typeError(d, dequePopBack); }
+  const [f, r] = [d.front(), d.rear()];
+  if (isEmpty(r)) { return isEmpty(f) ? Nothing : just(tuple(emptyDeque, head(f))); }
+  return just(tuple(balance(f, d.frontLength(), tail(r), d.rearLength() - 1), head(r)));
+}
+
+/**
+ * Return the number of values in a `Deque`, in constant time.
+ * <br>`Haskell> length :: Deque a -> Int`
+ * @param {Deque} d - The `Deque`
+ * @returns {number} The number of values in `d`
+ * @kind function
+ * @example
+ * dequeLength(fromListToDeque(list(1,2,3))); // => 3
+ */
+export const dequeLength = d =>
+  isDeque(d) ? d.frontLength() + d.rearLength() : error.typeError(d, dequeLength);
+
+/**
+ * Reverse a `Deque`, in constant time.
+ * <br>`Haskell> reverse :: Deque a -> Deque a`
+ * @param {Deque} d - The `Deque`
+ * @returns {Deque} A new `Deque` of the values of `d` in reverse order
+ * @kind function
+ * @example
+ * dequeReverse(fromListToDeque(list(1,2,3))); // => Deque [3, 2, 1]
+ */
+export const dequeReverse = d => {
+  if (isDeque(d) === false) { return error.typeError(d, dequeReverse); }
+  return new Deque(d.rear(), d.rearLength(), d.front(), d.frontLength());
+}
+
+/**
+ * Append one `Deque` to another, in time linear in the length of the second. This is the `mappend`
+ * of the `Deque` monoid.
+ * <br>`Haskell> (<>) :: Deque a -> Deque a -> Deque a`
+ * @param {Deque} d1 - The first `Deque`
+ * @param {Deque} d2 - The second `Deque`
+ * @returns {Deque} A new `Deque` of the values of `d1` followed by the values of `d2`
+ * @kind function
+ * @example
+ * dequeAppend(fromListToDeque(list(1,2)), fromListToDeque(list(3,4))); // => Deque [1, 2, 3, 4]
+ */
+export const dequeAppend = (d1, d2) => {
+  const dequeAppend_ = (d1, d2) => {
+    if (isDeque(d1) === false) { return error.typeError(d1, dequeAppend); }
+    if (isDeque(d2) === false) { return error.typeError(d2, dequeAppend); }
+    if (dequeLength(d2) === 0) { return d1; }
+    const xs = fromDequeToList(d2);
+    if (fits(head(xs), d1) === false) { return error.typeError(d2, dequeAppend); }
+    const r = listAppend(reverse(xs), d1.rear());
+    return balance(d1.front(), d1.frontLength(), r, d1.rearLength() + dequeLength(d2));
+  }
+  return partial(dequeAppend_, d1, d2);
+}
+
+/**
+ * Create a `Deque` from the values of a `List`.
+ * <br>`Haskell> fromList :: [a] -> Deque a`
+ * @param {List} xs - A `List`
+ * @returns {Deque} A new `Deque` of the values of `xs`, in order
+ * @kind function
+ * @example
+ * fromListToDeque(list(1,2,3)); // => Deque [1, 2, 3]
+ */
+export const fromListToDeque = xs => {
+  if (isList(xs) === false) { return error.listError(xs, fromListToDeque); }
+  return balance(xs, length(xs), emptyList, 0);
+}
+
+/**
+ * Convert a `Deque` into a `List` of its values, in order.
+ * <br>`Haskell> toList :: Deque a -> [a]`
+ * @param {Deque} d - The `Deque`
+ * @returns {List} A `List` of the values of `d`
+ * @kind function
+ * @example
+ * fromDequeToList(fromListToDeque(list(1,2,3))); // => [1:2:3:[]]
+ */
+export const fromDequeToList = d => {
+  if (isDeque(d) === false) { return error.typeError(d, fromDequeToList); }
+  return listAppend(d.front(), reverse(d.rear()));
+}
+
+/**
+ * Determine whether an object is a `Deque`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Deque` and `false` otherwise
+ * @kind function
+ * @example
+ * isDeque(emptyDeque);         // => true
+ * isDeque(list(1,2,3));        // => false
+ */
+export const isDeque = a => a instanceof Deque ? true : false;
@@ -0,0 +1,24 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * deque/index.js
+ *
+ * Top level index for Deque data type.
+ */
+
+export {Deque} from './deque';
+
+export {
+  emptyDeque,
+  dequePushFront,
+  dequePushBack,
+  dequePopFront,
+  dequePopBack,
+  dequeLength,
+  dequeReverse,
+  dequeAppend,
+  fromListToDeque,
+  fromDequeToList,
+  isDeque
+} from './func';
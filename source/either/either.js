@@ -0,0 +1,91 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * either/either.js
+ *
+ * Either data type.
+ * @license ISC
+ */
+
+import {isEq} from '../eq';
+
+import {
+  compare,
+  GT,
+  LT
+} from '../ord';
+
+import {fmap} from '../functor';
+
+import {pure} from '../applicative';
+
+import {
+  right,
+  isLeft,
+  isRight
+} from '../either';
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * The `Either` type represents values with two possibilities: a value of type `Either a b` is
+ * either `Left a` or `Right b`. Like `Maybe`, `Either` is often used to represent a computation
+ * that may fail, but whereas `Nothing` carries no information about the failure, a `Left` value can
+ * hold an error message or any other value describing what went wrong. By convention, `Left` holds
+ * an error value and `Right` holds a correct value ("right" also means "correct").
+ * @alias module:either.Either
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Either extends Type {
+  /**
+   * Create a new `Either`, which represents either a `Left` value or a `Right` value.
+   * @param {*} a - The value to wrap in an `Either`
+   * @param {boolean} [r] - `true` if the value is a `Right` value, otherwise it is a `Left` value
+   * @private
+   */
+  constructor(a, r) {
+    super();
+    if (r === true) { this.right = () => a; } else { this.left = () => a; }
+  }
+  // Eq
+  static isEq(a, b) {
+    if (isLeft(a) && isLeft(b)) { return isEq(a.left(), b.left()); }
+    if (isRight(a) && isRight(b)) { return isEq(a.right(), b.right()); }
+    return false;
+  }
+  // Ord
+  static compare(a, b) {
+    if (isLeft(a) && isRight(b)) { return LT; }
+    if (isRight(a) && isLeft(b)) { return GT; }
+    return isLeft(a) ? compare(a.left(), b.left()) : compare(a.right(), b.right());
+  }
+  // Foldable
+  static foldr(f, z, e) { return isLeft(e) ? z : f(e.right(), z); }
+  // Traversable
+  static traverse(f, e, w) {
+    return isLeft(e) ? pure(w === undefined ? e : w, e) : fmap(right, f(e.right()));
+  }
+  // Functor
+  static fmap(f, e) { return isLeft(e) ? e : new Either(f(e.right()), true); }
+  // Applicative
+  static pure(a) { return right(a); }
+  static ap(f, e) { return isLeft(f) ? f : fmap(f.right(), e); }
+  // Monad
+  static flatMap(e, f) { return isLeft(e) ? e : f(e.right()); }
+  // Match
+  static tags() { return [`Left`, `Right`]; }
+  tag() { return isLeft(this) ? `Left` : `Right`; }
+  fields() { return isLeft(this) ? [this.left()] : [this.right()]; }
+  // Prototype
+  typeOf() {
+    if (this.right === undefined) { return `Either ${type(this.left())} _`; }
+    return `Either _ ${type(this.right())}`;
+  }
+  valueOf() { return this.right === undefined ? `Left ${this.left()}` : `Right ${this.right()}`; }
+}
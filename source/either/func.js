@@ -0,0 +1,188 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * either/func.js
+ *
+ * @file Either functions.
+ * @license ISC
+ */
+
+/** @module either/func */
+
+import {partial} from '../base';
+
+import {Either} from '../either';
+
+import {tuple} from '../tuple';
+
+import {
+  isList,
+  map,
+  filter
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * Construct a `Left` value, which by convention represents an error or failure.
+ * <br>`Haskell> Left :: a -> Either a b`
+ * @param {*} a - The value to wrap in a `Left`
+ * @returns {Either} `Left a`
+ * @kind function
+ * @example
+ * left(`error`); // => Left error
+ */
+export const left = a => new Either(a);
+
+/**
+ * Construct a `Right` value, which by convention represents a correct result.
+ * <br>`Haskell> Right :: b -> Either a b`
+ * @param {*} b - The value to wrap in a `Right`
+ * @returns {Either} `Right b`
+ * @kind function
+ * @example
+ * right(10); // => Right 10
+ */
+export const right = b => new Either(b, true);
+
+/**
+ * Case analysis for the `Either` type. If the value is `Left a`, apply the first function to `a`.
+ * If it is `Right b`, apply the second function to `b`.
+ * <br>`Haskell> either :: (a -> c) -> (b -> c) -> Either a b -> c`
+ * @param {Function} f - The function to apply to a `Left` value
+ * @param {Function} g - The function to apply to a `Right` value
+ * @param {Either} e - An `Either`
+ * @returns {*} The result of applying `f` or `g` to the value contained in `e`
+ * @kind function
+ * @example
+ * const l = left(`error`);
+ * const r = right(10);
+ * const f = x => x.length;
+ * const g = x => x * 2;
+ * either(f, g, l);         // => 5
+ * either(f, g, r);         // => 20
+ */
+export const either = (f, g, e) => {
+  const either_ = (f, g, e) => {
+    if (isEither(e) === false) { return error.typeError(e, either); }
+    return isLeft(e) ? f(e.left()) : g(e.right());
+  }
+  return partial(either_, f, g, e);
+}
+
+/**
+ * Determine whether an object is an `Either`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is an `Either` and `false` otherwise
+ * @kind function
+ */
+export const isEither = a => a instanceof Either ? true : false;
+
+/**
+ * Determine whether an `Either` is a `Left` value.
+ * <br>`Haskell> isLeft :: Either a b -> Bool`
+ * @param {Either} e - An `Either`
+ * @returns {boolean} `true` if the `Either` is a `Left` and `false` otherwise
+ * @kind function
+ */
+export const isLeft = e => {
+  if (isEither(e) === false) { return error.typeError(e, isLeft); }
+  return e.right === undefined ? true : false;
+}
+
+/**
+ * Determine whether an `Either` is a `Right` value.
+ * <br>`Haskell> isRight :: Either a b -> Bool`
+ * @param {Either} e - An `Either`
+ * @returns {boolean} `true` if the `Either` is a `Right` and `false` otherwise
+ * @kind function
+ */
+export const isRight = e => {
+  if (isEither(e) === false) { return error.typeError(e, isRight); }
+  return isLeft(e) ? false : true;
+}
+
+/**
+ * Return the contents of a `Left` value or a default value otherwise.
+ * <br>`Haskell> fromLeft :: a -> Either a b -> a`
+ * @param {*} d - The default value to return if `e` is a `Right`
+ * @param {Either} e - An `Either`
+ * @returns {*} The value contained in the `Left` or `d` if `e` is a `Right`
+ * @kind function
+ * @example
+ * fromLeft(0, left(10));  // => 10
+ * fromLeft(0, right(10)); // => 0
+ */
+export const fromLeft = (d, e) => {
+  const fromLeft_ = (d, e) => {
+    if (isEither(e) === false) { return error.typeError(e, fromLeft); }
+    return isLeft(e) ? e.left() : d;
+  }
+  return partial(fromLeft_, d, e);
+}
+
+/**
+ * Return the contents of a `Right` value or a default value otherwise.
+ * <br>`Haskell> fromRight :: b -> Either a b -> b`
+ * @param {*} d - The default value to return if `e` is a `Left`
+ * @param {Either} e - An `Either`
+ * @returns {*} The value contained in the `Right` or `d` if `e` is a `Left`
+ * @kind function
+ * @example
+ * fromRight(0, right(10)); // => 10
+ * fromRight(0, left(10));  // => 0
+ */
+export const fromRight = (d, e) => {
+  const fromRight_ = (d, e) => {
+    if (isEither(e) === false) { return error.typeError(e, fromRight); }
+    return isRight(e) ? e.right() : d;
+  }
+  return partial(fromRight_, d, e);
+}
+
+/**
+ * Extract all of the `Left` values from a `List` of `Either` values, in order.
+ * <br>`Haskell> lefts :: [Either a b] -> [a]`
+ * @param {List} es - A `List` of `Either` values
+ * @returns {List} A `List` of the values contained in the `Left` elements of `es`
+ * @kind function
+ * @example
+ * const lst = list(left(`a`), right(1), left(`b`), right(2));
+ * lefts(lst);                                                 // => [ab]
+ */
+export const lefts = es => {
+  if (isList(es) === false) { return error.listError(es, lefts); }
+  return map(e => e.left(), filter(isLeft, es));
+}
+
+/**
+ * Extract all of the `Right` values from a `List` of `Either` values, in order.
+ * <br>`Haskell> rights :: [Either a b] -> [b]`
+ * @param {List} es - A `List` of `Either` values
+ * @returns {List} A `List` of the values contained in the `Right` elements of `es`
+ * @kind function
+ * @example
+ * const lst = list(left(`a`), right(1), left(`b`), right(2));
+ * rights(lst);                                                // => [1:2:[]]
+ */
+export const rights = es => {
+  if (isList(es) === false) { return error.listError(es, rights); }
+  return map(e => e.right(), filter(isRight, es));
+}
+
+/**
+ * Partition a `List` of `Either` values into a `Tuple` of two lists. All the `Left` values are
+ * extracted, in order, into the first list, and all the `Right` values into the second.
+ * <br>`Haskell> partitionEithers :: [Either a b] -> ([a], [b])`
+ * @param {List} es - A `List` of `Either` values
+ * @returns {Tuple} A `Tuple` of the `Left` values and the `Right` values
+ * @kind function
+ * @example
+ * const lst = list(left(`a`), right(1), left(`b`), right(2));
+ * partitionEithers(lst);                                      // => ([ab],[1:2:[]])
+ */
+export const partitionEithers = es => {
+  if (isList(es) === false) { return error.listError(es, partitionEithers); }
+  return tuple(lefts(es), rights(es));
+}
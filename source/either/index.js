@@ -0,0 +1,24 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * either/index.js
+ *
+ * Top level index for Either data type.
+ */
+
+export {Either} from './either';
+
+export {
+  left,
+  right,
+  either,
+  isEither,
+  isLeft,
+  isRight,
+  fromLeft,
+  fromRight,
+  lefts,
+  rights,
+  partitionEithers
+} from './func';
@@ -14,7 +14,7 @@ import {partial} from './base';
 
 import {
   defines,
-  dataType,
+  instanceFor,
   typeCheck
 } from './type';
 
@@ -47,7 +47,7 @@ export const Eq = defines(`isEq`);
  */
 export const isEq = (a, b) => {
   const isEq_ = (a, b) => {
-    if (typeCheck(a, b)) { return Eq(a) ? dataType(a).isEq(a, b) : a === b; }
+    if (typeCheck(a, b)) { return Eq(a) ? instanceFor(Eq, a).isEq(a, b) : a === b; }
     return error.typeMismatch(a, b, isEq);
   }
   return partial(isEq_, a, b);
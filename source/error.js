@@ -20,8 +20,18 @@
 export const error = {
   emptyList: (a, f) =>
     throwError(`'${a}' is an empty list, but '${f.name}' expects a non-empty list.`),
+  eof: f =>
+    throwError(`Function '${f.name}' reached the end of its input.`),
+  falsified: (a, n, k, seed, e) =>
+    throwError(`Property falsified by '${a}' after ${n} tests, ${k} shrinks (seed ${seed}): ${e}.`),
+  innerMonad: f =>
+    throwError(`Function '${f.name}' cannot determine the inner monad of a transformer.`),
   listError: (a, f) =>
     throwError(`'${a}' is type '${a.constructor.name}' but function '${f.name}' expects a list.`),
+  missingMethod: (a, m, f) =>
+    throwError(`Instance for '${a.name}' is missing method '${m}' in function '${f.name}'.`),
+  nonExhaustive: (a, f) =>
+    throwError(`Non-exhaustive patterns in function '${f.name}': '${a}' is not matched.`),
   nothing: (a, f) =>
     throwError(`'${f}' returned Nothing from argument '${a}'.`),
   rangeError: (n, f) =>
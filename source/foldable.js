@@ -18,7 +18,7 @@ import {
 
 import {
   defines,
-  dataType
+  instanceFor
 } from './type';
 
 import {
@@ -96,7 +96,7 @@ export const foldMap = (f, a) => {
  */
 export const foldr = (f, z, t) => {
   const foldr_ = (f, z, t) => {
-    return Foldable(t) ? dataType(t).foldr(f, z, t) : error.typeError(t, foldr);
+    return Foldable(t) ? instanceFor(Foldable, t).foldr(f, z, t) : error.typeError(t, foldr);
   }
   return partial(foldr_, f, z, t);
 }
@@ -17,7 +17,7 @@ import {
 
 import {
   defines,
-  dataType
+  instanceFor
 } from './type';
 
 import {error} from './error';
@@ -48,7 +48,8 @@ export const Functor = defines(`fmap`);
  * fmap($(f)(g))(lst);       // => [1100:2200:3300:[]]
  */
 export const fmap = (f, a) => {
-  const fmap_ = (f, a) => Functor(a) ? dataType(a).fmap(f, a) : error.typeError(a, fmap);
+  const fmap_ = (f, a) =>
+    Functor(a) ? instanceFor(Functor, a).fmap(f, a) : error.typeError(a, fmap);
   return partial(fmap_, f, a);
 }
 
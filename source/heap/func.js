@@ -0,0 +1,300 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * heap/func.js
+ *
+ * @file Heap functions.
+ * @license ISC
+ */
+
+/** @module heap/func */
+
+import {partial} from '../base';
+
+import {Heap} from '../heap';
+
+import {
+  compare,
+  GT
+} from '../ord';
+
+import {typeCheck} from '../type';
+
+import {
+  just,
+  Nothing
+} from '../maybe';
+
+import {
+  isList,
+  fromArrayToList,
+  fromListToArray
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * Return the rank of a node of a leftist heap, the length of the path down its right side.
+ * @param {Object|undefined} t - The node
+ * @returns {number} The rank of `t`
+ * @private
+ */
+const rank = t => t === undefined ? 0 : t.rank;
+
+/**
+ * Return the number of values under a node of a leftist heap, including its own.
+ * @param {Object|undefined} t - The node
+ * @returns {number} The size of `t`
+ * @private
+ */
+const size = t => t === undefined ? 0 : t.size;
+
+/**
+ * Create a node of a leftist heap, putting the child of higher rank on the left.
+ * @param {*} x - The value of the node
+ * @param {Object|undefined} a - One child
+ * @param {Object|undefined} b - The other child
+ * @returns {Object} A new node
+ * @private
+ */
+const make = (x, a, b) => {
+  const [l, r] = rank(a) >= rank(b) ? [a, b] : [b, a];
+  return {rank: rank(r) + 1, size: size(a) + size(b) + 1, value: x, left: l, right: r};
+}
+
+/**
+ * Merge two leftist heaps along their right sides.
+ * @param {Function} cmp - The comparison function
+ * @param {Object|undefined} a - The root of the first heap
+ * @param {Object|undefined} b - The root of the second heap
+ * @returns {Object|undefined} The root of the merged heap
+ * @private
+ */
+const merge = (cmp, a, b) => {
+  if (a === undefined) { return b; }
+  if (b === undefined) { return a; }
+  if (cmp(a.value, b.value) === GT) { return merge(cmp, b, a); }
+  return make(a.value, a.left, merge(cmp, a.right, b));
+}
+
+/**
+ * Build a leftist heap from an array of values in linear time, by merging heaps in pairs.
+ * @param {Function} cmp - The comparison function
+ * @param {Array} xs - The values
+ * @returns {Heap} A new `Heap`
+ * @private
+ */
+const fromArray = (cmp, xs) => {
+  let ts = xs.map(x => make(x));
+  while (ts.length > 1) {
+    const us = [];
+    for (let i = 0; i < ts.length; i += 2) { us.push(merge(cmp, ts[i], ts[i + 1])); }
+    ts = us;
+  }
+  return new Heap(cmp, ts[0]);
+}
+
+/**
+ * The empty `Heap`, ordered by `compare`. Use `emptyHeapBy` for an empty heap ordered by another
+ * comparison function.
+ * <br>`Haskell> empty :: Ord a => Heap a`
+ * @kind constant
+ * @example
+ * emptyHeap;                   // => Heap []
+ * heapSize(emptyHeap);         // => 0
+ */
+export const emptyHeap = new Heap(compare);
+
+/**
+ * Create an empty `Heap` ordered by a comparison function of your choice. The least value of the
+ * heap is the one that compares `LT` to the others, so a reversed comparison makes a max heap.
+ * @param {Function} cmp - The comparison function—must return an `Ordering`
+ * @returns {Heap} A new, empty `Heap`
+ * @kind function
+ * @example
+ * const maxHeap = emptyHeapBy((x, y) => compare(y, x));
+ * heapFindMin(heapInsert(2, heapInsert(5, maxHeap))); // => Just 5
+ */
+export const emptyHeapBy = cmp =>
+  typeof cmp === `function` ? new Heap(cmp) : error.typeError(cmp, emptyHeapBy);
+
+/**
+ * Insert a value into a `Heap`, in logarithmic time.
+ * <br>`Haskell> insert :: Ord a => a -> Heap a -> Heap a`
+ * @param {*} x - The value
+ * @param {Heap} h - The `Heap`
+ * @returns {Heap} A new `Heap` containing `x`
+ * @kind function
+ * @example
+ * heapInsert(0, fromListToHeap(list(3,1,2))); // => Heap [0, 1, 2, 3]
+ */
+export const heapInsert = (x, h) => {
+  const heapInsert_ = (x, h) => {
+    if (isHeap(h) === false) { return error.typeError(h, heapInsert); }
+    const t = h.root();
+    if (t !== undefined && typeCheck(x, t.value) === false) {
+      return error.typeError(x, heapInsert);
+    }
+    return new Heap(h.cmp(), merge(h.cmp(), make(x), t));
+  }
+  return partial(heapInsert_, x, h);
+}
+
+/**
+ * Return the least value of a `Heap`, in constant time.
+ * <br>`Haskell> getMin :: Heap a -> Maybe a`
+ * @param {Heap} h - The `Heap`
+ * @returns {Maybe} The least value of `h` in a `Just`, or `Nothing` if `h` is empty
+ * @kind function
+ * @example
+ * heapFindMin(fromListToHeap(list(3,1,2))); // => Just 1
+ * heapFindMin(emptyHeap);      // => Nothing
+ */
+export const heapFindMin = h => {
+  if (isHeap(h) === false) { return error.typeError(h, heapFindMin); }
+  return h.root() === undefined ? Nothing : just(h.root().value);
+}
+
+/**
+ * Delete the least value of a `Heap`, in logarithmic time. If the heap is empty, it is returned
+ * unchanged.
+ * <br>`Haskell> deleteMin :: Heap a -> Heap a`
+ * @param {Heap} h - The `Heap`
+ * @returns {Heap} A new `Heap` without the least value of `h`
+ * @kind function
+ * @example
+ * heapDeleteMin(fromListToHeap(list(3,1,2))); // => Heap [2, 3]
+ */
+export const heapDeleteMin = h => {
+  if (isHeap(h) === false) { return error.typeError(h, heapDeleteMin); }
+  const t = h.root();
+  return t === undefined ? h : new Heap(h.cmp(), merge(h.cmp(), t.left, t.right));
+}
+
+/**
+ * Merge two heaps, in logarithmic time. The heaps must be ordered by the same comparison function.
+ * <br>`Haskell> union :: Heap a -> Heap a -> Heap a`
+ * @param {Heap} h1 - The first `Heap`
+ * @param {Heap} h2 - The second `Heap`
+ * @returns {Heap} A new `Heap` with the values of both `h1` and `h2`
+ * @kind function
+ * @example
+ * heapMerge(fromListToHeap(list(5,1)), fromListToHeap(list(4,2))); // => Heap [1, 2, 4, 5]
+ */
+export const heapMerge = (h1, h2) => {
+  const heapMerge_ = (h1, h2) => {
+    if (isHeap(h1) === false) { return error.typeError(h1, heapMerge); }
+    if (isHeap(h2) === false) { return error.typeError(h2, heapMerge); }
+    if (h1.cmp() !== h2.cmp()) { return error.typeError(h2, heapMerge); }
+    const [a, b] = [h1.root(), h2.root()];
+    if (a !== undefined && b !== undefined && typeCheck(a.value, b.value) === false) {
+      return error.typeError(h2, heapMerge);
+    }
+    return new Heap(h1.cmp(), merge(h1.cmp(), a, b));
+  }
+  return partial(heapMerge_, h1, h2);
+}
+
+/**
+ * Return the number of values in a `Heap`, in constant time.
+ * <br>`Haskell> size :: Heap a -> Int`
+ * @param {Heap} h - The `Heap`
+ * @returns {number} The number of values in `h`
+ * @kind function
+ * @example
+ * heapSize(fromListToHeap(list(3,1,2,1))); // => 4
+ */
+export const heapSize = h => isHeap(h) ? size(h.root()) : error.typeError(h, heapSize);
+
+/**
+ * Create a `Heap` ordered by `compare` from the values of a `List`, in linear time. Use
+ * `fromListToHeapBy` to supply your own comparison function.
+ * <br>`Haskell> fromList :: Ord a => [a] -> Heap a`
+ * @param {List} xs - A `List`
+ * @returns {Heap} A new `Heap` of the values of `xs`
+ * @kind function
+ * @example
+ * fromListToHeap(list(3,1,2)); // => Heap [1, 2, 3]
+ */
+export const fromListToHeap = xs =>
+  isList(xs) ? fromListToHeapBy(compare, xs) : error.listError(xs, fromListToHeap);
+
+/**
+ * Create a `Heap` ordered by a comparison function of your choice from the values of a `List`, in
+ * linear time.
+ * @param {Function} cmp - The comparison function—must return an `Ordering`
+ * @param {List} xs - A `List`
+ * @returns {Heap} A new `Heap` of the values of `xs`
+ * @kind function
+ * @example
+ * fromListToHeapBy((x, y) => compare(y, x), list(3,1,2)); // => Heap [3, 2, 1]
+ */
+export const fromListToHeapBy = (cmp, xs) => {
+  const fromListToHeapBy_ = (cmp, xs) => {
+    if (typeof cmp !== `function`) { return error.typeError(cmp, fromListToHeapBy); }
+    if (isList(xs) === false) { return error.listError(xs, fromListToHeapBy); }
+    return fromArray(cmp, fromListToArray(xs));
+  }
+  return partial(fromListToHeapBy_, cmp, xs);
+}
+
+/**
+ * Convert a `Heap` into a `List` of its values from least to greatest, in O(n log n) time.
+ * <br>`Haskell> toSortedList :: Heap a -> [a]`
+ * @param {Heap} h - The `Heap`
+ * @returns {List} A sorted `List` of the values of `h`
+ * @kind function
+ * @example
+ * heapToSortedList(fromListToHeap(list(3,1,2))); // => [1:2:3:[]]
+ */
+export const heapToSortedList = h => {
+  if (isHeap(h) === false) { return error.typeError(h, heapToSortedList); }
+  const xs = [];
+  for (let t = h.root(); t !== undefined; t = merge(h.cmp(), t.left, t.right)) {
+    xs.push(t.value);
+  }
+  return fromArrayToList(xs);
+}
+
+/**
+ * Sort a list using regular value comparison, by building a `Heap` of its values and taking them
+ * back out from least to greatest. Use `heapSortBy` to supply your own comparison function.
+ * <br>`Haskell> sort :: Ord a => [a] -> [a]`
+ * @param {List} xs - The `List` to sort
+ * @returns {List} The sorted `List` (the original list is unmodified)
+ * @kind function
+ * @example
+ * heapSort(list(9,8,7,1,2,3)); // => [1:2:3:7:8:9:[]]
+ */
+export const heapSort = xs => isList(xs) ? heapSortBy(compare, xs) : error.listError(xs, heapSort);
+
+/**
+ * Sort a list using a comparison function of your choice, by building a `Heap` of its values and
+ * taking them back out in order.
+ * <br>`Haskell> sortBy :: (a -> a -> Ordering) -> [a] -> [a]`
+ * @param {Function} cmp - The comparison function—must return an `Ordering`
+ * @param {List} xs - The `List` to sort
+ * @returns {List} The sorted `List` (the original list is unmodified)
+ * @kind function
+ * @example
+ * heapSortBy((x, y) => compare(y, x), list(1,3,2)); // => [3:2:1:[]]
+ */
+export const heapSortBy = (cmp, xs) => {
+  const heapSortBy_ = (cmp, xs) => {
+    if (isList(xs) === false) { return error.listError(xs, heapSortBy); }
+    return heapToSortedList(fromListToHeapBy(cmp, xs));
+  }
+  return partial(heapSortBy_, cmp, xs);
+}
+
+/**
+ * Determine whether an object is a `Heap`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Heap` and `false` otherwise
+ * @kind function
+ * @example
+ * isHeap(emptyHeap);           // => true
+ * isHeap(list(1,2,3));         // => false
+ */
+export const isHeap = a => a instanceof Heap ? true : false;
@@ -0,0 +1,65 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * heap/heap.js
+ *
+ * @file Heap data type.
+ * @license ISC
+ */
+
+/** @module heap/heap */
+
+import {fromListToArray} from '../list';
+
+import {
+  heapDeleteMin,
+  heapToSortedList
+} from '../heap';
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * A `Heap` is an immutable priority queue. It is a leftist heap: a binary tree in which every value
+ * is less than or equal to the values below it, and the path down the right side of any subtree is
+ * no longer than the path down its left side. Since that path is at most logarithmic in length and
+ * inserting and deleting are done by merging along it, finding the least value takes constant time
+ * and inserting, deleting the least value, and merging two heaps take logarithmic time. A `Heap`
+ * keeps the comparison function that orders it, which is `compare` unless another is given. Since
+ * it must be able to compare its values, it is not a `Functor`.
+ * @alias module:heap.Heap
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Heap extends Type {
+  /**
+   * Create a new `Heap` from its comparison function and the root of its tree.
+   * @param {Function} cmp - The comparison function, which must return an `Ordering`
+   * @param {Object|undefined} t - The root node, with `rank`, `size`, `value`, `left`, and `right`
+   * properties, or `undefined` if the heap is empty
+   * @private
+   */
+  constructor(cmp, t) {
+    super();
+    this.cmp = () => cmp;
+    this.root = () => t;
+  }
+  // Foldable
+  static foldr(f, z, h) {
+    return fromListToArray(heapToSortedList(h)).reduceRight((acc, x) => f(x, acc), z);
+  }
+  // Match
+  static tags() { return [`Empty`, `Cons`]; }
+  tag() { return this.root() === undefined ? `Empty` : `Cons`; }
+  fields() { return this.root() === undefined ? [] : [this.root().value, heapDeleteMin(this)]; }
+  // Prototype
+  toString() { return `[Object Heap]`; }
+  typeOf() { return this.root() === undefined ? `Heap` : `Heap ${type(this.root().value)}`; }
+  valueOf() {
+    return `Heap [${fromListToArray(heapToSortedList(this)).map(x => `${x}`).join(`, `)}]`;
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * heap/index.js
+ *
+ * Top level index for Heap data type.
+ */
+
+export {Heap} from './heap';
+
+export {
+  emptyHeap,
+  emptyHeapBy,
+  heapInsert,
+  heapFindMin,
+  heapDeleteMin,
+  heapMerge,
+  heapSize,
+  fromListToHeap,
+  fromListToHeapBy,
+  heapToSortedList,
+  heapSort,
+  heapSortBy,
+  isHeap
+} from './func';
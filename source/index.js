@@ -7,6 +7,10 @@
  * Top level index.
  */
 
+// Instances
+
+import './instances';
+
 // Base
 
 export {
@@ -29,6 +33,8 @@ export {
 
 export {
   defines,
+  instance,
+  instanceFor,
   dataType,
   type,
   typeCheck
@@ -37,6 +43,7 @@ export {
 // Eq
 
 export {
+  Eq,
   isEq,
   isNotEq
 } from './eq';
@@ -44,6 +51,7 @@ export {
 // Ord
 
 export {
+  Ord,
   EQ,
   LT,
   GT,
@@ -56,17 +64,30 @@ export {
   min
 } from './ord';
 
+// Semigroup
+
+export {
+  Semigroup,
+  sconcat
+} from './semigroup';
+
 // Monoid
 
 export {
+  Monoid,
   mempty,
   mappend,
-  mconcat
+  mconcat,
+  toSum,
+  getSum,
+  toProduct,
+  getProduct
 } from './monoid';
 
 // Foldable
 
 export {
+  Foldable,
   fold,
   foldMap,
   foldr
@@ -75,6 +96,7 @@ export {
 // Traversable
 
 export {
+  Traversable,
   traverse,
   mapM,
   sequence
@@ -83,6 +105,7 @@ export {
 // Functor
 
 export {
+  Functor,
   fmap,
   fmapReplaceBy
 } from './functor';
@@ -90,6 +113,7 @@ export {
 // Applicative
 
 export {
+  Applicative,
   pure,
   ap,
   apFlip,
@@ -102,15 +126,29 @@ export {
 // Monad
 
 export {
+  Monad,
   inject,
   flatMap,
   chain,
   flatMapFlip,
   join,
   liftM,
-  Do
+  Do,
+  doM
 } from './monad';
 
+// Laws
+
+export {checkLaws} from './laws';
+
+// Data
+
+export {data} from './data';
+
+// Match
+
+export {match} from './match';
+
 // Maybe
 
 export {
@@ -128,6 +166,22 @@ export {
   mapMaybe
 } from './maybe';
 
+// Either
+
+export {
+  left,
+  right,
+  either,
+  isEither,
+  isLeft,
+  isRight,
+  fromLeft,
+  fromRight,
+  lefts,
+  rights,
+  partitionEithers
+} from './either';
+
 // Tuple
 
 export {
@@ -155,6 +209,7 @@ export {
   listFilter,
   listAppend,
   cons,
+  lazyCons,
   head,
   last,
   tail,
@@ -165,6 +220,7 @@ export {
   isList,
   isEmpty,
   fromArrayToList,
+  fromIterable,
   fromListToArray,
   fromListToString,
   fromStringToList,
@@ -217,9 +273,278 @@ export {
   mergeSort,
   mergeSortBy,
   insert,
-  insertBy
+  insertBy,
+  headMay,
+  lastMay,
+  tailMay,
+  initMay,
+  indexMay,
+  cycleMay
 } from './list';
 
+// NonEmpty
+
+export {
+  nonEmpty,
+  neCons,
+  neHead,
+  neTail,
+  neLast,
+  neToList,
+  neMap,
+  groupNE,
+  isNonEmpty
+} from './nonempty';
+
+// Map
+
+export {
+  emptyMap,
+  mapSingleton,
+  mapInsert,
+  mapInsertWith,
+  mapDelete,
+  mapLookup,
+  mapMember,
+  mapAlter,
+  mapUnion,
+  mapUnionWith,
+  mapFoldrWithKey,
+  mapSize,
+  fromListToMap,
+  fromMapToList,
+  isMap
+} from './map';
+
+// Set
+
+export {
+  emptySet,
+  setSingleton,
+  setInsert,
+  setDelete,
+  setMember,
+  setSize,
+  setUnion,
+  setIntersection,
+  setDifference,
+  isSubsetOf,
+  setMap,
+  setFilter,
+  setPartition,
+  fromListToSet,
+  fromSetToList,
+  isSet
+} from './set';
+
+// Heap
+
+export {
+  emptyHeap,
+  emptyHeapBy,
+  heapInsert,
+  heapFindMin,
+  heapDeleteMin,
+  heapMerge,
+  heapSize,
+  fromListToHeap,
+  fromListToHeapBy,
+  heapToSortedList,
+  heapSort,
+  heapSortBy,
+  isHeap
+} from './heap';
+
+// Seq
+
+export {
+  emptySeq,
+  seqSingleton,
+  seqPushFront,
+  seqPushBack,
+  seqViewl,
+  seqViewr,
+  seqSplitAt,
+  seqIndex,
+  seqUpdate,
+  seqConcat,
+  seqLength,
+  fromListToSeq,
+  fromSeqToList,
+  isSeq
+} from './seq';
+
+// Deque
+
+export {
+  emptyDeque,
+  dequePushFront,
+  dequePushBack,
+  dequePopFront,
+  dequePopBack,
+  dequeLength,
+  dequeReverse,
+  dequeAppend,
+  fromListToDeque,
+  fromDequeToList,
+  isDeque
+} from './deque';
+
+// Tree
+
+export {
+  node,
+  rootLabel,
+  subForest,
+  flatten,
+  levels,
+  foldTreeDepthFirst,
+  foldTreeBreadthFirst,
+  unfoldTree,
+  drawTree,
+  isTree
+} from './tree';
+
+// Zipper
+
+export {
+  fromListToZipper,
+  fromZipperToList,
+  zipperFocus,
+  zipperLeft,
+  zipperRight,
+  zipperModify,
+  zipperInsertLeft,
+  zipperDelete,
+  isZipper,
+  fromTreeToZipper,
+  fromZipperToTree,
+  treeZipperFocus,
+  treeZipperParent,
+  treeZipperFirstChild,
+  treeZipperLeft,
+  treeZipperRight,
+  treeZipperRoot,
+  treeZipperModify,
+  isTreeZipper
+} from './zipper';
+
+// State
+
+export {
+  state,
+  runState,
+  evalState,
+  execState,
+  get,
+  put,
+  modify,
+  gets,
+  isState
+} from './state';
+
+// Reader
+
+export {
+  reader,
+  runReader,
+  ask,
+  asks,
+  local,
+  isReader
+} from './reader';
+
+// Writer
+
+export {
+  writer,
+  runWriter,
+  execWriter,
+  tell,
+  listen,
+  censor,
+  isWriter
+} from './writer';
+
+// IO
+
+export {
+  runIO,
+  unsafePerformIO,
+  putStr,
+  putStrLn,
+  getLine,
+  readFile,
+  writeFile,
+  isIO
+} from './io';
+
+// Task
+
+export {
+  task,
+  fromPromise,
+  rejected,
+  fork,
+  toPromise,
+  isTask
+} from './task';
+
+// Transformers
+
+export {
+  MaybeT,
+  ExceptT,
+  StateT,
+  ReaderT,
+  lift,
+  maybeT,
+  runMaybeT,
+  hoistMaybe,
+  isMaybeT,
+  exceptT,
+  runExceptT,
+  except,
+  throwE,
+  catchE,
+  isExceptT,
+  stateT,
+  runStateT,
+  evalStateT,
+  execStateT,
+  getT,
+  putT,
+  modifyT,
+  getsT,
+  isStateT,
+  readerT,
+  runReaderT,
+  askT,
+  asksT,
+  localT,
+  isReaderT
+} from './trans';
+
+// QuickCheck
+
+export {
+  Arbitrary,
+  arbitrary,
+  shrink,
+  sized,
+  choose,
+  elements,
+  oneOf,
+  listOf,
+  maybeOf,
+  tupleOf,
+  generate,
+  isGen,
+  forAll,
+  property,
+  isProperty
+} from './quickcheck';
+
 // Error
 
 export {
@@ -0,0 +1,63 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * instances.js
+ *
+ * @file Type class instances for native JavaScript data types.
+ * @license ISC
+ */
+
+/** @module instances */
+
+import {instance} from './type';
+
+import {
+  Eq,
+  isEq
+} from './eq';
+
+import {Monoid} from './monoid';
+
+import {Foldable} from './foldable';
+
+import {Functor} from './functor';
+
+import {Applicative} from './applicative';
+
+import {Monad} from './monad';
+
+// Array
+
+instance(Eq, Array, {
+  isEq: (as, bs) => as.length === bs.length && as.every((a, i) => isEq(a, bs[i]))
+});
+
+instance(Monoid, Array, {
+  mempty: () => [],
+  mappend: (as, bs) => as.concat(bs)
+});
+
+instance(Foldable, Array, {
+  foldr: (f, z, as) => as.reduceRight((acc, x) => f(x, acc), z)
+});
+
+instance(Functor, Array, {
+  fmap: (f, as) => as.map(x => f(x))
+});
+
+instance(Applicative, Array, {
+  pure: a => [a],
+  ap: (fs, as) => fs.reduce((bs, f) => bs.concat(as.map(x => f(x))), [])
+});
+
+instance(Monad, Array, {
+  flatMap: (as, f) => as.reduce((bs, x) => bs.concat(f(x)), [])
+});
+
+// String
+
+instance(Monoid, String, {
+  mempty: () => ``,
+  mappend: (a, b) => a + b
+});
@@ -0,0 +1,201 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * io/func.js
+ *
+ * @file IO functions.
+ * @license ISC
+ */
+
+/** @module io/func */
+
+/* global console */
+/* eslint no-console: ["error", { allow: ["log"] }] */
+
+import {
+  readFileSync,
+  writeFileSync
+} from 'fs';
+
+import {partial} from '../base';
+
+import {IO} from '../io';
+
+import {unit} from '../tuple';
+
+import {error} from '../error';
+
+/**
+ * Split a sequence of text chunks into lines, without their line endings.
+ * @param {Iterable.<string>} chunks - The chunks of text to split
+ * @returns {Iterator.<string>} An iterator over the lines of text
+ * @private
+ */
+const splitLines = function* (chunks) {
+  let rest = ``;
+  for (const chunk of chunks) {
+    const lines = (rest + chunk).split(/\r?\n/);
+    rest = lines.pop();
+    yield* lines;
+  }
+  if (rest !== ``) { yield rest; }
+}
+
+/**
+ * Create an output that writes to the console. Since `console.log` ends everything it writes with a
+ * newline, text is written a line at a time, and any text after the last newline is only written
+ * when the output is flushed.
+ * @returns {Object} An output with `write` and `flush` methods
+ * @private
+ */
+const consoleOutput = () => {
+  let rest = ``;
+  const write = s => {
+    const lines = (rest + s).split(`\n`);
+    rest = lines.pop();
+    lines.forEach(line => console.log(line));
+  }
+  const flush = () => {
+    if (rest !== ``) { console.log(rest); }
+    rest = ``;
+  }
+  return {write, flush};
+}
+
+/**
+ * Perform the action described by an `IO` and return its result. The input that `getLine` reads
+ * from is passed in with the output that `putStr` writes to, so that a program can be given any
+ * source of input, such as the lines of a file or of a test. Input may be either a string or an
+ * iterable object (such as an array or a generator) of lines, and output may be any object with a
+ * `write` method, such as a Node writable stream. Without input, `getLine` throws an error, and
+ * without output, `putStr` writes to the console.
+ * @param {IO} m - The `IO` to perform
+ * @param {Object} [handles] - The input and output to use
+ * @param {string|Iterable.<string>} [handles.stdin] - The input to read lines from
+ * @param {Object} [handles.stdout] - The output to write to
+ * @returns {*} The result of the action
+ * @kind function
+ * @example
+ * const echo = flatMap(getLine, putStrLn);
+ * const out = [];
+ * runIO(echo, {stdin: `hello`, stdout: {write: s => out.push(s)}});
+ * out;                                                              // => ['hello\n']
+ */
+export const runIO = (m, handles = {}) => {
+  if (isIO(m) === false) { return error.typeError(m, runIO); }
+  const stdout = handles.stdout === undefined ? consoleOutput() : handles.stdout;
+  const h = {
+    stdin: handles.stdin === undefined ? splitLines([]) :
+      typeof handles.stdin === `string` ? splitLines([handles.stdin]) :
+      handles.stdin[Symbol.iterator](),
+    stdout
+  };
+  try {
+    return m.io()(h);
+  } finally {
+    if (handles.stdout === undefined) { stdout.flush(); }
+  }
+}
+
+/**
+ * Perform the action described by an `IO`, writing its output to the console, and return its
+ * result. As in Haskell, this is the "back door" into the `IO` monad, and it should only
+ * be used at the very edge of a program, once all of its actions have been combined into one.
+ * <br>`Haskell> unsafePerformIO :: IO a -> a`
+ * @param {IO} m - The `IO` to perform
+ * @returns {*} The result of the action
+ * @kind function
+ * @example
+ * unsafePerformIO(putStrLn(`Hello, world!`)); // Hello, world!
+ */
+export const unsafePerformIO = m => isIO(m) ? runIO(m) : error.typeError(m, unsafePerformIO);
+
+/**
+ * Write a string to the output.
+ * <br>`Haskell> putStr :: String -> IO ()`
+ * @param {string} s - The string to write
+ * @returns {IO} An `IO` that writes `s` and returns `unit`
+ * @kind function
+ * @example
+ * unsafePerformIO(putStr(`Hello`)); // Hello
+ */
+export const putStr = s => {
+  if (typeof s !== `string`) { return error.typeError(s, putStr); }
+  return new IO(h => {
+    h.stdout.write(s);
+    return unit;
+  });
+}
+
+/**
+ * Write a string to the output, followed by a newline.
+ * <br>`Haskell> putStrLn :: String -> IO ()`
+ * @param {string} s - The string to write
+ * @returns {IO} An `IO` that writes `s` and a newline and returns `unit`
+ * @kind function
+ * @example
+ * const hello = Do(putStrLn(`Hello`)).chain(putStrLn(`world`));
+ * unsafePerformIO(hello.m());                                   // Hello
+ *                                                               // world
+ */
+export const putStrLn = s =>
+  typeof s === `string` ? putStr(`${s}\n`) : error.typeError(s, putStrLn);
+
+/**
+ * Read a line from the input, without its line ending. Throws an error if there is no more
+ * input to read.
+ * <br>`Haskell> getLine :: IO String`
+ * @kind constant
+ * @example
+ * const greet = flatMap(getLine, name => putStrLn(`Hello, ${name}!`));
+ * runIO(greet, {stdin: `world`});                                      // Hello, world!
+ */
+export const getLine = new IO(function getLine(h) {
+  const next = h.stdin.next();
+  return next.done ? error.eof(getLine) : next.value;
+});
+
+/**
+ * Read the contents of a file as a string.
+ * <br>`Haskell> readFile :: FilePath -> IO String`
+ * @param {string} path - The path of the file to read
+ * @returns {IO} An `IO` that returns the contents of the file
+ * @kind function
+ * @example
+ * const copy = flatMap(readFile(`a.txt`), s => writeFile(`b.txt`, s));
+ * unsafePerformIO(copy);
+ */
+export const readFile = path =>
+  typeof path === `string` ? new IO(() => readFileSync(path, `utf8`)) :
+  error.typeError(path, readFile);
+
+/**
+ * Write a string to a file, replacing any existing contents.
+ * <br>`Haskell> writeFile :: FilePath -> String -> IO ()`
+ * @param {string} path - The path of the file to write
+ * @param {string} s - The string to write
+ * @returns {IO} An `IO` that writes `s` to the file and returns `unit`
+ * @kind function
+ * @example
+ * unsafePerformIO(writeFile(`hello.txt`, `Hello, world!`));
+ */
+export const writeFile = (path, s) => {
+  const writeFile_ = (path, s) => {
+    if (typeof path !== `string`) { return error.typeError(path, writeFile); }
+    if (typeof s !== `string`) { return error.typeError(s, writeFile); }
+    return new IO(() => {
+      writeFileSync(path, s);
+      return unit;
+    });
+  }
+  return partial(writeFile_, path, s);
+}
+
+/**
+ * Determine whether an object is an `IO`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is an `IO` and `false` otherwise
+ * @kind function
+ */
+export const isIO = a => a instanceof IO ? true : false;
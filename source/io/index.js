@@ -0,0 +1,21 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * io/index.js
+ *
+ * Top level index for IO data type.
+ */
+
+export {IO} from './io';
+
+export {
+  runIO,
+  unsafePerformIO,
+  putStr,
+  putStrLn,
+  getLine,
+  readFile,
+  writeFile,
+  isIO
+} from './func';
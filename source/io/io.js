@@ -0,0 +1,71 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * io/io.js
+ *
+ * IO data type.
+ * @license ISC
+ */
+
+import {Type} from '../type';
+
+/**
+ * An `IO` is a description of an action that may have side effects, such as reading input or
+ * printing to the console. Creating an `IO` does not perform its action. Instead, actions are
+ * combined into larger ones with `flatMap`, `Do`, and the other monadic functions, and the result
+ * is only performed when it is passed to `runIO` or `unsafePerformIO`. This keeps the rest of a
+ * program pure, with the side effects pushed out to its edges. As with `State`, an `IO` built by
+ * `flatMap` only records the action and the function it is bound to, and performing it steps
+ * through the chain in a loop, so that long chains of actions do not overflow the stack.
+ * @alias module:io.IO
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class IO extends Type {
+  /**
+   * Create a new `IO` from a function that performs its action, or from an `IO` and a function to
+   * bind its result to.
+   * @param {Function|IO} f - A function that takes the input and output handles of the program,
+   * performs an action, and returns its result, or the `IO` to perform first
+   * @param {Function} [k] - A function that takes the result of `f` and returns the `IO` to perform
+   * next
+   * @private
+   */
+  constructor(f, k) {
+    super();
+    this.action = () => f;
+    this.cont = () => k;
+    this.io = () => k === undefined ? f : h => run(this, h);
+  }
+  // Functor
+  static fmap(f, m) { return IO.flatMap(m, a => IO.pure(f(a))); }
+  // Applicative
+  static pure(a) { return new IO(() => a); }
+  static ap(f, m) { return IO.flatMap(f, g => IO.fmap(g, m)); }
+  // Monad
+  static flatMap(m, f) { return new IO(m, f); }
+  // Prototype
+  valueOf() { return `[Object IO]`; }
+}
+
+/**
+ * Perform an `IO` with the given input and output handles. The functions that the actions of the
+ * chain are bound to are kept on a stack instead of the call stack, and each result is passed to
+ * the function on top of it until none are left.
+ * @param {IO} m - The `IO` to perform
+ * @param {Object} h - The input and output handles of the program
+ * @returns {*} The result of the action
+ * @private
+ */
+const run = (m, h) => {
+  const ks = [() => m];
+  let a;
+  while (ks.length > 0) {
+    let n = ks.pop()(a);
+    for (; n.cont() !== undefined; n = n.action()) { ks.push(n.cont()); }
+    a = n.action()(h);
+  }
+  return a;
+}
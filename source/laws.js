@@ -0,0 +1,211 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * laws.js
+ *
+ * @file Type class laws.
+ * @license ISC
+ */
+
+/** @module laws */
+
+import {
+  partial,
+  id,
+  show
+} from './base';
+
+import {
+  random,
+  newSeed,
+  isGen
+} from './quickcheck/func';
+
+import {
+  Eq,
+  isEq,
+  isNotEq
+} from './eq';
+
+import {
+  Ord,
+  compare,
+  lessThanOrEqual,
+  EQ,
+  LT,
+  GT
+} from './ord';
+
+import {Semigroup} from './semigroup';
+
+import {
+  Monoid,
+  mempty,
+  mappend
+} from './monoid';
+
+import {
+  Functor,
+  fmap
+} from './functor';
+
+import {
+  Applicative,
+  pure,
+  ap
+} from './applicative';
+
+import {
+  Monad,
+  inject,
+  flatMap
+} from './monad';
+
+import {tuple} from './tuple';
+
+import {list} from './list';
+
+import {error} from './error';
+
+/**
+ * The laws of each type class, as pairs of a name and a function that takes a random integer and
+ * up to three values generated for the type under test and returns `true` if the law holds for
+ * those values. The functions the laws map over and bind wrap their arguments in tuples, so that
+ * they work for values of any type, and the functions that return monads reuse the structure of a
+ * generated value, so that they are not trivial.
+ * @private
+ */
+const laws = new Map([
+  [Eq, [
+    [`reflexivity`, (n, a) => isEq(a, a)],
+    [`symmetry`, (n, a, b) => isEq(a, b) === isEq(b, a)],
+    [`transitivity`, (n, a, b, c) => isEq(a, b) && isEq(b, c) ? isEq(a, c) : true],
+    [`negation`, (n, a, b) => isNotEq(a, b) === !isEq(a, b)]
+  ]],
+  [Ord, [
+    [`reflexivity`, (n, a) => lessThanOrEqual(a, a)],
+    [`antisymmetry`, (n, a, b) => {
+      const ord = compare(b, a);
+      return compare(a, b) === (ord === LT ? GT : ord === GT ? LT : EQ);
+    }],
+    [`transitivity`, (n, a, b, c) =>
+      lessThanOrEqual(a, b) && lessThanOrEqual(b, c) ? lessThanOrEqual(a, c) : true],
+    [`consistency with Eq`, (n, a, b) => (compare(a, b) === EQ) === isEq(a, b)]
+  ]],
+  [Semigroup, [
+    [`associativity`, (n, a, b, c) => isEq(mappend(mappend(a, b), c), mappend(a, mappend(b, c)))]
+  ]],
+  [Monoid, [
+    [`left identity`, (n, a) => isEq(mappend(mempty(a), a), a)],
+    [`right identity`, (n, a) => isEq(mappend(a, mempty(a)), a)],
+    [`associativity`, (n, a, b, c) => isEq(mappend(mappend(a, b), c), mappend(a, mappend(b, c)))]
+  ]],
+  [Functor, [
+    [`identity`, (n, a) => isEq(fmap(id, a), a)],
+    [`composition`, (n, a) => {
+      const f = x => tuple(x, n);
+      const g = x => tuple(n, x);
+      return isEq(fmap(x => f(g(x)), a), fmap(f, fmap(g, a)));
+    }]
+  ]],
+  [Applicative, [
+    [`identity`, (n, a) => isEq(ap(pure(a, id), a), a)],
+    [`homomorphism`, (n, a) => {
+      const f = x => tuple(x, x);
+      return isEq(ap(pure(a, f), pure(a, n)), pure(a, f(n)));
+    }],
+    [`interchange`, (n, a) => {
+      const u = fmap(x => y => tuple(x, y), a);
+      return isEq(ap(u, pure(a, n)), ap(pure(a, f => f(n)), u));
+    }],
+    [`composition`, (n, a, b, c) => {
+      const u = fmap(x => y => tuple(x, y), a);
+      const v = fmap(x => y => tuple(y, x), b);
+      const compose = f => g => x => f(g(x));
+      return isEq(ap(ap(ap(pure(a, compose), u), v), c), ap(u, ap(v, c)));
+    }]
+  ]],
+  [Monad, [
+    [`left identity`, (n, a) => {
+      const k = x => fmap(y => tuple(x, y), a);
+      return isEq(flatMap(inject(a, n), k), k(n));
+    }],
+    [`right identity`, (n, a) => isEq(flatMap(a, x => inject(a, x)), a)],
+    [`associativity`, (n, a, b, c) => {
+      const k = x => fmap(y => tuple(x, y), b);
+      const h = x => fmap(y => tuple(y, x), c);
+      return isEq(flatMap(flatMap(a, k), h), flatMap(a, x => flatMap(k(x), h)));
+    }]
+  ]]
+]);
+
+/**
+ * The names of the type classes whose laws can be checked.
+ * @private
+ */
+const names = new Map([
+  [Eq, `Eq`],
+  [Ord, `Ord`],
+  [Semigroup, `Semigroup`],
+  [Monoid, `Monoid`],
+  [Functor, `Functor`],
+  [Applicative, `Applicative`],
+  [Monad, `Monad`]
+]);
+
+/**
+ * Check that the instance of a type class for a data type obeys the laws of that type class, such
+ * as the identity and composition laws of `Functor`, by testing them against random values. The
+ * `Eq`, `Ord`, `Semigroup`, `Monoid`, `Functor`, `Applicative`, and `Monad` type classes are
+ * supported. The generator is either a `Gen` or a function that takes a random number function,
+ * like `Math.random`, and returns a new random value of the data type each time it is called. The
+ * laws are tested `times` times, or 100 times by default, and the random numbers are seeded, so
+ * that checking the laws with the same seed always tests the same values. The results of the laws
+ * are compared with `isEq`, so the values they produce, such as lists of tuples of the values of
+ * the data type, should be members of `Eq`. For every law that does not hold, a description of the
+ * law, the first counterexample found, and the seed is returned, so a lawful instance returns an
+ * empty list.
+ * @param {Function} typeClass - The type class whose laws to check
+ * @param {Gen|Function} generator - A generator of random values of the type under test
+ * @param {number} [times] - The number of times to test each law
+ * @param {number} [seed] - The seed of the random numbers, a random one by default
+ * @returns {List} A list of descriptions of the laws that do not hold and their counterexamples
+ * @kind function
+ * @example
+ * const randomMaybe = random => random() < 0.2 ? Nothing : just(random());
+ * checkLaws(Monad, randomMaybe);                                                 // => []
+ * checkLaws(Monad, maybeOf(choose(0, 9)), 100, 42);                              // => []
+ * // a Type that counts how many times it has been mapped over, shown as `Counter value count`
+ * const randomCounter = random => new Counter(random(), 0);
+ * checkLaws(Functor, randomCounter, 100, 42);
+ * // => [Functor identity does not hold for Counter 0.5 0 (n = 42, seed 42):
+ * //     Functor composition does not hold for Counter 0.25 0 (n = 7, seed 42):[]]
+ */
+export const checkLaws = (typeClass, generator, times = 100, seed = newSeed()) => {
+  const checkLaws_ = (typeClass, generator, times = 100, seed = newSeed()) => {
+    if (laws.has(typeClass) === false) { return error.typeError(typeClass, checkLaws); }
+    if (typeof generator !== `function` && isGen(generator) === false) {
+      return error.typeError(generator, checkLaws);
+    }
+    const rand = random(seed);
+    const next = isGen(generator) ? i => generator.gen()(rand, i) : () => generator(rand);
+    const failures = [];
+    laws.get(typeClass).forEach(([name, law]) => {
+      for (let i = 0; i < times; i += 1) {
+        const n = Math.floor(rand() * 100);
+        const as = [next(i), next(i), next(i)];
+        const a = as.find(a => typeClass(a) === false);
+        if (a !== undefined) { return error.typeError(a, checkLaws); }
+        if (law(n, ...as) === false) {
+          const values = as.slice(0, law.length - 1).map(a => `${show(a)}`).join(`, `);
+          const description = `${names.get(typeClass)} ${name} does not hold for ${values}`;
+          failures.push(`${description} (n = ${n}, seed ${seed})`);
+          return;
+        }
+      }
+    });
+    return list(...failures);
+  }
+  return partial(checkLaws_, typeClass, generator, times, seed);
+}
@@ -16,16 +16,19 @@ import {
   emptyList,
   list,
   cons,
+  lazyCons,
   head,
   tail,
   isList,
-  isEmpty
+  isEmpty,
+  fromListToArray
 } from '../list';
 
 import {error} from '../error';
 
 /**
- * Scan a `List` from the right to left and return a `List` of successive reduced values.
+ * Scan a `List` from the right to left and return a `List` of successive reduced values. The
+ * values are computed lazily, so `scanl` also works on infinite lists.
  * <br>`Haskell> scanl :: (b -> a -> b) -> b -> [a] -> [b]`
  * @param {Function} f - The function to map over the `List`
  * @param {*} q - An accumulator value
@@ -40,10 +43,9 @@ import {error} from '../error';
 export const scanl = (f, q, ls) => {
   const scanl_ = (f, q, ls) => {
     if (isList(ls) === false) { return error.listError(ls, scanl); }
-    if (isEmpty(ls)) { return cons(q)(emptyList); }
-    const x = head(ls);
-    const xs = tail(ls);
-    return cons(q)(scanl_(f, f(q, x), xs));
+    const go = (q, ls) =>
+      lazyCons(q, () => isEmpty(ls) ? emptyList : go(f(q, head(ls)), tail(ls)));
+    return go(q, ls);
   }
   return partial(scanl_, f, q, ls);
 }
@@ -64,12 +66,7 @@ export const scanl = (f, q, ls) => {
 export const scanr = (f, q0, as) => {
   const scanr_ = (f, q0, as) => {
     if (isList(as) === false) { return error.listError(as, scanr); }
-    if (isEmpty(as)) { return list(q0); }
-    const x = head(as);
-    const xs = tail(as);
-    const qs = scanr(f, q0, xs);
-    const q = head(qs);
-    return cons(f(x, q))(qs);
+    return fromListToArray(as).reduceRight((qs, x) => cons(f(x, head(qs)), qs), list(q0));
   }
   return partial(scanr_, f, q0, as);
 }
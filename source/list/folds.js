@@ -14,7 +14,7 @@ import {partial} from '../base';
 
 import {
   emptyList,
-  listAppend,
+  lazyCons,
   head,
   tail,
   isList,
@@ -26,7 +26,8 @@ import {error} from '../error';
 
 /**
  * Concatenate the elements in a container of lists. Currently, this function only works on `List`
- * objects, though it should in the future work on all `Foldable` types.
+ * objects, though it should in the future work on all `Foldable` types. The lists are joined
+ * lazily, so both the outer list and any of its inner lists may be infinite.
  * <br>`Haskell> concat :: Foldable t => t [a] -> [a]`
  * @param {List} xss - A `List` of lists
  * @returns {List} The concatenated `List`
@@ -39,13 +40,17 @@ import {error} from '../error';
  * concat(xss);                        // => [1:2:3:4:5:6:7:8:9:[]]
  */
 export const concat = xss => {
-  if (isList(xss)) {
-    if (isEmpty(xss)) { return emptyList; }
-    const x = head(xss);
-    const xs = tail(xss);
-    return isList(x) ? listAppend(x, concat(xs)) : error.listError(x, concat);
+  if (isList(xss) === false) { return error.listError(xss, concat); }
+  const go = (xs, xss) => {
+    while (isEmpty(xs)) {
+      if (isEmpty(xss)) { return emptyList; }
+      xs = head(xss);
+      xss = tail(xss);
+      if (isList(xs) === false) { return error.listError(xs, concat); }
+    }
+    return lazyCons(head(xs), () => go(tail(xs), xss));
   }
-  return error.listError(xss, concat);
+  return go(emptyList, xss);
 }
 
 /**
@@ -10,14 +10,11 @@
 
 /** @module list/func */
 
-import {
-  partial,
-  until
-} from '../base';
+import {partial} from '../base';
 
 import {
-  greaterThan,
-  lessThan
+  lessThan,
+  greaterThan
 } from '../ord';
 
 import {
@@ -45,14 +42,15 @@ import {error} from '../error';
 export const emptyList = new List();
 
 /**
- * Create a new `List` from a series of zero or more values.
+ * Create a new `List` from a series of zero or more values. The `List` is built from the last value
+ * to the first in a single pass, so constructing even very long lists will not overflow the stack.
  * @param {...*} as - Values to put into a new `List`
  * @returns {List} The new `List`
  * @kind function
  * @example
  * list(1,2,3); // => [1:2:3:[]]
  */
-export const list = (...as) => as.length === 0 ? emptyList : new List(as.shift(), list(...as));
+export const list = (...as) => as.reduceRight((xs, x) => new List(x, xs), emptyList);
 
 /**
  * Build a `List` from a range of values. Currently, this only works with numbers. The equivalent is
@@ -73,16 +71,11 @@ export const list = (...as) => as.length === 0 ? emptyList : new List(as.shift()
 export const listRange = (start, end, f, filt) => {
  const listRange_ = (start, end) => {
    if (f === undefined) { f = x => x + 1; }
-   let lst = emptyList;
-   const p = x => x >= end;
-   const go = x => {
-     if (filt === undefined) { lst = listAppend(lst)(list(x)); }
-     if (filt !== undefined && filt(x)) { lst = listAppend(lst)(list(x)); }
-     x = f(x);
-     return x;
+   const arr = [];
+   for (let x = start; x < end; x = f(x)) {
+     if (filt === undefined || filt(x)) { arr.push(x); }
    }
-   until(p, go, start);
-   return lst;
+   return fromArrayToList(arr);
  }
  return partial(listRange_, start, end);
 }
@@ -114,26 +107,8 @@ export const listRangeLazyBy = (start, end, step) => {
   const listRangeLazyBy_ = (start, end, step) => {
     if (start === end) { return list(start); }
     if (greaterThan(start, end)) { return emptyList; }
-    let x = start;
-    const xs = list(x);
-    const listGenerator = function* () {
-      do {
-        x = step(x);
-        yield list(x);
-      } while (lessThan(x, end));
-    }
-    const gen = listGenerator();
-    const handler = {
-      get: function (target, prop) {
-        if (prop === `tail` && isEmpty(tail(target))) {
-          const next = gen.next();
-          if (next.done === false) { target[prop] = () => new Proxy(next.value, handler); }
-        }
-        return target[prop];
-      }
-    };
-    const proxy = new Proxy(xs, handler);
-    return proxy;
+    const go = x => lazyCons(x, () => lessThan(x, end) ? go(step(x)) : emptyList);
+    return go(start);
   }
   return partial(listRangeLazyBy_, start, end, step);
 }
@@ -176,8 +151,10 @@ export const listAppend = (xs, ys) => {
     if (isList(ys) === false ) { return error.listError(ys, listAppend); }
     if (isEmpty(xs)) { return ys; }
     if (isEmpty(ys)) { return xs; }
-    if (type(head(xs)) === type(head(ys))) { return cons(head(xs))(listAppend(tail(xs))(ys)); }
-    return error.typeMismatch(type(head(xs)), type(head(ys)), listAppend);
+    if (type(head(xs)) !== type(head(ys))) {
+      return error.typeMismatch(type(head(xs)), type(head(ys)), listAppend);
+    }
+    return fromListToArray(xs).reduceRight((zs, x) => new List(x, zs), ys);
   }
   return partial(listAppend_, xs, ys);
 }
@@ -204,6 +181,32 @@ export const cons = (x, xs) => {
   return partial(cons_, x, xs);
 }
 
+/**
+ * Create a new `List` from a head and a function that returns the tail. The function is not called
+ * until the tail is first needed, and its result is then remembered, so the rest of the list is
+ * computed at most once. This is the building block for lazy and infinite lists, and since each
+ * tail is produced on demand, recursive definitions will not overflow the stack.
+ * @param {*} x - Any value, the head of the new list
+ * @param {Function} f - A function that takes no arguments and returns the tail of the new list
+ * @returns {List} The new `List`, constructed from `x` and the lazily evaluated result of `f`
+ * @kind function
+ * @example
+ * const nats = n => lazyCons(n, () => nats(n + 1));
+ * take(5, nats(1));                                  // => [1:2:3:4:5:[]]
+ * const ones = lazyCons(1, () => ones);
+ * take(3, ones);                                     // => [1:1:1:[]]
+ */
+export const lazyCons = (x, f) => {
+  const lazyCons_ = (x, f) => {
+    if (typeof f !== `function`) { return error.typeError(f, lazyCons); }
+    return new List(x, () => {
+      const xs = f();
+      return isList(xs) ? xs : error.listError(xs, lazyCons);
+    });
+  }
+  return partial(lazyCons_, x, f);
+}
+
 /**
  * Extract the first element of a `List`.
  * <br>`Haskell> head :: [a] -> a`
@@ -232,7 +235,8 @@ export const head = xs => {
 export const last = xs => {
   if (isList(xs)) {
     if (isEmpty(xs)) { return error.emptyList(xs, last); }
-    return isEmpty(tail(xs)) ? head(xs) : last(tail(xs));
+    while (isEmpty(tail(xs)) === false) { xs = tail(xs); }
+    return head(xs);
   }
   return error.listError(xs, last);
 }
@@ -265,7 +269,9 @@ export const tail = xs => {
 export const init = xs => {
   if (isList(xs)) {
     if (isEmpty(xs)) { return error.emptyList(xs, init); }
-    return isEmpty(tail(xs)) ? emptyList : cons(head(xs))(init(tail(xs)));
+    const arr = fromListToArray(xs);
+    arr.pop();
+    return fromArrayToList(arr);
   }
   return error.listError(xs, init);
 }
@@ -307,8 +313,10 @@ export const empty = t => foldr(x => x === undefined, true, t);
  * length(lst);             // => 3
  */
 export const length = xs => {
-  const lenAcc = (xs, n) => isEmpty(xs) ? n : lenAcc(tail(xs), n + 1);
-  return isList(xs) ? lenAcc(xs, 0) : error.listError(xs, length);
+  if (isList(xs) === false) { return error.listError(xs, length); }
+  let n = 0;
+  for (; isEmpty(xs) === false; xs = tail(xs)) { n += 1; }
+  return n;
 }
 
 /**
@@ -343,7 +351,35 @@ export const isEmpty = xs => isList(xs) ? xs === emptyList : error.typeError(xs,
  * fromArrayToList(arr); // => [1:2:3:[]]
  */
 export const fromArrayToList = arr =>
-  Array.isArray(arr) ? list(...arr) : error.typeError(arr, fromArrayToList);
+  Array.isArray(arr) ? arr.reduceRight((xs, x) => new List(x, xs), emptyList) :
+  error.typeError(arr, fromArrayToList);
+
+/**
+ * Convert any iterable object (an array, a string, a `Set`, a generator, etc.) into a `List`. The
+ * iterable is consumed lazily, so each value is only requested from its iterator when that part of
+ * the `List` is evaluated, which makes it possible to wrap infinite generators.
+ * @param {Iterable} a - An iterable object to convert into a `List`
+ * @returns {List} A new `List` that will be evaluated lazily
+ * @kind function
+ * @example
+ * const gen = function* () {
+ *   let x = 0;
+ *   while (true) { yield x += 1; }
+ * }
+ * fromIterable([1,2,3]);       // => [1:2:3:[]]
+ * take(5, fromIterable(gen())); // => [1:2:3:4:5:[]]
+ */
+export const fromIterable = a => {
+  if (a === undefined || a === null || typeof a[Symbol.iterator] !== `function`) {
+    return error.typeError(a, fromIterable);
+  }
+  const it = a[Symbol.iterator]();
+  const go = () => {
+    const next = it.next();
+    return next.done ? emptyList : lazyCons(next.value, go);
+  };
+  return go();
+}
 
 /**
  * Convert a `List` into an array.
@@ -355,8 +391,10 @@ export const fromArrayToList = arr =>
  * fromListToArray(lst);    // => [1,2,3]
  */
 export const fromListToArray = xs => {
-  if (isList(xs)) { return isEmpty(xs) ? [] : [head(xs)].concat(fromListToArray(tail(xs))); }
-  return error.listError(xs, fromListToArray);
+  if (isList(xs) === false) { return error.listError(xs, fromListToArray); }
+  const arr = [];
+  for (; isEmpty(xs) === false; xs = tail(xs)) { arr.push(head(xs)); }
+  return arr;
 }
 
 /**
@@ -20,6 +20,7 @@ export {
   listFilter,
   listAppend,
   cons,
+  lazyCons,
   head,
   last,
   tail,
@@ -30,6 +31,7 @@ export {
   isList,
   isEmpty,
   fromArrayToList,
+  fromIterable,
   fromListToArray,
   fromListToString,
   fromStringToList
@@ -137,3 +139,14 @@ export {
   insert,
   insertBy
 } from './ordering';
+
+// Safe versions of partial list functions
+
+export {
+  headMay,
+  lastMay,
+  tailMay,
+  initMay,
+  indexMay,
+  cycleMay
+} from './safe';
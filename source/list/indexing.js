@@ -53,11 +53,10 @@ export const index = (as, n) => {
   const index_ = (as, n) => {
     if (isList(as) === false ) { return error.listError(as, index); }
     if (n < 0) { return error.rangeError(n, index); }
-    if (isEmpty(as)) { return error.rangeError(n, index); }
-    const x = head(as);
-    const xs = tail(as);
-    if (n === 0) { return x; }
-    return index(xs)(n - 1);
+    for (let i = n; isEmpty(as) === false; as = tail(as), i -= 1) {
+      if (i === 0) { return head(as); }
+    }
+    return error.rangeError(n, index);
   }
   return partial(index_, as, n);
 }
@@ -16,9 +16,9 @@ import {
 } from '../base';
 
 import {
-  list,
   listRangeLazyBy,
   cons,
+  lazyCons,
   isList,
   isEmpty,
   head,
@@ -109,27 +109,6 @@ export const replicate = (n, x) => {
 export const cycle = as => {
   if (isList(as) === false) { return error.listError(as, cycle); }
   if (isEmpty(as)) { return error.emptyList(as, cycle); }
-  let x = head(as);
-  let xs = tail(as);
-  const c = list(x);
-  /* eslint no-constant-condition: ["error", { "checkLoops": false }] */
-  const listGenerator = function* () {
-    do {
-      x = isEmpty(xs) ? head(as) : head(xs);
-      xs = isEmpty(xs) ? tail(as) : tail(xs);
-      yield list(x);
-    } while (true);
-  }
-  const gen = listGenerator();
-  const handler = {
-    get: function (target, prop) {
-      if (prop === `tail` && isEmpty(tail(target))) {
-        const next = gen.next();
-        target[prop] = () => new Proxy(next.value, handler);
-      }
-      return target[prop];
-    }
-  };
-  const proxy = new Proxy(c, handler);
-  return proxy;
+  const go = xs => lazyCons(head(xs), () => isEmpty(tail(xs)) ? go(as) : go(tail(xs)));
+  return go(as);
 }
@@ -8,6 +8,8 @@
  * @license ISC
  */
 
+import {isEq} from '../eq';
+
 import {
   compare,
   EQ,
@@ -22,10 +24,6 @@ import {
   ap
 } from '../applicative';
 
-import {foldr} from '../foldable';
-
-import {traverse} from '../traversable';
-
 import {
   emptyList,
   list,
@@ -42,12 +40,9 @@ import {
 
 import {
   Type,
-  type,
-  typeCheck
+  type
 } from '../type';
 
-import {error} from '../error';
-
 /**
  * A data constructor for a `List`. In Haskell, unlike in JavaScript, the default collection type is
  * a linked list, not an array. Obviously, there are benefits and drawbacks to both, and native
@@ -61,9 +56,12 @@ import {error} from '../error';
  */
 export class List extends Type {
   /**
-   * Create a new `List`.
+   * Create a new `List`. If the tail is a function rather than a `List`, it is treated as a thunk
+   * that will return the tail on demand. The thunk is evaluated at most once, the first time the
+   * tail is requested, after which its result is cached and the node behaves like any other.
    * @param {*} head - The value to put at the head of the `List` (also determines the list's type)
-   * @param {List} tail - The tail of the `List`, which is also a `List` (possibly the empty list)
+   * @param {List|Function} tail - The tail of the `List` (possibly the empty list), or a function
+   * that returns the tail
    * @private
    */
   constructor(head, tail) {
@@ -71,49 +69,80 @@ export class List extends Type {
     this.head = null;
     this.tail = null;
     this.head = () => head;
-    this.tail = () => tail;
+    let thunk = typeof tail === `function` ? tail : null;
+    this.tail = () => {
+      if (thunk !== null) {
+        tail = thunk();
+        thunk = null;
+      }
+      return tail;
+    };
   }
   // Eq
   static isEq(as, bs) {
-    return typeCheck(head(as), head(bs)) ? fromListToArray(as).every((a, i) =>
-    a === fromListToArray(bs)[i]) : error.typeMismatch(head(as), head(bs), this.isEq);
+    while (isEmpty(as) === false && isEmpty(bs) === false) {
+      if (isEq(head(as), head(bs)) === false) { return false; }
+      as = tail(as);
+      bs = tail(bs);
+    }
+    return isEmpty(as) && isEmpty(bs);
   }
   // Ord
   static compare(as, bs) {
+    while (isEmpty(as) === false && isEmpty(bs) === false) {
+      const ord = compare(head(as), head(bs));
+      if (ord !== EQ) { return ord; }
+      as = tail(as);
+      bs = tail(bs);
+    }
     if (isEmpty(as) && isEmpty(bs)) { return EQ; }
-    if (isEmpty(as) && isEmpty(bs) === false) { return LT; }
-    if (isEmpty(as) === false && isEmpty(bs)) { return GT; }
-    if (compare(head(as), head(bs)) === EQ) { return compare(tail(as), tail(bs)); }
-    return compare(head(as), head(bs));
+    return isEmpty(as) ? LT : GT;
   }
   // Monoid
   static mempty() { return emptyList; }
   static mappend(as, bs) { return listAppend(as, bs); }
   // Foldable
-  static foldr(f, acc, as) {
-    if (isEmpty(as)) { return acc; }
-    const x = head(as);
-    const xs = tail(as);
-    return f(x, foldr(f, acc, xs));
-  }
+  static foldr(f, acc, as) { return fromListToArray(as).reduceRight((z, x) => f(x, z), acc); }
   // Traversable
-  static traverse(f, as) {
-    return isEmpty(as) ? pure(as, emptyList) : ap(fmap(cons)(f(head(as))))(traverse(f, tail(as)));
+  static traverse(f, as, w) {
+    if (isEmpty(as)) { return pure(w === undefined ? as : w, emptyList); }
+    const bs = fromListToArray(as).map(x => f(x));
+    const last = fmap(x => list(x), bs.pop());
+    return bs.reduceRight((acc, b) => ap(fmap(cons, b), acc), last);
   }
   // Functor
   static fmap(f, as) { return map(f, as); }
   // Applicative
   static pure(a) { return list(a); }
-  static ap(fs, as) {
-    return isEmpty(fs) ? emptyList : listAppend(fmap(head(fs), as))(ap(tail(fs), as));
-  }
+  static ap(fs, as) { return concat(map(f => fmap(f, as), fs)); }
   // Monad
   static flatMap(xs, f) { return concat(map(f, xs)); }
+  // Iterable
+  /**
+   * Iterate over the values of a `List` using the native JavaScript iteration protocol. Values are
+   * only computed as they are requested, so lazy and infinite lists may be iterated over as well.
+   * @returns {Iterator} An iterator over the values of the `List`
+   * @example
+   * const lst = list(1,2,3);
+   * [...lst];                // => [1,2,3]
+   * const [x, y] = lst;      // => x === 1, y === 2
+   */
+  *[Symbol.iterator]() {
+    let xs = this;
+    while (isEmpty(xs) === false) {
+      yield head(xs);
+      xs = tail(xs);
+    }
+  }
+  // Match
+  static tags() { return [`Nil`, `Cons`]; }
+  tag() { return isEmpty(this) ? `Nil` : `Cons`; }
+  fields() { return isEmpty(this) ? [] : [head(this), tail(this)]; }
   // Prototype
   toString() { return `[Object List]`; }
   typeOf() { return `[${isEmpty(this) ? '' : type(head(this))}]`; }
   valueOf() {
-    const value = list => isEmpty(list) ? `[]` : `${head(list)}:${value(tail(list))}`;
+    const value = list => `${fromListToArray(list).map(x => `${x}:`).join(``)}[]`;
     return `[${type(this) === `[string]` ? fromListToString(this) : value(this)}]`;
   }
 }
@@ -24,12 +24,13 @@ import {foldr} from '../foldable';
 
 import {
   emptyList,
-  list,
   cons,
   head,
   tail,
   isList,
-  isEmpty
+  isEmpty,
+  fromArrayToList,
+  fromListToArray
 } from '../list';
 
 import {error} from '../error';
@@ -105,52 +106,47 @@ export const mergeSortBy = (cmp, as) => {
   const mergeSortBy_ = (cmp, as) => {
     if (isList(as) === false) { return error.listError(as, mergeSortBy); }
     const sequences = as => {
-      if (isEmpty(as)) { return list(as); }
-      let xs = tail(as);
-      if (isEmpty(xs)) { return list(as); }
-      const a = head(as);
-      const b = head(xs);
-      xs = tail(xs);
-      if (cmp(a, b) === GT) { return descending(b, list(a), xs); }
-      return ascending(b, cons(a), xs);
+      const xs = fromListToArray(as);
+      const runs = [];
+      let i = 0;
+      while (i < xs.length) {
+        const run = [xs[i]];
+        i += 1;
+        if (i < xs.length && cmp(xs[i - 1], xs[i]) === GT) {
+          for (; i < xs.length && cmp(xs[i - 1], xs[i]) === GT; i += 1) { run.push(xs[i]); }
+          run.reverse();
+        } else {
+          for (; i < xs.length && cmp(xs[i - 1], xs[i]) !== GT; i += 1) { run.push(xs[i]); }
+        }
+        runs.push(run);
+      }
+      return runs;
     }
-    const descending = (a, as, bbs) => {
-      if (isEmpty(bbs)) { return cons(cons(a)(as))(sequences(bbs)); }
-      const b = head(bbs);
-      const bs = tail(bbs);
-      if (cmp(a, b) === GT) { return descending(b, cons(a)(as), bs); }
-      return cons(cons(a)(as))(sequences(bbs));
+    const mergeAll = xss => {
+      while (xss.length > 1) { xss = mergePairs(xss); }
+      return xss.length === 0 ? emptyList : fromArrayToList(xss[0]);
     }
-    const ascending = (a, as, bbs) => {
-      if (isEmpty(bbs)) { return cons(as(list(a)))(sequences(bbs)); }
-      const b = head(bbs);
-      const bs = tail(bbs);
-      const ys = ys => as(cons(a)(ys));
-      if (cmp(a, b) !== GT) { return ascending(b, ys, bs); }
-      return cons(as(list(a)))(sequences(bbs));
-    }
-    const mergeAll = xs => {
-      if (isEmpty(tail(xs))) { return head(xs); }
-      return mergeAll(mergePairs(xs));
-    }
-    const mergePairs = as => {
-      if (isEmpty(as)) { return as; }
-      let xs = tail(as);
-      if (isEmpty(xs)) { return as; }
-      const a = head(as);
-      const b = head(xs);
-      xs = tail(xs);
-      return cons(merge(a, b))(mergePairs(xs));
+    const mergePairs = xss => {
+      const yss = [];
+      for (let i = 0; i < xss.length; i += 2) {
+        yss.push(i + 1 < xss.length ? merge(xss[i], xss[i + 1]) : xss[i]);
+      }
+      return yss;
     }
     const merge = (as, bs) => {
-      if (isEmpty(as)) { return bs; }
-      if (isEmpty(bs)) { return as; }
-      const a = head(as);
-      const as1 = tail(as);
-      const b = head(bs);
-      const bs1 = tail(bs);
-      if (cmp(a, b) === GT) { return cons(b)(merge(as, bs1)); }
-      return cons(a)(merge(as1, bs));
+      const xs = [];
+      let i = 0;
+      let j = 0;
+      while (i < as.length && j < bs.length) {
+        if (cmp(as[i], bs[j]) === GT) {
+          xs.push(bs[j]);
+          j += 1;
+        } else {
+          xs.push(as[i]);
+          i += 1;
+        }
+      }
+      return xs.concat(as.slice(i), bs.slice(j));
     }
     return $(mergeAll)(sequences)(as);
   }
@@ -192,11 +188,9 @@ export const insert = (e, xs) => {
 export const insertBy = (cmp, e, as) => {
   const insertBy_ = (cmp, e, as) => {
     if (isList(as) === false) { return error.listError(as, insertBy); }
-    if (isEmpty(as)) { return list(e); }
-    const x = head(as);
-    const xs = tail(as);
-    if (cmp(e, x) === GT) { return cons(x)(insertBy(cmp, e, xs)); }
-    return cons(e)(as);
+    const xs = [];
+    for (; isEmpty(as) === false && cmp(e, head(as)) === GT; as = tail(as)) { xs.push(head(as)); }
+    return xs.reduceRight((ys, x) => cons(x, ys), cons(e, as));
   }
   return partial(insertBy_, cmp, e, as);
 }
@@ -0,0 +1,138 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * list/safe.js
+ *
+ * @file Safe list functions.
+ * @license ISC
+ */
+
+/** @module list/safe */
+
+import {partial} from '../base';
+
+import {
+  Maybe,
+  Nothing,
+  just
+} from '../maybe';
+
+import {
+  head,
+  last,
+  tail,
+  init,
+  isList,
+  isEmpty,
+  cycle
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * Extract the first element of a `List`, wrapped in a `Just`, or return `Nothing` if the list is
+ * empty. This is a total version of `head`, which throws an error on an empty list. The element is
+ * wrapped as it is, so a `null` or `NaN` in the list is returned in a `Just`, not as `Nothing`.
+ * @param {List} xs - A `List`
+ * @returns {Maybe} `Just` the head of the `List` or `Nothing` if the `List` is empty
+ * @kind function
+ * @example
+ * const lst = list(1,2,3);
+ * headMay(lst);            // => Just 1
+ * headMay(emptyList);      // => Nothing
+ */
+export const headMay = xs => {
+  if (isList(xs) === false) { return error.listError(xs, headMay); }
+  return isEmpty(xs) ? Nothing : new Maybe(head(xs));
+}
+
+/**
+ * Extract the last element of a `List`, wrapped in a `Just`, or return `Nothing` if the list is
+ * empty. This is a total version of `last`. As with `headMay`, any element is kept.
+ * @param {List} xs - A `List`
+ * @returns {Maybe} `Just` the last element of the `List` or `Nothing` if the `List` is empty
+ * @kind function
+ * @example
+ * const lst = list(1,2,3);
+ * lastMay(lst);            // => Just 3
+ * lastMay(emptyList);      // => Nothing
+ */
+export const lastMay = xs => {
+  if (isList(xs) === false) { return error.listError(xs, lastMay); }
+  return isEmpty(xs) ? Nothing : new Maybe(last(xs));
+}
+
+/**
+ * Extract the elements after the head of a `List`, wrapped in a `Just`, or return `Nothing` if the
+ * list is empty. This is a total version of `tail`.
+ * @param {List} xs - A `List`
+ * @returns {Maybe} `Just` the tail of the `List` or `Nothing` if the `List` is empty
+ * @kind function
+ * @example
+ * const lst = list(1,2,3);
+ * tailMay(lst);            // => Just [2:3:[]]
+ * tailMay(emptyList);      // => Nothing
+ */
+export const tailMay = xs => {
+  if (isList(xs) === false) { return error.listError(xs, tailMay); }
+  return isEmpty(xs) ? Nothing : just(tail(xs));
+}
+
+/**
+ * Return all the elements of a `List` except the last one, wrapped in a `Just`, or return `Nothing`
+ * if the list is empty. This is a total version of `init`.
+ * @param {List} xs - A `List`
+ * @returns {Maybe} `Just` the `List` without its last element or `Nothing` if the `List` is empty
+ * @kind function
+ * @example
+ * const lst = list(1,2,3);
+ * initMay(lst);            // => Just [1:2:[]]
+ * initMay(emptyList);      // => Nothing
+ */
+export const initMay = xs => {
+  if (isList(xs) === false) { return error.listError(xs, initMay); }
+  return isEmpty(xs) ? Nothing : just(init(xs));
+}
+
+/**
+ * Return the value from a `List` at the specified index, wrapped in a `Just`, or return `Nothing`
+ * if the index is out of range. This is a total version of `index`. As with `headMay`, any element
+ * is kept.
+ * @param {List} as - A `List`
+ * @param {number} n - The index to look up
+ * @returns {Maybe} `Just` the value at index `n` or `Nothing` if `n` is out of range
+ * @kind function
+ * @example
+ * const lst = list(1,2,3);
+ * indexMay(lst, 1);        // => Just 2
+ * indexMay(lst, 3);        // => Nothing
+ */
+export const indexMay = (as, n) => {
+  const indexMay_ = (as, n) => {
+    if (isList(as) === false) { return error.listError(as, indexMay); }
+    if (n < 0) { return Nothing; }
+    for (let i = n; isEmpty(as) === false; as = tail(as), i -= 1) {
+      if (i === 0) { return new Maybe(head(as)); }
+    }
+    return Nothing;
+  }
+  return partial(indexMay_, as, n);
+}
+
+/**
+ * Return the infinite repetition of a `List`, wrapped in a `Just`, or return `Nothing` if the list
+ * is empty. This is a total version of `cycle`.
+ * @param {List} as - A finite `List`
+ * @returns {Maybe} `Just` the circular `List` or `Nothing` if the `List` is empty
+ * @kind function
+ * @example
+ * const lst = list(1,2,3);
+ * const c = cycleMay(lst);
+ * take(9, fromJust(c));    // => [1:2:3:1:2:3:1:2:3:[]]
+ * cycleMay(emptyList);     // => Nothing
+ */
+export const cycleMay = as => {
+  if (isList(as) === false) { return error.listError(as, cycleMay); }
+  return isEmpty(as) ? Nothing : just(cycle(as));
+}
@@ -24,7 +24,7 @@ import {
 
 import {
   emptyList,
-  cons,
+  lazyCons,
   head,
   tail,
   isList,
@@ -49,19 +49,18 @@ import {error} from '../error';
 export const lookup = (key, assocs) => {
   const lookup_ = (key, assocs) => {
     if (isList(assocs) === false) { return error.listError(assocs, lookup); }
-    if (isEmpty(assocs)) { return Nothing; }
-    const xy = head(assocs);
-    const xys = tail(assocs);
-    const x = fst(xy);
-    const y = snd(xy);
-    if (key === x) { return just(y); }
-    return lookup(key, xys);
+    for (; isEmpty(assocs) === false; assocs = tail(assocs)) {
+      const xy = head(assocs);
+      if (key === fst(xy)) { return just(snd(xy)); }
+    }
+    return Nothing;
   }
   return partial(lookup_, key, assocs);
 }
 
 /**
- * Return the `List` of elements in a `List` for which a function `f` returns `true`.
+ * Return the `List` of elements in a `List` for which a function `f` returns `true`. The result is
+ * evaluated lazily, so it is safe to filter an infinite list.
  * <br>`Haskell> filter :: (a -> Bool) -> [a] -> [a]`
  * @param {Function} f - The filter function. Must return a `boolean`
  * @param {List} as - The `List` to filter
@@ -75,12 +74,16 @@ export const lookup = (key, assocs) => {
 export const filter = (f, as) => {
   const filter_ = (f, as) => {
     if (isList(as) === false ) { return error.listError(as, filter); }
-    if (isEmpty(as)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    if (f(x) === true) { return cons(x)(filter(f, xs)); }
-    if (f(x) === false) { return filter(f, xs); }
-    return error.returnError(f, filter);
+    const go = xs => {
+      for (; isEmpty(xs) === false; xs = tail(xs)) {
+        const x = head(xs);
+        const test = f(x);
+        if (test === true) { return lazyCons(x, () => go(tail(xs))); }
+        if (test !== false) { return error.returnError(f, filter); }
+      }
+      return emptyList;
+    }
+    return go(as);
   }
   return partial(filter_, f, as);
 }
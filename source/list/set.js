@@ -25,8 +25,8 @@ import {
   tail,
   isList,
   isEmpty,
-  foldl,
-  filter
+  fromArrayToList,
+  foldl
 } from '../list';
 
 import {error} from '../error';
@@ -60,12 +60,13 @@ export const nub = xs => isList(xs) ? nubBy(isEq, xs) : error.listError(xs, nub)
 export const nubBy = (eq, as) => {
   const nubBy_ = (eq, as) => {
     if (isList(as) === false) { return error.listError(as, nubBy); }
-    if (isEmpty(as)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    const y = y => not(eq(x, y));
-    return cons(x)(nubBy(eq, filter(y, xs)));
+    const xs = [];
+    for (; isEmpty(as) === false; as = tail(as)) {
+      const y = head(as);
+      if (xs.every(x => not(eq(x, y)))) { xs.push(y); }
     }
+    return fromArrayToList(xs);
+  }
   return partial(nubBy_, eq, as);
 }
 
@@ -103,10 +104,9 @@ export const deleteL = (x, xs) => {
 export const deleteLBy = (eq, n, as) => {
   const deleteLBy_ = (eq, n, as) => {
     if (isList(as) === false) { return error.listError(as, deleteLBy); }
-    if (isEmpty(as)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    return eq(n, x) ? xs : cons(x)(deleteLBy(eq, n, xs));
+    const xs = [];
+    for (; isEmpty(as) === false && !eq(n, head(as)); as = tail(as)) { xs.push(head(as)); }
+    return xs.reduceRight((ys, x) => cons(x, ys), isEmpty(as) ? emptyList : tail(as));
   }
   return partial(deleteLBy_, eq, n, as);
 }
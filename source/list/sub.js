@@ -32,10 +32,12 @@ import {
 import {
   emptyList,
   cons,
+  lazyCons,
   head,
   tail,
   isList,
-  isEmpty
+  isEmpty,
+  fromArrayToList
 } from '../list';
 
 import {error} from '../error';
@@ -54,11 +56,12 @@ import {error} from '../error';
 export const take = (n, as) => {
   const take_ = (n, as) => {
     if (isList(as) === false) { return error.listError(as, take); }
-    if (n <= 0) { return emptyList; }
-    if (isEmpty(as)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    return cons(x)(take(n - 1)(xs));
+    const xs = [];
+    while (xs.length < n && isEmpty(as) === false) {
+      xs.push(head(as));
+      if (xs.length < n) { as = tail(as); }
+    }
+    return fromArrayToList(xs);
   }
   return partial(take_, n, as);
 }
@@ -77,10 +80,8 @@ export const take = (n, as) => {
 export const drop = (n, as) => {
   const drop_ = (n, as) => {
     if (isList(as) === false) { return error.listError(as, drop); }
-    if (n <= 0) { return as; }
-    if (isEmpty(as)) { return emptyList; }
-    const xs = tail(as);
-    return drop(n - 1)(xs);
+    for (; n > 0 && isEmpty(as) === false; n -= 1) { as = tail(as); }
+    return as;
   }
   return partial(drop_, n, as);
 }
@@ -105,7 +106,8 @@ export const splitAt = (n, xs) => {
 
 /**
  * Return the longest prefix (possibly empty) of a `List` of values that satisfy a predicate
- * function.
+ * function. The prefix is evaluated lazily, so `takeWhile` will return a finite prefix of an
+ * infinite list.
  * <br>`Haskell> takeWhile :: (a -> Bool) -> [a] -> [a]`
  * @param {Function} p - The predicate function (should return `boolean`)
  * @param {List} as - The `List` to take from
@@ -119,13 +121,15 @@ export const splitAt = (n, xs) => {
 export const takeWhile = (p, as) => {
   const takeWhile_ = (p, as) => {
     if (isList(as) === false) { return error.listError(as, takeWhile); }
-    if (isEmpty(as)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    const test = p(x);
-    if (test === true) { return cons(x)(takeWhile(p, xs)); }
-    if (test === false) { return emptyList; }
-    return error.listError(as, takeWhile);
+    const go = xs => {
+      if (isEmpty(xs)) { return emptyList; }
+      const x = head(xs);
+      const test = p(x);
+      if (test === false) { return emptyList; }
+      if (test !== true) { return error.listError(as, takeWhile); }
+      return lazyCons(x, () => go(tail(xs)));
+    }
+    return go(as);
   }
   return partial(takeWhile_, p, as);
 }
@@ -145,13 +149,12 @@ export const takeWhile = (p, as) => {
 export const dropWhile = (p, as) => {
   const dropWhile_ = (p, as) => {
     if (isList(as) === false) { return error.listError(as, dropWhile); }
-    if (isEmpty(as)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    const test = p(x);
-    if (test === true) { return dropWhile(p, xs); }
-    if (test === false) { return as; }
-    return error.listError(as, dropWhile);
+    for (; isEmpty(as) === false; as = tail(as)) {
+      const test = p(head(as));
+      if (test === false) { return as; }
+      if (test !== true) { return error.listError(as, dropWhile); }
+    }
+    return emptyList;
   }
   return partial(dropWhile_, p, as);
 }
@@ -212,13 +215,10 @@ export const stripPrefix = (as, bs) => {
   const stripPrefix_ = (as, bs) => {
     if (isList(as) === false) { return error.listError(as, stripPrefix); }
     if (isList(bs) === false) { return error.listError(bs, stripPrefix); }
-    if (isEmpty(as)) { return just(bs); }
-    const x = head(as);
-    const xs = tail(as);
-    const y = head(bs);
-    const ys = tail(bs);
-    if (x === y) { return stripPrefix(xs, ys); }
-    return Nothing;
+    for (; isEmpty(as) === false; as = tail(as), bs = tail(bs)) {
+      if (head(as) !== head(bs)) { return Nothing; }
+    }
+    return just(bs);
   }
   return partial(stripPrefix_, as, bs);
 }
@@ -249,13 +249,15 @@ export const group = xs => groupBy(isEq, xs);
 export const groupBy = (eq, as) => {
   const groupBy_ = (eq, as) => {
     if (isList(as) === false) { return error.listError(as, groupBy); }
-    if (isEmpty(as)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    const t = span(eq(x), xs);
-    const ys = fst(t);
-    const zs = snd(t);
-    return cons(cons(x)(ys))(groupBy(eq, zs));
+    const xss = [];
+    while (isEmpty(as) === false) {
+      const x = head(as);
+      const xs = tail(as);
+      const t = span(eq(x), xs);
+      xss.push(cons(x)(fst(t)));
+      as = snd(t);
+    }
+    return fromArrayToList(xss);
   }
   return partial(groupBy_, eq, as);
 }
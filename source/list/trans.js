@@ -14,10 +14,12 @@ import {partial} from '../base';
 import {
   emptyList,
   cons,
+  lazyCons,
   head,
   tail,
   isList,
   isEmpty,
+  fromListToArray,
   concat,
   filter
 } from '../list';
@@ -33,7 +35,8 @@ import {error} from '../error';
  * resulting in a new list of partially applied functions. If this list of functions is applied
  * again to a list of values, these new values will be applied. This process may be repeated until
  * the functions are all fully applied, and a list of raw values is returned. Note that only curried
- * functions will work in this way.
+ * functions will work in this way. The new list is built lazily, one element at a time as it is
+ * evaluated, so `map` may also be used on infinite lists.
  * <br>`Haskell> map :: (a -> b) -> [a] -> [b]`
  * @param {Function} f - The function to map
  * @param {List} as - The `List` to map over
@@ -60,10 +63,8 @@ import {error} from '../error';
 export const map = (f, as) => {
   const map_ = (f, as) => {
     if (isList(as) === false ) { return error.listError(as, map); }
-    if (isEmpty(as)) { return emptyList; }
-    const x = f(head(as)); // f(head(as)) === undefined ? f.bind(f, head(as)) : f(head(as));
-    const xs = tail(as);
-    return cons(x)(map(f)(xs));
+    const go = xs => isEmpty(xs) ? emptyList : lazyCons(f(head(xs)), () => go(tail(xs)));
+    return go(as);
   }
   return partial(map_, f, as);
 }
@@ -79,8 +80,9 @@ export const map = (f, as) => {
  * reverse(lst);                // => [5:4:3:2:1:[]]
  */
 export const reverse = xs => {
-  const r = (xs, a) => isEmpty(xs) ? a : r(tail(xs), cons(head(xs))(a));
-  return r(xs, emptyList);
+  let a = emptyList;
+  for (; isEmpty(xs) === false; xs = tail(xs)) { a = cons(head(xs), a); }
+  return a;
 }
 
 /**
@@ -103,12 +105,9 @@ export const intersperse = (sep, as) => {
     if (typeCheck(sep, head(as)) === false) {
       return error.typeMismatch(sep, head(as), intersperse);
     }
-    const x = head(as);
-    const xs = tail(as);
-    return cons(x)(prependToAll(sep, xs));
+    const [x, ...xs] = fromListToArray(as);
+    return cons(x, xs.reduceRight((ys, y) => cons(sep, cons(y, ys)), emptyList));
   }
-  const prependToAll = (sep, xs) =>
-    isEmpty(xs) ? emptyList : cons(sep)(cons(head(xs))(prependToAll(sep, tail(xs))));
   return partial(intersperse_, sep, as);
 }
 
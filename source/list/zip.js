@@ -16,7 +16,7 @@ import {tuple} from '../tuple';
 
 import {
   emptyList,
-  cons,
+  lazyCons,
   head,
   tail,
   isList,
@@ -27,7 +27,8 @@ import {error} from '../error';
 
 /**
  * Take two `List` objects and return a `List` of corresponding pairs. If one input list is shorter,
- * excess elements of the longer list are discarded.
+ * excess elements of the longer list are discarded. The pairs are created lazily, so either list
+ * (or both) may be infinite.
  * <br>`Haskell> zip :: [a] -> [b] -> [(a, b)]`
  * @param {List} as - The first `List`
  * @param {List} bs - The second `List`
@@ -42,13 +43,9 @@ export const zip = (as, bs) => {
   const zip_ = (as, bs) => {
     if (isList(as) === false) { return error.listError(as, zip); }
     if (isList(bs) === false) { return error.listError(bs, zip); }
-    if (isEmpty(as)) { return emptyList; }
-    if (isEmpty(bs)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    const y = head(bs);
-    const ys = tail(bs);
-    return cons(tuple(x, y))(zip(xs)(ys));
+    const go = (as, bs) => isEmpty(as) || isEmpty(bs) ? emptyList :
+      lazyCons(tuple(head(as), head(bs)), () => go(tail(as), tail(bs)));
+    return go(as, bs);
   }
   return partial(zip_, as, bs);
 }
@@ -73,14 +70,9 @@ export const zip3 = (as, bs, cs) => {
     if (isList(as) === false) { return error.listError(as, zip3); }
     if (isList(bs) === false) { return error.listError(bs, zip3); }
     if (isList(cs) === false) { return error.listError(cs, zip3); }
-    if (isEmpty(as) || isEmpty(bs) || isEmpty(cs)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    const y = head(bs);
-    const ys = tail(bs);
-    const z = head(cs);
-    const zs = tail(cs);
-    return cons(tuple(x, y, z))(zip3(xs, ys, zs));
+    const go = (as, bs, cs) => isEmpty(as) || isEmpty(bs) || isEmpty(cs) ? emptyList :
+      lazyCons(tuple(head(as), head(bs), head(cs)), () => go(tail(as), tail(bs), tail(cs)));
+    return go(as, bs, cs);
   }
   return partial(zip3_, as, bs, cs);
 }
@@ -105,12 +97,9 @@ export const zipWith = (f, as, bs) => {
   const zipWith_ = (f, as, bs) => {
     if (isList(as) === false) { return error.listError(as, zipWith); }
     if (isList(bs) === false) { return error.listError(bs, zipWith); }
-    if (isEmpty(as) || isEmpty(bs)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    const y = head(bs);
-    const ys = tail(bs);
-    return cons(f(x, y))(zipWith(f, xs, ys));
+    const go = (as, bs) => isEmpty(as) || isEmpty(bs) ? emptyList :
+      lazyCons(f(head(as), head(bs)), () => go(tail(as), tail(bs)));
+    return go(as, bs);
   }
   return partial(zipWith_, f, as, bs);
 }
@@ -138,14 +127,9 @@ export const zipWith3 = (f, as, bs, cs) => {
     if (isList(as) === false) { return error.listError(as, zipWith3); }
     if (isList(bs) === false) { return error.listError(bs, zipWith3); }
     if (isList(cs) === false) { return error.listError(cs, zipWith3); }
-    if (isEmpty(as) || isEmpty(bs) || isEmpty(cs)) { return emptyList; }
-    const x = head(as);
-    const xs = tail(as);
-    const y = head(bs);
-    const ys = tail(bs);
-    const z = head(cs);
-    const zs = tail(cs);
-    return cons(f(x, y, z))(zipWith3(f, xs, ys, zs));
+    const go = (as, bs, cs) => isEmpty(as) || isEmpty(bs) || isEmpty(cs) ? emptyList :
+      lazyCons(f(head(as), head(bs), head(cs)), () => go(tail(as), tail(bs), tail(cs)));
+    return go(as, bs, cs);
   }
   return partial(zipWith3_, f, as, bs, cs);
 }
@@ -0,0 +1,441 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * map/func.js
+ *
+ * @file Map functions.
+ * @license ISC
+ */
+
+/** @module map/func */
+
+import {partial} from '../base';
+
+import {
+  compare,
+  EQ,
+  LT,
+  GT
+} from '../ord';
+
+import {OrdMap} from '../map';
+
+import {
+  Nothing,
+  just,
+  isMaybe,
+  isNothing,
+  fromJust
+} from '../maybe';
+
+import {
+  tuple,
+  fst,
+  snd,
+  isTuple
+} from '../tuple';
+
+import {
+  emptyList,
+  cons,
+  isList,
+  foldl
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * How much larger one subtree of a node may be than the other before the node is rebalanced.
+ * @private
+ */
+const delta = 3;
+
+/**
+ * How much larger the inner subtree of the larger subtree of a node must be than its outer subtree
+ * for the node to be rebalanced by a double rotation rather than a single one.
+ * @private
+ */
+const ratio = 2;
+
+/**
+ * Build a `Map` node from a key, its value, and two subtrees, rotating the tree if one subtree has
+ * grown, or shrunk, by one key too many to be in balance with the other.
+ * @param {*} k - The key
+ * @param {*} v - The value
+ * @param {OrdMap} l - The map of smaller keys
+ * @param {OrdMap} r - The map of larger keys
+ * @returns {OrdMap} A balanced `Map`
+ * @private
+ */
+const balance = (k, v, l, r) => {
+  const node = (k, v, l, r) => new OrdMap(k, v, l, r);
+  const sl = l.size();
+  const sr = r.size();
+  if (sl + sr <= 1) { return node(k, v, l, r); }
+  if (sr > delta * sl) {
+    const rl = r.left();
+    const rr = r.right();
+    if (rl.size() < ratio * rr.size()) {
+      return node(r.key(), r.value(), node(k, v, l, rl), rr);
+    }
+    return node(rl.key(), rl.value(), node(k, v, l, rl.left()),
+      node(r.key(), r.value(), rl.right(), rr));
+  }
+  if (sl > delta * sr) {
+    const ll = l.left();
+    const lr = l.right();
+    if (lr.size() < ratio * ll.size()) {
+      return node(l.key(), l.value(), ll, node(k, v, lr, r));
+    }
+    return node(lr.key(), lr.value(), node(l.key(), l.value(), ll, lr.left()),
+      node(k, v, lr.right(), r));
+  }
+  return node(k, v, l, r);
+}
+
+/**
+ * Insert a key and its value into a `Map`, combining the value with the value already there, if
+ * any, using a function.
+ * @param {Function} f - The function to combine the new value with the old one, `(new, old) => ...`
+ * @param {*} k - The key
+ * @param {*} v - The value
+ * @param {OrdMap} m - The `Map`
+ * @returns {OrdMap} A new `Map` containing the key
+ * @private
+ */
+const insertWith = (f, k, v, m) => {
+  if (m.size() === 0) { return new OrdMap(k, v, m, m); }
+  const ord = compare(k, m.key());
+  if (ord === LT) { return balance(m.key(), m.value(), insertWith(f, k, v, m.left()), m.right()); }
+  if (ord === GT) { return balance(m.key(), m.value(), m.left(), insertWith(f, k, v, m.right())); }
+  return new OrdMap(k, f(v, m.value()), m.left(), m.right());
+}
+
+/**
+ * Join two maps, all the keys of the first of which are smaller than all the keys of the second,
+ * and which were in balance with each other before a key was deleted from one of them.
+ * @param {OrdMap} l - The map of smaller keys
+ * @param {OrdMap} r - The map of larger keys
+ * @returns {OrdMap} A balanced `Map` containing the keys of both maps
+ * @private
+ */
+const glue = (l, r) => {
+  if (l.size() === 0) { return r; }
+  if (r.size() === 0) { return l; }
+  const withoutMin = m => {
+    if (m.left().size() === 0) { return m.right(); }
+    return balance(m.key(), m.value(), withoutMin(m.left()), m.right());
+  }
+  const withoutMax = m => {
+    if (m.right().size() === 0) { return m.left(); }
+    return balance(m.key(), m.value(), m.left(), withoutMax(m.right()));
+  }
+  const min = m => m.left().size() === 0 ? m : min(m.left());
+  const max = m => m.right().size() === 0 ? m : max(m.right());
+  if (l.size() > r.size()) {
+    const x = max(l);
+    return balance(x.key(), x.value(), withoutMax(l), r);
+  }
+  const x = min(r);
+  return balance(x.key(), x.value(), l, withoutMin(r));
+}
+
+/**
+ * The empty `Map`.
+ * <br>`Haskell> empty :: Map k a`
+ * @kind constant
+ * @example
+ * emptyMap;                    // => {}
+ * mapSize(emptyMap);           // => 0
+ */
+export const emptyMap = new OrdMap();
+
+/**
+ * Create a `Map` with a single key and value.
+ * <br>`Haskell> singleton :: k -> a -> Map k a`
+ * @param {*} k - The key
+ * @param {*} v - The value
+ * @returns {OrdMap} A new `Map` containing only `k`, associated with `v`
+ * @kind function
+ * @example
+ * mapSingleton(1, `a`);        // => {1: a}
+ */
+export const mapSingleton = (k, v) => {
+  const mapSingleton_ = (k, v) => new OrdMap(k, v, emptyMap, emptyMap);
+  return partial(mapSingleton_, k, v);
+}
+
+/**
+ * Insert a key and its value into a `Map`. If the key is already in the map, its value is replaced.
+ * Keys are compared with `compare`, so they must all be the same type.
+ * <br>`Haskell> insert :: Ord k => k -> a -> Map k a -> Map k a`
+ * @param {*} k - The key
+ * @param {*} v - The value
+ * @param {OrdMap} m - The `Map`
+ * @returns {OrdMap} A new `Map` containing `k`, associated with `v`
+ * @kind function
+ * @example
+ * const m = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+ * mapInsert(5, `x`, m);        // => {3: b, 5: x}
+ * mapInsert(7, `x`, m);        // => {3: b, 5: a, 7: x}
+ */
+export const mapInsert = (k, v, m) => {
+  const mapInsert_ = (k, v, m) => {
+    return isMap(m) ? insertWith(v => v, k, v, m) : error.typeError(m, mapInsert);
+  }
+  return partial(mapInsert_, k, v, m);
+}
+
+/**
+ * Insert a key and its value into a `Map`. If the key is already in the map, its value is replaced
+ * with the result of applying a function to the new value and the old one.
+ * <br>`Haskell> insertWith :: Ord k => (a -> a -> a) -> k -> a -> Map k a -> Map k a`
+ * @param {Function} f - The function to combine the new value with the old one
+ * @param {*} k - The key
+ * @param {*} v - The value
+ * @param {OrdMap} m - The `Map`
+ * @returns {OrdMap} A new `Map` containing `k`
+ * @kind function
+ * @example
+ * const m = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+ * mapInsertWith((x, y) => x + y, 5, `x`, m); // => {3: b, 5: xa}
+ * mapInsertWith((x, y) => x + y, 7, `x`, m); // => {3: b, 5: a, 7: x}
+ */
+export const mapInsertWith = (f, k, v, m) => {
+  const mapInsertWith_ = (f, k, v, m) => {
+    if (typeof f !== `function`) { return error.typeError(f, mapInsertWith); }
+    return isMap(m) ? insertWith(f, k, v, m) : error.typeError(m, mapInsertWith);
+  }
+  return partial(mapInsertWith_, f, k, v, m);
+}
+
+/**
+ * Delete a key and its value from a `Map`. If the key is not in the map, the map is returned
+ * unchanged.
+ * <br>`Haskell> delete :: Ord k => k -> Map k a -> Map k a`
+ * @param {*} k - The key
+ * @param {OrdMap} m - The `Map`
+ * @returns {OrdMap} A new `Map` without `k`
+ * @kind function
+ * @example
+ * const m = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+ * mapDelete(5, m);             // => {3: b}
+ * mapDelete(7, m);             // => {3: b, 5: a}
+ */
+export const mapDelete = (k, m) => {
+  const mapDelete_ = (k, m) => {
+    if (isMap(m) === false) { return error.typeError(m, mapDelete); }
+    const go = m => {
+      if (m.size() === 0) { return m; }
+      const ord = compare(k, m.key());
+      if (ord === LT) { return balance(m.key(), m.value(), go(m.left()), m.right()); }
+      if (ord === GT) { return balance(m.key(), m.value(), m.left(), go(m.right())); }
+      return glue(m.left(), m.right());
+    }
+    return go(m);
+  }
+  return partial(mapDelete_, k, m);
+}
+
+/**
+ * Look up the value of a key in a `Map`.
+ * <br>`Haskell> lookup :: Ord k => k -> Map k a -> Maybe a`
+ * @param {*} k - The key
+ * @param {OrdMap} m - The `Map`
+ * @returns {Maybe} The value of `k` in a `Just`, or `Nothing` if `k` is not in the map
+ * @kind function
+ * @example
+ * const m = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+ * mapLookup(5, m);             // => Just a
+ * mapLookup(7, m);             // => Nothing
+ */
+export const mapLookup = (k, m) => {
+  const mapLookup_ = (k, m) => {
+    if (isMap(m) === false) { return error.typeError(m, mapLookup); }
+    while (m.size() > 0) {
+      const ord = compare(k, m.key());
+      if (ord === EQ) { return just(m.value()); }
+      m = ord === LT ? m.left() : m.right();
+    }
+    return Nothing;
+  }
+  return partial(mapLookup_, k, m);
+}
+
+/**
+ * Determine whether a key is in a `Map`.
+ * <br>`Haskell> member :: Ord k => k -> Map k a -> Bool`
+ * @param {*} k - The key
+ * @param {OrdMap} m - The `Map`
+ * @returns {boolean} `true` if `k` is in the map and `false` otherwise
+ * @kind function
+ * @example
+ * const m = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+ * mapMember(5, m);             // => true
+ * mapMember(7, m);             // => false
+ */
+export const mapMember = (k, m) => {
+  const mapMember_ = (k, m) => {
+    return isMap(m) ? isNothing(mapLookup(k, m)) === false : error.typeError(m, mapMember);
+  }
+  return partial(mapMember_, k, m);
+}
+
+/**
+ * Insert, update, or delete the value of a key in a `Map` with a function that takes the value of
+ * the key, if any, as a `Maybe` and returns its new value, if any, as a `Maybe`. If the function
+ * returns `Nothing`, the key is deleted from the map.
+ * <br>`Haskell> alter :: Ord k => (Maybe a -> Maybe a) -> k -> Map k a -> Map k a`
+ * @param {Function} f - The function to apply to the value of `k`
+ * @param {*} k - The key
+ * @param {OrdMap} m - The `Map`
+ * @returns {OrdMap} A new `Map`, with the value of `k` altered by `f`
+ * @kind function
+ * @example
+ * const m = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+ * const f = mb => isNothing(mb) ? just(`new`) : Nothing;
+ * mapAlter(f, 7, m);           // => {3: b, 5: a, 7: new}
+ * mapAlter(f, 5, m);           // => {3: b}
+ * mapAlter(fmap(x => x + x), 5, m); // => {3: b, 5: aa}
+ */
+export const mapAlter = (f, k, m) => {
+  const mapAlter_ = (f, k, m) => {
+    if (typeof f !== `function`) { return error.typeError(f, mapAlter); }
+    if (isMap(m) === false) { return error.typeError(m, mapAlter); }
+    const mb = f(mapLookup(k, m));
+    if (isMaybe(mb) === false) { return error.returnError(f, mapAlter); }
+    return isNothing(mb) ? mapDelete(k, m) : mapInsert(k, fromJust(mb), m);
+  }
+  return partial(mapAlter_, f, k, m);
+}
+
+/**
+ * Combine two maps into one, with the keys of both. Where a key is in both maps, its value in the
+ * first map is kept. This is the `mappend` of the `Map` monoid.
+ * <br>`Haskell> union :: Ord k => Map k a -> Map k a -> Map k a`
+ * @param {OrdMap} m1 - The first `Map`
+ * @param {OrdMap} m2 - The second `Map`
+ * @returns {OrdMap} A new `Map` with the keys of both `m1` and `m2`
+ * @kind function
+ * @example
+ * const m1 = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+ * const m2 = fromListToMap(list(tuple(5, `A`), tuple(7, `C`)));
+ * mapUnion(m1, m2);            // => {3: b, 5: a, 7: C}
+ */
+export const mapUnion = (m1, m2) => {
+  const mapUnion_ = (m1, m2) => {
+    if (isMap(m1) === false) { return error.typeError(m1, mapUnion); }
+    if (isMap(m2) === false) { return error.typeError(m2, mapUnion); }
+    return mapUnionWith(x => x, m1, m2);
+  }
+  return partial(mapUnion_, m1, m2);
+}
+
+/**
+ * Combine two maps into one, with the keys of both. Where a key is in both maps, its values are
+ * combined with a function, which is given its value in the first map and then its value in the
+ * second.
+ * <br>`Haskell> unionWith :: Ord k => (a -> a -> a) -> Map k a -> Map k a -> Map k a`
+ * @param {Function} f - The function to combine values with
+ * @param {OrdMap} m1 - The first `Map`
+ * @param {OrdMap} m2 - The second `Map`
+ * @returns {OrdMap} A new `Map` with the keys of both `m1` and `m2`
+ * @kind function
+ * @example
+ * const m1 = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+ * const m2 = fromListToMap(list(tuple(5, `A`), tuple(7, `C`)));
+ * mapUnionWith((x, y) => x + y, m1, m2); // => {3: b, 5: aA, 7: C}
+ */
+export const mapUnionWith = (f, m1, m2) => {
+  const mapUnionWith_ = (f, m1, m2) => {
+    if (typeof f !== `function`) { return error.typeError(f, mapUnionWith); }
+    if (isMap(m1) === false) { return error.typeError(m1, mapUnionWith); }
+    if (isMap(m2) === false) { return error.typeError(m2, mapUnionWith); }
+    if (m1.size() < m2.size()) {
+      return mapFoldrWithKey((k, v, m) => insertWith(f, k, v, m), m2, m1);
+    }
+    return mapFoldrWithKey((k, v, m) => insertWith((x, y) => f(y, x), k, v, m), m1, m2);
+  }
+  return partial(mapUnionWith_, f, m1, m2);
+}
+
+/**
+ * Fold the keys and values of a `Map` from right to left, i.e. from its largest key to its
+ * smallest, with a function that takes a key, its value, and the accumulated value.
+ * <br>`Haskell> foldrWithKey :: (k -> a -> b -> b) -> b -> Map k a -> b`
+ * @param {Function} f - The function to fold with, `(k, v, acc) => ...`
+ * @param {*} z - The starting value
+ * @param {OrdMap} m - The `Map`
+ * @returns {*} The result of the fold
+ * @kind function
+ * @example
+ * const m = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+ * mapFoldrWithKey((k, v, acc) => `${acc}${k}${v}`, ``, m); // => 5a3b
+ */
+export const mapFoldrWithKey = (f, z, m) => {
+  const mapFoldrWithKey_ = (f, z, m) => {
+    if (typeof f !== `function`) { return error.typeError(f, mapFoldrWithKey); }
+    if (isMap(m) === false) { return error.typeError(m, mapFoldrWithKey); }
+    const go = (m, acc) => {
+      if (m.size() === 0) { return acc; }
+      return go(m.left(), f(m.key(), m.value(), go(m.right(), acc)));
+    }
+    return go(m, z);
+  }
+  return partial(mapFoldrWithKey_, f, z, m);
+}
+
+/**
+ * Return the number of keys in a `Map`.
+ * <br>`Haskell> size :: Map k a -> Int`
+ * @param {OrdMap} m - The `Map`
+ * @returns {number} The number of keys in `m`
+ * @kind function
+ * @example
+ * mapSize(fromListToMap(list(tuple(5, `a`), tuple(3, `b`)))); // => 2
+ */
+export const mapSize = m => isMap(m) ? m.size() : error.typeError(m, mapSize);
+
+/**
+ * Create a `Map` from a `List` of `Tuple` objects, each of which is a key and its value. If a key
+ * appears more than once, its last value is kept.
+ * <br>`Haskell> fromList :: Ord k => [(k, a)] -> Map k a`
+ * @param {List} xs - A `List` of `Tuple` objects
+ * @returns {OrdMap} A new `Map` with the keys and values of `xs`
+ * @kind function
+ * @example
+ * fromListToMap(list(tuple(5, `a`), tuple(3, `b`), tuple(5, `c`))); // => {3: b, 5: c}
+ */
+export const fromListToMap = xs => {
+  if (isList(xs) === false) { return error.listError(xs, fromListToMap); }
+  return foldl((m, p) => {
+    return isTuple(p) ? mapInsert(fst(p), snd(p), m) : error.tupleError(p, fromListToMap);
+  }, emptyMap, xs);
+}
+
+/**
+ * Convert a `Map` into a `List` of `Tuple` objects, each of which is a key and its value, in
+ * ascending order of their keys.
+ * <br>`Haskell> toList :: Map k a -> [(k, a)]`
+ * @param {OrdMap} m - The `Map`
+ * @returns {List} A `List` of the keys and values of `m`
+ * @kind function
+ * @example
+ * fromMapToList(fromListToMap(list(tuple(5, `a`), tuple(3, `b`)))); // => [(3,'b'):(5,'a'):[]]
+ */
+export const fromMapToList = m => {
+  if (isMap(m) === false) { return error.typeError(m, fromMapToList); }
+  return mapFoldrWithKey((k, v, xs) => cons(tuple(k, v), xs), emptyList, m);
+}
+
+/**
+ * Determine whether an object is a `Map`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Map` and `false` otherwise
+ * @kind function
+ * @example
+ * isMap(emptyMap);             // => true
+ * isMap(list(tuple(1, 2)));    // => false
+ */
+export const isMap = a => a instanceof OrdMap ? true : false;
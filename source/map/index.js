@@ -0,0 +1,28 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * map/index.js
+ *
+ * Top level index for OrdMap data type.
+ */
+
+export {OrdMap} from './map';
+
+export {
+  emptyMap,
+  mapSingleton,
+  mapInsert,
+  mapInsertWith,
+  mapDelete,
+  mapLookup,
+  mapMember,
+  mapAlter,
+  mapUnion,
+  mapUnionWith,
+  mapFoldrWithKey,
+  mapSize,
+  fromListToMap,
+  fromMapToList,
+  isMap
+} from './func';
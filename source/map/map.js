@@ -0,0 +1,168 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * map/map.js
+ *
+ * @file Map data type.
+ * @license ISC
+ */
+
+/** @module map/map */
+
+import {isEq} from '../eq';
+
+import {
+  compare,
+  EQ,
+  GT,
+  LT
+} from '../ord';
+
+import {fmap} from '../functor';
+
+import {pure} from '../applicative';
+
+import {traverse} from '../traversable';
+
+import {
+  emptyList,
+  fromArrayToList,
+  fromListToArray
+} from '../list';
+
+import {
+  emptyMap,
+  mapDelete,
+  mapUnion
+} from '../map';
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * Collect the keys and values of a `Map` into an array of pairs, in ascending order of their keys.
+ * @param {OrdMap} m - The `Map`
+ * @returns {Array} An array of `[key, value]` arrays
+ * @private
+ */
+const pairs = m => {
+  const go = (m, acc) => {
+    if (m.size() === 0) { return acc; }
+    go(m.left(), acc);
+    acc.push([m.key(), m.value()]);
+    return go(m.right(), acc);
+  }
+  return go(m, []);
+}
+
+/**
+ * Replace the values of a `Map`, in ascending order of their keys, without changing its keys or
+ * its shape.
+ * @param {OrdMap} m - The `Map`
+ * @param {Array} vs - The new values
+ * @returns {OrdMap} A new `Map` with the same keys as `m` and the values of `vs`
+ * @private
+ */
+const withValues = (m, vs) => {
+  let i = 0;
+  const go = m => {
+    if (m.size() === 0) { return m; }
+    const l = go(m.left());
+    const v = vs[i];
+    i += 1;
+    return new OrdMap(m.key(), v, l, go(m.right()));
+  }
+  return go(m);
+}
+
+/**
+ * A `Map` associates keys with values. It is an immutable, weight balanced binary search tree
+ * ordered by its keys, which may be any values that can be compared with `compare`, so that looking
+ * up, inserting, and deleting a key all take logarithmic time. Each node of the tree keeps its size,
+ * and neither subtree of a node is allowed to grow more than three times larger than the other.
+ * @alias module:map.OrdMap
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class OrdMap extends Type {
+  /**
+   * Create a new `Map` node from a key, its value, and the maps of the keys smaller and larger than
+   * it, or an empty `Map` if no arguments are given. The subtrees must already be balanced.
+   * @param {*} k - The key
+   * @param {*} v - The value
+   * @param {OrdMap} l - The map of smaller keys
+   * @param {OrdMap} r - The map of larger keys
+   * @private
+   */
+  constructor(k, v, l, r) {
+    super();
+    if (k === undefined) {
+      this.size = () => 0;
+      return;
+    }
+    const n = l.size() + r.size() + 1;
+    this.size = () => n;
+    this.key = () => k;
+    this.value = () => v;
+    this.left = () => l;
+    this.right = () => r;
+  }
+  // Eq
+  static isEq(m1, m2) {
+    if (m1.size() !== m2.size()) { return false; }
+    const ys = pairs(m2);
+    return pairs(m1).every((p, i) => isEq(p[0], ys[i][0]) && isEq(p[1], ys[i][1]));
+  }
+  // Ord
+  static compare(m1, m2) {
+    const xs = pairs(m1);
+    const ys = pairs(m2);
+    for (let i = 0; i < xs.length && i < ys.length; i += 1) {
+      const ord = compare(xs[i][0], ys[i][0]);
+      if (ord !== EQ) { return ord; }
+      const ord_ = compare(xs[i][1], ys[i][1]);
+      if (ord_ !== EQ) { return ord_; }
+    }
+    if (xs.length === ys.length) { return EQ; }
+    return xs.length < ys.length ? LT : GT;
+  }
+  // Monoid
+  static mempty() { return emptyMap; }
+  static mappend(m1, m2) { return mapUnion(m1, m2); }
+  // Foldable
+  static foldr(f, z, m) {
+    if (m.size() === 0) { return z; }
+    return OrdMap.foldr(f, f(m.value(), OrdMap.foldr(f, z, m.right())), m.left());
+  }
+  // Traversable
+  static traverse(f, m, w) {
+    if (m.size() === 0) { return pure(w === undefined ? emptyList : w, m); }
+    const vs = traverse(f, fromArrayToList(pairs(m).map(p => p[1])));
+    return fmap(vs => withValues(m, fromListToArray(vs)), vs);
+  }
+  // Functor
+  static fmap(f, m) {
+    if (m.size() === 0) { return m; }
+    const [l, r] = [m.left(), m.right()].map(t => OrdMap.fmap(f, t));
+    return new OrdMap(m.key(), f(m.value()), l, r);
+  }
+  // Match
+  static tags() { return [`Empty`, `Cons`]; }
+  tag() { return this.size() === 0 ? `Empty` : `Cons`; }
+  fields() {
+    if (this.size() === 0) { return []; }
+    let m = this;
+    while (m.left().size() > 0) { m = m.left(); }
+    return [m.key(), m.value(), mapDelete(m.key(), this)];
+  }
+  // Prototype
+  toString() { return `[Object Map]`; }
+  typeOf() {
+    return this.size() === 0 ? `Map` : `Map ${type(this.key())} ${type(this.value())}`;
+  }
+  valueOf() { return `{${pairs(this).map(p => `${p[0]}: ${p[1]}`).join(`, `)}}`; }
+}
@@ -0,0 +1,186 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * match.js
+ *
+ * @file Pattern matching.
+ * @license ISC
+ */
+
+/** @module match */
+
+import {
+  partial,
+  show
+} from './base';
+
+import {dataType} from './type';
+
+import {error} from './error';
+
+/**
+ * Take a value apart into the data constructor that made it and its fields, along with the names
+ * of all the data constructors of its type. A value can be taken apart if its data type has a
+ * `tags` method that returns the names of its data constructors and the value itself has `tag` and
+ * `fields` methods that return the name of its data constructor and its fields, as every `Type`
+ * does. Other values, such as numbers and strings, cannot be taken apart.
+ * @param {*} a - Any value
+ * @returns {Object|undefined} An object with the `tags` of the type, and the `tag` and `fields` of
+ * the value, or `undefined` if the value cannot be taken apart
+ * @private
+ */
+const deconstruct = a => {
+  if (a === null || a === undefined) { return undefined; }
+  const t = dataType(a);
+  const isView = typeof t.tags === `function` &&
+    typeof a.tag === `function` && typeof a.fields === `function`;
+  return isView ? {tags: t.tags(), tag: a.tag(), fields: a.fields()} : undefined;
+}
+
+/**
+ * Parsed patterns, by the strings they were parsed from.
+ * @private
+ */
+const patterns = new Map();
+
+/**
+ * Parse a pattern, such as `Cons (Just x) _`, into a tree of objects. A data constructor pattern
+ * has a `tag` and an array of `args` patterns, while a variable pattern has a `name`.
+ * @param {string} s - The pattern to parse
+ * @returns {Object} The parsed pattern
+ * @private
+ */
+const parse = s => {
+  if (patterns.has(s)) { return patterns.get(s); }
+  const tokens = s.match(/[()]|[^\s()]+/g) || [];
+  let i = 0;
+  const atom = () => {
+    const token = tokens[i];
+    i += 1;
+    if (token === `(`) {
+      const p = pattern();
+      if (tokens[i] !== `)`) { return error.typeError(s, match); }
+      i += 1;
+      return p;
+    }
+    if (/^[A-Z]\w*$/.test(token)) { return {tag: token, args: []}; }
+    if (/^[a-z_$][\w$]*$/.test(token)) { return {name: token}; }
+    return error.typeError(s, match);
+  }
+  const pattern = () => {
+    if (/^[A-Z]\w*$/.test(tokens[i]) === false) { return atom(); }
+    const tag = tokens[i];
+    const args = [];
+    i += 1;
+    while (i < tokens.length && tokens[i] !== `)`) { args.push(atom()); }
+    return {tag, args};
+  }
+  const p = pattern();
+  if (i !== tokens.length) { return error.typeError(s, match); }
+  patterns.set(s, p);
+  return p;
+}
+
+/**
+ * Match a value against a pattern, adding the values bound by the pattern's variables to an array.
+ * @param {Object} p - The parsed pattern
+ * @param {*} a - The value
+ * @param {Array} bound - The values bound so far
+ * @param {string} s - The pattern as a string, for reporting errors
+ * @returns {boolean} `true` if the value matches the pattern and `false` otherwise
+ * @private
+ */
+const bind = (p, a, bound, s) => {
+  if (p.name !== undefined) {
+    if (p.name !== `_`) { bound.push(a); }
+    return true;
+  }
+  const d = deconstruct(a);
+  if (d === undefined || d.tag !== p.tag) { return false; }
+  if (p.args.length === 0) {
+    bound.push(...d.fields);
+    return true;
+  }
+  if (p.args.length !== d.fields.length) { return error.typeError(s, match); }
+  return p.args.every((q, i) => bind(q, d.fields[i], bound, s));
+}
+
+/**
+ * Match a value against a set of patterns and return the result of the case for the first pattern
+ * that it matches. The patterns are the keys of an object and are tried in the order they are
+ * written, while their values are functions that are called with the values bound by the pattern,
+ * in order, or simply values to return. A pattern is either the name of a data constructor followed
+ * by patterns for each of its fields, a variable, which binds any value, or the wildcard `_`, which
+ * matches any value without binding it. Patterns may be nested with parentheses, as in
+ * `Cons (Just x) xs`, and a data constructor written without patterns for its fields binds all of
+ * them, so that `Just` and `Just x` are the same pattern. The data constructors of the data types
+ * in this library are:
+ *
+ * - `Nothing` and `Just` for `Maybe`
+ * - `Left` and `Right` for `Either`
+ * - `Nil` and `Cons` for lists, whose fields are the head and tail of the list
+ * - `Tuple` for tuples, with one field for each value
+ * - `LT`, `EQ`, and `GT` for orderings
+ * - `Writer` for `Writer`, whose fields are its value and output
+ * - `Empty` and `Cons` for `Map`, whose fields are its first key and value and the rest of the map
+ * - `Empty` and `Cons` for `Set`, whose fields are its first value and the rest of the set
+ * - `NonEmpty` for `NonEmpty` lists, whose fields are the head and the `List` of the rest
+ * - `Empty` and `Cons` for `Seq`, whose fields are its first value and the rest of the sequence
+ * - `Node` for trees, whose fields are the label and the `List` of child trees
+ * - `Zipper` for `Zipper`, whose fields are the values to the left, the value in focus, and the
+ *   values to the right, and `TreeZipper` for `TreeZipper`, whose fields are the tree in focus and
+ *   the trees to its left and right
+ * - `Empty` and `Cons` for `Heap`, whose fields are its least value and the rest of the heap
+ * - `Empty` and `Cons` for `Deque`, whose fields are its first value and the rest of the deque
+ * - the data constructors of types defined with `data`
+ *
+ * Other data types, such as `State`, `IO`, or `Task`, have a single data constructor with the name
+ * of the type and no fields. Any data type can be matched by giving it a static `tags` method that
+ * returns the names of its data constructors, and `tag` and `fields` methods that return the data
+ * constructor and fields of a value. Unless there is a pattern that matches any value, there must
+ * be a pattern for every data constructor of the type of the value, or an error is thrown, as it is
+ * if the value does not match any pattern, which may happen when patterns are nested.
+ * @param {*} a - The value to match
+ * @param {Object} cases - The cases to choose from, by their patterns
+ * @returns {*} The result of the case for the first pattern that matches
+ * @kind function
+ * @example
+ * const describe = m => match(m, {
+ *   Nothing: `nothing`,
+ *   'Just (Just x)': x => `nested ${x}`,
+ *   Just: x => `just ${x}`
+ * });
+ * describe(just(just(1)));             // => nested 1
+ * describe(just(2));                   // => just 2
+ * const sum = xs => match(xs, {Nil: 0, Cons: (x, xs) => x + sum(xs)});
+ * sum(list(1,2,3));                    // => 6
+ * match(tuple(1, 2), {'Tuple x _': x => x}); // => 1
+ * match(compare(1, 2), {LT: `less`, _: `not less`}); // => less
+ * match(just(1), {Just: x => x});      // *** Error: Non-exhaustive patterns in function 'match':
+ *                                      // 'Nothing' is not matched.
+ */
+export const match = (a, cases) => {
+  const match_ = (a, cases) => {
+    if (cases === null || typeof cases !== `object`) { return error.typeError(cases, match); }
+    const keys = Object.keys(cases);
+    const ps = keys.map(parse);
+    const d = deconstruct(a);
+    if (ps.some(p => p.name !== undefined) === false) {
+      if (d === undefined) { return error.typeError(a, match); }
+      const unknown = keys.find((k, i) => d.tags.indexOf(ps[i].tag) === -1);
+      if (unknown !== undefined) { return error.typeError(unknown, match); }
+      const missing = d.tags.filter(tag => ps.some(p => p.tag === tag) === false);
+      if (missing.length > 0) { return error.nonExhaustive(missing.join(`, `), match); }
+    }
+    for (let i = 0; i < keys.length; i += 1) {
+      const bound = [];
+      if (bind(ps[i], a, bound, keys[i])) {
+        const f = cases[keys[i]];
+        return typeof f === `function` ? f(...bound) : f;
+      }
+    }
+    return error.nonExhaustive(show(a), match);
+  }
+  return partial(match_, a, cases);
+}
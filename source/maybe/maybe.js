@@ -77,7 +77,9 @@ export class Maybe extends Type {
   // Foldable
   static foldr(f, z, m) { return isNothing(m) ? z : f(m.value(), z); }
   // Traversable
-  static traverse(f, m) { return isNothing(m) ? pure(m, Nothing) : fmap(just, f(m.value())); }
+  static traverse(f, m, w) {
+    return isNothing(m) ? pure(w === undefined ? m : w, Nothing) : fmap(just, f(m.value()));
+  }
   // Functor
   static fmap(f, m) { return isNothing(m) ? Nothing : new Maybe(f(m.value())); }
   // Applicative
@@ -85,6 +87,10 @@ export class Maybe extends Type {
   static ap(f, m) { return isNothing(f) ? Nothing : fmap(f.value(), m); }
   // Monad
   static flatMap(m, f) { return isNothing(m) ? Nothing : f(m.value()); }
+  // Match
+  static tags() { return [`Nothing`, `Just`]; }
+  tag() { return isNothing(this) ? `Nothing` : `Just`; }
+  fields() { return isNothing(this) ? [] : [this.value()]; }
   // Prototype
   typeOf() { return `Maybe ${this.value === undefined ? 'Nothing' : type(this.value())}`; }
   valueOf() { return this.value === undefined ? `Nothing` : `Just ${this.value()}`; }
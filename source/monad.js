@@ -19,7 +19,7 @@ import {then} from './applicative';
 
 import {
   defines,
-  dataType
+  instanceFor
 } from './type';
 
 import {error} from './error';
@@ -42,7 +42,8 @@ export const Monad = defines(`fmap`, `pure`, `ap`, `flatMap`);
  * @kind function
  */
 export const inject = (m, a) => {
-  const inject_ = (m, a) => Monad(m) ? dataType(m).pure(a) : error.typeError(m, inject);
+  const inject_ = (m, a) =>
+    Monad(m) ? instanceFor(Monad, m).pure(a, m) : error.typeError(m, inject);
   return partial(inject_, m, a);
 }
 
@@ -60,7 +61,8 @@ export const inject = (m, a) => {
  * @kind function
  */
 export const flatMap = (m, f) => {
-  const flatMap_ = (m, f) => Monad(m) ? dataType(m).flatMap(m, f) : error.typeError(m, flatMap);
+  const flatMap_ = (m, f) =>
+    Monad(m) ? instanceFor(Monad, m).flatMap(m, f) : error.typeError(m, flatMap);
   return partial(flatMap_, m, f);
 }
 
@@ -125,7 +127,7 @@ export const join = m =>
  * liftM(doubleList, lst);              // => [[2:[]]:[4:[]]:[6:[]]:[]]
  */
 export const liftM = (f, m) => {
-  const liftM_ = (f, m) => Monad(m) ? dataType(m).fmap(f, m) : error.typeError(m, liftM);
+  const liftM_ = (f, m) => Monad(m) ? instanceFor(Monad, m).fmap(f, m) : error.typeError(m, liftM);
   return partial(liftM_, f, m)
 }
 
@@ -143,7 +145,7 @@ class DoBlock {
   * @param {Object} m - A monad, the context for the actions
   */
   constructor(m) { this.m = () => m; }
-  inject(a) { return Do(dataType(this.m()).pure(a)); }
+  inject(a) { return Do(instanceFor(Monad, this.m()).pure(a, this.m())); }
   flatMap(f) { return Do(flatMap(this.m(), f)); }
   chain(f) { return Do(chain(this.m(), f)); }
   valueOf() { return `${this.m().typeOf()} >>= ${this.m().valueOf()}`; }
@@ -190,3 +192,56 @@ class DoBlock {
  * .flatMap(put);       // => 18
  */
 export const Do = m => Monad(m) ? new DoBlock(m) : error.typeError(Do, m);
+
+/**
+ * Run a generator function as a block of monadic actions, in imitation of Haskell's "do" notation.
+ * Inside the generator, `yield` a monad to bind its value to a name, and `return` the final value,
+ * which is wrapped in the same monad as the last action yielded. To finish with a monadic action
+ * instead, `return yield` it. This works for any type that is a member of the `Monad` type class,
+ * including those, like `List`, that may bind more than one value, in which case the generator is
+ * replayed from the beginning for each value after the first. Code inside the generator should
+ * therefore be free of side effects, which belong in the monads themselves.
+ * @param {Function} g - A generator function that yields monads
+ * @returns {Object} A monad, the result of binding the actions yielded by `g` in sequence
+ * @kind function
+ * @example
+ * doM(function* () {
+ *   const x = yield just(1);
+ *   const y = yield just(2);
+ *   return x + y;
+ * });                                         // => Just 3
+ * doM(function* () {
+ *   const x = yield list(1,2);
+ *   const y = yield list(10,20);
+ *   return x + y;
+ * });                                         // => [11:21:12:22:[]]
+ * doM(function* () {
+ *   const x = yield just(1);
+ *   const y = yield Nothing;
+ *   return x + y;
+ * });                                         // => Nothing
+ */
+export const doM = g => {
+  if (typeof g !== `function`) { return error.typeError(g, doM); }
+  const replay = xs => {
+    const it = g();
+    let r = it.next();
+    xs.forEach(x => { r = it.next(x); });
+    return {it, r};
+  }
+  const step = (it, r, xs, m) => {
+    if (r.done) { return m === undefined ? error.returnError(g, doM) : inject(m, r.value); }
+    let live = true;
+    return flatMap(r.value, x => {
+      const ys = xs.concat([x]);
+      if (live) {
+        live = false;
+        return step(it, it.next(x), ys, r.value);
+      }
+      const next = replay(ys);
+      return step(next.it, next.r, ys, r.value);
+    });
+  }
+  const start = replay([]);
+  return step(start.it, start.r, [], undefined);
+}
@@ -14,9 +14,15 @@ import {partial} from './base';
 
 import {foldr} from './foldable';
 
+import {compare} from './ord';
+
+import {Semigroup} from './semigroup';
+
 import {
+  Type,
   defines,
-  dataType,
+  instanceFor,
+  type,
   typeCheck
 } from './type';
 
@@ -49,14 +55,16 @@ export const Monoid = defines(`mempty`, `mappend`);
  * mempty(tup);             // => ()
  * mempty(lst);             // => [[]]
  */
-export const mempty = a => Monoid(a) ? dataType(a).mempty(a) : error.typeError(a, mempty);
+export const mempty = a =>
+  Monoid(a) ? instanceFor(Monoid, a).mempty(a) : error.typeError(a, mempty);
 
 /**
- * Perform an associative operation (similar to appending to a list) on two monoids.
+ * Perform an associative operation (similar to appending to a list) on two monoids, or on any two
+ * semigroups.
  * <br>`Haskell> mappend :: a -> a -> a`
- * @param {Object} a - Any monoid
- * @param {Object} b - Any monoid
- * @returns {Object} A new monoid of the same type, the result of the associative operation
+ * @param {Object} a - Any semigroup
+ * @param {Object} b - Any semigroup
+ * @returns {Object} A new semigroup of the same type, the result of the associative operation
  * @kind function
  * @example
  * const l1 = list(1,2,3);       // => [1:2:3:[]]
@@ -69,7 +77,7 @@ export const mempty = a => Monoid(a) ? dataType(a).mempty(a) : error.typeError(a
 export const mappend = (a, b) => {
   const mappend_ = (a, b) => {
     if (typeCheck(a, b)) {
-      return Monoid(a) ? dataType(a).mappend(a, b) : error.typeError(a, mappend);
+      return Semigroup(a) ? instanceFor(Semigroup, a).mappend(a, b) : error.typeError(a, mappend);
     }
     return error.typeMismatch(a, b, mappend);
   }
@@ -91,3 +99,105 @@ export const mappend = (a, b) => {
  * mconcat(ls);               // => [1:2:3:4:5:6:7:8:9:[]]
  */
 export const mconcat = a => foldr(mappend, mempty(a), a);
+
+/**
+ * Numbers form a monoid under both addition and multiplication, so rather than choose one, numbers
+ * are made monoids by wrapping them in a `Sum` or a `Product`. A `Sum` is a monoid under addition.
+ * @alias module:monoid.Sum
+ * @kind class
+ * @extends Type
+ * @private
+ */
+class Sum extends Type {
+  /**
+   * Create a new `Sum`.
+   * @param {number} n - The number to wrap
+   * @private
+   */
+  constructor(n) {
+    super();
+    this.sum = () => n;
+  }
+  // Eq
+  static isEq(a, b) { return a.sum() === b.sum(); }
+  // Ord
+  static compare(a, b) { return compare(a.sum(), b.sum()); }
+  // Monoid
+  static mempty() { return new Sum(0); }
+  static mappend(a, b) { return new Sum(a.sum() + b.sum()); }
+  // Prototype
+  typeOf() { return `Sum ${type(this.sum())}`; }
+  valueOf() { return `Sum ${this.sum()}`; }
+}
+
+/**
+ * A `Product` is a monoid under multiplication. See `Sum`.
+ * @alias module:monoid.Product
+ * @kind class
+ * @extends Type
+ * @private
+ */
+class Product extends Type {
+  /**
+   * Create a new `Product`.
+   * @param {number} n - The number to wrap
+   * @private
+   */
+  constructor(n) {
+    super();
+    this.product = () => n;
+  }
+  // Eq
+  static isEq(a, b) { return a.product() === b.product(); }
+  // Ord
+  static compare(a, b) { return compare(a.product(), b.product()); }
+  // Monoid
+  static mempty() { return new Product(1); }
+  static mappend(a, b) { return new Product(a.product() * b.product()); }
+  // Prototype
+  typeOf() { return `Product ${type(this.product())}`; }
+  valueOf() { return `Product ${this.product()}`; }
+}
+
+/**
+ * Wrap a number in a `Sum`, a monoid under addition.
+ * <br>`Haskell> Sum :: a -> Sum a`
+ * @param {number} n - A number
+ * @returns {Sum} The number as a `Sum`
+ * @kind function
+ * @example
+ * getSum(mappend(toSum(2), toSum(3)));        // => 5
+ * getSum(mappend(mempty(toSum(2)), toSum(3))); // => 3
+ */
+export const toSum = n => typeof n === `number` ? new Sum(n) : error.typeError(n, toSum);
+
+/**
+ * Unwrap the number in a `Sum`.
+ * <br>`Haskell> getSum :: Sum a -> a`
+ * @param {Sum} s - A `Sum`
+ * @returns {number} The number
+ * @kind function
+ */
+export const getSum = s => s instanceof Sum ? s.sum() : error.typeError(s, getSum);
+
+/**
+ * Wrap a number in a `Product`, a monoid under multiplication.
+ * <br>`Haskell> Product :: a -> Product a`
+ * @param {number} n - A number
+ * @returns {Product} The number as a `Product`
+ * @kind function
+ * @example
+ * getProduct(mappend(toProduct(2), toProduct(3)));                        // => 6
+ * getProduct(foldr(mappend, toProduct(1), [toProduct(2), toProduct(3)])); // => 6
+ */
+export const toProduct = n =>
+  typeof n === `number` ? new Product(n) : error.typeError(n, toProduct);
+
+/**
+ * Unwrap the number in a `Product`.
+ * <br>`Haskell> getProduct :: Product a -> a`
+ * @param {Product} p - A `Product`
+ * @returns {number} The number
+ * @kind function
+ */
+export const getProduct = p => p instanceof Product ? p.product() : error.typeError(p, getProduct);
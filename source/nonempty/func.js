@@ -0,0 +1,168 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * nonempty/func.js
+ *
+ * @file NonEmpty functions.
+ * @license ISC
+ */
+
+/** @module nonempty/func */
+
+import {partial} from '../base';
+
+import {NonEmpty} from '../nonempty';
+
+import {typeCheck} from '../type';
+
+import {
+  Nothing,
+  just
+} from '../maybe';
+
+import {
+  cons,
+  head,
+  tail,
+  last,
+  isList,
+  isEmpty,
+  map,
+  group
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * Convert a `List` into a `NonEmpty`, if it is not empty. This is the safe way to get a `NonEmpty`
+ * from a `List` whose length is not known, since it forces the empty case to be handled.
+ * <br>`Haskell> nonEmpty :: [a] -> Maybe (NonEmpty a)`
+ * @param {List} xs - A `List`
+ * @returns {Maybe} A `NonEmpty` of the values of `xs` in a `Just`, or `Nothing` if `xs` is empty
+ * @kind function
+ * @example
+ * nonEmpty(list(1,2,3));       // => Just 1 :| [2:3:[]]
+ * nonEmpty(emptyList);         // => Nothing
+ */
+export const nonEmpty = xs => {
+  if (isList(xs) === false) { return error.listError(xs, nonEmpty); }
+  return isEmpty(xs) ? Nothing : just(new NonEmpty(head(xs), tail(xs)));
+}
+
+/**
+ * Construct a `NonEmpty` from a head and a `List` of the rest of its values, as Haskell does with
+ * the `:|` data constructor.
+ * <br>`Haskell> (:|) :: a -> [a] -> NonEmpty a`
+ * @param {*} x - The first value
+ * @param {List} xs - A `List` of the rest of the values, which may be empty
+ * @returns {NonEmpty} A new `NonEmpty`
+ * @kind function
+ * @example
+ * neCons(1, list(2,3));        // => 1 :| [2:3:[]]
+ * neCons(1, emptyList);        // => 1 :| [[]]
+ */
+export const neCons = (x, xs) => {
+  const neCons_ = (x, xs) => {
+    if (isList(xs) === false) { return error.listError(xs, neCons); }
+    if (isEmpty(xs) || typeCheck(x, head(xs))) { return new NonEmpty(x, xs); }
+    return error.typeError(head(xs), neCons);
+  }
+  return partial(neCons_, x, xs);
+}
+
+/**
+ * Return the first value of a `NonEmpty`. Unlike `head`, this cannot fail.
+ * <br>`Haskell> head :: NonEmpty a -> a`
+ * @param {NonEmpty} ne - A `NonEmpty`
+ * @returns {*} The first value of `ne`
+ * @kind function
+ * @example
+ * neHead(neCons(1, list(2,3))); // => 1
+ */
+export const neHead = ne => isNonEmpty(ne) ? ne.head() : error.typeError(ne, neHead);
+
+/**
+ * Return the values of a `NonEmpty` after the first, which may be none.
+ * <br>`Haskell> tail :: NonEmpty a -> [a]`
+ * @param {NonEmpty} ne - A `NonEmpty`
+ * @returns {List} A `List` of the values of `ne` after the first
+ * @kind function
+ * @example
+ * neTail(neCons(1, list(2,3))); // => [2:3:[]]
+ * neTail(neCons(1, emptyList)); // => [[]]
+ */
+export const neTail = ne => isNonEmpty(ne) ? ne.tail() : error.typeError(ne, neTail);
+
+/**
+ * Return the last value of a `NonEmpty`. Unlike `last`, this cannot fail.
+ * <br>`Haskell> last :: NonEmpty a -> a`
+ * @param {NonEmpty} ne - A `NonEmpty`
+ * @returns {*} The last value of `ne`
+ * @kind function
+ * @example
+ * neLast(neCons(1, list(2,3))); // => 3
+ * neLast(neCons(1, emptyList)); // => 1
+ */
+export const neLast = ne => {
+  if (isNonEmpty(ne) === false) { return error.typeError(ne, neLast); }
+  return isEmpty(ne.tail()) ? ne.head() : last(ne.tail());
+}
+
+/**
+ * Convert a `NonEmpty` into a `List` of all of its values.
+ * <br>`Haskell> toList :: NonEmpty a -> [a]`
+ * @param {NonEmpty} ne - A `NonEmpty`
+ * @returns {List} A `List` of the values of `ne`, which is never empty
+ * @kind function
+ * @example
+ * neToList(neCons(1, list(2,3))); // => [1:2:3:[]]
+ */
+export const neToList = ne => {
+  return isNonEmpty(ne) ? cons(ne.head(), ne.tail()) : error.typeError(ne, neToList);
+}
+
+/**
+ * Map a function over the values of a `NonEmpty`. This is the same as `fmap`.
+ * <br>`Haskell> map :: (a -> b) -> NonEmpty a -> NonEmpty b`
+ * @param {Function} f - The function to map
+ * @param {NonEmpty} ne - A `NonEmpty`
+ * @returns {NonEmpty} A new `NonEmpty` of the results of applying `f` to each value of `ne`
+ * @kind function
+ * @example
+ * neMap(x => x * 10, neCons(1, list(2,3))); // => 10 :| [20:30:[]]
+ */
+export const neMap = (f, ne) => {
+  const neMap_ = (f, ne) => {
+    if (typeof f !== `function`) { return error.typeError(f, neMap); }
+    if (isNonEmpty(ne) === false) { return error.typeError(ne, neMap); }
+    return new NonEmpty(f(ne.head()), map(f, ne.tail()));
+  }
+  return partial(neMap_, f, ne);
+}
+
+/**
+ * Group the adjacent equal values of a `List` into `NonEmpty` lists, as `group` does, except that
+ * each group is known not to be empty.
+ * <br>`Haskell> group :: Eq a => [a] -> [NonEmpty a]`
+ * @param {List} xs - A `List`
+ * @returns {List} A `List` of `NonEmpty` lists of equal values
+ * @kind function
+ * @example
+ * groupNE(list(1,1,2,3,3,3)); // => [1 :| [1:[]]:2 :| [[]]:3 :| [3:3:[]]:[]]
+ */
+export const groupNE = xs => {
+  if (isList(xs) === false) { return error.listError(xs, groupNE); }
+  return map(g => new NonEmpty(head(g), tail(g)), group(xs));
+}
+
+/**
+ * Determine whether an object is a `NonEmpty`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `NonEmpty` and `false` otherwise
+ * @kind function
+ * @example
+ * isNonEmpty(neCons(1, emptyList)); // => true
+ * isNonEmpty(list(1));              // => false
+ */
+export const isNonEmpty = a => a instanceof NonEmpty ? true : false;
@@ -0,0 +1,22 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * nonempty/index.js
+ *
+ * Top level index for NonEmpty data type.
+ */
+
+export {NonEmpty} from './nonempty';
+
+export {
+  nonEmpty,
+  neCons,
+  neHead,
+  neTail,
+  neLast,
+  neToList,
+  neMap,
+  groupNE,
+  isNonEmpty
+} from './func';
@@ -0,0 +1,98 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * nonempty/nonempty.js
+ *
+ * @file NonEmpty data type.
+ * @license ISC
+ */
+
+/** @module nonempty/nonempty */
+
+import {isEq} from '../eq';
+
+import {compare} from '../ord';
+
+import {foldr} from '../foldable';
+
+import {fmap} from '../functor';
+
+import {ap} from '../applicative';
+
+import {traverse} from '../traversable';
+
+import {
+  emptyList,
+  isEmpty,
+  listAppend,
+  fromListToArray,
+  map,
+  concatMap
+} from '../list';
+
+import {neToList} from '../nonempty';
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * A `NonEmpty` is a list that always has at least one value: a head, which is any value, and a
+ * tail, which is a `List` that may be empty. Functions that would fail on the empty list, such as
+ * taking its head, cannot fail on a `NonEmpty`, so once a value is known to be non-empty, that
+ * knowledge can be kept in its type instead of being checked again at runtime.
+ * @alias module:nonempty.NonEmpty
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class NonEmpty extends Type {
+  /**
+   * Create a new `NonEmpty` from a head and a tail.
+   * @param {*} head - The first value
+   * @param {List} tail - A `List` of the rest of the values
+   * @private
+   */
+  constructor(head, tail) {
+    super();
+    this.head = () => head;
+    this.tail = () => tail;
+  }
+  // Eq
+  static isEq(a, b) {
+    const xs = fromListToArray(neToList(a));
+    const ys = fromListToArray(neToList(b));
+    return xs.length === ys.length && xs.every((x, i) => isEq(x, ys[i]));
+  }
+  // Ord
+  static compare(a, b) { return compare(neToList(a), neToList(b)); }
+  // Semigroup
+  static mappend(a, b) { return new NonEmpty(a.head(), listAppend(a.tail(), neToList(b))); }
+  // Foldable
+  static foldr(f, z, a) { return foldr(f, z, neToList(a)); }
+  // Traversable
+  static traverse(f, a) {
+    const b = f(a.head());
+    if (isEmpty(a.tail())) { return fmap(x => new NonEmpty(x, emptyList), b); }
+    return ap(fmap(x => xs => new NonEmpty(x, xs), b), traverse(f, a.tail()));
+  }
+  // Functor
+  static fmap(f, a) { return new NonEmpty(f(a.head()), map(f, a.tail())); }
+  // Applicative
+  static pure(x) { return new NonEmpty(x, emptyList); }
+  static ap(fs, a) { return NonEmpty.flatMap(fs, f => NonEmpty.fmap(f, a)); }
+  // Monad
+  static flatMap(a, f) {
+    const b = f(a.head());
+    const bs = concatMap(x => neToList(f(x)), a.tail());
+    return new NonEmpty(b.head(), listAppend(b.tail(), bs));
+  }
+  // Match
+  fields() { return [this.head(), this.tail()]; }
+  // Prototype
+  toString() { return `[Object NonEmpty]`; }
+  typeOf() { return `NonEmpty ${type(this.head())}`; }
+  valueOf() { return `${this.head()} :| ${this.tail().valueOf()}`; }
+}
@@ -16,7 +16,7 @@ import {isEq} from './eq';
 
 import {
   defines,
-  dataType,
+  instanceFor,
   typeCheck
 } from './type';
 
@@ -50,6 +50,9 @@ class Ordering {
      if (a === EQ) { return b; }
      return a === LT ? LT : GT;
    }
+   static tags() { return [`LT`, `EQ`, `GT`]; }
+   tag() { return this.ord(); }
+   fields() { return []; }
    valueOf() { return this.ord(); }
 }
 
@@ -98,7 +101,7 @@ export const compare = (a, b) => {
     if (a === Infinity) { return GT; }
     if (b === Infinity) { return LT; }
     if (typeCheck(a, b)) {
-      if (Ord(a)) { return dataType(a).compare(a, b); }
+      if (Ord(a)) { return instanceFor(Ord, a).compare(a, b); }
       if (isEq(a, b)) { return EQ; }
       return a < b ? LT : GT;
     }
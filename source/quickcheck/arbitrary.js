@@ -0,0 +1,183 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * quickcheck/arbitrary.js
+ *
+ * @file Arbitrary type class.
+ * @license ISC
+ */
+
+/** @module quickcheck/arbitrary */
+
+import {
+  defines,
+  instanceFor,
+  instance
+} from '../type';
+
+import {
+  Gen,
+  shrinkTree
+} from './gen';
+
+import {
+  randomInt,
+  shrinkToward,
+  shrinkArray,
+  listOf,
+  maybeOf,
+  tupleOf
+} from './func';
+
+import {
+  Maybe,
+  Nothing,
+  just,
+  isNothing
+} from '../maybe';
+
+import {
+  Tuple,
+  fromArrayToTuple,
+  fromTupleToArray
+} from '../tuple';
+
+import {
+  List,
+  head,
+  isEmpty,
+  fromArrayToList,
+  fromListToArray,
+  fromIterable
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * An `Arbitrary` is a data type whose values can be generated at random and shrunk for
+ * property-based testing. Members of `Arbitrary` must define an `arbitrary` method, which takes a
+ * value of the data type and returns a `Gen` of values like it, and a `shrink` method, which takes
+ * a value and returns an iterable of smaller values of the same type. Numbers, strings, booleans,
+ * lists, `Maybe` values, and tuples are all members of `Arbitrary`.
+ * @param {*} - Any object
+ * @kind function
+ * @returns {boolean} `true` if an object is an instance of `Arbitrary` and `false` otherwise
+ */
+export const Arbitrary = defines(`arbitrary`, `shrink`);
+
+/**
+ * Return a generator of random values of the same type as a given value. Like `pure` and
+ * `mempty`, this function uses its argument to determine the type of values to generate, so it
+ * works for any member of `Arbitrary`. The types of the values inside lists, `Maybe` values, and
+ * tuples are also determined from the argument, so a list or `Maybe` must not be empty. Integers
+ * generate integers, while other numbers generate numbers that are not necessarily whole.
+ * <br>`Haskell> arbitrary :: Gen a`
+ * @param {*} a - Any member of `Arbitrary`
+ * @returns {Gen} A `Gen` of values of the same type
+ * @kind function
+ * @example
+ * generate(arbitrary(0), 10, 42);              // => 2
+ * generate(arbitrary(list(0)), 10, 42);        // => [-1:7:4:-7:1:-5:[]]
+ * generate(arbitrary(tuple(true, 0)), 10, 42); // => (false,-1)
+ */
+export const arbitrary = a =>
+  Arbitrary(a) ? instanceFor(Arbitrary, a).arbitrary(a) : error.typeError(a, arbitrary);
+
+/**
+ * Return a list of smaller values than a given value, the values that `property` tries when
+ * looking for a smaller counterexample. Numbers shrink toward 0, strings and lists shrink by
+ * removing elements and then shrinking the remaining ones, `Maybe` values shrink to `Nothing`, and
+ * tuples shrink by shrinking each of their values in turn.
+ * <br>`Haskell> shrink :: a -> [a]`
+ * @param {*} a - Any member of `Arbitrary`
+ * @returns {List} A list of smaller values, which is evaluated lazily
+ * @kind function
+ * @example
+ * shrink(10);           // => [0:5:8:9:[]]
+ * shrink(list(1,2));    // => [[[]]:[2:[]]:[1:[]]:[0:2:[]]:[1:0:[]]:[1:1:[]]:[]]
+ * shrink(just(true));   // => [Nothing:Just false:[]]
+ */
+export const shrink = a =>
+  Arbitrary(a) ? fromIterable(instanceFor(Arbitrary, a).shrink(a)) : error.typeError(a, shrink);
+
+/**
+ * Shrink any value that is a member of `Arbitrary`, and do not shrink any other value.
+ * @param {*} a - Any value
+ * @returns {Iterable} The smaller values
+ * @private
+ */
+const shrinkAny = a => Arbitrary(a) ? instanceFor(Arbitrary, a).shrink(a) : [];
+
+/**
+ * Shrink a string by removing characters from it.
+ * @param {string} str - The string to shrink
+ * @returns {Iterator.<string>} An iterator over the shorter strings
+ * @private
+ */
+const shrinkString = function* (str) {
+  for (const cs of shrinkArray(Array.from(str), () => [])) { yield cs.join(``); }
+}
+
+// Number
+
+instance(Arbitrary, Number, {
+  arbitrary: a => new Gen(Number.isInteger(a) ?
+    (random, n) => shrinkTree(randomInt(random, -n, n), b => shrinkToward(0, b)) :
+    (random, n) => shrinkTree((random() * 2 - 1) * n, b => shrinkToward(0, b))),
+  shrink: a => shrinkToward(0, a)
+});
+
+// String
+
+instance(Arbitrary, String, {
+  arbitrary: () => new Gen((random, n) => {
+    const cs = [];
+    for (let i = randomInt(random, 0, n); i > 0; i -= 1) {
+      cs.push(String.fromCharCode(randomInt(random, 32, 126)));
+    }
+    return shrinkTree(cs.join(``), shrinkString);
+  }),
+  shrink: shrinkString
+});
+
+// Boolean
+
+instance(Arbitrary, Boolean, {
+  arbitrary: () => new Gen(random => shrinkTree(random() < 0.5, b => b ? [false] : [])),
+  shrink: a => a ? [false] : []
+});
+
+// List
+
+instance(Arbitrary, List, {
+  arbitrary: xs => isEmpty(xs) ? error.emptyList(xs, arbitrary) : listOf(arbitrary(head(xs))),
+  shrink: function* (xs) {
+    for (const as of shrinkArray(fromListToArray(xs), shrinkAny)) { yield fromArrayToList(as); }
+  }
+});
+
+// Maybe
+
+instance(Arbitrary, Maybe, {
+  arbitrary: m => isNothing(m) ? error.typeError(m, arbitrary) : maybeOf(arbitrary(m.value())),
+  shrink: function* (m) {
+    if (isNothing(m)) { return; }
+    yield Nothing;
+    for (const a of shrinkAny(m.value())) { yield just(a); }
+  }
+});
+
+// Tuple
+
+instance(Arbitrary, Tuple, {
+  arbitrary: t => tupleOf(...fromTupleToArray(t).map(a => arbitrary(a))),
+  shrink: function* (t) {
+    const as = fromTupleToArray(t);
+    for (let i = 0; i < as.length; i += 1) {
+      for (const a of shrinkAny(as[i])) {
+        yield fromArrayToTuple(as.slice(0, i).concat([a], as.slice(i + 1)));
+      }
+    }
+  }
+});
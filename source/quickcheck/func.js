@@ -0,0 +1,375 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * quickcheck/func.js
+ *
+ * @file QuickCheck functions.
+ * @license ISC
+ */
+
+/** @module quickcheck/func */
+
+import {
+  partial,
+  show
+} from '../base';
+
+import {
+  Gen,
+  shrinkTree
+} from './gen';
+
+import {Property} from './property';
+
+import {
+  Nothing,
+  just
+} from '../maybe';
+
+import {fromArrayToTuple} from '../tuple';
+
+import {
+  fromArrayToList,
+  fromListToArray,
+  isList
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * Return a function that returns a new pseudo-random number between 0 (inclusive) and 1
+ * (exclusive) each time it is called. The same seed always produces the same sequence of numbers.
+ * @param {number} seed - An integer to seed the sequence with
+ * @returns {Function} The random number function
+ * @private
+ */
+export const random = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+/**
+ * Return a new random seed, for when one is not given.
+ * @returns {number} An integer between 0 and 2^32 - 1
+ * @private
+ */
+export const newSeed = () => Math.floor(Math.random() * 4294967296);
+
+/**
+ * Return a random integer between two integers, inclusive.
+ * @param {Function} random - The random number function to use
+ * @param {number} lo - The lower bound
+ * @param {number} hi - The upper bound
+ * @returns {number} The random integer
+ * @private
+ */
+export const randomInt = (random, lo, hi) => lo + Math.floor(random() * (hi - lo + 1));
+
+/**
+ * Shrink a number toward a target number, first trying the target itself and then numbers that
+ * get closer and closer to the number, halving the distance each time. Numbers that are not
+ * integers are also shrunk to their integer part.
+ * @param {number} target - The number to shrink toward
+ * @param {number} a - The number to shrink
+ * @returns {Iterator.<number>} An iterator over the smaller numbers
+ * @private
+ */
+export const shrinkToward = function* (target, a) {
+  if (a === target) { return; }
+  yield target;
+  if (Number.isInteger(a) === false) { yield Math.trunc(a); }
+  for (let i = Math.trunc((a - target) / 2); i !== 0; i = Math.trunc(i / 2)) { yield a - i; }
+}
+
+/**
+ * Shrink an array, first by removing ever smaller chunks of it, starting with the whole array, and
+ * then by shrinking each of its elements in turn.
+ * @param {Array} as - The array to shrink
+ * @param {Function} s - A function that shrinks the elements of the array
+ * @returns {Iterator.<Array>} An iterator over the smaller arrays
+ * @private
+ */
+export const shrinkArray = function* (as, s) {
+  for (let k = as.length; k > 0; k = Math.floor(k / 2)) {
+    for (let i = 0; i + k <= as.length; i += k) { yield as.slice(0, i).concat(as.slice(i + k)); }
+  }
+  for (let i = 0; i < as.length; i += 1) {
+    for (const a of s(as[i])) { yield as.slice(0, i).concat([a], as.slice(i + 1)); }
+  }
+}
+
+/**
+ * Create a generator of values that never shrink from a function that takes the size of the value
+ * to generate and returns a generator.
+ * @param {Function} f - A function that takes a size and returns a `Gen`
+ * @returns {Gen} A new `Gen`
+ * @kind function
+ * @example
+ * const evens = sized(n => choose(0, n));
+ * generate(fmap(x => x * 2, evens), 10, 42); // => 12
+ */
+export const sized = f => typeof f === `function` ?
+  new Gen((random, n) => shrinkTree(f(n).gen()(random, n))) : error.typeError(f, sized);
+
+/**
+ * Create a generator of random integers between two integers, inclusive, whose values shrink
+ * toward whichever integer in the range is closest to 0.
+ * @param {number} lo - The lower bound
+ * @param {number} hi - The upper bound
+ * @returns {Gen} A `Gen` of integers
+ * @kind function
+ * @example
+ * generate(choose(1, 6), 0, 42); // => 4
+ */
+export const choose = (lo, hi) => {
+  const choose_ = (lo, hi) => {
+    if (Number.isInteger(lo) === false) { return error.typeError(lo, choose); }
+    if (Number.isInteger(hi) === false || hi < lo) { return error.typeError(hi, choose); }
+    const target = lo > 0 ? lo : hi < 0 ? hi : 0;
+    return new Gen(random => shrinkTree(randomInt(random, lo, hi), a => shrinkToward(target, a)));
+  }
+  return partial(choose_, lo, hi);
+}
+
+/**
+ * Create a generator that chooses one of the values in an array or list. Its values shrink toward
+ * the values that come before them.
+ * @param {Array|List} as - The values to choose from
+ * @returns {Gen} A `Gen` of the values
+ * @kind function
+ * @example
+ * generate(elements([`rock`, `paper`, `scissors`]), 0, 42); // => paper
+ */
+export const elements = as => {
+  const arr = isList(as) ? fromListToArray(as) : as;
+  if (Array.isArray(arr) === false || arr.length === 0) { return error.typeError(as, elements); }
+  const shrink = a => arr.slice(0, arr.indexOf(a));
+  return new Gen(random => shrinkTree(arr[randomInt(random, 0, arr.length - 1)], shrink));
+}
+
+/**
+ * Create a generator that uses one of the given generators, chosen at random, to generate each
+ * value. The values do not shrink.
+ * @param {...Gen} gs - The generators to choose from
+ * @returns {Gen} A new `Gen`
+ * @kind function
+ * @example
+ * generate(oneOf(choose(1, 6), pure(choose(0, 0), 100)), 0, 1); // => 100
+ */
+export const oneOf = (...gs) => {
+  const g = gs.find(g => isGen(g) === false);
+  if (g !== undefined || gs.length === 0) { return error.typeError(g, oneOf); }
+  return new Gen((random, n) =>
+    shrinkTree(gs[randomInt(random, 0, gs.length - 1)].gen()(random, n)));
+}
+
+/**
+ * Create a generator of lists of values from another generator. The lists are no longer than the
+ * size they are generated at, and they shrink by removing elements and then by shrinking the
+ * remaining ones.
+ * @param {Gen} g - The generator of the elements of the lists
+ * @returns {Gen} A `Gen` of lists
+ * @kind function
+ * @example
+ * generate(listOf(choose(0, 9)), 5, 42); // => [4:8:6:[]]
+ */
+export const listOf = g => {
+  if (isGen(g) === false) { return error.typeError(g, listOf); }
+  const listTree = ts => ({
+    value: fromArrayToList(ts.map(t => t.value)),
+    shrinks: function* () {
+      for (const us of shrinkArray(ts, t => t.shrinks())) { yield listTree(us); }
+    }
+  });
+  return new Gen((random, n) => {
+    const ts = [];
+    for (let i = randomInt(random, 0, n); i > 0; i -= 1) { ts.push(g.sample()(random, n)); }
+    return listTree(ts);
+  });
+}
+
+/**
+ * Create a generator of `Maybe` values from another generator. About one in four of the values is
+ * `Nothing`, and the rest shrink first to `Nothing` and then by shrinking the values they contain.
+ * @param {Gen} g - The generator of the values in the `Just` values
+ * @returns {Gen} A `Gen` of `Maybe` values
+ * @kind function
+ * @example
+ * generate(maybeOf(choose(0, 9)), 0, 42); // => Just 4
+ */
+export const maybeOf = g => {
+  if (isGen(g) === false) { return error.typeError(g, maybeOf); }
+  const justTree = t => ({
+    value: just(t.value),
+    shrinks: function* () {
+      yield shrinkTree(Nothing);
+      for (const u of t.shrinks()) { yield justTree(u); }
+    }
+  });
+  return new Gen((random, n) =>
+    random() < 0.25 ? shrinkTree(Nothing) : justTree(g.sample()(random, n)));
+}
+
+/**
+ * Create a generator of tuples from two or more other generators, one for each value in the
+ * tuples. The tuples shrink by shrinking each of their values in turn.
+ * @param {...Gen} gs - The generators of the values in the tuples
+ * @returns {Gen} A `Gen` of tuples
+ * @kind function
+ * @example
+ * generate(tupleOf(choose(0, 9), elements([`a`, `b`])), 0, 42); // => (6,a)
+ */
+export const tupleOf = (...gs) => {
+  const g = gs.find(g => isGen(g) === false);
+  if (g !== undefined || gs.length < 2) { return error.typeError(g, tupleOf); }
+  const tupleTree = ts => ({
+    value: fromArrayToTuple(ts.map(t => t.value)),
+    shrinks: function* () {
+      for (let i = 0; i < ts.length; i += 1) {
+        for (const u of ts[i].shrinks()) {
+          yield tupleTree(ts.slice(0, i).concat([u], ts.slice(i + 1)));
+        }
+      }
+    }
+  });
+  return new Gen((random, n) => tupleTree(gs.map(g => g.sample()(random, n))));
+}
+
+/**
+ * Generate a value with a generator at a given size. The same seed always generates the same
+ * value, and if no seed is given, a random one is used.
+ * @param {Gen} g - The generator to use
+ * @param {number} n - The size of the value to generate
+ * @param {number} [seed] - The seed of the random numbers used to generate the value
+ * @returns {*} The generated value
+ * @kind function
+ * @example
+ * generate(listOf(choose(0, 9)), 5, 42); // => [4:8:6:[]]
+ * generate(listOf(choose(0, 9)), 5);     // => [3:9:1:[]]
+ */
+export const generate = (g, n, seed = newSeed()) => {
+  const generate_ = (g, n, seed = newSeed()) => {
+    if (isGen(g) === false) { return error.typeError(g, generate); }
+    if (Number.isInteger(n) === false || n < 0) { return error.typeError(n, generate); }
+    return g.gen()(random(seed), n);
+  }
+  return partial(generate_, g, n, seed);
+}
+
+/**
+ * Determine whether an object is a `Gen`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Gen` and `false` otherwise
+ * @kind function
+ */
+export const isGen = a => a instanceof Gen ? true : false;
+
+/**
+ * Create a property that states that a predicate holds for every value a generator can produce.
+ * The property does not hold for a value if the predicate returns `false` or throws an error for
+ * it, so the predicate may also be written with assertions. To test a predicate of more than one
+ * value, generate tuples of them with `tupleOf`.
+ * @param {Gen} g - The generator of the values to test
+ * @param {Function} f - The predicate to test them with
+ * @returns {Property} A new `Property`
+ * @kind function
+ * @example
+ * const p = forAll(listOf(choose(0, 9)), xs => length(reverse(xs)) === length(xs));
+ * property(p); // => true
+ */
+export const forAll = (g, f) => {
+  const forAll_ = (g, f) => {
+    if (isGen(g) === false) { return error.typeError(g, forAll); }
+    if (typeof f !== `function`) { return error.typeError(f, forAll); }
+    return new Property(g, f);
+  }
+  return partial(forAll_, g, f);
+}
+
+/**
+ * Test a predicate against a value, returning `true` if it holds and the reason it fails
+ * otherwise.
+ * @param {Function} f - The predicate
+ * @param {*} a - The value to test it against
+ * @returns {boolean|string} `true` or a description of the failure
+ * @private
+ */
+const holds = (f, a) => {
+  try {
+    return f(a) === false ? `predicate returned false` : true;
+  } catch (e) {
+    return e instanceof Error ? e.message : `${e}`;
+  }
+}
+
+/**
+ * The greatest number of times a counterexample is shrunk.
+ * @private
+ */
+const maxShrinks = 1000;
+
+/**
+ * Test a property against random values, throwing an error that describes a counterexample if it
+ * does not hold for one of them, which makes `property` suitable for running inside a test
+ * framework such as Mocha. A counterexample is shrunk, if its generator knows how, to the smallest
+ * value that still falsifies the property. The values are generated at sizes that grow from 0 up
+ * to the maximum size over the course of the tests, and their random numbers are seeded, so that
+ * testing a property with the same seed always generates the same values. The seed used is
+ * reported along with the counterexample, so a failure can be reproduced.
+ * @param {Property} p - The property to test
+ * @param {Object} [options] - Options for the test
+ * @param {number} [options.tests] - The number of values to test, 100 by default
+ * @param {number} [options.size] - The maximum size of the values, 100 by default
+ * @param {number} [options.seed] - The seed of the random numbers, a random one by default
+ * @returns {boolean} `true` if the property holds for every value tested
+ * @throws Throws an error describing the counterexample if the property does not hold.
+ * @kind function
+ * @example
+ * const p = forAll(listOf(choose(0, 9)), xs => length(xs) < 3);
+ * property(p, {seed: 42});
+ * // *** Error: Property falsified by '[0:0:0:[]]' after 5 tests, 4 shrinks (seed 42):
+ * // predicate returned false.
+ */
+export const property = (p, options = {}) => {
+  if (isProperty(p) === false) { return error.typeError(p, property); }
+  const {tests = 100, size = 100, seed = newSeed()} = options;
+  const rand = random(seed);
+  const g = p.gen();
+  const f = p.predicate();
+  for (let i = 0; i < tests; i += 1) {
+    let t = g.sample()(rand, Math.floor(i * size / tests));
+    let reason = holds(f, t.value);
+    if (reason !== true) {
+      let shrinks = 0;
+      for (let shrinking = true; shrinking && shrinks < maxShrinks;) {
+        shrinking = false;
+        for (const u of t.shrinks()) {
+          const result = holds(f, u.value);
+          if (result !== true) {
+            t = u;
+            reason = result;
+            shrinks += 1;
+            shrinking = true;
+            break;
+          }
+        }
+      }
+      return error.falsified(show(t.value), i + 1, shrinks, seed, reason);
+    }
+  }
+  return true;
+}
+
+/**
+ * Determine whether an object is a `Property`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Property` and `false` otherwise
+ * @kind function
+ */
+export const isProperty = a => a instanceof Property ? true : false;
@@ -0,0 +1,83 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * quickcheck/gen.js
+ *
+ * @file Gen data type.
+ * @license ISC
+ */
+
+/** @module quickcheck/gen */
+
+import {Type} from '../type';
+
+/**
+ * A `Gen` is a generator of random values for property-based testing, i.e. a function that takes
+ * a source of random numbers and a size and returns a value, with lists and strings, for example,
+ * growing longer as the size grows. A `Gen` may also know how to shrink the values it generates,
+ * returning smaller values of the same kind that a failing property can be tested against again in
+ * search of a minimal counterexample. Each value is generated along with a lazy tree of the values
+ * it shrinks to, so a generator built with `fmap` shrinks its values by mapping over the tree of
+ * the values they were mapped from. Generators built with `ap` or `flatMap` generate values that
+ * cannot be shrunk.
+ * @alias module:quickcheck.Gen
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Gen extends Type {
+  /**
+   * Create a new `Gen` from a function that generates values with the trees they shrink along.
+   * @param {Function} f - A function that takes a random number function and a size and returns a
+   * tree made by `shrinkTree`
+   * @private
+   */
+  constructor(f) {
+    super();
+    this.sample = () => f;
+    this.gen = () => (random, n) => f(random, n).value;
+  }
+  // Functor
+  static fmap(f, g) { return new Gen((random, n) => mapTree(f, g.sample()(random, n))); }
+  // Applicative
+  static pure(a) { return new Gen(() => shrinkTree(a)); }
+  static ap(f, g) {
+    return new Gen((random, n) => shrinkTree(f.gen()(random, n)(g.gen()(random, n))));
+  }
+  // Monad
+  static flatMap(g, f) {
+    return new Gen((random, n) => shrinkTree(f(g.gen()(random, n)).gen()(random, n)));
+  }
+  // Prototype
+  valueOf() { return `[Object Gen]`; }
+}
+
+/**
+ * Create the tree of the ways a value can be shrunk: an object with the value and a function that
+ * returns the trees of the smaller values that it shrinks to, which are only built when needed.
+ * @param {*} a - The value
+ * @param {Function} [s] - A function that returns an iterable of smaller values for a value
+ * @returns {Object} The tree of `a`
+ * @private
+ */
+export const shrinkTree = (a, s = () => []) => ({
+  value: a,
+  shrinks: function* () {
+    for (const b of s(a)) { yield shrinkTree(b, s); }
+  }
+});
+
+/**
+ * Map a function over the values in a shrink tree.
+ * @param {Function} f - The function to map
+ * @param {Object} t - The tree
+ * @returns {Object} A new tree
+ * @private
+ */
+const mapTree = (f, t) => ({
+  value: f(t.value),
+  shrinks: function* () {
+    for (const u of t.shrinks()) { yield mapTree(f, u); }
+  }
+});
@@ -0,0 +1,33 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * quickcheck/index.js
+ *
+ * Top level index for property-based testing.
+ */
+
+export {Gen} from './gen';
+
+export {Property} from './property';
+
+export {
+  sized,
+  choose,
+  elements,
+  oneOf,
+  listOf,
+  maybeOf,
+  tupleOf,
+  generate,
+  isGen,
+  forAll,
+  property,
+  isProperty
+} from './func';
+
+export {
+  Arbitrary,
+  arbitrary,
+  shrink
+} from './arbitrary';
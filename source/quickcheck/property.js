@@ -0,0 +1,38 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * quickcheck/property.js
+ *
+ * @file Property data type.
+ * @license ISC
+ */
+
+/** @module quickcheck/property */
+
+import {Type} from '../type';
+
+/**
+ * A `Property` is a statement about every value a generator can produce, i.e. a `Gen` together
+ * with a predicate that should hold for all of its values. It is created with `forAll` and tested
+ * against random values with `property`.
+ * @alias module:quickcheck.Property
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Property extends Type {
+  /**
+   * Create a new `Property`.
+   * @param {Gen} g - The generator of the values to test
+   * @param {Function} f - The predicate to test them with
+   * @private
+   */
+  constructor(g, f) {
+    super();
+    this.gen = () => g;
+    this.predicate = () => f;
+  }
+  // Prototype
+  valueOf() { return `[Object Property]`; }
+}
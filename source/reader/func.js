@@ -0,0 +1,98 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * reader/func.js
+ *
+ * @file Reader functions.
+ * @license ISC
+ */
+
+/** @module reader/func */
+
+import {
+  partial,
+  id
+} from '../base';
+
+import {Reader} from '../reader';
+
+import {error} from '../error';
+
+/**
+ * Embed a function of the environment into a `Reader`.
+ * <br>`Haskell> reader :: (r -> a) -> Reader r a`
+ * @param {Function} f - A function that takes an environment and returns a result
+ * @returns {Reader} A new `Reader` that applies `f` to the environment
+ * @kind function
+ * @example
+ * const greeting = reader(env => `Hello, ${env.name}`);
+ * runReader(greeting, {name: `Joyce`});                 // => Hello, Joyce
+ */
+export const reader = f => typeof f === `function` ? new Reader(f) : error.typeError(f, reader);
+
+/**
+ * Run a `Reader` with a given environment and return the result.
+ * <br>`Haskell> runReader :: Reader r a -> r -> a`
+ * @param {Reader} m - The `Reader` to run
+ * @param {*} r - The environment
+ * @returns {*} The result of running `m` in the environment `r`
+ * @kind function
+ * @example
+ * runReader(asks(env => env.port), {port: 8080}); // => 8080
+ */
+export const runReader = (m, r) => {
+  const runReader_ = (m, r) => isReader(m) ? m.reader()(r) : error.typeError(m, runReader);
+  return partial(runReader_, m, r);
+}
+
+/**
+ * A `Reader` that returns the environment itself.
+ * <br>`Haskell> ask :: Reader r r`
+ * @kind constant
+ * @example
+ * runReader(ask, 5); // => 5
+ */
+export const ask = new Reader(id);
+
+/**
+ * Return the result of applying a function to the environment. Typically used to select a single
+ * value from a larger environment.
+ * <br>`Haskell> asks :: (r -> a) -> Reader r a`
+ * @param {Function} f - The selector function
+ * @returns {Reader} A `Reader` whose result is `f` applied to the environment
+ * @kind function
+ * @example
+ * const env = {host: `localhost`, port: 8080};
+ * runReader(asks(env => env.host), env);      // => localhost
+ */
+export const asks = f => typeof f === `function` ? new Reader(f) : error.typeError(f, asks);
+
+/**
+ * Run a `Reader` in a modified version of the current environment. The modification only applies
+ * to the `Reader` passed in, not to any computations that follow it.
+ * <br>`Haskell> local :: (r -> r) -> Reader r a -> Reader r a`
+ * @param {Function} f - The function to apply to the environment
+ * @param {Reader} m - The `Reader` to run in the modified environment
+ * @returns {Reader} A `Reader` that runs `m` in the environment modified by `f`
+ * @kind function
+ * @example
+ * const depth = asks(n => n);
+ * runReader(local(n => n + 1, depth), 0); // => 1
+ */
+export const local = (f, m) => {
+  const local_ = (f, m) => {
+    if (typeof f !== `function`) { return error.typeError(f, local); }
+    if (isReader(m) === false) { return error.typeError(m, local); }
+    return new Reader(r => m.reader()(f(r)));
+  }
+  return partial(local_, f, m);
+}
+
+/**
+ * Determine whether an object is a `Reader`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Reader` and `false` otherwise
+ * @kind function
+ */
+export const isReader = a => a instanceof Reader ? true : false;
@@ -0,0 +1,19 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * reader/index.js
+ *
+ * Top level index for Reader data type.
+ */
+
+export {Reader} from './reader';
+
+export {
+  reader,
+  runReader,
+  ask,
+  asks,
+  local,
+  isReader
+} from './func';
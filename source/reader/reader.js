@@ -0,0 +1,42 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * reader/reader.js
+ *
+ * Reader data type.
+ * @license ISC
+ */
+
+import {Type} from '../type';
+
+/**
+ * A `Reader` represents a computation that reads values from a shared environment, i.e. a function
+ * of type `r -> a`. Chaining `Reader` values with `flatMap` passes the same environment to every
+ * computation in the chain, which is useful for threading configuration through a program without
+ * passing it to each function explicitly.
+ * @alias module:reader.Reader
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Reader extends Type {
+  /**
+   * Create a new `Reader` from a function of the environment.
+   * @param {Function} f - A function that takes an environment and returns a result
+   * @private
+   */
+  constructor(f) {
+    super();
+    this.reader = () => f;
+  }
+  // Functor
+  static fmap(f, m) { return new Reader(r => f(m.reader()(r))); }
+  // Applicative
+  static pure(a) { return new Reader(() => a); }
+  static ap(f, m) { return new Reader(r => f.reader()(r)(m.reader()(r))); }
+  // Monad
+  static flatMap(m, f) { return new Reader(r => f(m.reader()(r)).reader()(r)); }
+  // Prototype
+  valueOf() { return `[Object Reader]`; }
+}
@@ -0,0 +1,53 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * semigroup.js
+ *
+ * @file Semigroup type class.
+ * @license ISC
+ */
+
+/** @module semigroup */
+
+import {defines} from './type';
+
+import {mappend} from './monoid';
+
+import {
+  isNonEmpty,
+  neHead,
+  neTail
+} from './nonempty';
+
+import {foldl} from './list';
+
+import {error} from './error';
+
+/**
+ * A `Semigroup` is a type with an associative binary operation, `mappend`. Every monoid is a
+ * semigroup, but a semigroup need not have an "empty" value, so types such as `NonEmpty` lists,
+ * which have no empty value, are semigroups but not monoids. Semigroups must define a `mappend`
+ * method.
+ * @param {*} - Any object
+ * @returns {boolean} `true` if an object is an instance of `Semigroup` and `false` otherwise
+ * @kind function
+ */
+export const Semigroup = defines(`mappend`);
+
+/**
+ * Combine the values of a `NonEmpty` list of semigroups with `mappend`. Since the list cannot be
+ * empty, no "empty" value is needed to start from, as it would be for `mconcat`.
+ * <br>`Haskell> sconcat :: NonEmpty a -> a`
+ * @param {NonEmpty} ne - A `NonEmpty` list of semigroups
+ * @returns {Object} The result of combining the values of `ne`, from left to right
+ * @kind function
+ * @example
+ * const ne = neCons(neCons(1, emptyList), list(neCons(2, list(3))));
+ * sconcat(ne);                   // => 1 :| [2:3:[]]
+ * sconcat(neCons(list(1), list(list(2), list(3)))); // => [1:2:3:[]]
+ */
+export const sconcat = ne => {
+  if (isNonEmpty(ne) === false) { return error.typeError(ne, sconcat); }
+  return foldl(mappend, neHead(ne), neTail(ne));
+}
@@ -0,0 +1,291 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * seq/func.js
+ *
+ * @file Seq functions.
+ * @license ISC
+ */
+
+/** @module seq/func */
+
+import {partial} from '../base';
+
+import {Seq} from '../seq';
+
+import {
+  empty,
+  pushFront,
+  pushBack,
+  fromArray,
+  viewl,
+  viewr,
+  append,
+  split,
+  lookup,
+  update,
+  toArray
+} from './tree';
+
+import {typeCheck} from '../type';
+
+import {tuple} from '../tuple';
+
+import {
+  just,
+  Nothing
+} from '../maybe';
+
+import {
+  isList,
+  fromArrayToList,
+  fromListToArray
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * Determine whether a value may be put into a `Seq` with other values, i.e. whether the `Seq` is
+ * empty or the value has the same type as its first value.
+ * @param {*} a - The value
+ * @param {Seq} s - The `Seq`
+ * @returns {boolean} `true` if `a` may be added to `s` and `false` otherwise
+ * @private
+ */
+const fits = (a, s) => s.tree().size === 0 || typeCheck(a, lookup(0, s.tree()));
+
+/**
+ * The empty `Seq`.
+ * <br>`Haskell> empty :: Seq a`
+ * @kind constant
+ * @example
+ * emptySeq;                    // => <>
+ * seqLength(emptySeq);         // => 0
+ */
+export const emptySeq = new Seq(empty);
+
+/**
+ * Create a `Seq` with a single value.
+ * <br>`Haskell> singleton :: a -> Seq a`
+ * @param {*} a - The value
+ * @returns {Seq} A new `Seq` containing only `a`
+ * @kind function
+ * @example
+ * seqSingleton(1);             // => <1>
+ */
+export const seqSingleton = a => new Seq(pushFront(a, empty));
+
+/**
+ * Add a value to the front of a `Seq`, in amortized constant time.
+ * <br>`Haskell> (<|) :: a -> Seq a -> Seq a`
+ * @param {*} a - The value
+ * @param {Seq} s - The `Seq`
+ * @returns {Seq} A new `Seq` with `a` as its first value
+ * @kind function
+ * @example
+ * seqPushFront(0, fromListToSeq(list(1,2,3))); // => <0, 1, 2, 3>
+ */
+export const seqPushFront = (a, s) => {
+  const seqPushFront_ = (a, s) => {
+    if (isSeq(s) === false) { return error.typeError(s, seqPushFront); }
+    if (fits(a, s) === false) { return error.typeError(a, seqPushFront); }
+    return new Seq(pushFront(a, s.tree()));
+  }
+  return partial(seqPushFront_, a, s);
+}
+
+/**
+ * Add a value to the back of a `Seq`, in amortized constant time.
+ * <br>`Haskell> (|>) :: Seq a -> a -> Seq a`
+ * @param {Seq} s - The `Seq`
+ * @param {*} a - The value
+ * @returns {Seq} A new `Seq` with `a` as its last value
+ * @kind function
+ * @example
+ * seqPushBack(fromListToSeq(list(1,2,3)), 4); // => <1, 2, 3, 4>
+ */
+export const seqPushBack = (s, a) => {
+  const seqPushBack_ = (s, a) => {
+    if (isSeq(s) === false) { return error.typeError(s, seqPushBack); }
+    if (fits(a, s) === false) { return error.typeError(a, seqPushBack); }
+    return new Seq(pushBack(s.tree(), a));
+  }
+  return partial(seqPushBack_, s, a);
+}
+
+/**
+ * View a `Seq` from the left: take its first value and the rest of its values, in amortized
+ * constant time.
+ * <br>`Haskell> viewl :: Seq a -> ViewL a`
+ * @param {Seq} s - The `Seq`
+ * @returns {Maybe} A tuple of the first value of `s` and a `Seq` of the rest in a `Just`, or
+ * `Nothing` if `s` is empty
+ * @kind function
+ * @example
+ * seqViewl(fromListToSeq(list(1,2,3))); // => Just (1,<2, 3>)
+ * seqViewl(emptySeq);          // => Nothing
+ */
+export const seqViewl = s => {
+  if (isSeq(s) === false) { return error.typeError(s, seqViewl); }
+  const v = viewl(s.tree());
+  return v === undefined ? Nothing : just(tuple(v[0], new Seq(v[1])));
+}
+
+/**
+ * View a `Seq` from the right: take its last value and the rest of its values, in amortized
+ * constant time.
+ * <br>`Haskell> viewr :: Seq a -> ViewR a`
+ * @param {Seq} s - The `Seq`
+ * @returns {Maybe} A tuple of a `Seq` of all but the last value of `s` and the last value in a
+ * `Just`, or `Nothing` if `s` is empty
+ * @kind function
+ * @example
+ * seqViewr(fromListToSeq(list(1,2,3))); // => Just (<1, 2>,3)
+ * seqViewr(emptySeq);          // => Nothing
+ */
+export const seqViewr = s => {
+  if (isSeq(s) === false) { return error.typeError(s, seqViewr); }
+  const v = viewr(s.tree());
+  return v === undefined ? Nothing : just(tuple(new Seq(v[0]), v[1]));
+}
+
+/**
+ * Split a `Seq` at an index, in logarithmic time. The first `Seq` of the result has the values
+ * before the index and the second has the rest. An index less than 0 or beyond the end of the `Seq`
+ * puts all of its values on one side.
+ * <br>`Haskell> splitAt :: Int -> Seq a -> (Seq a, Seq a)`
+ * @param {number} n - The index
+ * @param {Seq} s - The `Seq`
+ * @returns {Tuple} A tuple of two `Seq` values
+ * @kind function
+ * @example
+ * const s = fromListToSeq(list(1,2,3,4,5));
+ * seqSplitAt(2, s);            // => (<1, 2>,<3, 4, 5>)
+ * seqSplitAt(9, s);            // => (<1, 2, 3, 4, 5>,<>)
+ */
+export const seqSplitAt = (n, s) => {
+  const seqSplitAt_ = (n, s) => {
+    if (isSeq(s) === false) { return error.typeError(s, seqSplitAt); }
+    const [l, r] = split(n, s.tree());
+    return tuple(new Seq(l), new Seq(r));
+  }
+  return partial(seqSplitAt_, n, s);
+}
+
+/**
+ * Return the value at an index of a `Seq`, starting at 0, in logarithmic time.
+ * <br>`Haskell> index :: Seq a -> Int -> a`
+ * @param {Seq} s - The `Seq` to index into
+ * @param {number} n - The index
+ * @returns {*} The value at the index
+ * @kind function
+ * @example
+ * const s = fromListToSeq(list(1,2,3,4,5));
+ * seqIndex(s, 3);              // => 4
+ */
+export const seqIndex = (s, n) => {
+  const seqIndex_ = (s, n) => {
+    if (isSeq(s) === false) { return error.typeError(s, seqIndex); }
+    if (n < 0 || n >= s.tree().size) { return error.rangeError(n, seqIndex); }
+    return lookup(n, s.tree());
+  }
+  return partial(seqIndex_, s, n);
+}
+
+/**
+ * Replace the value at an index of a `Seq`, in logarithmic time. If the index is out of range, the
+ * `Seq` is unchanged.
+ * <br>`Haskell> update :: Int -> a -> Seq a -> Seq a`
+ * @param {number} n - The index
+ * @param {*} a - The new value
+ * @param {Seq} s - The `Seq`
+ * @returns {Seq} A new `Seq` with `a` at index `n`
+ * @kind function
+ * @example
+ * const s = fromListToSeq(list(1,2,3));
+ * seqUpdate(1, 5, s);          // => <1, 5, 3>
+ * seqUpdate(7, 5, s);          // => <1, 2, 3>
+ */
+export const seqUpdate = (n, a, s) => {
+  const seqUpdate_ = (n, a, s) => {
+    if (isSeq(s) === false) { return error.typeError(s, seqUpdate); }
+    if (n < 0 || n >= s.tree().size) { return s; }
+    if (fits(a, s) === false) { return error.typeError(a, seqUpdate); }
+    return new Seq(update(n, a, s.tree()));
+  }
+  return partial(seqUpdate_, n, a, s);
+}
+
+/**
+ * Concatenate two sequences, in time logarithmic in the length of the shorter one. This is the
+ * `mappend` of the `Seq` monoid.
+ * <br>`Haskell> (><) :: Seq a -> Seq a -> Seq a`
+ * @param {Seq} s1 - The first `Seq`
+ * @param {Seq} s2 - The second `Seq`
+ * @returns {Seq} A new `Seq` of the values of `s1` followed by the values of `s2`
+ * @kind function
+ * @example
+ * seqConcat(fromListToSeq(list(1,2)), fromListToSeq(list(3,4))); // => <1, 2, 3, 4>
+ */
+export const seqConcat = (s1, s2) => {
+  const seqConcat_ = (s1, s2) => {
+    if (isSeq(s1) === false) { return error.typeError(s1, seqConcat); }
+    if (isSeq(s2) === false) { return error.typeError(s2, seqConcat); }
+    if (s2.tree().size > 0 && fits(lookup(0, s2.tree()), s1) === false) {
+      return error.typeError(s2, seqConcat);
+    }
+    return new Seq(append(s1.tree(), s2.tree()));
+  }
+  return partial(seqConcat_, s1, s2);
+}
+
+/**
+ * Return the number of values in a `Seq`, in constant time.
+ * <br>`Haskell> length :: Seq a -> Int`
+ * @param {Seq} s - The `Seq`
+ * @returns {number} The number of values in `s`
+ * @kind function
+ * @example
+ * seqLength(fromListToSeq(list(1,2,3))); // => 3
+ */
+export const seqLength = s => isSeq(s) ? s.tree().size : error.typeError(s, seqLength);
+
+/**
+ * Create a `Seq` from the values of a `List`.
+ * <br>`Haskell> fromList :: [a] -> Seq a`
+ * @param {List} xs - A `List`
+ * @returns {Seq} A new `Seq` of the values of `xs`, in order
+ * @kind function
+ * @example
+ * fromListToSeq(list(1,2,3));  // => <1, 2, 3>
+ */
+export const fromListToSeq = xs => {
+  if (isList(xs) === false) { return error.listError(xs, fromListToSeq); }
+  return new Seq(fromArray(fromListToArray(xs)));
+}
+
+/**
+ * Convert a `Seq` into a `List` of its values, in order.
+ * <br>`Haskell> toList :: Seq a -> [a]`
+ * @param {Seq} s - The `Seq`
+ * @returns {List} A `List` of the values of `s`
+ * @kind function
+ * @example
+ * fromSeqToList(fromListToSeq(list(1,2,3))); // => [1:2:3:[]]
+ */
+export const fromSeqToList = s => {
+  if (isSeq(s) === false) { return error.typeError(s, fromSeqToList); }
+  return fromArrayToList(toArray(s.tree()));
+}
+
+/**
+ * Determine whether an object is a `Seq`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Seq` and `false` otherwise
+ * @kind function
+ * @example
+ * isSeq(emptySeq);             // => true
+ * isSeq(list(1,2,3));          // => false
+ */
+export const isSeq = a => a instanceof Seq ? true : false;
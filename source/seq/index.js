@@ -0,0 +1,27 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * seq/index.js
+ *
+ * Top level index for Seq data type.
+ */
+
+export {Seq} from './seq';
+
+export {
+  emptySeq,
+  seqSingleton,
+  seqPushFront,
+  seqPushBack,
+  seqViewl,
+  seqViewr,
+  seqSplitAt,
+  seqIndex,
+  seqUpdate,
+  seqConcat,
+  seqLength,
+  fromListToSeq,
+  fromSeqToList,
+  isSeq
+} from './func';
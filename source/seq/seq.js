@@ -0,0 +1,116 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * seq/seq.js
+ *
+ * @file Seq data type.
+ * @license ISC
+ */
+
+/** @module seq/seq */
+
+import {isEq} from '../eq';
+
+import {
+  compare,
+  EQ,
+  GT,
+  LT
+} from '../ord';
+
+import {fmap} from '../functor';
+
+import {pure} from '../applicative';
+
+import {traverse} from '../traversable';
+
+import {
+  emptyList,
+  fromArrayToList,
+  fromListToArray
+} from '../list';
+
+import {
+  emptySeq,
+  seqConcat
+} from '../seq';
+
+import {
+  fromArray,
+  lookup,
+  map,
+  toArray,
+  viewl
+} from './tree';
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * A `Seq` is an immutable sequence of values. It is a 2-3 finger tree annotated with sizes, so that
+ * adding or removing a value at either end takes amortized constant time, while splitting,
+ * indexing, updating, and concatenating take logarithmic time. Sequences are also functors,
+ * foldable, traversable, and monoids under concatenation.
+ * @alias module:seq.Seq
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Seq extends Type {
+  /**
+   * Create a new `Seq` from a finger tree.
+   * @param {Object} t - The finger tree
+   * @private
+   */
+  constructor(t) {
+    super();
+    this.tree = () => t;
+  }
+  // Eq
+  static isEq(s1, s2) {
+    if (s1.tree().size !== s2.tree().size) { return false; }
+    const ys = toArray(s2.tree());
+    return toArray(s1.tree()).every((x, i) => isEq(x, ys[i]));
+  }
+  // Ord
+  static compare(s1, s2) {
+    const xs = toArray(s1.tree());
+    const ys = toArray(s2.tree());
+    for (let i = 0; i < xs.length && i < ys.length; i += 1) {
+      const ord = compare(xs[i], ys[i]);
+      if (ord !== EQ) { return ord; }
+    }
+    if (xs.length === ys.length) { return EQ; }
+    return xs.length < ys.length ? LT : GT;
+  }
+  // Monoid
+  static mempty() { return emptySeq; }
+  static mappend(s1, s2) { return seqConcat(s1, s2); }
+  // Foldable
+  static foldr(f, z, s) { return toArray(s.tree()).reduceRight((acc, x) => f(x, acc), z); }
+  // Traversable
+  static traverse(f, s, w) {
+    if (s.tree().size === 0) { return pure(w === undefined ? emptyList : w, s); }
+    const xs = traverse(f, fromArrayToList(toArray(s.tree())));
+    return fmap(xs => new Seq(fromArray(fromListToArray(xs))), xs);
+  }
+  // Functor
+  static fmap(f, s) { return new Seq(map(f, s.tree())); }
+  // Match
+  static tags() { return [`Empty`, `Cons`]; }
+  tag() { return this.tree().size === 0 ? `Empty` : `Cons`; }
+  fields() {
+    const v = viewl(this.tree());
+    return v === undefined ? [] : [v[0], new Seq(v[1])];
+  }
+  // Prototype
+  toString() { return `[Object Seq]`; }
+  typeOf() {
+    const t = this.tree();
+    return t.size === 0 ? `Seq` : `Seq ${type(lookup(0, t))}`;
+  }
+  valueOf() { return `<${toArray(this.tree()).map(x => `${x}`).join(`, `)}>`; }
+}
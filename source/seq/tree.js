@@ -0,0 +1,348 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * seq/tree.js
+ *
+ * @file Finger trees, the data structure behind the Seq data type.
+ * @license ISC
+ */
+
+/** @module seq/tree */
+
+/**
+ * A node of two or three values, or of two or three smaller nodes, which caches its size, i.e. the
+ * number of values it contains. The middle of a finger tree is a finger tree of nodes, the middle
+ * of that a finger tree of nodes of nodes, and so on.
+ * @private
+ */
+class Node {
+  constructor(items) {
+    this.items = items;
+    this.size = items.reduce((n, x) => n + size(x), 0);
+  }
+}
+
+/**
+ * Return the size of a value stored in a finger tree: the number of values it contains if it is a
+ * node, and 1 otherwise.
+ * @param {*} x - The value
+ * @returns {number} The size of `x`
+ * @private
+ */
+const size = x => x instanceof Node ? x.size : 1;
+
+/**
+ * Return the size of a digit, the array of one to four values at either end of a finger tree.
+ * @param {Array} xs - The digit
+ * @returns {number} The size of `xs`
+ * @private
+ */
+const digitSize = xs => xs.reduce((n, x) => n + size(x), 0);
+
+/**
+ * The empty finger tree.
+ * @private
+ */
+export const empty = {tag: `Empty`, size: 0};
+
+/**
+ * Create a finger tree with a single value.
+ * @param {*} x - The value
+ * @returns {Object} A finger tree of `x`
+ * @private
+ */
+const single = x => ({tag: `Single`, size: size(x), x});
+
+/**
+ * Create a finger tree from its prefix, middle, and suffix.
+ * @param {Array} pr - The prefix, of one to four values
+ * @param {Object} m - The middle, a finger tree of nodes
+ * @param {Array} sf - The suffix, of one to four values
+ * @returns {Object} A new finger tree
+ * @private
+ */
+const deep = (pr, m, sf) =>
+  ({tag: `Deep`, size: digitSize(pr) + m.size + digitSize(sf), pr, m, sf});
+
+/**
+ * Add a value to the front of a finger tree in amortized constant time.
+ * @param {*} a - The value
+ * @param {Object} t - The finger tree
+ * @returns {Object} A new finger tree with `a` at its front
+ * @private
+ */
+export const pushFront = (a, t) => {
+  if (t.tag === `Empty`) { return single(a); }
+  if (t.tag === `Single`) { return deep([a], empty, [t.x]); }
+  if (t.pr.length === 4) {
+    const [b, c, d, e] = t.pr;
+    return deep([a, b], pushFront(new Node([c, d, e]), t.m), t.sf);
+  }
+  return deep([a].concat(t.pr), t.m, t.sf);
+}
+
+/**
+ * Add a value to the back of a finger tree in amortized constant time.
+ * @param {Object} t - The finger tree
+ * @param {*} a - The value
+ * @returns {Object} A new finger tree with `a` at its back
+ * @private
+ */
+export const pushBack = (t, a) => {
+  if (t.tag === `Empty`) { return single(a); }
+  if (t.tag === `Single`) { return deep([t.x], empty, [a]); }
+  if (t.sf.length === 4) {
+    const [e, d, c, b] = t.sf;
+    return deep(t.pr, pushBack(t.m, new Node([e, d, c])), [b, a]);
+  }
+  return deep(t.pr, t.m, t.sf.concat([a]));
+}
+
+/**
+ * Create a finger tree from an array of values.
+ * @param {Array} xs - The values
+ * @returns {Object} A finger tree of `xs`, in order
+ * @private
+ */
+export const fromArray = xs => xs.reduce(pushBack, empty);
+
+/**
+ * Take the first value off a finger tree.
+ * @param {Object} t - The finger tree
+ * @returns {Array|undefined} The first value and the rest of the tree, or `undefined` if the tree
+ * is empty
+ * @private
+ */
+export const viewl = t => {
+  if (t.tag === `Empty`) { return undefined; }
+  if (t.tag === `Single`) { return [t.x, empty]; }
+  return [t.pr[0], deepL(t.pr.slice(1), t.m, t.sf)];
+}
+
+/**
+ * Take the last value off a finger tree.
+ * @param {Object} t - The finger tree
+ * @returns {Array|undefined} The rest of the tree and the last value, or `undefined` if the tree
+ * is empty
+ * @private
+ */
+export const viewr = t => {
+  if (t.tag === `Empty`) { return undefined; }
+  if (t.tag === `Single`) { return [empty, t.x]; }
+  return [deepR(t.pr, t.m, t.sf.slice(0, -1)), t.sf[t.sf.length - 1]];
+}
+
+/**
+ * Create a finger tree from a prefix that may be empty, borrowing a node from the middle if it is.
+ * @private
+ */
+const deepL = (pr, m, sf) => {
+  if (pr.length > 0) { return deep(pr, m, sf); }
+  const v = viewl(m);
+  return v === undefined ? fromArray(sf) : deep(v[0].items, v[1], sf);
+}
+
+/**
+ * Create a finger tree from a suffix that may be empty, borrowing a node from the middle if it is.
+ * @private
+ */
+const deepR = (pr, m, sf) => {
+  if (sf.length > 0) { return deep(pr, m, sf); }
+  const v = viewr(m);
+  return v === undefined ? fromArray(pr) : deep(pr, v[0], v[1].items);
+}
+
+/**
+ * Group an array of two or more values into nodes of two or three.
+ * @param {Array} xs - The values
+ * @returns {Array} The nodes
+ * @private
+ */
+const nodes = xs => {
+  if (xs.length <= 3) { return [new Node(xs)]; }
+  if (xs.length === 4) { return [new Node(xs.slice(0, 2)), new Node(xs.slice(2))]; }
+  return [new Node(xs.slice(0, 3))].concat(nodes(xs.slice(3)));
+}
+
+/**
+ * Concatenate two finger trees with an array of values between them, in time logarithmic in the
+ * size of the smaller tree.
+ * @param {Object} t1 - The first finger tree
+ * @param {Array} ts - The values to put between the trees
+ * @param {Object} t2 - The second finger tree
+ * @returns {Object} A new finger tree
+ * @private
+ */
+const app3 = (t1, ts, t2) => {
+  if (t1.tag === `Empty`) { return ts.reduceRight((t, x) => pushFront(x, t), t2); }
+  if (t2.tag === `Empty`) { return ts.reduce(pushBack, t1); }
+  if (t1.tag === `Single`) { return pushFront(t1.x, app3(empty, ts, t2)); }
+  if (t2.tag === `Single`) { return pushBack(app3(t1, ts, empty), t2.x); }
+  return deep(t1.pr, app3(t1.m, nodes(t1.sf.concat(ts, t2.pr)), t2.m), t2.sf);
+}
+
+/**
+ * Concatenate two finger trees.
+ * @param {Object} t1 - The first finger tree
+ * @param {Object} t2 - The second finger tree
+ * @returns {Object} A new finger tree of the values of `t1` followed by those of `t2`
+ * @private
+ */
+export const append = (t1, t2) => app3(t1, [], t2);
+
+/**
+ * Find the value of a digit that contains the value at an index, counting from the start of the
+ * digit.
+ * @param {number} i - The index
+ * @param {Array} xs - The digit
+ * @returns {Array} The position of the value in the digit, and the index counting from its start
+ * @private
+ */
+const findDigit = (i, xs) => {
+  let k = 0;
+  while (i >= size(xs[k])) {
+    i -= size(xs[k]);
+    k += 1;
+  }
+  return [k, i];
+}
+
+/**
+ * Split a non-empty finger tree around the value that contains the value at an index.
+ * @param {number} i - The index, which must be in range
+ * @param {Object} t - The finger tree
+ * @returns {Array} The tree before the value, the value, and the tree after it
+ * @private
+ */
+const splitTree = (i, t) => {
+  if (t.tag === `Single`) { return [empty, t.x, empty]; }
+  const spr = digitSize(t.pr);
+  if (i < spr) {
+    const [k] = findDigit(i, t.pr);
+    return [fromArray(t.pr.slice(0, k)), t.pr[k], deepL(t.pr.slice(k + 1), t.m, t.sf)];
+  }
+  if (i < spr + t.m.size) {
+    const [ml, n, mr] = splitTree(i - spr, t.m);
+    const [k] = findDigit(i - spr - ml.size, n.items);
+    const xs = n.items;
+    return [deepR(t.pr, ml, xs.slice(0, k)), xs[k], deepL(xs.slice(k + 1), mr, t.sf)];
+  }
+  const [k] = findDigit(i - spr - t.m.size, t.sf);
+  return [deepR(t.pr, t.m, t.sf.slice(0, k)), t.sf[k], fromArray(t.sf.slice(k + 1))];
+}
+
+/**
+ * Split a finger tree into the values before an index and the values from the index on.
+ * @param {number} i - The index
+ * @param {Object} t - The finger tree
+ * @returns {Array} Two finger trees
+ * @private
+ */
+export const split = (i, t) => {
+  if (i <= 0) { return [empty, t]; }
+  if (i >= t.size) { return [t, empty]; }
+  const [l, x, r] = splitTree(i, t);
+  return [l, pushFront(x, r)];
+}
+
+/**
+ * Apply a function to the value at an index of a finger tree, at any depth, along with the index
+ * counting from the start of that value.
+ * @param {Function} f - The function, `(i, x) => ...`, which must return a value of the same size
+ * @param {number} i - The index, which must be in range
+ * @param {Object} t - The finger tree
+ * @returns {Object} A new finger tree
+ * @private
+ */
+const adjust = (f, i, t) => {
+  if (t.tag === `Single`) { return single(f(i, t.x)); }
+  const spr = digitSize(t.pr);
+  if (i < spr) { return deep(adjustDigit(f, i, t.pr), t.m, t.sf); }
+  if (i < spr + t.m.size) {
+    const g = (j, n) => new Node(adjustDigit(f, j, n.items));
+    return deep(t.pr, adjust(g, i - spr, t.m), t.sf);
+  }
+  return deep(t.pr, t.m, adjustDigit(f, i - spr - t.m.size, t.sf));
+}
+
+/**
+ * Apply a function to the value of a digit that contains the value at an index.
+ * @private
+ */
+const adjustDigit = (f, i, xs) => {
+  const [k, j] = findDigit(i, xs);
+  return xs.slice(0, k).concat([f(j, xs[k])], xs.slice(k + 1));
+}
+
+/**
+ * Return the value at an index of a finger tree.
+ * @param {number} i - The index, which must be in range
+ * @param {Object} t - The finger tree
+ * @returns {*} The value at index `i`
+ * @private
+ */
+export const lookup = (i, t) => {
+  const go = (i, t) => {
+    if (t.tag === `Single`) { return [i, t.x]; }
+    const spr = digitSize(t.pr);
+    if (i < spr) { return inDigit(i, t.pr); }
+    if (i < spr + t.m.size) {
+      const [j, n] = go(i - spr, t.m);
+      return inDigit(j, n.items);
+    }
+    return inDigit(i - spr - t.m.size, t.sf);
+  }
+  const inDigit = (i, xs) => {
+    const [k, j] = findDigit(i, xs);
+    return [j, xs[k]];
+  }
+  return go(i, t)[1];
+}
+
+/**
+ * Replace the value at an index of a finger tree.
+ * @param {number} i - The index, which must be in range
+ * @param {*} a - The new value
+ * @param {Object} t - The finger tree
+ * @returns {Object} A new finger tree
+ * @private
+ */
+export const update = (i, a, t) => adjust(() => a, i, t);
+
+/**
+ * Apply a function to every value of a finger tree, keeping its shape.
+ * @param {Function} f - The function
+ * @param {Object} t - The finger tree
+ * @returns {Object} A new finger tree
+ * @private
+ */
+export const map = (f, t) => {
+  const g = x => x instanceof Node ? new Node(x.items.map(g)) : f(x);
+  const go = t => {
+    if (t.tag === `Empty`) { return t; }
+    if (t.tag === `Single`) { return single(g(t.x)); }
+    return deep(t.pr.map(g), go(t.m), t.sf.map(g));
+  }
+  return go(t);
+}
+
+/**
+ * Collect the values of a finger tree into an array, in order.
+ * @param {Object} t - The finger tree
+ * @returns {Array} The values of `t`
+ * @private
+ */
+export const toArray = t => {
+  const xs = [];
+  const add = x => x instanceof Node ? x.items.forEach(add) : xs.push(x);
+  const go = t => {
+    if (t.tag === `Empty`) { return; }
+    if (t.tag === `Single`) { return add(t.x); }
+    t.pr.forEach(add);
+    go(t.m);
+    t.sf.forEach(add);
+  }
+  go(t);
+  return xs;
+}
@@ -0,0 +1,327 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * set/func.js
+ *
+ * @file Set functions.
+ * @license ISC
+ */
+
+/** @module set/func */
+
+import {partial} from '../base';
+
+import {OrdSet} from '../set';
+
+import {
+  emptyMap,
+  mapInsert,
+  mapDelete,
+  mapMember,
+  mapUnion,
+  mapFoldrWithKey,
+  mapSize
+} from '../map';
+
+import {tuple} from '../tuple';
+
+import {
+  emptyList,
+  cons,
+  isList,
+  foldl
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * Collect the values of a `Set` into an array, in ascending order.
+ * @param {OrdSet} s - The `Set`
+ * @returns {Array} The values of `s`
+ * @private
+ */
+const values = s => {
+  const xs = [];
+  mapFoldrWithKey(k => xs.push(k), 0, s.map());
+  return xs.reverse();
+}
+
+/**
+ * Build a `Set` by inserting values, one at a time, into another `Set`.
+ * @param {Array} xs - The values to insert
+ * @param {OrdSet} s - The `Set` to insert them into
+ * @returns {OrdSet} A new `Set`
+ * @private
+ */
+const insertAll = (xs, s) => new OrdSet(xs.reduce((m, x) => mapInsert(x, x, m), s.map()));
+
+/**
+ * The empty `Set`.
+ * <br>`Haskell> empty :: Set a`
+ * @kind constant
+ * @example
+ * emptySet;                    // => {}
+ * setSize(emptySet);           // => 0
+ */
+export const emptySet = new OrdSet(emptyMap);
+
+/**
+ * Create a `Set` with a single value.
+ * <br>`Haskell> singleton :: a -> Set a`
+ * @param {*} a - The value
+ * @returns {OrdSet} A new `Set` containing only `a`
+ * @kind function
+ * @example
+ * setSingleton(1);             // => {1}
+ */
+export const setSingleton = a => insertAll([a], emptySet);
+
+/**
+ * Insert a value into a `Set`. If the value is already in the set, the set is unchanged. Values are
+ * compared with `compare`, so they must all be the same type.
+ * <br>`Haskell> insert :: Ord a => a -> Set a -> Set a`
+ * @param {*} a - The value
+ * @param {OrdSet} s - The `Set`
+ * @returns {OrdSet} A new `Set` containing `a`
+ * @kind function
+ * @example
+ * const s = fromListToSet(list(3,1,2));
+ * setInsert(5, s);             // => {1, 2, 3, 5}
+ * setInsert(2, s);             // => {1, 2, 3}
+ */
+export const setInsert = (a, s) => {
+  const setInsert_ = (a, s) => isSet(s) ? insertAll([a], s) : error.typeError(s, setInsert);
+  return partial(setInsert_, a, s);
+}
+
+/**
+ * Delete a value from a `Set`. If the value is not in the set, the set is unchanged.
+ * <br>`Haskell> delete :: Ord a => a -> Set a -> Set a`
+ * @param {*} a - The value
+ * @param {OrdSet} s - The `Set`
+ * @returns {OrdSet} A new `Set` without `a`
+ * @kind function
+ * @example
+ * const s = fromListToSet(list(3,1,2));
+ * setDelete(2, s);             // => {1, 3}
+ * setDelete(5, s);             // => {1, 2, 3}
+ */
+export const setDelete = (a, s) => {
+  const setDelete_ = (a, s) => {
+    return isSet(s) ? new OrdSet(mapDelete(a, s.map())) : error.typeError(s, setDelete);
+  }
+  return partial(setDelete_, a, s);
+}
+
+/**
+ * Determine whether a value is in a `Set`.
+ * <br>`Haskell> member :: Ord a => a -> Set a -> Bool`
+ * @param {*} a - The value
+ * @param {OrdSet} s - The `Set`
+ * @returns {boolean} `true` if `a` is in the set and `false` otherwise
+ * @kind function
+ * @example
+ * const s = fromListToSet(list(3,1,2));
+ * setMember(2, s);             // => true
+ * setMember(5, s);             // => false
+ */
+export const setMember = (a, s) => {
+  const setMember_ = (a, s) => isSet(s) ? mapMember(a, s.map()) : error.typeError(s, setMember);
+  return partial(setMember_, a, s);
+}
+
+/**
+ * Return the number of values in a `Set`.
+ * <br>`Haskell> size :: Set a -> Int`
+ * @param {OrdSet} s - The `Set`
+ * @returns {number} The number of values in `s`
+ * @kind function
+ * @example
+ * setSize(fromListToSet(list(3,1,2,3))); // => 3
+ */
+export const setSize = s => isSet(s) ? mapSize(s.map()) : error.typeError(s, setSize);
+
+/**
+ * Return the union of two sets, the set of the values that are in either of them. This is the
+ * `mappend` of the `Set` monoid.
+ * <br>`Haskell> union :: Ord a => Set a -> Set a -> Set a`
+ * @param {OrdSet} s1 - The first `Set`
+ * @param {OrdSet} s2 - The second `Set`
+ * @returns {OrdSet} A new `Set` with the values of both `s1` and `s2`
+ * @kind function
+ * @example
+ * setUnion(fromListToSet(list(1,2,3)), fromListToSet(list(3,4))); // => {1, 2, 3, 4}
+ */
+export const setUnion = (s1, s2) => {
+  const setUnion_ = (s1, s2) => {
+    if (isSet(s1) === false) { return error.typeError(s1, setUnion); }
+    if (isSet(s2) === false) { return error.typeError(s2, setUnion); }
+    return new OrdSet(mapUnion(s1.map(), s2.map()));
+  }
+  return partial(setUnion_, s1, s2);
+}
+
+/**
+ * Return the intersection of two sets, the set of the values that are in both of them.
+ * <br>`Haskell> intersection :: Ord a => Set a -> Set a -> Set a`
+ * @param {OrdSet} s1 - The first `Set`
+ * @param {OrdSet} s2 - The second `Set`
+ * @returns {OrdSet} A new `Set` with the values that are in both `s1` and `s2`
+ * @kind function
+ * @example
+ * setIntersection(fromListToSet(list(1,2,3)), fromListToSet(list(3,4))); // => {3}
+ */
+export const setIntersection = (s1, s2) => {
+  const setIntersection_ = (s1, s2) => {
+    if (isSet(s1) === false) { return error.typeError(s1, setIntersection); }
+    if (isSet(s2) === false) { return error.typeError(s2, setIntersection); }
+    const [xs, ys] = setSize(s1) <= setSize(s2) ? [s1, s2] : [s2, s1];
+    return insertAll(values(xs).filter(x => setMember(x, ys)), emptySet);
+  }
+  return partial(setIntersection_, s1, s2);
+}
+
+/**
+ * Return the difference of two sets, the set of the values of the first that are not in the second.
+ * <br>`Haskell> difference :: Ord a => Set a -> Set a -> Set a`
+ * @param {OrdSet} s1 - The first `Set`
+ * @param {OrdSet} s2 - The second `Set`
+ * @returns {OrdSet} A new `Set` with the values of `s1` that are not in `s2`
+ * @kind function
+ * @example
+ * setDifference(fromListToSet(list(1,2,3)), fromListToSet(list(3,4))); // => {1, 2}
+ */
+export const setDifference = (s1, s2) => {
+  const setDifference_ = (s1, s2) => {
+    if (isSet(s1) === false) { return error.typeError(s1, setDifference); }
+    if (isSet(s2) === false) { return error.typeError(s2, setDifference); }
+    return new OrdSet(values(s2).reduce((m, x) => mapDelete(x, m), s1.map()));
+  }
+  return partial(setDifference_, s1, s2);
+}
+
+/**
+ * Determine whether every value of the first set is also in the second.
+ * <br>`Haskell> isSubsetOf :: Ord a => Set a -> Set a -> Bool`
+ * @param {OrdSet} s1 - The first `Set`
+ * @param {OrdSet} s2 - The second `Set`
+ * @returns {boolean} `true` if `s1` is a subset of `s2` and `false` otherwise
+ * @kind function
+ * @example
+ * isSubsetOf(fromListToSet(list(1,3)), fromListToSet(list(1,2,3))); // => true
+ * isSubsetOf(fromListToSet(list(1,4)), fromListToSet(list(1,2,3))); // => false
+ */
+export const isSubsetOf = (s1, s2) => {
+  const isSubsetOf_ = (s1, s2) => {
+    if (isSet(s1) === false) { return error.typeError(s1, isSubsetOf); }
+    if (isSet(s2) === false) { return error.typeError(s2, isSubsetOf); }
+    return setSize(s1) <= setSize(s2) && values(s1).every(x => setMember(x, s2));
+  }
+  return partial(isSubsetOf_, s1, s2);
+}
+
+/**
+ * Map a function over the values of a `Set`. The result may be smaller than the original set, if
+ * the function returns the same value for more than one of its values.
+ * <br>`Haskell> map :: Ord b => (a -> b) -> Set a -> Set b`
+ * @param {Function} f - The function to map
+ * @param {OrdSet} s - The `Set`
+ * @returns {OrdSet} A new `Set` of the results of applying `f` to each value of `s`
+ * @kind function
+ * @example
+ * setMap(x => x % 3, fromListToSet(list(1,2,3,4))); // => {0, 1, 2}
+ */
+export const setMap = (f, s) => {
+  const setMap_ = (f, s) => {
+    if (typeof f !== `function`) { return error.typeError(f, setMap); }
+    if (isSet(s) === false) { return error.typeError(s, setMap); }
+    return insertAll(values(s).map(x => f(x)), emptySet);
+  }
+  return partial(setMap_, f, s);
+}
+
+/**
+ * Return the set of the values of a `Set` that satisfy a predicate.
+ * <br>`Haskell> filter :: (a -> Bool) -> Set a -> Set a`
+ * @param {Function} p - The predicate
+ * @param {OrdSet} s - The `Set`
+ * @returns {OrdSet} A new `Set` of the values of `s` for which `p` returns `true`
+ * @kind function
+ * @example
+ * setFilter(even, fromListToSet(list(1,2,3,4))); // => {2, 4}
+ */
+export const setFilter = (p, s) => {
+  const setFilter_ = (p, s) => {
+    if (typeof p !== `function`) { return error.typeError(p, setFilter); }
+    if (isSet(s) === false) { return error.typeError(s, setFilter); }
+    return values(s).reduce((acc, x) => {
+      const test = p(x);
+      if (test === true) { return acc; }
+      if (test === false) { return new OrdSet(mapDelete(x, acc.map())); }
+      return error.returnError(p, setFilter);
+    }, s);
+  }
+  return partial(setFilter_, p, s);
+}
+
+/**
+ * Split a `Set` into the set of its values that satisfy a predicate and the set of those that do
+ * not.
+ * <br>`Haskell> partition :: (a -> Bool) -> Set a -> (Set a, Set a)`
+ * @param {Function} p - The predicate
+ * @param {OrdSet} s - The `Set`
+ * @returns {Tuple} A `Tuple` of the values of `s` for which `p` returns `true` and those for which
+ * it returns `false`
+ * @kind function
+ * @example
+ * setPartition(even, fromListToSet(list(1,2,3,4))); // => ({2, 4},{1, 3})
+ */
+export const setPartition = (p, s) => {
+  const setPartition_ = (p, s) => {
+    if (typeof p !== `function`) { return error.typeError(p, setPartition); }
+    if (isSet(s) === false) { return error.typeError(s, setPartition); }
+    const yes = setFilter(p, s);
+    return tuple(yes, setDifference(s, yes));
+  }
+  return partial(setPartition_, p, s);
+}
+
+/**
+ * Create a `Set` from the values of a `List`, dropping any duplicates.
+ * <br>`Haskell> fromList :: Ord a => [a] -> Set a`
+ * @param {List} xs - A `List`
+ * @returns {OrdSet} A new `Set` of the values of `xs`
+ * @kind function
+ * @example
+ * fromListToSet(list(3,1,2,3,1)); // => {1, 2, 3}
+ */
+export const fromListToSet = xs => {
+  if (isList(xs) === false) { return error.listError(xs, fromListToSet); }
+  return new OrdSet(foldl((m, x) => mapInsert(x, x, m), emptyMap, xs));
+}
+
+/**
+ * Convert a `Set` into a `List` of its values, in ascending order.
+ * <br>`Haskell> toList :: Set a -> [a]`
+ * @param {OrdSet} s - The `Set`
+ * @returns {List} A `List` of the values of `s`
+ * @kind function
+ * @example
+ * fromSetToList(fromListToSet(list(3,1,2,3,1))); // => [1:2:3:[]]
+ */
+export const fromSetToList = s => {
+  if (isSet(s) === false) { return error.typeError(s, fromSetToList); }
+  return mapFoldrWithKey((k, v, xs) => cons(k, xs), emptyList, s.map());
+}
+
+/**
+ * Determine whether an object is a `Set`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Set` and `false` otherwise
+ * @kind function
+ * @example
+ * isSet(emptySet);             // => true
+ * isSet(list(1,2,3));          // => false
+ */
+export const isSet = a => a instanceof OrdSet ? true : false;
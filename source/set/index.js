@@ -0,0 +1,29 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * set/index.js
+ *
+ * Top level index for Set data type.
+ */
+
+export {OrdSet} from './set';
+
+export {
+  emptySet,
+  setSingleton,
+  setInsert,
+  setDelete,
+  setMember,
+  setSize,
+  setUnion,
+  setIntersection,
+  setDifference,
+  isSubsetOf,
+  setMap,
+  setFilter,
+  setPartition,
+  fromListToSet,
+  fromSetToList,
+  isSet
+} from './func';
@@ -0,0 +1,72 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * set/set.js
+ *
+ * @file Set data type.
+ * @license ISC
+ */
+
+/** @module set/set */
+
+import {isEq} from '../eq';
+
+import {compare} from '../ord';
+
+import {foldr} from '../foldable';
+
+import {
+  emptySet,
+  setUnion
+} from '../set';
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * A `Set` is an immutable collection of distinct values, ordered by `compare`. It is a `Map` from
+ * each of its values to itself, so that it shares the balanced binary search tree of a `Map` and
+ * finding, inserting, and deleting a value all take logarithmic time. Since a `Set` must be able to
+ * compare the values it contains, it is not a `Functor`, but use `setMap` to map over its values.
+ * @alias module:set.OrdSet
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class OrdSet extends Type {
+  /**
+   * Create a new `Set` from a `Map` whose keys and values are the same.
+   * @param {OrdMap} m - The `Map`
+   * @private
+   */
+  constructor(m) {
+    super();
+    this.map = () => m;
+  }
+  // Eq
+  static isEq(s1, s2) { return isEq(s1.map(), s2.map()); }
+  // Ord
+  static compare(s1, s2) { return compare(s1.map(), s2.map()); }
+  // Monoid
+  static mempty() { return emptySet; }
+  static mappend(s1, s2) { return setUnion(s1, s2); }
+  // Foldable
+  static foldr(f, z, s) { return foldr(f, z, s.map()); }
+  // Match
+  static tags() { return [`Empty`, `Cons`]; }
+  tag() { return this.map().tag(); }
+  fields() {
+    const [x, , m] = this.map().fields();
+    return m === undefined ? [] : [x, new OrdSet(m)];
+  }
+  // Prototype
+  toString() { return `[Object Set]`; }
+  typeOf() { return this.map().size() === 0 ? `Set` : `Set ${type(this.map().key())}`; }
+  valueOf() {
+    const xs = foldr((x, acc) => acc.concat(`${x}`), [], this.map());
+    return `{${xs.reverse().join(`, `)}}`;
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * state/func.js
+ *
+ * @file State functions.
+ * @license ISC
+ */
+
+/** @module state/func */
+
+import {partial} from '../base';
+
+import {State} from '../state';
+
+import {
+  unit,
+  tuple,
+  fst,
+  snd
+} from '../tuple';
+
+import {error} from '../error';
+
+/**
+ * Embed a simple state action into a `State`. The function takes the current state and should
+ * return a `Tuple` of a result and the new state.
+ * <br>`Haskell> state :: (s -> (a, s)) -> State s a`
+ * @param {Function} f - A state transition function, `s -> (a, s)`
+ * @returns {State} A new `State` that performs the action described by `f`
+ * @kind function
+ * @example
+ * const pop = state(xs => tuple(head(xs), tail(xs)));
+ * runState(pop, list(1,2,3));                         // => (1,[2:3:[]])
+ */
+export const state = f => typeof f === `function` ? new State(f) : error.typeError(f, state);
+
+/**
+ * Unwrap a `State` and run it with an initial state, returning a `Tuple` of the final result and
+ * the final state. Throws an error if the `State` is run with an `undefined` state.
+ * <br>`Haskell> runState :: State s a -> s -> (a, s)`
+ * @param {State} m - The `State` to run
+ * @param {*} s - The initial state
+ * @returns {Tuple} A `Tuple` of the result and the final state
+ * @kind function
+ * @example
+ * const counter = Do(get).flatMap(n => put(n + 1)).chain(gets(n => n * 10));
+ * runState(counter.m(), 1);                                                 // => (20,2)
+ */
+export const runState = (m, s) => {
+  const runState_ = (m, s) => {
+    if (isState(m) === false) { return error.typeError(m, runState); }
+    return s === undefined ? error.typeError(s, runState) : m.state()(s);
+  }
+  return partial(runState_, m, s);
+}
+
+/**
+ * Run a `State` with an initial state and return the final result, discarding the final state.
+ * <br>`Haskell> evalState :: State s a -> s -> a`
+ * @param {State} m - The `State` to run
+ * @param {*} s - The initial state
+ * @returns {*} The final result
+ * @kind function
+ * @example
+ * evalState(gets(n => n * 10), 2); // => 20
+ */
+export const evalState = (m, s) => {
+  const evalState_ = (m, s) => fst(runState(m)(s));
+  return partial(evalState_, m, s);
+}
+
+/**
+ * Run a `State` with an initial state and return the final state, discarding the final result.
+ * <br>`Haskell> execState :: State s a -> s -> s`
+ * @param {State} m - The `State` to run
+ * @param {*} s - The initial state
+ * @returns {*} The final state
+ * @kind function
+ * @example
+ * execState(modify(n => n + 1), 2); // => 3
+ */
+export const execState = (m, s) => {
+  const execState_ = (m, s) => snd(runState(m)(s));
+  return partial(execState_, m, s);
+}
+
+/**
+ * A `State` that returns the current state as its result, leaving the state unchanged.
+ * <br>`Haskell> get :: State s s`
+ * @kind constant
+ * @example
+ * runState(get, 5); // => (5,5)
+ */
+export const get = new State(s => tuple(s, s));
+
+/**
+ * Replace the state with a new value. The result is `unit`.
+ * <br>`Haskell> put :: s -> State s ()`
+ * @param {*} s - The new state
+ * @returns {State} A `State` that sets the state to `s`
+ * @kind function
+ * @example
+ * execState(put(10), 5); // => 10
+ */
+export const put = s => new State(() => tuple(unit, s));
+
+/**
+ * Update the state by applying a function to it. The result is `unit`.
+ * <br>`Haskell> modify :: (s -> s) -> State s ()`
+ * @param {Function} f - The function to apply to the state
+ * @returns {State} A `State` that applies `f` to the state
+ * @kind function
+ * @example
+ * execState(modify(n => n * 2), 5); // => 10
+ */
+export const modify = f =>
+  typeof f === `function` ? new State(s => tuple(unit, f(s))) : error.typeError(f, modify);
+
+/**
+ * Return the result of applying a function to the current state, leaving the state unchanged.
+ * <br>`Haskell> gets :: (s -> a) -> State s a`
+ * @param {Function} f - The function to apply to the state
+ * @returns {State} A `State` whose result is `f` applied to the state
+ * @kind function
+ * @example
+ * runState(gets(n => n * 2), 5); // => (10,5)
+ */
+export const gets = f =>
+  typeof f === `function` ? new State(s => tuple(f(s), s)) : error.typeError(f, gets);
+
+/**
+ * Determine whether an object is a `State`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `State` and `false` otherwise
+ * @kind function
+ */
+export const isState = a => a instanceof State ? true : false;
@@ -0,0 +1,22 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * state/index.js
+ *
+ * Top level index for State data type.
+ */
+
+export {State} from './state';
+
+export {
+  state,
+  runState,
+  evalState,
+  execState,
+  get,
+  put,
+  modify,
+  gets,
+  isState
+} from './func';
@@ -0,0 +1,77 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * state/state.js
+ *
+ * State data type.
+ * @license ISC
+ */
+
+import {
+  unit,
+  tuple,
+  fst,
+  snd
+} from '../tuple';
+
+import {Type} from '../type';
+
+/**
+ * A `State` represents a stateful computation: a function that takes a state and returns a result
+ * paired with a new state, i.e. `s -> (a, s)`. Chaining `State` values with `flatMap` threads the
+ * state from each computation into the next, so that code which would otherwise need to pass an
+ * updated state along by hand can be written as a sequence of actions instead. A `State` built by
+ * `flatMap` only records the computation and the function it is bound to, and running it steps
+ * through the chain in a loop, so that long chains of either nesting do not overflow the stack.
+ * @alias module:state.State
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class State extends Type {
+  /**
+   * Create a new `State` from a state transition function, or from a `State` and a function to bind
+   * its result to.
+   * @param {Function|State} f - A function that takes a state and returns a `Tuple` of a result and
+   * a new state, or the `State` to run first
+   * @param {Function} [k] - A function that takes the result of `f` and returns the `State` to run
+   * next
+   * @private
+   */
+  constructor(f, k) {
+    super();
+    this.action = () => f;
+    this.cont = () => k;
+    this.state = () => k === undefined ? f : s => run(this, s);
+  }
+  // Functor
+  static fmap(f, m) { return State.flatMap(m, a => State.pure(f(a))); }
+  // Applicative
+  static pure(a) { return new State(s => tuple(a, s)); }
+  static ap(f, m) { return State.flatMap(f, g => State.fmap(g, m)); }
+  // Monad
+  static flatMap(m, f) { return new State(m, f); }
+  // Prototype
+  valueOf() { return `[Object State]`; }
+}
+
+/**
+ * Run a `State` with an initial state. The functions that the computations of the chain are bound
+ * to are kept on a stack instead of the call stack, and each result is passed to the function on
+ * top of it until none are left.
+ * @param {State} m - The `State` to run
+ * @param {*} s - The initial state
+ * @returns {Tuple} A `Tuple` of the result and the final state
+ * @private
+ */
+const run = (m, s) => {
+  const ks = [() => m];
+  let p = tuple(unit, s);
+  while (ks.length > 0) {
+    let n = ks.pop()(fst(p));
+    for (; n.cont() !== undefined; n = n.action()) { ks.push(n.cont()); }
+    p = n.action()(snd(p));
+  }
+  return p;
+}
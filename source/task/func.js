@@ -0,0 +1,114 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * task/func.js
+ *
+ * @file Task functions.
+ * @license ISC
+ */
+
+/** @module task/func */
+
+import {partial} from '../base';
+
+import {Task} from '../task';
+
+import {unit} from '../tuple';
+
+import {error} from '../error';
+
+/**
+ * Create a `Task` from an asynchronous computation. The computation is a function that takes a
+ * `reject` callback and a `resolve` callback and should call exactly one of them, once, when it
+ * finishes. It is not called until the `Task` is run.
+ * @param {Function} f - The computation, `(reject, resolve) => ...`
+ * @returns {Task} A new `Task` that performs the computation described by `f`
+ * @kind function
+ * @example
+ * const wait = ms => task((reject, resolve) => setTimeout(() => resolve(ms), ms));
+ * fork(fmap(x => x * 2, wait(10)), console.error, console.log); // 20
+ */
+export const task = f => typeof f === `function` ? new Task(f) : error.typeError(f, task);
+
+/**
+ * Create a `Task` from a `Promise`. Since a `Promise` is already running by the time it is created,
+ * pass a function that returns a `Promise` instead to keep the `Task` lazy, so that the work is
+ * only started, and started again, whenever the `Task` is run. If the function throws, the `Task`
+ * rejects with the error. An error thrown by the callbacks the `Task` is run with is not a failure
+ * of the `Promise`, so it is caught rather than left to surface as an unhandled rejection.
+ * @param {Promise|Function} p - A `Promise`, or a function that returns a `Promise`
+ * @returns {Task} A `Task` that resolves or rejects when the `Promise` does
+ * @kind function
+ * @example
+ * const fetchLike = id => fromPromise(() => Promise.resolve(`item ${id}`));
+ * toPromise(traverse(fetchLike, list(1,2))).then(print); // [item 1:item 2:[]]
+ */
+export const fromPromise = p => {
+  if (typeof p !== `function` && p instanceof Promise === false) {
+    return error.typeError(p, fromPromise);
+  }
+  return new Task((reject, resolve) => {
+    let q;
+    try {
+      q = Promise.resolve(typeof p === `function` ? p() : p);
+    } catch (e) {
+      return reject(e);
+    }
+    q.then(resolve, reject).catch(() => unit);
+  });
+}
+
+/**
+ * Create a `Task` that fails with an error without doing anything else.
+ * @param {*} e - The error
+ * @returns {Task} A `Task` that rejects with `e`
+ * @kind function
+ * @example
+ * fork(fmap(x => x * 2, rejected(`failed`)), console.error, console.log); // failed
+ */
+export const rejected = e => new Task(reject => reject(e));
+
+/**
+ * Run a `Task`, calling `reject` with its error if it fails or `resolve` with its result if it
+ * succeeds.
+ * @param {Task} t - The `Task` to run
+ * @param {Function} reject - The function to call if the `Task` fails
+ * @param {Function} resolve - The function to call if the `Task` succeeds
+ * @returns {Tuple} `unit`
+ * @kind function
+ * @example
+ * const one = task((reject, resolve) => resolve(1));
+ * fork(flatMap(one, x => inject(one, x + 1)), console.error, console.log); // 2
+ */
+export const fork = (t, reject, resolve) => {
+  const fork_ = (t, reject, resolve) => {
+    if (isTask(t) === false) { return error.typeError(t, fork); }
+    if (typeof reject !== `function`) { return error.typeError(reject, fork); }
+    if (typeof resolve !== `function`) { return error.typeError(resolve, fork); }
+    t.task()(reject, resolve);
+    return unit;
+  }
+  return partial(fork_, t, reject, resolve);
+}
+
+/**
+ * Run a `Task` and return a `Promise` of its result.
+ * @param {Task} t - The `Task` to run
+ * @returns {Promise} A `Promise` that resolves or rejects when the `Task` does
+ * @kind function
+ * @example
+ * const wait = ms => task((reject, resolve) => setTimeout(() => resolve(ms), ms));
+ * toPromise(ap(fmap(x => y => x + y, wait(20)), wait(10))).then(print);         // 30
+ */
+export const toPromise = t =>
+  isTask(t) ? new Promise((resolve, reject) => t.task()(reject, resolve)) :
+  error.typeError(t, toPromise);
+
+/**
+ * Determine whether an object is a `Task`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Task` and `false` otherwise
+ * @kind function
+ */
+export const isTask = a => a instanceof Task ? true : false;
@@ -0,0 +1,19 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * task/index.js
+ *
+ * Top level index for Task data type.
+ */
+
+export {Task} from './task';
+
+export {
+  task,
+  fromPromise,
+  rejected,
+  fork,
+  toPromise,
+  isTask
+} from './func';
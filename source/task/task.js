@@ -0,0 +1,90 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * task/task.js
+ *
+ * @file Task data type.
+ * @license ISC
+ */
+
+/** @module task/task */
+
+import {Type} from '../type';
+
+/**
+ * A `Task` represents an asynchronous computation that either fails with an error or succeeds with
+ * a value, i.e. a function that takes a `reject` callback and a `resolve` callback and eventually
+ * calls one of them. Unlike a `Promise`, a `Task` is lazy: nothing happens until it is run with
+ * `fork` or `toPromise`, and running it again performs the computation again. Chaining `Task`
+ * values with `flatMap` runs them one after the other, while `ap` runs both of its arguments at the
+ * same time.
+ * @alias module:task.Task
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Task extends Type {
+  /**
+   * Create a new `Task` from an asynchronous computation.
+   * @param {Function} f - A function that takes a `reject` and a `resolve` callback
+   * @private
+   */
+  constructor(f) {
+    super();
+    this.task = () => f;
+  }
+  // Functor
+  static fmap(f, t) {
+    return new Task((reject, resolve) => t.task()(reject, attempt(f, reject, resolve)));
+  }
+  // Applicative
+  static pure(a) { return new Task((reject, resolve) => resolve(a)); }
+  static ap(f, t) {
+    return new Task((reject, resolve) => {
+      const results = [];
+      let pending = 2;
+      let failed = false;
+      const fail = e => {
+        if (failed) { return; }
+        failed = true;
+        reject(e);
+      }
+      const settle = i => a => {
+        if (failed) { return; }
+        results[i] = a;
+        pending -= 1;
+        if (pending === 0) { attempt(results[0], reject, resolve)(results[1]); }
+      }
+      f.task()(fail, settle(0));
+      t.task()(fail, settle(1));
+    });
+  }
+  // Monad
+  static flatMap(t, f) {
+    return new Task((reject, resolve) =>
+      t.task()(reject, attempt(f, reject, n => n.task()(reject, resolve))));
+  }
+  // Prototype
+  valueOf() { return `[Object Task]`; }
+}
+
+/**
+ * Create a callback that applies a function to the result of a `Task` and passes the return value
+ * on, or rejects with the error instead if the function throws one. Only the function is guarded,
+ * so an error thrown by the callback that receives the value is not mistaken for a failure.
+ * @param {Function} f - The function to apply
+ * @param {Function} reject - The callback for failure
+ * @param {Function} next - The callback that receives the return value of `f`
+ * @returns {Function} The new callback
+ * @private
+ */
+const attempt = (f, reject, next) => a => {
+  let b;
+  try {
+    b = f(a);
+  } catch (e) {
+    return reject(e);
+  }
+  return next(b);
+}
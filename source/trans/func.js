@@ -0,0 +1,412 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * trans/func.js
+ *
+ * @file Monad transformer functions.
+ * @license ISC
+ */
+
+/** @module trans/func */
+
+import {partial} from '../base';
+
+import {fmap} from '../functor';
+
+import {Monad} from '../monad';
+
+import {isMaybe} from '../maybe';
+
+import {
+  left,
+  either,
+  isEither
+} from '../either';
+
+import {
+  unit,
+  tuple,
+  fst,
+  snd
+} from '../tuple';
+
+import {
+  MaybeT,
+  ExceptT,
+  StateT,
+  ReaderT,
+  pending,
+  bindInner,
+  runInner
+} from '../trans';
+
+import {error} from '../error';
+
+/**
+ * Lift an action in an inner monad into a monad transformer, so that it may be chained with the
+ * other actions of the transformer. Lifting an action more than once lifts it through a stack of
+ * transformers.
+ * <br>`Haskell> lift :: (MonadTrans t, Monad m) => m a -> t m a`
+ * @param {Function} t - The transformer to lift into: `MaybeT`, `ExceptT`, `StateT`, or `ReaderT`
+ * @param {Object} m - A monad
+ * @returns {Object} The action `m` lifted into the transformer `t`
+ * @kind function
+ * @example
+ * const m = flatMap(lift(StateT, getLine), s => putT(s.length));
+ * runIO(runStateT(m, 0), {stdin: `hello`}); // => ((),5)
+ */
+export const lift = (t, m) => {
+  const lift_ = (t, m) => {
+    if (typeof t !== `function` || typeof t.lift !== `function`) {
+      return error.typeError(t, lift);
+    }
+    if (Monad(m) === false) { return error.typeError(m, lift); }
+    return t.lift(m);
+  }
+  return partial(lift_, t, m);
+}
+
+/**
+ * Wrap an inner monad of `Maybe` values in a `MaybeT`.
+ * <br>`Haskell> MaybeT :: m (Maybe a) -> MaybeT m a`
+ * @param {Object} m - A monad that returns a `Maybe`
+ * @returns {MaybeT} A new `MaybeT`
+ * @kind function
+ * @example
+ * const m = maybeT(list(just(1), Nothing));
+ * runMaybeT(fmap(x => x * 2, m));           // => [Just 2:Nothing:[]]
+ */
+export const maybeT = m => Monad(m) ? new MaybeT(m) : error.typeError(m, maybeT);
+
+/**
+ * Unwrap a `MaybeT`, returning its inner monad of `Maybe` values. If the `MaybeT` never performs an
+ * action in its inner monad, the inner monad cannot be known, so an example of it must be given as
+ * well, in the same way as for `pure`. Otherwise, this function throws an error.
+ * <br>`Haskell> runMaybeT :: MaybeT m a -> m (Maybe a)`
+ * @param {MaybeT} m - The `MaybeT` to run
+ * @param {Object} [w] - Any value of the inner monad
+ * @returns {Object} The inner monad
+ * @kind function
+ * @example
+ * const nonEmpty = s => hoistMaybe(s === `` ? Nothing : just(s));
+ * const m = flatMap(lift(MaybeT, getLine), nonEmpty);
+ * runIO(runMaybeT(m), {stdin: `hello`});                 // => Just hello
+ * runIO(runMaybeT(m), {stdin: `\n`});                    // => Nothing
+ * runMaybeT(hoistMaybe(just(1)), list());                 // => [Just 1:[]]
+ */
+export const runMaybeT = (m, w) =>
+  isMaybeT(m) ? runInner(m.maybeT(), w, runMaybeT) : error.typeError(m, runMaybeT);
+
+/**
+ * Lift a `Maybe` into a `MaybeT` without performing any action in the inner monad.
+ * <br>`Haskell> hoistMaybe :: Applicative m => Maybe b -> MaybeT m b`
+ * @param {Maybe} m - A `Maybe`
+ * @returns {MaybeT} A `MaybeT` that returns the value of `m`, or fails if `m` is `Nothing`
+ * @kind function
+ * @example
+ * const m = chain(lift(MaybeT, putStrLn(`a`)), hoistMaybe(Nothing));
+ * const n = chain(m, lift(MaybeT, putStrLn(`b`)));
+ * runIO(runMaybeT(n));                                                // a
+ */
+export const hoistMaybe = m => isMaybe(m) ? new MaybeT(pending(m)) : error.typeError(m, hoistMaybe);
+
+/**
+ * Determine whether an object is a `MaybeT`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `MaybeT` and `false` otherwise
+ * @kind function
+ */
+export const isMaybeT = a => a instanceof MaybeT ? true : false;
+
+/**
+ * Wrap an inner monad of `Either` values in an `ExceptT`.
+ * <br>`Haskell> ExceptT :: m (Either e a) -> ExceptT e m a`
+ * @param {Object} m - A monad that returns an `Either`
+ * @returns {ExceptT} A new `ExceptT`
+ * @kind function
+ * @example
+ * const m = exceptT(list(right(1), left(`error`)));
+ * runExceptT(fmap(x => x * 2, m));                  // => [Right 2:Left error:[]]
+ */
+export const exceptT = m => Monad(m) ? new ExceptT(m) : error.typeError(m, exceptT);
+
+/**
+ * Unwrap an `ExceptT`, returning its inner monad of `Either` values. If the `ExceptT` never
+ * performs an action in its inner monad, an example of the inner monad must be given as well, as
+ * for `runMaybeT`.
+ * <br>`Haskell> runExceptT :: ExceptT e m a -> m (Either e a)`
+ * @param {ExceptT} m - The `ExceptT` to run
+ * @param {Object} [w] - Any value of the inner monad
+ * @returns {Object} The inner monad
+ * @kind function
+ * @example
+ * const m = chain(lift(ExceptT, putStrLn(`a`)), throwE(`failed`));
+ * runIO(runExceptT(m));                                            // a
+ *                                                                  // => Left failed
+ * runExceptT(throwE(`failed`), just(1));                           // => Just Left failed
+ */
+export const runExceptT = (m, w) =>
+  isExceptT(m) ? runInner(m.exceptT(), w, runExceptT) : error.typeError(m, runExceptT);
+
+/**
+ * Lift an `Either` into an `ExceptT` without performing any action in the inner monad.
+ * <br>`Haskell> except :: Monad m => Either e a -> ExceptT e m a`
+ * @param {Either} e - An `Either`
+ * @returns {ExceptT} An `ExceptT` that returns the `Right` value of `e` or fails with its `Left`
+ * value
+ * @kind function
+ * @example
+ * const m = chain(lift(ExceptT, just(1)), except(right(2)));
+ * runExceptT(m);                                             // => Just Right 2
+ */
+export const except = e => isEither(e) ? new ExceptT(pending(e)) : error.typeError(e, except);
+
+/**
+ * Fail with an error value, skipping the rest of an `ExceptT` computation.
+ * <br>`Haskell> throwE :: Monad m => e -> ExceptT e m a`
+ * @param {*} e - The error value
+ * @returns {ExceptT} An `ExceptT` that fails with `e`
+ * @kind function
+ * @example
+ * runExceptT(chain(lift(ExceptT, just(1)), throwE(`failed`))); // => Just Left failed
+ */
+export const throwE = e => new ExceptT(pending(left(e)));
+
+/**
+ * Handle an error in an `ExceptT` computation. If the computation fails, the handler is applied to
+ * the error value and its result is run instead.
+ * <br>`Haskell> catchE :: Monad m => ExceptT e m a -> (e -> ExceptT e' m a) -> ExceptT e' m a`
+ * @param {ExceptT} m - The computation to run
+ * @param {Function} h - A function that takes an error value and returns an `ExceptT`
+ * @returns {ExceptT} An `ExceptT` that runs `m`, and `h` applied to the error if `m` fails
+ * @kind function
+ * @example
+ * const m = chain(lift(ExceptT, just(1)), throwE(`failed`));
+ * runExceptT(catchE(m, e => inject(m, e.length)));         // => Just Right 6
+ */
+export const catchE = (m, h) => {
+  const catchE_ = (m, h) => {
+    if (isExceptT(m) === false) { return error.typeError(m, catchE); }
+    if (typeof h !== `function`) { return error.typeError(h, catchE); }
+    return new ExceptT(bindInner(m.exceptT(), e =>
+      either(x => h(x).exceptT(), () => pending(e), e)));
+  }
+  return partial(catchE_, m, h);
+}
+
+/**
+ * Determine whether an object is an `ExceptT`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is an `ExceptT` and `false` otherwise
+ * @kind function
+ */
+export const isExceptT = a => a instanceof ExceptT ? true : false;
+
+/**
+ * Embed a state action in an inner monad into a `StateT`. The function takes the current state and
+ * should return an inner monad of `Tuple` values of a result and the new state.
+ * <br>`Haskell> StateT :: (s -> m (a, s)) -> StateT s m a`
+ * @param {Function} f - A state transition function, `s -> m (a, s)`
+ * @returns {StateT} A new `StateT` that performs the action described by `f`
+ * @kind function
+ * @example
+ * const pop = stateT(xs => isEmpty(xs) ? Nothing : just(tuple(head(xs), tail(xs))));
+ * runStateT(chain(pop, pop), list(1,2)); // => Just (2,[])
+ * runStateT(chain(pop, pop), list(1));   // => Nothing
+ */
+export const stateT = f => typeof f === `function` ? new StateT(f) : error.typeError(f, stateT);
+
+/**
+ * Unwrap a `StateT` and run it with an initial state, returning an inner monad of `Tuple` values of
+ * the final result and the final state. If the `StateT` never performs an action in its inner
+ * monad, an example of the inner monad must be given as well, as for `runMaybeT`. Throws an error
+ * if the `StateT` is run with an `undefined` state.
+ * <br>`Haskell> runStateT :: StateT s m a -> s -> m (a, s)`
+ * @param {StateT} m - The `StateT` to run
+ * @param {*} s - The initial state
+ * @param {Object} [w] - Any value of the inner monad
+ * @returns {Object} The inner monad
+ * @kind function
+ * @example
+ * const m = flatMap(getT, n => chain(lift(StateT, putStrLn(`${n}`)), putT(n + 1)));
+ * runIO(runStateT(m, 1));          // 1
+ *                                  // => ((),2)
+ * runStateT(putT(2), 1, right(0)); // => Right ((),2)
+ */
+export const runStateT = (m, s, w) => {
+  const runStateT_ = (m, s, v = w) => {
+    if (isStateT(m) === false) { return error.typeError(m, runStateT); }
+    return s === undefined ? error.typeError(s, runStateT) : runInner(m.stateT()(s), v, runStateT);
+  }
+  return partial(runStateT_, m, s);
+}
+
+/**
+ * Run a `StateT` with an initial state and return an inner monad of the final result, discarding
+ * the final state.
+ * <br>`Haskell> evalStateT :: Monad m => StateT s m a -> s -> m a`
+ * @param {StateT} m - The `StateT` to run
+ * @param {*} s - The initial state
+ * @param {Object} [w] - Any value of the inner monad
+ * @returns {Object} The inner monad
+ * @kind function
+ * @example
+ * evalStateT(chain(lift(StateT, just(1)), getsT(n => n * 10)), 2); // => Just 20
+ */
+export const evalStateT = (m, s, w) => {
+  const evalStateT_ = (m, s, v = w) => fmap(fst, runStateT(m)(s, v));
+  return partial(evalStateT_, m, s);
+}
+
+/**
+ * Run a `StateT` with an initial state and return an inner monad of the final state, discarding
+ * the final result.
+ * <br>`Haskell> execStateT :: Monad m => StateT s m a -> s -> m s`
+ * @param {StateT} m - The `StateT` to run
+ * @param {*} s - The initial state
+ * @param {Object} [w] - Any value of the inner monad
+ * @returns {Object} The inner monad
+ * @kind function
+ * @example
+ * execStateT(chain(lift(StateT, just(1)), modifyT(n => n + 1)), 2); // => Just 3
+ */
+export const execStateT = (m, s, w) => {
+  const execStateT_ = (m, s, v = w) => fmap(snd, runStateT(m)(s, v));
+  return partial(execStateT_, m, s);
+}
+
+/**
+ * A `StateT` that returns the current state as its result, leaving the state unchanged.
+ * <br>`Haskell> get :: Monad m => StateT s m s`
+ * @kind constant
+ * @example
+ * runStateT(chain(lift(StateT, just(1)), getT), 5); // => Just (5,5)
+ */
+export const getT = new StateT(s => pending(tuple(s, s)));
+
+/**
+ * Replace the state of a `StateT` with a new value. The result is `unit`.
+ * <br>`Haskell> put :: Monad m => s -> StateT s m ()`
+ * @param {*} s - The new state
+ * @returns {StateT} A `StateT` that sets the state to `s`
+ * @kind function
+ * @example
+ * runStateT(chain(lift(StateT, just(1)), putT(10)), 5); // => Just ((),10)
+ */
+export const putT = s => new StateT(() => pending(tuple(unit, s)));
+
+/**
+ * Update the state of a `StateT` by applying a function to it. The result is `unit`.
+ * <br>`Haskell> modify :: Monad m => (s -> s) -> StateT s m ()`
+ * @param {Function} f - The function to apply to the state
+ * @returns {StateT} A `StateT` that applies `f` to the state
+ * @kind function
+ * @example
+ * runStateT(chain(lift(StateT, just(1)), modifyT(n => n * 2)), 5); // => Just ((),10)
+ */
+export const modifyT = f => typeof f === `function` ?
+  new StateT(s => pending(tuple(unit, f(s)))) : error.typeError(f, modifyT);
+
+/**
+ * Return the result of applying a function to the state of a `StateT`, leaving the state unchanged.
+ * <br>`Haskell> gets :: Monad m => (s -> a) -> StateT s m a`
+ * @param {Function} f - The function to apply to the state
+ * @returns {StateT} A `StateT` whose result is `f` applied to the state
+ * @kind function
+ * @example
+ * runStateT(chain(lift(StateT, just(1)), getsT(n => n * 2)), 5); // => Just (10,5)
+ */
+export const getsT = f => typeof f === `function` ?
+  new StateT(s => pending(tuple(f(s), s))) : error.typeError(f, getsT);
+
+/**
+ * Determine whether an object is a `StateT`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `StateT` and `false` otherwise
+ * @kind function
+ */
+export const isStateT = a => a instanceof StateT ? true : false;
+
+/**
+ * Embed a function of the environment that returns an inner monad into a `ReaderT`.
+ * <br>`Haskell> ReaderT :: (r -> m a) -> ReaderT r m a`
+ * @param {Function} f - A function that takes an environment and returns a monad
+ * @returns {ReaderT} A new `ReaderT`
+ * @kind function
+ * @example
+ * const m = readerT(env => just(env.name));
+ * runReaderT(m, {name: `config`});          // => Just config
+ */
+export const readerT = f => typeof f === `function` ? new ReaderT(f) : error.typeError(f, readerT);
+
+/**
+ * Unwrap a `ReaderT` and run it with an environment, returning its inner monad. If the `ReaderT`
+ * never performs an action in its inner monad, an example of the inner monad must be given as well,
+ * as for `runMaybeT`.
+ * <br>`Haskell> runReaderT :: ReaderT r m a -> r -> m a`
+ * @param {ReaderT} m - The `ReaderT` to run
+ * @param {*} r - The environment
+ * @param {Object} [w] - Any value of the inner monad
+ * @returns {Object} The inner monad
+ * @kind function
+ * @example
+ * const m = flatMap(askT, env => lift(ReaderT, putStrLn(env.greeting)));
+ * runIO(runReaderT(m, {greeting: `Hello`}));                            // Hello
+ * runReaderT(asksT(env => env.port), {port: 80}, list());               // => [80:[]]
+ */
+export const runReaderT = (m, r, w) => {
+  const runReaderT_ = (m, r, v = w) =>
+    isReaderT(m) ? runInner(m.readerT()(r), v, runReaderT) : error.typeError(m, runReaderT);
+  return partial(runReaderT_, m, r);
+}
+
+/**
+ * A `ReaderT` that returns the environment as its result.
+ * <br>`Haskell> ask :: Monad m => ReaderT r m r`
+ * @kind constant
+ * @example
+ * runReaderT(chain(lift(ReaderT, just(1)), askT), 5); // => Just 5
+ */
+export const askT = new ReaderT(r => pending(r));
+
+/**
+ * Return the result of applying a function to the environment of a `ReaderT`.
+ * <br>`Haskell> asks :: Monad m => (r -> a) -> ReaderT r m a`
+ * @param {Function} f - The function to apply to the environment
+ * @returns {ReaderT} A `ReaderT` whose result is `f` applied to the environment
+ * @kind function
+ * @example
+ * runReaderT(chain(lift(ReaderT, just(1)), asksT(env => env.port)), {port: 80}); // => Just 80
+ */
+export const asksT = f => typeof f === `function` ?
+  new ReaderT(r => pending(f(r))) : error.typeError(f, asksT);
+
+/**
+ * Run a `ReaderT` in a modified version of the current environment. The modification only applies
+ * to the `ReaderT` passed in, not to any computations that follow it.
+ * <br>`Haskell> local :: (r -> r) -> ReaderT r m a -> ReaderT r m a`
+ * @param {Function} f - The function to apply to the environment
+ * @param {ReaderT} m - The `ReaderT` to run in the modified environment
+ * @returns {ReaderT} A `ReaderT` that runs `m` in the environment modified by `f`
+ * @kind function
+ * @example
+ * const depth = chain(lift(ReaderT, just(1)), askT);
+ * runReaderT(localT(n => n + 1, depth), 0);          // => Just 1
+ */
+export const localT = (f, m) => {
+  const localT_ = (f, m) => {
+    if (typeof f !== `function`) { return error.typeError(f, localT); }
+    if (isReaderT(m) === false) { return error.typeError(m, localT); }
+    return new ReaderT(r => m.readerT()(f(r)));
+  }
+  return partial(localT_, f, m);
+}
+
+/**
+ * Determine whether an object is a `ReaderT`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `ReaderT` and `false` otherwise
+ * @kind function
+ */
+export const isReaderT = a => a instanceof ReaderT ? true : false;
@@ -0,0 +1,48 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * trans/index.js
+ *
+ * Top level index for monad transformers.
+ */
+
+export {
+  MaybeT,
+  ExceptT,
+  StateT,
+  ReaderT,
+  pending,
+  mapInner,
+  bindInner,
+  runInner
+} from './trans';
+
+export {
+  lift,
+  maybeT,
+  runMaybeT,
+  hoistMaybe,
+  isMaybeT,
+  exceptT,
+  runExceptT,
+  except,
+  throwE,
+  catchE,
+  isExceptT,
+  stateT,
+  runStateT,
+  evalStateT,
+  execStateT,
+  getT,
+  putT,
+  modifyT,
+  getsT,
+  isStateT,
+  readerT,
+  runReaderT,
+  askT,
+  asksT,
+  localT,
+  isReaderT
+} from './func';
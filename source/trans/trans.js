@@ -0,0 +1,249 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * trans/trans.js
+ *
+ * @file Monad transformer data types.
+ * @license ISC
+ */
+
+/** @module trans/trans */
+
+import {fmap} from '../functor';
+
+import {Monad} from '../monad';
+
+import {
+  Nothing,
+  just,
+  isNothing,
+  fromJust
+} from '../maybe';
+
+import {
+  left,
+  right,
+  either
+} from '../either';
+
+import {
+  tuple,
+  fst,
+  snd
+} from '../tuple';
+
+import {
+  Type,
+  instanceFor
+} from '../type';
+
+import {error} from '../error';
+
+/**
+ * A monad transformer adds the effect of one monad to the effect of another, "inner" monad, so
+ * that, for example, a computation may both fail and perform `IO`. JavaScript cannot dispatch on
+ * the type a function is expected to return, so a monad's `pure` can only be found from a value of
+ * that monad, as with `pure(f, a)`. The inner results of `pure` and of functions like `getT` have
+ * no inner action to find it from, so they are left pending and injected into the inner monad once
+ * they are bound to an action in it.
+ * @private
+ */
+class Pending {
+  /**
+   * Create a new `Pending` inner result.
+   * @param {*} a - The value to inject into the inner monad
+   * @private
+   */
+  constructor(a) { this.value = () => a; }
+}
+
+/**
+ * Create an inner result that will be injected into the inner monad once it is known.
+ * @param {*} a - Any value
+ * @returns {Pending} A pending inner result
+ * @private
+ */
+export const pending = a => new Pending(a);
+
+/**
+ * Map a function over an inner result.
+ * @param {Function} f - The function to map
+ * @param {Object|Pending} m - An inner monad or a pending inner result
+ * @returns {Object|Pending} The mapped inner result
+ * @private
+ */
+export const mapInner = (f, m) =>
+  m instanceof Pending ? pending(f(m.value())) : instanceFor(Monad, m).fmap(f, m);
+
+/**
+ * Bind a function that returns an inner result to an inner result, delegating to the `flatMap`
+ * method of the inner monad if it is known.
+ * @param {Object|Pending} m - An inner monad or a pending inner result
+ * @param {Function} f - A function that returns an inner monad or a pending inner result
+ * @returns {Object|Pending} The bound inner result
+ * @private
+ */
+export const bindInner = (m, f) => {
+  if (m instanceof Pending) { return f(m.value()); }
+  return instanceFor(Monad, m).flatMap(m, a => {
+    const n = f(a);
+    return n instanceof Pending ? instanceFor(Monad, m).pure(n.value(), m) : n;
+  });
+}
+
+/**
+ * Return an inner result as a value of the inner monad. A pending inner result is injected into the
+ * monad of `w`, an example of the inner monad, and an error is thrown if `w` is not given.
+ * @param {Object|Pending} m - An inner monad or a pending inner result
+ * @param {Object} [w] - Any value of the inner monad
+ * @param {Function} f - The function that is running the transformer
+ * @returns {Object} The inner monad
+ * @private
+ */
+export const runInner = (m, w, f) => {
+  if (m instanceof Pending === false) { return m; }
+  if (w === undefined) { return error.innerMonad(f); }
+  return Monad(w) ? instanceFor(Monad, w).pure(m.value(), w) : error.typeError(w, f);
+}
+
+/**
+ * A `MaybeT` adds the possibility of failure, as in `Maybe`, to an inner monad. It wraps a value of
+ * type `m (Maybe a)`, and chaining `MaybeT` values with `flatMap` stops at the first one whose
+ * inner result is `Nothing`.
+ * <br>`Haskell> newtype MaybeT m a = MaybeT { runMaybeT :: m (Maybe a) }`
+ * @alias module:trans.MaybeT
+ * @kind class
+ * @extends Type
+ */
+export class MaybeT extends Type {
+  /**
+   * Create a new `MaybeT` from an inner monad of `Maybe` values.
+   * @param {Object|Pending} m - The inner result
+   * @private
+   */
+  constructor(m) {
+    super();
+    this.maybeT = () => m;
+  }
+  // Functor
+  static fmap(f, m) { return new MaybeT(mapInner(mb => fmap(f, mb), m.maybeT())); }
+  // Applicative
+  static pure(a) { return new MaybeT(pending(just(a))); }
+  static ap(f, m) { return MaybeT.flatMap(f, g => MaybeT.fmap(g, m)); }
+  // Monad
+  static flatMap(m, f) {
+    return new MaybeT(bindInner(m.maybeT(), mb =>
+      isNothing(mb) ? pending(Nothing) : f(fromJust(mb)).maybeT()));
+  }
+  // MonadTrans
+  static lift(m) { return new MaybeT(instanceFor(Monad, m).fmap(just, m)); }
+  // Prototype
+  valueOf() { return `[Object MaybeT]`; }
+}
+
+/**
+ * An `ExceptT` adds the possibility of failure with an error value, as in `Either`, to an inner
+ * monad. It wraps a value of type `m (Either e a)`, and chaining `ExceptT` values with `flatMap`
+ * stops at the first one whose inner result is a `Left`.
+ * <br>`Haskell> newtype ExceptT e m a = ExceptT (m (Either e a))`
+ * @alias module:trans.ExceptT
+ * @kind class
+ * @extends Type
+ */
+export class ExceptT extends Type {
+  /**
+   * Create a new `ExceptT` from an inner monad of `Either` values.
+   * @param {Object|Pending} m - The inner result
+   * @private
+   */
+  constructor(m) {
+    super();
+    this.exceptT = () => m;
+  }
+  // Functor
+  static fmap(f, m) { return new ExceptT(mapInner(e => fmap(f, e), m.exceptT())); }
+  // Applicative
+  static pure(a) { return new ExceptT(pending(right(a))); }
+  static ap(f, m) { return ExceptT.flatMap(f, g => ExceptT.fmap(g, m)); }
+  // Monad
+  static flatMap(m, f) {
+    return new ExceptT(bindInner(m.exceptT(), e =>
+      either(x => pending(left(x)), a => f(a).exceptT(), e)));
+  }
+  // MonadTrans
+  static lift(m) { return new ExceptT(instanceFor(Monad, m).fmap(right, m)); }
+  // Prototype
+  valueOf() { return `[Object ExceptT]`; }
+}
+
+/**
+ * A `StateT` adds state, as in `State`, to an inner monad. It wraps a function of type
+ * `s -> m (a, s)`, and chaining `StateT` values with `flatMap` threads the state from each
+ * computation into the next while sequencing their inner actions.
+ * <br>`Haskell> newtype StateT s m a = StateT { runStateT :: s -> m (a, s) }`
+ * @alias module:trans.StateT
+ * @kind class
+ * @extends Type
+ */
+export class StateT extends Type {
+  /**
+   * Create a new `StateT` from a state transition function.
+   * @param {Function} f - A function that takes a state and returns an inner result of a `Tuple` of
+   * a result and a new state
+   * @private
+   */
+  constructor(f) {
+    super();
+    this.stateT = () => f;
+  }
+  // Functor
+  static fmap(f, m) {
+    return new StateT(s => mapInner(p => tuple(f(fst(p)), snd(p)), m.stateT()(s)));
+  }
+  // Applicative
+  static pure(a) { return new StateT(s => pending(tuple(a, s))); }
+  static ap(f, m) { return StateT.flatMap(f, g => StateT.fmap(g, m)); }
+  // Monad
+  static flatMap(m, f) {
+    return new StateT(s => bindInner(m.stateT()(s), p => f(fst(p)).stateT()(snd(p))));
+  }
+  // MonadTrans
+  static lift(m) { return new StateT(s => instanceFor(Monad, m).fmap(a => tuple(a, s), m)); }
+  // Prototype
+  valueOf() { return `[Object StateT]`; }
+}
+
+/**
+ * A `ReaderT` adds a shared environment, as in `Reader`, to an inner monad. It wraps a function of
+ * type `r -> m a`, and chaining `ReaderT` values with `flatMap` passes the same environment to
+ * every computation in the chain while sequencing their inner actions.
+ * <br>`Haskell> newtype ReaderT r m a = ReaderT { runReaderT :: r -> m a }`
+ * @alias module:trans.ReaderT
+ * @kind class
+ * @extends Type
+ */
+export class ReaderT extends Type {
+  /**
+   * Create a new `ReaderT` from a function of the environment.
+   * @param {Function} f - A function that takes an environment and returns an inner result
+   * @private
+   */
+  constructor(f) {
+    super();
+    this.readerT = () => f;
+  }
+  // Functor
+  static fmap(f, m) { return new ReaderT(r => mapInner(f, m.readerT()(r))); }
+  // Applicative
+  static pure(a) { return new ReaderT(() => pending(a)); }
+  static ap(f, m) { return ReaderT.flatMap(f, g => ReaderT.fmap(g, m)); }
+  // Monad
+  static flatMap(m, f) {
+    return new ReaderT(r => bindInner(m.readerT()(r), a => f(a).readerT()(r)));
+  }
+  // MonadTrans
+  static lift(m) { return new ReaderT(() => m); }
+  // Prototype
+  valueOf() { return `[Object ReaderT]`; }
+}
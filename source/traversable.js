@@ -17,7 +17,7 @@ import {
 
 import {
   defines,
-  dataType
+  instanceFor
 } from './type';
 
 import {Monad} from './monad';
@@ -36,10 +36,14 @@ export const Traversable = defines(`fmap`, `foldr`, `traverse`);
 
 /**
  * Map each element of a structure to an action, evaluate these actions from left to right, and
- * collect the results.
+ * collect the results. The applicative of the result is the one returned by `f`, but since `f` is
+ * never called on an empty structure, it may also be given by `w`, an example value of that
+ * applicative, in the same way as `pure`. Without `w`, an empty structure is returned in the
+ * structure's own applicative if it has one, or else in a `List`.
  * <br>`Haskell> traverse :: Applicative f => (a -> f b) -> t a -> f (t b)`
  * @param {Function} f - The function to map
  * @param {Object} a - The traversable structure to traverse
+ * @param {Object} [w] - Any value of the applicative returned by `f`
  * @returns {Object} A collection of the results of the traversal
  * @kind function
  * @example
@@ -50,10 +54,13 @@ export const Traversable = defines(`fmap`, `foldr`, `traverse`);
  * traverse(f, mb);            // => [Just 8:[]]
  * traverse(f, tup);           // => [(1,9):[]]
  * traverse(f)(lst);           // => [[8:9:10:[]]:[]]
+ * traverse(f, emptyList);     // => [[[]]:[]]
+ * traverse(just, emptyList, Nothing); // => Just [[]]
  */
-export const traverse = (f, a) => {
+export const traverse = (f, a, w) => {
   const traverse_ = (f, a) => {
-    return Traversable(a) ? dataType(a).traverse(f, a) : error.typeError(a, traverse);
+    return Traversable(a) ?
+      instanceFor(Traversable, a).traverse(f, a, w) : error.typeError(a, traverse);
   }
   return partial(traverse_, f, a);
 }
@@ -65,6 +72,7 @@ export const traverse = (f, a) => {
  * <br>`Haskell> mapM :: Monad m => (a -> m b) -> t a -> m (t b)`
  * @param {Function} f - The function to map
  * @param {Object} m - The monad to traverse
+ * @param {Object} [w] - Any value of the monad returned by `f`, as for `traverse`
  * @returns {Object} A collection of the results of the traversal
  * @kind function
  * @example
@@ -74,8 +82,9 @@ export const traverse = (f, a) => {
  * mapM(f, mb);                // => [Just [8:[]]:[]]
  * mapM(f, lst);               // => [[8:9:10:[]]:[[]]:[]]
  */
-export const mapM = (f, m) => {
-  const mapM_ = (f, m) => Monad(m) ? dataType(m).traverse(f, m) : error.typeError(m, mapM);
+export const mapM = (f, m, w) => {
+  const mapM_ = (f, m) =>
+    Monad(m) ? instanceFor(Traversable, m).traverse(f, m, w) : error.typeError(m, mapM);
   return partial(mapM_, f, m);
 }
 
@@ -83,6 +92,7 @@ export const mapM = (f, m) => {
  * Evaluate each monadic action in a structure from left to right, and collect the results.
  * <br>`Haskell> sequence :: Monad m => t (m a) -> m (t a)`
  * @param {Object} m - The monadic collection of actions
+ * @param {Object} [w] - Any value of the monad of the actions, as for `traverse`
  * @returns {Object} A collection of the results
  * @kind function
  * @example
@@ -93,4 +103,4 @@ export const mapM = (f, m) => {
  * sequence(mmb);           // => Just Just 1
  * sequence(llst);          // => [[1:[]]:[2:[]]:[3:[]]:[]]
  */
-export const sequence = m => Monad(m) ? traverse(id, m) : error.typeError(m, sequence);
+export const sequence = (m, w) => Monad(m) ? traverse(id, m, w) : error.typeError(m, sequence);
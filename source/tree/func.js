@@ -0,0 +1,257 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * tree/func.js
+ *
+ * @file Tree functions.
+ * @license ISC
+ */
+
+/** @module tree/func */
+
+import {
+  partial,
+  show
+} from '../base';
+
+import {Tree} from '../tree';
+
+import {typeCheck} from '../type';
+
+import {
+  isTuple,
+  fst,
+  snd
+} from '../tuple';
+
+import {
+  isList,
+  fromArrayToList,
+  fromListToArray
+} from '../list';
+
+import {error} from '../error';
+
+/**
+ * Collect the labels of a `Tree` into an array, in depth first order.
+ * @param {Tree} t - The `Tree`
+ * @returns {Array} The labels of `t`
+ * @private
+ */
+const preorder = t => {
+  const xs = [];
+  for (const ts = [t]; ts.length > 0;) {
+    const u = ts.pop();
+    xs.push(u.label());
+    const cs = fromListToArray(u.children());
+    for (let i = cs.length - 1; i >= 0; i -= 1) { ts.push(cs[i]); }
+  }
+  return xs;
+}
+
+/**
+ * Collect the labels of a `Tree` into an array of arrays, one for each level of the tree.
+ * @param {Tree} t - The `Tree`
+ * @returns {Array} The labels of `t`, level by level from the root down
+ * @private
+ */
+const byLevel = t => {
+  const xss = [];
+  for (let ts = [t]; ts.length > 0; ts = [].concat(...ts.map(t => fromListToArray(t.children())))) {
+    xss.push(ts.map(t => t.label()));
+  }
+  return xss;
+}
+
+/**
+ * Create a `Tree` node from a label and a `List` of child trees, which must be labeled with values
+ * of the same type as the label. Use the empty list for a leaf.
+ * <br>`Haskell> Node :: a -> [Tree a] -> Tree a`
+ * @param {*} x - The label
+ * @param {List} ts - A `List` of child trees
+ * @returns {Tree} A new `Tree`
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, list(node(4, emptyList)))));
+ * t;                           // => Node 1 [Node 2 [], Node 3 [Node 4 []]]
+ */
+export const node = (x, ts) => {
+  const node_ = (x, ts) => {
+    if (isList(ts) === false) { return error.listError(ts, node); }
+    const t = fromListToArray(ts).find(t => isTree(t) === false || typeCheck(x, t.label()) === false);
+    return t === undefined ? new Tree(x, ts) : error.typeError(t, node);
+  }
+  return partial(node_, x, ts);
+}
+
+/**
+ * Return the label of the root of a `Tree`.
+ * <br>`Haskell> rootLabel :: Tree a -> a`
+ * @param {Tree} t - The `Tree`
+ * @returns {*} The label of `t`
+ * @kind function
+ * @example
+ * rootLabel(node(1, list(node(2, emptyList)))); // => 1
+ */
+export const rootLabel = t => isTree(t) ? t.label() : error.typeError(t, rootLabel);
+
+/**
+ * Return the `List` of the child trees of the root of a `Tree`.
+ * <br>`Haskell> subForest :: Tree a -> [Tree a]`
+ * @param {Tree} t - The `Tree`
+ * @returns {List} The children of `t`
+ * @kind function
+ * @example
+ * subForest(node(1, list(node(2, emptyList)))); // => [Node 2 []:[]]
+ */
+export const subForest = t => isTree(t) ? t.children() : error.typeError(t, subForest);
+
+/**
+ * Return the labels of a `Tree` as a `List`, in depth first order, i.e. each label comes before the
+ * labels of its children.
+ * <br>`Haskell> flatten :: Tree a -> [a]`
+ * @param {Tree} t - The `Tree`
+ * @returns {List} A `List` of the labels of `t`
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, list(node(4, emptyList)))));
+ * flatten(t);                  // => [1:2:3:4:[]]
+ */
+export const flatten = t => isTree(t) ? fromArrayToList(preorder(t)) : error.typeError(t, flatten);
+
+/**
+ * Return the labels of a `Tree` level by level, as a `List` of `List` values from the root down.
+ * <br>`Haskell> levels :: Tree a -> [[a]]`
+ * @param {Tree} t - The `Tree`
+ * @returns {List} A `List` of the labels at each level of `t`
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, list(node(4, emptyList)))));
+ * levels(t);                   // => [[1:[]]:[2:3:[]]:[4:[]]:[]]
+ */
+export const levels = t => {
+  if (isTree(t) === false) { return error.typeError(t, levels); }
+  return fromArrayToList(byLevel(t).map(fromArrayToList));
+}
+
+/**
+ * Fold the labels of a `Tree` from the left in depth first order, the order of `flatten`. The
+ * function takes a label and the accumulator, as it does for `foldr`.
+ * @param {Function} f - The function to fold with, `(x, acc) => ...`
+ * @param {*} z - An accumulator value
+ * @param {Tree} t - The `Tree`
+ * @returns {*} The result of folding `f` over the labels of `t`
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, list(node(4, emptyList))), node(3, emptyList)));
+ * foldTreeDepthFirst((x, acc) => acc.concat(x), [], t); // => [1, 2, 4, 3]
+ */
+export const foldTreeDepthFirst = (f, z, t) => {
+  const foldTreeDepthFirst_ = (f, z, t) => {
+    if (isTree(t) === false) { return error.typeError(t, foldTreeDepthFirst); }
+    return preorder(t).reduce((acc, x) => f(x, acc), z);
+  }
+  return partial(foldTreeDepthFirst_, f, z, t);
+}
+
+/**
+ * Fold the labels of a `Tree` from the left in breadth first order, the order of `levels`. The
+ * function takes a label and the accumulator, as it does for `foldr`.
+ * @param {Function} f - The function to fold with, `(x, acc) => ...`
+ * @param {*} z - An accumulator value
+ * @param {Tree} t - The `Tree`
+ * @returns {*} The result of folding `f` over the labels of `t`
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, list(node(4, emptyList))), node(3, emptyList)));
+ * foldTreeBreadthFirst((x, acc) => acc.concat(x), [], t); // => [1, 2, 3, 4]
+ */
+export const foldTreeBreadthFirst = (f, z, t) => {
+  const foldTreeBreadthFirst_ = (f, z, t) => {
+    if (isTree(t) === false) { return error.typeError(t, foldTreeBreadthFirst); }
+    return [].concat(...byLevel(t)).reduce((acc, x) => f(x, acc), z);
+  }
+  return partial(foldTreeBreadthFirst_, f, z, t);
+}
+
+/**
+ * Build a `Tree` from a seed value. The function is applied to the seed to return a tuple of the
+ * label of the root and a `List` of seeds for its children, which are then unfolded in turn.
+ * <br>`Haskell> unfoldTree :: (b -> (a, [b])) -> b -> Tree a`
+ * @param {Function} f - The function to unfold with, which must return a tuple
+ * @param {*} b - The seed value
+ * @returns {Tree} A new `Tree`
+ * @kind function
+ * @example
+ * const f = n => tuple(n, n < 4 ? list(2 * n, 2 * n + 1) : emptyList);
+ * unfoldTree(f, 1);            // => Node 1 [Node 2 [Node 4 [], Node 5 []], Node 3 [...]]
+ */
+export const unfoldTree = (f, b) => {
+  const unfoldTree_ = (f, b) => {
+    const expand = b => {
+      const p = f(b);
+      if (isTuple(p) === false || isList(snd(p)) === false) {
+        return error.returnError(f, unfoldTree);
+      }
+      return {label: fst(p), seeds: fromListToArray(snd(p)), children: []};
+    }
+    const stack = [expand(b)];
+    let t;
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      if (top.children.length < top.seeds.length) {
+        stack.push(expand(top.seeds[top.children.length]));
+      } else {
+        stack.pop();
+        t = node(top.label, fromArrayToList(top.children));
+        if (stack.length > 0) { stack[stack.length - 1].children.push(t); }
+      }
+    }
+    return t;
+  }
+  return partial(unfoldTree_, f, b);
+}
+
+/**
+ * Draw a `Tree` as a string of lines, showing each label with `show` and connecting it to its
+ * children with ASCII lines.
+ * <br>`Haskell> drawTree :: Tree String -> String`
+ * @param {Tree} t - The `Tree`
+ * @returns {string} A drawing of `t`
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, list(node(4, emptyList))), node(3, emptyList)));
+ * drawTree(t);
+ * // => 1
+ * //    |
+ * //    +- 2
+ * //    |  |
+ * //    |  `- 4
+ * //    |
+ * //    `- 3
+ */
+export const drawTree = t => {
+  if (isTree(t) === false) { return error.typeError(t, drawTree); }
+  const shift = (first, other, ls) => ls.map((l, i) => (i === 0 ? first : other) + l);
+  const draw = t => {
+    const ts = fromListToArray(t.children());
+    const subtrees = ts.map((c, i) => {
+      const last = i === ts.length - 1;
+      return [`|`].concat(shift(last ? `\`- ` : `+- `, last ? `   ` : `|  `, draw(c)));
+    });
+    return `${show(t.label())}`.split(`\n`).concat(...subtrees);
+  }
+  return draw(t).join(`\n`);
+}
+
+/**
+ * Determine whether an object is a `Tree`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Tree` and `false` otherwise
+ * @kind function
+ * @example
+ * isTree(node(1, emptyList));  // => true
+ * isTree(list(1,2,3));         // => false
+ */
+export const isTree = a => a instanceof Tree ? true : false;
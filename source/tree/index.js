@@ -0,0 +1,23 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * tree/index.js
+ *
+ * Top level index for Tree data type.
+ */
+
+export {Tree} from './tree';
+
+export {
+  node,
+  rootLabel,
+  subForest,
+  flatten,
+  levels,
+  foldTreeDepthFirst,
+  foldTreeBreadthFirst,
+  unfoldTree,
+  drawTree,
+  isTree
+} from './func';
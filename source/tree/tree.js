@@ -0,0 +1,118 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * tree/tree.js
+ *
+ * @file Tree data type.
+ * @license ISC
+ */
+
+/** @module tree/tree */
+
+import {isEq} from '../eq';
+
+import {
+  compare,
+  EQ,
+  GT,
+  LT
+} from '../ord';
+
+import {fmap} from '../functor';
+
+import {ap} from '../applicative';
+
+import {traverse} from '../traversable';
+
+import {
+  emptyList,
+  isEmpty,
+  listAppend,
+  fromListToArray,
+  map
+} from '../list';
+
+import {flatten} from '../tree';
+
+import {error} from '../error';
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * A `Tree` is a rose tree: a node with a label and a `List` of child trees, any number of which may
+ * be empty, so that it can model any kind of hierarchical data. Trees are folded and traversed in
+ * depth first order, each label before the labels of its children, as they are in Haskell.
+ * @alias module:tree.Tree
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Tree extends Type {
+  /**
+   * Create a new `Tree` node.
+   * @param {*} x - The label of the node
+   * @param {List} ts - The `List` of its child trees
+   * @private
+   */
+  constructor(x, ts) {
+    super();
+    this.label = () => x;
+    this.children = () => ts;
+  }
+  // Eq
+  static isEq(t1, t2) {
+    if (isEq(t1.label(), t2.label()) === false) { return false; }
+    const [xs, ys] = [t1, t2].map(t => fromListToArray(t.children()));
+    return xs.length === ys.length && xs.every((t, i) => Tree.isEq(t, ys[i]));
+  }
+  // Ord
+  static compare(t1, t2) {
+    const ord = compare(t1.label(), t2.label());
+    if (ord !== EQ) { return ord; }
+    const [xs, ys] = [t1, t2].map(t => fromListToArray(t.children()));
+    for (let i = 0; i < xs.length && i < ys.length; i += 1) {
+      const ord_ = Tree.compare(xs[i], ys[i]);
+      if (ord_ !== EQ) { return ord_; }
+    }
+    if (xs.length === ys.length) { return EQ; }
+    return xs.length < ys.length ? LT : GT;
+  }
+  // Foldable
+  static foldr(f, z, t) {
+    return fromListToArray(flatten(t)).reduceRight((acc, x) => f(x, acc), z);
+  }
+  // Traversable
+  static traverse(f, t) {
+    const b = f(t.label());
+    if (isEmpty(t.children())) { return fmap(x => new Tree(x, emptyList), b); }
+    const bs = traverse(c => Tree.traverse(f, c), t.children());
+    return ap(fmap(x => ts => new Tree(x, ts), b), bs);
+  }
+  // Functor
+  static fmap(f, t) { return new Tree(f(t.label()), map(c => Tree.fmap(f, c), t.children())); }
+  // Applicative
+  static pure(x) { return new Tree(x, emptyList); }
+  static ap(fs, t) { return Tree.flatMap(fs, f => Tree.fmap(f, t)); }
+  // Monad
+  static flatMap(t, f) {
+    const u = f(t.label());
+    if (u instanceof Tree === false) { return error.returnError(f, Tree.flatMap); }
+    const ts = map(c => Tree.flatMap(c, f), t.children());
+    return new Tree(u.label(), listAppend(u.children(), ts));
+  }
+  // Match
+  static tags() { return [`Node`]; }
+  tag() { return `Node`; }
+  fields() { return [this.label(), this.children()]; }
+  // Prototype
+  toString() { return `[Object Tree]`; }
+  typeOf() { return `Tree ${type(this.label())}`; }
+  valueOf() {
+    const ts = fromListToArray(this.children()).map(t => t.valueOf());
+    return `Node ${this.label()} [${ts.join(`, `)}]`;
+  }
+}
@@ -8,6 +8,8 @@
  * @license ISC
  */
 
+import {isEq} from '../eq';
+
 import {
   EQ,
   GT,
@@ -26,7 +28,8 @@ import {
   tuple,
   fst,
   snd,
-  fromTupleToArray
+  fromTupleToArray,
+  isTuple
 } from '../tuple';
 
 import {
@@ -57,7 +60,7 @@ export class Tuple extends Type {
   }
   static type(a) { return a.typeOf(); }
   // Eq
-  static isEq(a, b) { return fromTupleToArray(a).every((a, i) => a === fromTupleToArray(b)[i]); }
+  static isEq(a, b) { return fromTupleToArray(a).every((a, i) => isEq(a, fromTupleToArray(b)[i])); }
   // Ord
   static compare(a, b) {
     if (this.isEq(a, b)) { return EQ; }
@@ -80,6 +83,8 @@ export class Tuple extends Type {
   // Applicative
   static pure(p) { return new Tuple(mempty(p), snd(p)); }
   static ap(uf, vx) { return new Tuple(mappend(fst(uf), fst(vx)), snd(uf)(snd(vx))); }
+  // Match
+  fields() { return isTuple(this) ? fromTupleToArray(this) : []; }
   // Prototype
   toString() { return `[Object Tuple]`; }
   typeOf() { return `(${Object.getOwnPropertyNames(this)
@@ -41,6 +41,17 @@ export class Type {
    * Maybe.type(m);           // => Maybe
    */
   static type(a) { return dataType(a) === this ? this.name : error.typeError(a, this.type); }
+  /**
+   * Return the names of the data constructors of this data type, which `match` uses to check that
+   * a set of patterns is exhaustive. By default, a data type has a single data constructor with
+   * its own name.
+   * @returns {Array.<string>} The names of the data constructors
+   * @alias module:type.Type.tags
+   * @example
+   * List.tags();             // => [`Nil`, `Cons`]
+   * State.tags();            // => [`State`]
+   */
+  static tags() { return [this.name]; }
   /**
    * Return the string representation of an object for a given data type.
    * @returns {string} The data type as a string
@@ -67,6 +78,28 @@ export class Type {
    * m.typeOf();              // => Maybe number
    */
   typeOf() { return dataType(this).name; }
+  /**
+   * Return the name of the data constructor that made an object, which `match` compares with the
+   * data constructors in its patterns.
+   * @returns {string} The name of the data constructor
+   * @alias module:type.Type.tag
+   * @example
+   * const m = just(5);
+   * m.tag();                 // => Just
+   * Nothing.tag();           // => Nothing
+   */
+  tag() { return dataType(this).name; }
+  /**
+   * Return the fields of an object, in the order of the data constructor that made it, which
+   * `match` binds to the variables in its patterns. By default, an object has no fields.
+   * @returns {Array} The fields
+   * @alias module:type.Type.fields
+   * @example
+   * const lst = list(1,2,3);
+   * lst.fields();            // => [1, [2:3:[]]]
+   * tuple(1,2).fields();     // => [1, 2]
+   */
+  fields() { return []; }
   /**
    * Return the value of an object for a given data type.
    * @returns {string} The value of the object.
@@ -82,6 +115,27 @@ export class Type {
   valueOf() { return this; }
 }
 
+/**
+ * The methods required by each type class created with `defines`.
+ * @private
+ */
+const typeClasses = new Map();
+
+/**
+ * The instance methods registered with `instance` for each constructor.
+ * @private
+ */
+const instances = new Map();
+
+/**
+ * Return the object holding the type class methods of a given object: the instance methods
+ * registered for its constructor, which inherit from the constructor, or the constructor itself.
+ * @param {*} a - Any object
+ * @returns {Function|Object} The registered instance methods or constructor of `a`
+ * @private
+ */
+const methodsOf = a => instances.get(dataType(a)) || dataType(a);
+
 /**
  * Return a closure that checks whether a given object is a member of a predefined type class. Note
  * that the library only checks for the existence of the required property or properties. Whether or
@@ -100,7 +154,66 @@ export class Type {
  * // and `Foldable`:
  * const Traversable = defines(`fmap`, `foldr`, `traverse`);
  */
-export const defines = (...methods) => a => methods.every(m => m in dataType(a));
+export const defines = (...methods) => {
+  const typeClass = a => methods.every(m => m in methodsOf(a));
+  typeClasses.set(typeClass, methods);
+  return typeClass;
+}
+
+/**
+ * Make the objects created by a constructor members of a type class by registering the methods
+ * the type class requires, in the same form as the static methods of a data type defined by this
+ * library. This is the only way for native JavaScript objects, such as arrays and strings, to
+ * become members of a type class without modifying their built-in constructors, but it works for
+ * any constructor. Instances of several type classes can be registered for the same constructor,
+ * and methods the constructor already defines as its own static methods count toward the methods a
+ * type class requires.
+ * @param {Function} typeClass - A type class created with `defines`
+ * @param {Function} constructor - The constructor of the objects to make members of the type class
+ * @param {Object} methods - An object of the methods required by the type class
+ * @returns {Object} All of the instance methods now registered for the constructor
+ * @kind function
+ * @example
+ * instance(Functor, Promise, {fmap: (f, p) => p.then(f)});
+ * fmap(x => x * 2, Promise.resolve(5)).then(print);        // 10
+ */
+export const instance = (typeClass, constructor, methods) => {
+  const instance_ = (typeClass, constructor, methods) => {
+    if (typeClasses.has(typeClass) === false) { return error.typeError(typeClass, instance); }
+    if (typeof constructor !== `function`) { return error.typeError(constructor, instance); }
+    if (methods === null || typeof methods !== `object`) {
+      return error.typeError(methods, instance);
+    }
+    const entry = instances.get(constructor) || Object.create(constructor);
+    const missing = typeClasses.get(typeClass).find(m => (m in methods || m in entry) === false);
+    if (missing !== undefined) { return error.missingMethod(constructor, missing, instance); }
+    instances.set(constructor, Object.assign(entry, methods));
+    return entry;
+  }
+  return partial(instance_, typeClass, constructor, methods);
+}
+
+/**
+ * Return the object that implements a type class for a given object. This is the object holding
+ * the instance methods registered for the object's constructor with `instance`, which inherits
+ * from the constructor, or otherwise the constructor itself, whose static methods implement the
+ * type classes of the data types defined by this library. Use this function, rather than
+ * `dataType`, to call the methods of a type class.
+ * @param {Function} typeClass - A type class created with `defines`
+ * @param {*} a - A member of the type class
+ * @returns {Function|Object} The registered instance methods or the constructor of `a`
+ * @kind function
+ * @example
+ * instanceFor(Monoid, [1,2,3]).mappend([1], [2]); // => [1, 2]
+ * instanceFor(Functor, list(1,2,3));              // => function List(head, tail) { ... }
+ */
+export const instanceFor = (typeClass, a) => {
+  const instanceFor_ = (typeClass, a) => {
+    if (typeClasses.has(typeClass) === false) { return error.typeError(typeClass, instanceFor); }
+    return typeClass(a) ? methodsOf(a) : error.typeError(a, instanceFor);
+  }
+  return partial(instanceFor_, typeClass, a);
+}
 
 /**
  * Return the data type of a given object. In JavaScript, this is simply the object's constructor,
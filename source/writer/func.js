@@ -0,0 +1,120 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * writer/func.js
+ *
+ * @file Writer functions.
+ * @license ISC
+ */
+
+/** @module writer/func */
+
+import {partial} from '../base';
+
+import {Monoid} from '../monoid';
+
+import {Writer} from '../writer';
+
+import {
+  unit,
+  tuple,
+  fst,
+  snd,
+  isTuple
+} from '../tuple';
+
+import {error} from '../error';
+
+/**
+ * Embed a `Tuple` of a result and some output into a `Writer`. The output must be a `Monoid`.
+ * <br>`Haskell> writer :: (a, w) -> Writer w a`
+ * @param {Tuple} p - A `Tuple` of a result and its output
+ * @returns {Writer} A new `Writer`
+ * @kind function
+ * @example
+ * runWriter(writer(tuple(1, list(1)))); // => (1,[1:[]])
+ */
+export const writer = p => {
+  if (isTuple(p) === false) { return error.tupleError(p, writer); }
+  return Monoid(snd(p)) ? new Writer(fst(p), snd(p)) : error.typeError(snd(p), writer);
+}
+
+/**
+ * Unwrap a `Writer` and return a `Tuple` of its result and its accumulated output.
+ * <br>`Haskell> runWriter :: Writer w a -> (a, w)`
+ * @param {Writer} m - A `Writer`
+ * @returns {Tuple} A `Tuple` of the result and the output
+ * @kind function
+ * @example
+ * const logged = x => writer(tuple(x, list(x)));
+ * const m = Do(logged(3)).flatMap(x => logged(x * 2));
+ * runWriter(m.m());                                    // => (6,[3:6:[]])
+ */
+export const runWriter = m => {
+  if (isWriter(m) === false) { return error.typeError(m, runWriter); }
+  return tuple(m.value(), m.output());
+}
+
+/**
+ * Return only the accumulated output of a `Writer`, discarding its result.
+ * <br>`Haskell> execWriter :: Writer w a -> w`
+ * @param {Writer} m - A `Writer`
+ * @returns {*} The output
+ * @kind function
+ * @example
+ * execWriter(tell(list(1,2,3))); // => [1:2:3:[]]
+ */
+export const execWriter = m => snd(runWriter(m));
+
+/**
+ * Write some output. The output must be a `Monoid`, and the result is `unit`.
+ * <br>`Haskell> tell :: w -> Writer w ()`
+ * @param {*} w - The output to write
+ * @returns {Writer} A `Writer` that writes `w`
+ * @kind function
+ * @example
+ * const m = Do(tell(fromStringToList(`start `))).chain(tell(fromStringToList(`stop`)));
+ * execWriter(m.m());                                                           // => [start stop]
+ */
+export const tell = w => Monoid(w) ? new Writer(unit, w) : error.typeError(w, tell);
+
+/**
+ * Pair the result of a `Writer` with its output, so that the output can be inspected by later
+ * computations. The output itself is left unchanged.
+ * <br>`Haskell> listen :: Writer w a -> Writer w (a, w)`
+ * @param {Writer} m - A `Writer`
+ * @returns {Writer} A `Writer` whose result is a `Tuple` of the result and output of `m`
+ * @kind function
+ * @example
+ * runWriter(listen(tell(list(1,2)))); // => (((),[1:2:[]]),[1:2:[]])
+ */
+export const listen = m => isWriter(m) ? new Writer(runWriter(m), m.output()) :
+  error.typeError(m, listen);
+
+/**
+ * Apply a function to the output of a `Writer`, leaving its result unchanged.
+ * <br>`Haskell> censor :: (w -> w) -> Writer w a -> Writer w a`
+ * @param {Function} f - The function to apply to the output
+ * @param {Writer} m - A `Writer`
+ * @returns {Writer} A `Writer` with the output of `m` modified by `f`
+ * @kind function
+ * @example
+ * execWriter(censor(reverse, tell(list(1,2,3)))); // => [3:2:1:[]]
+ */
+export const censor = (f, m) => {
+  const censor_ = (f, m) => {
+    if (typeof f !== `function`) { return error.typeError(f, censor); }
+    if (isWriter(m) === false) { return error.typeError(m, censor); }
+    return new Writer(m.value(), f(m.output()));
+  }
+  return partial(censor_, f, m);
+}
+
+/**
+ * Determine whether an object is a `Writer`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Writer` and `false` otherwise
+ * @kind function
+ */
+export const isWriter = a => a instanceof Writer ? true : false;
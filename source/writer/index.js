@@ -0,0 +1,20 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * writer/index.js
+ *
+ * Top level index for Writer data type.
+ */
+
+export {Writer} from './writer';
+
+export {
+  writer,
+  runWriter,
+  execWriter,
+  tell,
+  listen,
+  censor,
+  isWriter
+} from './func';
@@ -0,0 +1,61 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * writer/writer.js
+ *
+ * Writer data type.
+ * @license ISC
+ */
+
+import {
+  mempty,
+  mappend
+} from '../monoid';
+
+import {runWriter} from '../writer';
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * A `Writer` represents a computation that produces a result along with some accumulated output,
+ * such as a log. The output may be of any type that is a member of the `Monoid` type class, and
+ * chaining `Writer` values with `flatMap` combines their output with `mappend`. A value lifted into
+ * a `Writer` with `pure` or `inject` is given the empty output of the `Writer` used as its context,
+ * found with `mempty`.
+ * @alias module:writer.Writer
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Writer extends Type {
+  /**
+   * Create a new `Writer` from a result and its output.
+   * @param {*} a - The result
+   * @param {*} w - The output, a `Monoid`
+   * @private
+   */
+  constructor(a, w) {
+    super();
+    this.value = () => a;
+    this.output = () => w;
+  }
+  // Functor
+  static fmap(f, m) { return new Writer(f(m.value()), m.output()); }
+  // Applicative
+  static pure(a, m) { return new Writer(a, mempty(m.output())); }
+  static ap(f, m) { return new Writer(f.value()(m.value()), mappend(f.output(), m.output())); }
+  // Monad
+  static flatMap(m, f) {
+    const n = f(m.value());
+    return new Writer(n.value(), mappend(m.output(), n.output()));
+  }
+  // Match
+  fields() { return [this.value(), this.output()]; }
+  // Prototype
+  typeOf() { return `Writer ${type(this.output())} ${type(this.value())}`; }
+  valueOf() { return `Writer ${runWriter(this).valueOf()}`; }
+}
@@ -0,0 +1,358 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * zipper/func.js
+ *
+ * @file Zipper and TreeZipper functions.
+ * @license ISC
+ */
+
+/** @module zipper/func */
+
+import {partial} from '../base';
+
+import {
+  Zipper,
+  TreeZipper
+} from '../zipper';
+
+import {
+  typeCheck,
+  type
+} from '../type';
+
+import {
+  just,
+  Nothing
+} from '../maybe';
+
+import {
+  emptyList,
+  cons,
+  head,
+  tail,
+  isList,
+  isEmpty,
+  listAppend,
+  reverse
+} from '../list';
+
+import {
+  node,
+  isTree
+} from '../tree';
+
+import {error} from '../error';
+
+/**
+ * Create a `Zipper` from a `List`, focused on its first value. Since a `Zipper` must have a value
+ * in focus, there is no `Zipper` for the empty list.
+ * <br>`Haskell> fromList :: [a] -> Maybe (Zipper a)`
+ * @param {List} xs - A `List`
+ * @returns {Maybe} A `Zipper` of the values of `xs` in a `Just`, or `Nothing` if `xs` is empty
+ * @kind function
+ * @example
+ * fromListToZipper(list(1,2,3)); // => Just Zipper [] 1 [2:3:[]]
+ * fromListToZipper(emptyList); // => Nothing
+ */
+export const fromListToZipper = xs => {
+  if (isList(xs) === false) { return error.listError(xs, fromListToZipper); }
+  return isEmpty(xs) ? Nothing : just(new Zipper(emptyList, head(xs), tail(xs)));
+}
+
+/**
+ * Convert a `Zipper` back into a `List` of all of its values, in order.
+ * <br>`Haskell> toList :: Zipper a -> [a]`
+ * @param {Zipper} z - The `Zipper`
+ * @returns {List} A `List` of the values of `z`
+ * @kind function
+ * @example
+ * const z = fromJust(fromListToZipper(list(1,2,3)));
+ * fromZipperToList(fromJust(zipperRight(z))); // => [1:2:3:[]]
+ */
+export const fromZipperToList = z => {
+  if (isZipper(z) === false) { return error.typeError(z, fromZipperToList); }
+  return listAppend(reverse(z.lefts()), cons(z.focus(), z.rights()));
+}
+
+/**
+ * Return the value in focus of a `Zipper`.
+ * @param {Zipper} z - The `Zipper`
+ * @returns {*} The value in focus
+ * @kind function
+ * @example
+ * zipperFocus(fromJust(fromListToZipper(list(1,2,3)))); // => 1
+ */
+export const zipperFocus = z => isZipper(z) ? z.focus() : error.typeError(z, zipperFocus);
+
+/**
+ * Move the focus of a `Zipper` one value to the left, in constant time.
+ * @param {Zipper} z - The `Zipper`
+ * @returns {Maybe} The moved `Zipper` in a `Just`, or `Nothing` if the focus is the first value
+ * @kind function
+ * @example
+ * const z = fromJust(fromListToZipper(list(1,2,3)));
+ * zipperLeft(z);               // => Nothing
+ * zipperLeft(fromJust(zipperRight(z))); // => Just Zipper [] 1 [2:3:[]]
+ */
+export const zipperLeft = z => {
+  if (isZipper(z) === false) { return error.typeError(z, zipperLeft); }
+  const ls = z.lefts();
+  return isEmpty(ls) ? Nothing : just(new Zipper(tail(ls), head(ls), cons(z.focus(), z.rights())));
+}
+
+/**
+ * Move the focus of a `Zipper` one value to the right, in constant time.
+ * @param {Zipper} z - The `Zipper`
+ * @returns {Maybe} The moved `Zipper` in a `Just`, or `Nothing` if the focus is the last value
+ * @kind function
+ * @example
+ * const z = fromJust(fromListToZipper(list(1,2,3)));
+ * zipperRight(z);              // => Just Zipper [1:[]] 2 [3:[]]
+ */
+export const zipperRight = z => {
+  if (isZipper(z) === false) { return error.typeError(z, zipperRight); }
+  const rs = z.rights();
+  return isEmpty(rs) ? Nothing : just(new Zipper(cons(z.focus(), z.lefts()), head(rs), tail(rs)));
+}
+
+/**
+ * Apply a function to the value in focus of a `Zipper`, in constant time. The function must return
+ * a value of the same type.
+ * @param {Function} f - The function
+ * @param {Zipper} z - The `Zipper`
+ * @returns {Zipper} A new `Zipper` with the result of `f` in focus
+ * @kind function
+ * @example
+ * const z = fromJust(fromListToZipper(list(1,2,3)));
+ * zipperModify(x => x * 10, z); // => Zipper [] 10 [2:3:[]]
+ */
+export const zipperModify = (f, z) => {
+  const zipperModify_ = (f, z) => {
+    if (isZipper(z) === false) { return error.typeError(z, zipperModify); }
+    const x = f(z.focus());
+    if (typeCheck(x, z.focus()) === false) { return error.returnError(f, zipperModify); }
+    return new Zipper(z.lefts(), x, z.rights());
+  }
+  return partial(zipperModify_, f, z);
+}
+
+/**
+ * Insert a value just to the left of the focus of a `Zipper`, in constant time. The focus does not
+ * move.
+ * @param {*} x - The value to insert
+ * @param {Zipper} z - The `Zipper`
+ * @returns {Zipper} A new `Zipper` with `x` to the left of its focus
+ * @kind function
+ * @example
+ * const z = fromJust(fromListToZipper(list(1,2,3)));
+ * zipperInsertLeft(0, z);      // => Zipper [0:[]] 1 [2:3:[]]
+ */
+export const zipperInsertLeft = (x, z) => {
+  const zipperInsertLeft_ = (x, z) => {
+    if (isZipper(z) === false) { return error.typeError(z, zipperInsertLeft); }
+    if (typeCheck(x, z.focus()) === false) { return error.typeError(x, zipperInsertLeft); }
+    return new Zipper(cons(x, z.lefts()), z.focus(), z.rights());
+  }
+  return partial(zipperInsertLeft_, x, z);
+}
+
+/**
+ * Delete the value in focus of a `Zipper`, in constant time, moving the focus to the value on its
+ * right or, if there is none, the value on its left.
+ * @param {Zipper} z - The `Zipper`
+ * @returns {Maybe} A new `Zipper` in a `Just`, or `Nothing` if the value in focus was the only one
+ * @kind function
+ * @example
+ * const z = fromJust(fromListToZipper(list(1,2,3)));
+ * zipperDelete(z);             // => Just Zipper [] 2 [3:[]]
+ * zipperDelete(fromJust(fromListToZipper(list(1)))); // => Nothing
+ */
+export const zipperDelete = z => {
+  if (isZipper(z) === false) { return error.typeError(z, zipperDelete); }
+  const [ls, rs] = [z.lefts(), z.rights()];
+  if (isEmpty(rs) === false) { return just(new Zipper(ls, head(rs), tail(rs))); }
+  if (isEmpty(ls) === false) { return just(new Zipper(tail(ls), head(ls), rs)); }
+  return Nothing;
+}
+
+/**
+ * Determine whether an object is a `Zipper`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `Zipper` and `false` otherwise
+ * @kind function
+ * @example
+ * isZipper(fromJust(fromListToZipper(list(1,2,3)))); // => true
+ * isZipper(list(1,2,3));       // => false
+ */
+export const isZipper = a => a instanceof Zipper ? true : false;
+
+/**
+ * Create a `TreeZipper` from a `Tree`, focused on the whole tree.
+ * <br>`Haskell> fromTree :: Tree a -> TreePos Full a`
+ * @param {Tree} t - A `Tree`
+ * @returns {TreeZipper} A `TreeZipper` of `t`
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, emptyList)));
+ * fromTreeToZipper(t);         // => TreeZipper Node 1 [Node 2 [], Node 3 []]
+ */
+export const fromTreeToZipper = t =>
+  isTree(t) ? new TreeZipper(t, emptyList, emptyList) : error.typeError(t, fromTreeToZipper);
+
+/**
+ * Convert a `TreeZipper` back into the whole `Tree`, with any changes made to it.
+ * <br>`Haskell> toTree :: TreePos Full a -> Tree a`
+ * @param {TreeZipper} z - The `TreeZipper`
+ * @returns {Tree} The `Tree` of `z`
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, emptyList)));
+ * const z = fromJust(treeZipperFirstChild(fromTreeToZipper(t)));
+ * fromZipperToTree(treeZipperModify(fmap(x => x * 10), z)); // => Node 1 [Node 20 [], Node 3 []]
+ */
+export const fromZipperToTree = z => {
+  if (isTreeZipper(z) === false) { return error.typeError(z, fromZipperToTree); }
+  return treeZipperRoot(z).focus();
+}
+
+/**
+ * Return the subtree in focus of a `TreeZipper`.
+ * @param {TreeZipper} z - The `TreeZipper`
+ * @returns {Tree} The subtree in focus
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, emptyList)));
+ * treeZipperFocus(fromJust(treeZipperFirstChild(fromTreeToZipper(t)))); // => Node 2 []
+ */
+export const treeZipperFocus = z =>
+  isTreeZipper(z) ? z.focus() : error.typeError(z, treeZipperFocus);
+
+/**
+ * Move the focus of a `TreeZipper` to the parent of the subtree in focus. This rebuilds the parent,
+ * so it takes time proportional to its number of children.
+ * @param {TreeZipper} z - The `TreeZipper`
+ * @returns {Maybe} The moved `TreeZipper` in a `Just`, or `Nothing` if the focus is the root
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, emptyList)));
+ * const z = fromTreeToZipper(t);
+ * treeZipperParent(z);         // => Nothing
+ * treeZipperParent(fromJust(treeZipperFirstChild(z))); // => Just TreeZipper Node 1 [...]
+ */
+export const treeZipperParent = z => {
+  if (isTreeZipper(z) === false) { return error.typeError(z, treeZipperParent); }
+  const p = z.up();
+  if (p === undefined) { return Nothing; }
+  const t = node(p.label, listAppend(reverse(z.lefts()), cons(z.focus(), z.rights())));
+  return just(new TreeZipper(t, p.lefts, p.rights, p.up));
+}
+
+/**
+ * Move the focus of a `TreeZipper` to the first child of the subtree in focus, in constant time.
+ * @param {TreeZipper} z - The `TreeZipper`
+ * @returns {Maybe} The moved `TreeZipper` in a `Just`, or `Nothing` if the subtree in focus is a
+ * leaf
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, emptyList)));
+ * treeZipperFirstChild(fromTreeToZipper(t)); // => Just TreeZipper Node 2 []
+ */
+export const treeZipperFirstChild = z => {
+  if (isTreeZipper(z) === false) { return error.typeError(z, treeZipperFirstChild); }
+  const t = z.focus();
+  const ts = t.children();
+  if (isEmpty(ts)) { return Nothing; }
+  const up = {label: t.label(), lefts: z.lefts(), rights: z.rights(), up: z.up()};
+  return just(new TreeZipper(head(ts), emptyList, tail(ts), up));
+}
+
+/**
+ * Move the focus of a `TreeZipper` to the sibling on the left of the subtree in focus, in constant
+ * time.
+ * @param {TreeZipper} z - The `TreeZipper`
+ * @returns {Maybe} The moved `TreeZipper` in a `Just`, or `Nothing` if there is no such sibling
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, emptyList)));
+ * const z = fromJust(treeZipperFirstChild(fromTreeToZipper(t)));
+ * treeZipperLeft(z);           // => Nothing
+ * treeZipperLeft(fromJust(treeZipperRight(z))); // => Just TreeZipper Node 2 []
+ */
+export const treeZipperLeft = z => {
+  if (isTreeZipper(z) === false) { return error.typeError(z, treeZipperLeft); }
+  const ls = z.lefts();
+  if (isEmpty(ls)) { return Nothing; }
+  return just(new TreeZipper(head(ls), tail(ls), cons(z.focus(), z.rights()), z.up()));
+}
+
+/**
+ * Move the focus of a `TreeZipper` to the sibling on the right of the subtree in focus, in constant
+ * time.
+ * @param {TreeZipper} z - The `TreeZipper`
+ * @returns {Maybe} The moved `TreeZipper` in a `Just`, or `Nothing` if there is no such sibling
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, emptyList)));
+ * const z = fromJust(treeZipperFirstChild(fromTreeToZipper(t)));
+ * treeZipperRight(z);          // => Just TreeZipper Node 3 []
+ */
+export const treeZipperRight = z => {
+  if (isTreeZipper(z) === false) { return error.typeError(z, treeZipperRight); }
+  const rs = z.rights();
+  if (isEmpty(rs)) { return Nothing; }
+  return just(new TreeZipper(head(rs), cons(z.focus(), z.lefts()), tail(rs), z.up()));
+}
+
+/**
+ * Move the focus of a `TreeZipper` all the way up to the root of the tree.
+ * @param {TreeZipper} z - The `TreeZipper`
+ * @returns {TreeZipper} The moved `TreeZipper`
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, list(node(4, emptyList))), node(3, emptyList)));
+ * const z = fromJust(treeZipperFirstChild(fromJust(treeZipperFirstChild(fromTreeToZipper(t)))));
+ * treeZipperRoot(z);           // => TreeZipper Node 1 [Node 2 [Node 4 []], Node 3 []]
+ */
+export const treeZipperRoot = z => {
+  if (isTreeZipper(z) === false) { return error.typeError(z, treeZipperRoot); }
+  for (let p = treeZipperParent(z); p !== Nothing; p = treeZipperParent(z)) { z = p.value(); }
+  return z;
+}
+
+/**
+ * Apply a function to the subtree in focus of a `TreeZipper`, which must return a `Tree` of the
+ * same type, in constant time. To change only the label in focus, rebuild the node with `node`, as
+ * in the example.
+ * @param {Function} f - The function
+ * @param {TreeZipper} z - The `TreeZipper`
+ * @returns {TreeZipper} A new `TreeZipper` with the result of `f` in focus
+ * @kind function
+ * @example
+ * const t = node(1, list(node(2, emptyList), node(3, emptyList)));
+ * const z = fromJust(treeZipperFirstChild(fromTreeToZipper(t)));
+ * treeZipperModify(t => node(20, subForest(t)), z); // => TreeZipper Node 20 []
+ */
+export const treeZipperModify = (f, z) => {
+  const treeZipperModify_ = (f, z) => {
+    if (isTreeZipper(z) === false) { return error.typeError(z, treeZipperModify); }
+    const t = f(z.focus());
+    if (isTree(t) === false || type(t) !== type(z.focus())) {
+      return error.returnError(f, treeZipperModify);
+    }
+    return new TreeZipper(t, z.lefts(), z.rights(), z.up());
+  }
+  return partial(treeZipperModify_, f, z);
+}
+
+/**
+ * Determine whether an object is a `TreeZipper`.
+ * @param {*} a - Any object
+ * @returns {boolean} `true` if the object is a `TreeZipper` and `false` otherwise
+ * @kind function
+ * @example
+ * isTreeZipper(fromTreeToZipper(node(1, emptyList))); // => true
+ * isTreeZipper(node(1, emptyList)); // => false
+ */
+export const isTreeZipper = a => a instanceof TreeZipper ? true : false;
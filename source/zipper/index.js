@@ -0,0 +1,34 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * zipper/index.js
+ *
+ * Top level index for Zipper and TreeZipper data types.
+ */
+
+export {Zipper} from './zipper';
+
+export {TreeZipper} from './treezipper';
+
+export {
+  fromListToZipper,
+  fromZipperToList,
+  zipperFocus,
+  zipperLeft,
+  zipperRight,
+  zipperModify,
+  zipperInsertLeft,
+  zipperDelete,
+  isZipper,
+  fromTreeToZipper,
+  fromZipperToTree,
+  treeZipperFocus,
+  treeZipperParent,
+  treeZipperFirstChild,
+  treeZipperLeft,
+  treeZipperRight,
+  treeZipperRoot,
+  treeZipperModify,
+  isTreeZipper
+} from './func';
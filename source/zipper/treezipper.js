@@ -0,0 +1,50 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * zipper/treezipper.js
+ *
+ * @file TreeZipper data type.
+ * @license ISC
+ */
+
+/** @module zipper/treezipper */
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * A `TreeZipper` is a `Tree` with a focus on one of its subtrees. Along with the subtree in focus,
+ * it keeps the siblings to its left, nearest first, the siblings to its right, and a path of the
+ * same back up to the root, so that moving the focus to the parent, a child, or a sibling, and
+ * replacing the subtree in focus, take time proportional to the number of siblings at most.
+ * @alias module:zipper.TreeZipper
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class TreeZipper extends Type {
+  /**
+   * Create a new `TreeZipper`.
+   * @param {Tree} t - The subtree in focus
+   * @param {List} ls - The siblings to the left of `t`, nearest first
+   * @param {List} rs - The siblings to the right of `t`, nearest first
+   * @param {Object} [up] - The label, siblings, and path of the parent of `t`, if it has one
+   * @private
+   */
+  constructor(t, ls, rs, up) {
+    super();
+    this.focus = () => t;
+    this.lefts = () => ls;
+    this.rights = () => rs;
+    this.up = () => up;
+  }
+  // Match
+  fields() { return [this.focus(), this.lefts(), this.rights()]; }
+  // Prototype
+  toString() { return `[Object TreeZipper]`; }
+  typeOf() { return `TreeZipper ${type(this.focus().label())}`; }
+  valueOf() { return `TreeZipper ${this.focus().valueOf()}`; }
+}
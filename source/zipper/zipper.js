@@ -0,0 +1,76 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * zipper/zipper.js
+ *
+ * @file Zipper data type.
+ * @license ISC
+ */
+
+/** @module zipper/zipper */
+
+import {isEq} from '../eq';
+
+import {foldr} from '../foldable';
+
+import {
+  isEmpty,
+  reverse,
+  fromListToArray,
+  map
+} from '../list';
+
+import {fromZipperToList} from '../zipper';
+
+import {
+  Type,
+  type
+} from '../type';
+
+/**
+ * A `Zipper` is a `List` with a focus on one of its values. The values to the left of the focus are
+ * kept in reverse order, nearest first, so that moving the focus one step to the left or right,
+ * and changing, inserting, or deleting values at the focus, all take constant time.
+ * @alias module:zipper.Zipper
+ * @kind class
+ * @extends Type
+ * @private
+ */
+export class Zipper extends Type {
+  /**
+   * Create a new `Zipper`.
+   * @param {List} ls - The values to the left of the focus, nearest first
+   * @param {*} x - The value in focus
+   * @param {List} rs - The values to the right of the focus, nearest first
+   * @private
+   */
+  constructor(ls, x, rs) {
+    super();
+    this.lefts = () => ls;
+    this.focus = () => x;
+    this.rights = () => rs;
+  }
+  // Eq
+  static isEq(z1, z2) {
+    const same = (xs, ys) => {
+      const [as, bs] = [xs, ys].map(fromListToArray);
+      return as.length === bs.length && as.every((a, i) => isEq(a, bs[i]));
+    }
+    return isEq(z1.focus(), z2.focus()) &&
+      same(z1.lefts(), z2.lefts()) && same(z1.rights(), z2.rights());
+  }
+  // Foldable
+  static foldr(f, z, a) { return foldr(f, z, fromZipperToList(a)); }
+  // Functor
+  static fmap(f, a) { return new Zipper(map(f, a.lefts()), f(a.focus()), map(f, a.rights())); }
+  // Match
+  fields() { return [this.lefts(), this.focus(), this.rights()]; }
+  // Prototype
+  toString() { return `[Object Zipper]`; }
+  typeOf() { return `Zipper ${type(this.focus())}`; }
+  valueOf() {
+    const show = xs => isEmpty(xs) ? `[]` : xs.valueOf();
+    return `Zipper ${show(reverse(this.lefts()))} ${this.focus()} ${show(this.rights())}`;
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/data-test.js
+ *
+ * @file Tests for algebraic data type definitions.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Eq,
+  Ord,
+  data,
+  show,
+  type,
+  typeCheck,
+  isEq,
+  isNotEq,
+  compare,
+  lessThan,
+  max,
+  EQ,
+  LT,
+  GT,
+  checkLaws,
+  isEmpty,
+  just,
+  list,
+  sort,
+  tuple
+} from '../source';
+
+describe(`Algebraic data types`, function() {
+  const Shape = data(`Shape`, {Circle: [`radius`], Rect: [`w`, `h`]}, {deriving: [`Eq`, `Ord`, `Show`]});
+  const {Circle, Rect} = Shape;
+  const Color = data(`Color`, {Red: [], Green: [], Blue: []}, {deriving: [`Ord`]});
+  const Opaque = data(`Opaque`, {Opaque: [`a`]});
+  describe(`data()`, function() {
+    it(`should create data constructors for each of the values of a data type`, function() {
+      Circle(1).radius().should.equal(1);
+      Rect(2, 3).w().should.equal(2);
+      Rect(2, 3).h().should.equal(3);
+      Color.Red.tag().should.equal(`Red`);
+    });
+    it(`should give each value its data constructor and fields`, function() {
+      Rect(2, 3).tag().should.equal(`Rect`);
+      Rect(2, 3).fields().should.eql([2, 3]);
+      Shape.tags().should.eql([`Circle`, `Rect`]);
+      Color.Blue.fields().should.eql([]);
+    });
+    it(`should name the data type and its data constructors`, function() {
+      Shape.name.should.equal(`Shape`);
+      Circle.name.should.equal(`Circle`);
+      Circle(1).should.be.an.instanceof(Shape);
+    });
+    it(`should work with type and typeCheck`, function() {
+      type(Circle(1)).should.equal(`Shape`);
+      Color.Red.typeOf().should.equal(`Color`);
+      typeCheck(Circle(1), Rect(1, 2)).should.be.true();
+      typeCheck(Circle(1), Color.Red).should.be.false();
+      typeCheck(Circle(1), 1).should.be.false();
+    });
+    it(`should be curried`, function() {
+      data(`Point`)({Point: [`x`, `y`]}).Point(1, 2).y().should.equal(2);
+      const Point = data(`Point`)({Point: [`x`, `y`]}, {deriving: [`Show`]});
+      show(Point.Point(1, 2)).should.equal(`Point 1 2`);
+    });
+    it(`should throw an error if a data constructor is given the wrong number of fields`, function() {
+      Circle.bind(null).should.throw();
+      Circle.bind(null, 1, 2).should.throw();
+      Rect.bind(null, 1, undefined).should.throw();
+    });
+    it(`should throw an error if the names of the data type or its constructors are invalid`, function() {
+      data.bind(null, `shape`, {Circle: []}).should.throw();
+      data.bind(null, `Shape`, {circle: []}).should.throw();
+      data.bind(null, `Shape`, {}).should.throw();
+      data.bind(null, `Shape`, {Circle: `radius`}).should.throw();
+    });
+    it(`should throw an error if the names of the fields are invalid`, function() {
+      data.bind(null, `Shape`, {Circle: [`tag`]}).should.throw();
+      data.bind(null, `Shape`, {Rect: [`w`, `w`]}).should.throw();
+      data.bind(null, `Shape`, {Circle: [0]}).should.throw();
+    });
+    it(`should throw an error if asked to derive an unknown type class`, function() {
+      data.bind(null, `Shape`, {Circle: []}, {deriving: [`Functor`]}).should.throw();
+      data.bind(null, `Shape`, {Circle: []}, {deriving: `Eq`}).should.throw();
+    });
+  });
+  describe(`deriving Eq`, function() {
+    it(`should compare values by their data constructors and fields`, function() {
+      Eq(Circle(1)).should.be.true();
+      isEq(Circle(1), Circle(1)).should.be.true();
+      isEq(Circle(1), Circle(2)).should.be.false();
+      isNotEq(Circle(1), Rect(1, 1)).should.be.true();
+      isEq(Color.Red, Color.Red).should.be.true();
+    });
+    it(`should compare fields with isEq`, function() {
+      isEq(Shape.Circle(just(1)), Shape.Circle(just(1))).should.be.true();
+      isEq(Shape.Circle(tuple(1, 2)), Shape.Circle(tuple(1, 3))).should.be.false();
+    });
+    it(`should not be derived unless asked for`, function() {
+      Eq(Opaque.Opaque(1)).should.be.false();
+    });
+  });
+  describe(`deriving Ord`, function() {
+    it(`should order values by their data constructors and then their fields`, function() {
+      Ord(Circle(1)).should.be.true();
+      compare(Circle(5), Rect(1, 1)).should.equal(LT);
+      compare(Rect(1, 3), Rect(1, 2)).should.equal(GT);
+      compare(Rect(1, 2), Rect(1, 2)).should.equal(EQ);
+      lessThan(Color.Red, Color.Blue).should.be.true();
+      max(Circle(3), Rect(0, 0)).valueOf().should.equal(`Rect 0 0`);
+      sort(list(Rect(2, 1), Circle(3), Rect(1, 5), Circle(1))).valueOf()
+        .should.equal(`[Circle 1:Circle 3:Rect 1 5:Rect 2 1:[]]`);
+    });
+    it(`should also derive Eq`, function() {
+      Eq(Color.Red).should.be.true();
+      isEq(Color.Green, Color.Blue).should.be.false();
+    });
+    it(`should obey the laws of Eq and Ord`, function() {
+      const int = () => Math.floor(Math.random() * 3);
+      const randomShape = () => Math.random() < 0.5 ? Circle(int()) : Rect(int(), int());
+      isEmpty(checkLaws(Eq, randomShape)).should.be.true();
+      isEmpty(checkLaws(Ord, randomShape)).should.be.true();
+    });
+  });
+  describe(`deriving Show`, function() {
+    it(`should show values as their data constructors followed by their fields`, function() {
+      show(Rect(1, 2)).should.equal(`Rect 1 2`);
+      `${Circle(1)}`.should.equal(`Circle 1`);
+    });
+    it(`should wrap fields that are shown as more than one word in parentheses`, function() {
+      show(Circle(just(1))).should.equal(`Circle (Just 1)`);
+      show(Circle(Rect(1, 2))).should.equal(`Circle (Rect 1 2)`);
+      show(Circle(list(1, 2))).should.equal(`Circle [1:2:[]]`);
+      show(Circle(tuple(1, 2))).should.equal(`Circle (1,2)`);
+    });
+    it(`should show values of data types that do not derive Show as opaque objects`, function() {
+      show(Color.Red).should.equal(`[Object Color]`);
+      show(Opaque.Opaque(1)).should.equal(`[Object Opaque]`);
+    });
+  });
+});
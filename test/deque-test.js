@@ -0,0 +1,267 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/deque-test.js
+ *
+ * @file Tests for Deque data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Monoid,
+  Foldable,
+  Functor,
+  isEq,
+  compare,
+  LT,
+  GT,
+  show,
+  type,
+  mempty,
+  mappend,
+  foldr,
+  fmap,
+  fst,
+  snd,
+  fromJust,
+  Nothing,
+  list,
+  listRange,
+  emptyList,
+  lazyCons,
+  fromListToArray,
+  reverse,
+  emptyDeque,
+  dequePushFront,
+  dequePushBack,
+  dequePopFront,
+  dequePopBack,
+  dequeLength,
+  dequeReverse,
+  dequeAppend,
+  fromListToDeque,
+  fromDequeToList,
+  isDeque
+} from '../source';
+
+import {Deque} from '../source/deque';
+
+describe(`Deque data type`, function() {
+  const d = fromListToDeque(list(1,2,3));
+  const big = fromListToDeque(listRange(0, 500));
+  it(`should return [Object Deque] when cast to a string`, function() {
+    d.toString().should.equal(`[Object Deque]`);
+  });
+  it(`should return its values in order as its value`, function() {
+    d.valueOf().should.equal(`Deque [1, 2, 3]`);
+    emptyDeque.valueOf().should.equal(`Deque []`);
+  });
+  it(`should have a type made from the type of its values`, function() {
+    type(d).should.equal(`Deque number`);
+    type(emptyDeque).should.equal(`Deque`);
+  });
+  describe(`emptyDeque`, function() {
+    it(`should be a deque with no values`, function() {
+      isDeque(emptyDeque).should.be.true();
+      dequeLength(emptyDeque).should.equal(0);
+      dequePopFront(emptyDeque).should.equal(Nothing);
+    });
+  });
+  describe(`dequePushFront()`, function() {
+    it(`should add a value to the front of a deque`, function() {
+      dequePushFront(0, d).valueOf().should.equal(`Deque [0, 1, 2, 3]`);
+      dequePushFront(0)(d).valueOf().should.equal(`Deque [0, 1, 2, 3]`);
+      dequePushFront(1, emptyDeque).valueOf().should.equal(`Deque [1]`);
+    });
+    it(`should throw an error if the second argument is not a deque`, function() {
+      dequePushFront.bind(null, 0, list(1)).should.throw();
+    });
+    it(`should throw an error if the value is not the same type as the deque`, function() {
+      dequePushFront.bind(null, `a`, d).should.throw();
+    });
+  });
+  describe(`dequePushBack()`, function() {
+    it(`should add a value to the back of a deque`, function() {
+      dequePushBack(d, 4).valueOf().should.equal(`Deque [1, 2, 3, 4]`);
+      dequePushBack(d)(4).valueOf().should.equal(`Deque [1, 2, 3, 4]`);
+      dequePushBack(emptyDeque, 1).valueOf().should.equal(`Deque [1]`);
+    });
+    it(`should throw an error if the first argument is not a deque`, function() {
+      dequePushBack.bind(null, list(1), 0).should.throw();
+    });
+    it(`should throw an error if the value is not the same type as the deque`, function() {
+      dequePushBack.bind(null, d, `a`).should.throw();
+    });
+  });
+  describe(`dequePopFront()`, function() {
+    it(`should return the first value and the rest of a deque in a Just`, function() {
+      const p = fromJust(dequePopFront(d));
+      fst(p).should.equal(1);
+      snd(p).valueOf().should.equal(`Deque [2, 3]`);
+      show(dequePopFront(d)).should.equal(`Just (1,Deque [2, 3])`);
+    });
+    it(`should take values from the back when the front runs out`, function() {
+      const e = dequePushBack(dequePushBack(emptyDeque, 1), 2);
+      fst(fromJust(dequePopFront(e))).should.equal(1);
+      fst(fromJust(dequePopFront(dequeReverse(e)))).should.equal(2);
+    });
+    it(`should return Nothing if the deque is empty`, function() {
+      dequePopFront(emptyDeque).should.equal(Nothing);
+    });
+    it(`should throw an error if the argument is not a deque`, function() {
+      dequePopFront.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`dequePopBack()`, function() {
+    it(`should return the rest and the last value of a deque in a Just`, function() {
+      const p = fromJust(dequePopBack(d));
+      fst(p).valueOf().should.equal(`Deque [1, 2]`);
+      snd(p).should.equal(3);
+      show(dequePopBack(d)).should.equal(`Just (Deque [1, 2],3)`);
+    });
+    it(`should take values from the front when the back runs out`, function() {
+      const e = dequePushFront(2, dequePushFront(1, emptyDeque));
+      snd(fromJust(dequePopBack(e))).should.equal(1);
+    });
+    it(`should return Nothing if the deque is empty`, function() {
+      dequePopBack(emptyDeque).should.equal(Nothing);
+    });
+    it(`should drain a deque from either end in order`, function() {
+      const xs = [];
+      const ys = [];
+      for (let e = big; dequeLength(e) > 0; e = snd(fromJust(dequePopFront(e)))) {
+        xs.push(fst(fromJust(dequePopFront(e))));
+      }
+      for (let e = big; dequeLength(e) > 0; e = fst(fromJust(dequePopBack(e)))) {
+        ys.push(snd(fromJust(dequePopBack(e))));
+      }
+      list(...xs).valueOf().should.equal(listRange(0, 500).valueOf());
+      list(...ys).valueOf().should.equal(reverse(listRange(0, 500)).valueOf());
+    });
+  });
+  describe(`dequeLength()`, function() {
+    it(`should return the number of values in a deque`, function() {
+      dequeLength(d).should.equal(3);
+      dequeLength(big).should.equal(500);
+    });
+    it(`should throw an error if the argument is not a deque`, function() {
+      dequeLength.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`dequeReverse()`, function() {
+    it(`should reverse a deque`, function() {
+      dequeReverse(d).valueOf().should.equal(`Deque [3, 2, 1]`);
+      dequeReverse(emptyDeque).valueOf().should.equal(`Deque []`);
+      fromDequeToList(dequeReverse(big)).valueOf()
+        .should.equal(reverse(listRange(0, 500)).valueOf());
+    });
+    it(`should throw an error if the argument is not a deque`, function() {
+      dequeReverse.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`dequeAppend()`, function() {
+    it(`should append one deque to another`, function() {
+      dequeAppend(d, fromListToDeque(list(4,5))).valueOf().should.equal(`Deque [1, 2, 3, 4, 5]`);
+      dequeAppend(emptyDeque)(d).valueOf().should.equal(`Deque [1, 2, 3]`);
+      dequeAppend(d, emptyDeque).should.equal(d);
+    });
+    it(`should throw an error if the deques are not the same type`, function() {
+      dequeAppend.bind(null, d, fromListToDeque(list(`a`))).should.throw();
+    });
+    it(`should throw an error if either argument is not a deque`, function() {
+      dequeAppend.bind(null, d, list(1)).should.throw();
+      dequeAppend.bind(null, list(1), d).should.throw();
+    });
+  });
+  describe(`fromListToDeque()`, function() {
+    it(`should create a deque from the values of a list`, function() {
+      fromListToDeque(list(`a`, `b`)).valueOf().should.equal(`Deque [a, b]`);
+      fromListToDeque(emptyList).valueOf().should.equal(`Deque []`);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      fromListToDeque.bind(null, [1,2,3]).should.throw();
+    });
+  });
+  describe(`fromDequeToList()`, function() {
+    it(`should convert a deque into a list of its values`, function() {
+      fromDequeToList(d).valueOf().should.equal(`[1:2:3:[]]`);
+      fromDequeToList(dequePushFront(0, dequePushBack(d, 4))).valueOf()
+        .should.equal(`[0:1:2:3:4:[]]`);
+    });
+    it(`should throw an error if the argument is not a deque`, function() {
+      fromDequeToList.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`isDeque()`, function() {
+    it(`should return true if the argument is a deque and false otherwise`, function() {
+      isDeque(d).should.be.true();
+      isDeque(list(1,2,3)).should.be.false();
+    });
+  });
+  describe(`Eq`, function() {
+    it(`should compare deques by their values, not their shape`, function() {
+      isEq(d, dequePushFront(1, fromListToDeque(list(2,3)))).should.be.true();
+      isEq(d, dequeReverse(dequeReverse(d))).should.be.true();
+      isEq(d, dequeReverse(d)).should.be.false();
+    });
+  });
+  describe(`Ord`, function() {
+    it(`should compare deques lexicographically`, function() {
+      compare(d, fromListToDeque(list(1,2,4))).should.equal(LT);
+      compare(d, fromListToDeque(list(1,2))).should.equal(GT);
+    });
+  });
+  describe(`Monoid`, function() {
+    it(`should be a monoid under appending`, function() {
+      Monoid(d).should.be.true();
+      mempty(d).should.equal(emptyDeque);
+      mappend(d, d).valueOf().should.equal(`Deque [1, 2, 3, 1, 2, 3]`);
+    });
+  });
+  describe(`Foldable`, function() {
+    it(`should fold the values of a deque from front to back`, function() {
+      Foldable(d).should.be.true();
+      foldr((x, acc) => acc.concat(x), [], dequePushBack(d, 4)).should.eql([4, 3, 2, 1]);
+    });
+  });
+  describe(`Functor`, function() {
+    it(`should map a function over the values of a deque`, function() {
+      Functor(d).should.be.true();
+      fmap(x => x * 2, d).valueOf().should.equal(`Deque [2, 4, 6]`);
+      fmap(x => x * 2, dequeReverse(d)).valueOf().should.equal(`Deque [6, 4, 2]`);
+    });
+  });
+  it(`should be persistent`, function() {
+    dequePushFront(0, d);
+    dequePopBack(d);
+    show(d).should.equal(`Deque [1, 2, 3]`);
+  });
+  it(`should split its values between its ends lazily when it rebalances`, function() {
+    let forced = 0;
+    const from = (a, b) => a > b ? emptyList : lazyCons(a, () => {
+      forced += 1;
+      return from(a + 1, b);
+    });
+    const lopsided = new Deque(from(1, 7), 7, list(9, 8), 2);
+    const rest = fst(fromJust(dequePopBack(lopsided)));
+    forced.should.equal(0);
+    fromListToArray(fromDequeToList(rest)).should.eql([1,2,3,4,5,6,7,8]);
+    forced.should.equal(7);
+  });
+  it(`should give the same values each time a version is reused`, function() {
+    const versions = [big];
+    for (let i = 0; i < 300; i += 1) {
+      versions.push(fst(fromJust(dequePopBack(versions[versions.length - 1]))));
+    }
+    versions.forEach((v, i) => {
+      const [x, rest] = [fst, snd].map(f => f(fromJust(dequePopFront(v))));
+      x.should.equal(0);
+      dequeLength(rest).should.equal(dequeLength(big) - i - 1);
+      snd(fromJust(dequePopBack(v))).should.equal(dequeLength(big) - i - 1);
+      fst(fromJust(dequePopFront(v))).should.equal(x);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/either-test.js
+ *
+ * @file Tests for Either data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  isEq,
+  EQ,
+  LT,
+  GT,
+  compare,
+  foldr,
+  traverse,
+  fmap,
+  pure,
+  ap,
+  flatMap,
+  Do,
+  just,
+  fst,
+  snd,
+  list,
+  emptyList,
+  left,
+  right,
+  either,
+  isEither,
+  isLeft,
+  isRight,
+  fromLeft,
+  fromRight,
+  lefts,
+  rights,
+  partitionEithers
+} from '../source';
+
+describe(`Either data type`, function() {
+  const l = left(`error`);
+  const r = right(10);
+  const lst = list(left(`a`), right(1), left(`b`), right(2));
+  const f = x => x.length;
+  const g = x => x * 2;
+  const safeDiv = (x, y) => y === 0 ? left(`divide by zero`) : right(x / y);
+  it(`should return Left <value> or Right <value> when cast to a string`, function() {
+    l.toString().should.equal(`Left error`);
+    r.toString().should.equal(`Right 10`);
+  });
+  it(`should return its correct type`, function() {
+    l.typeOf().should.equal(`Either string _`);
+    r.typeOf().should.equal(`Either _ number`);
+  });
+  describe(`Eq instance`, function() {
+    it(`should compare Either values for equality`, function() {
+      isEq(r, right(10)).should.be.true();
+      isEq(r, right(11)).should.be.false();
+      isEq(l, left(`error`)).should.be.true();
+      isEq(left(10), r).should.be.false();
+    });
+  });
+  describe(`Ord instance`, function() {
+    it(`should order Left values before Right values`, function() {
+      compare(l, r).should.equal(LT);
+      compare(r, l).should.equal(GT);
+    });
+    it(`should compare values on the same side`, function() {
+      compare(right(1), right(2)).should.equal(LT);
+      compare(left(2), left(1)).should.equal(GT);
+      compare(r, right(10)).should.equal(EQ);
+    });
+  });
+  describe(`Foldable instance`, function() {
+    it(`should fold over a Right value and ignore a Left value`, function() {
+      foldr((x, y) => x + y, 1, r).should.equal(11);
+      foldr((x, y) => x + y, 1, l).should.equal(1);
+    });
+  });
+  describe(`Traversable instance`, function() {
+    it(`should traverse a Right value`, function() {
+      traverse(x => list(x + 1), r).valueOf().should.equal(`[Right 11:[]]`);
+    });
+  });
+  describe(`Functor instance`, function() {
+    it(`should map a function over a Right value and leave a Left value unchanged`, function() {
+      fmap(g, r).valueOf().should.equal(`Right 20`);
+      fmap(g, l).should.equal(l);
+    });
+  });
+  describe(`Applicative instance`, function() {
+    it(`should lift a value into a Right`, function() {
+      pure(l, 5).valueOf().should.equal(`Right 5`);
+    });
+    it(`should apply a function in a Right to an Either value`, function() {
+      ap(right(g), r).valueOf().should.equal(`Right 20`);
+      ap(right(g), l).should.equal(l);
+      ap(l, r).should.equal(l);
+    });
+  });
+  describe(`Monad instance`, function() {
+    it(`should sequence computations that may fail`, function() {
+      flatMap(r, x => safeDiv(x, 2)).valueOf().should.equal(`Right 5`);
+      flatMap(r, x => safeDiv(x, 0)).valueOf().should.equal(`Left divide by zero`);
+      flatMap(l, x => safeDiv(x, 2)).should.equal(l);
+    });
+    it(`should work with Do blocks`, function() {
+      const b = Do(r).flatMap(x => safeDiv(x, 5)).flatMap(x => right(x + 1));
+      b.valueOf().should.equal(`Either _ number >>= Right 3`);
+    });
+  });
+  describe(`left()`, function() {
+    it(`should construct a Left value`, function() {
+      isLeft(left(1)).should.be.true();
+    });
+  });
+  describe(`right()`, function() {
+    it(`should construct a Right value`, function() {
+      isRight(right(1)).should.be.true();
+    });
+  });
+  describe(`either()`, function() {
+    it(`should apply the first function to a Left value`, function() {
+      either(f, g, l).should.equal(5);
+    });
+    it(`should apply the second function to a Right value`, function() {
+      either(f, g, r).should.equal(20);
+      either(f, g)(r).should.equal(20);
+    });
+    it(`should throw an error if the third argument is not an Either value`, function() {
+      either.bind(null, f, g, 0).should.throw();
+    });
+  });
+  describe(`isEither()`, function() {
+    it(`should return true if the argument is an Either value`, function() {
+      isEither(l).should.be.true();
+      isEither(r).should.be.true();
+    });
+    it(`should return false if the argument is not an Either value`, function() {
+      isEither(just(1)).should.be.false();
+    });
+  });
+  describe(`isLeft()`, function() {
+    it(`should return true if the argument is a Left value`, function() {
+      isLeft(l).should.be.true();
+    });
+    it(`should return false if the argument is a Right value`, function() {
+      isLeft(r).should.be.false();
+    });
+    it(`should throw an error if the argument is not an Either value`, function() {
+      isLeft.bind(null, 0).should.throw();
+    });
+  });
+  describe(`isRight()`, function() {
+    it(`should return true if the argument is a Right value`, function() {
+      isRight(r).should.be.true();
+    });
+    it(`should return false if the argument is a Left value`, function() {
+      isRight(l).should.be.false();
+    });
+    it(`should throw an error if the argument is not an Either value`, function() {
+      isRight.bind(null, 0).should.throw();
+    });
+  });
+  describe(`fromLeft()`, function() {
+    it(`should return the value contained in a Left`, function() {
+      fromLeft(``, l).should.equal(`error`);
+    });
+    it(`should return the default value if the argument is a Right`, function() {
+      fromLeft(``, r).should.equal(``);
+    });
+    it(`should throw an error if the second argument is not an Either value`, function() {
+      fromLeft.bind(null, ``, 0).should.throw();
+    });
+  });
+  describe(`fromRight()`, function() {
+    it(`should return the value contained in a Right`, function() {
+      fromRight(0, r).should.equal(10);
+    });
+    it(`should return the default value if the argument is a Left`, function() {
+      fromRight(0, l).should.equal(0);
+    });
+    it(`should throw an error if the second argument is not an Either value`, function() {
+      fromRight.bind(null, 0, 0).should.throw();
+    });
+  });
+  describe(`lefts()`, function() {
+    it(`should extract all the Left values from a list`, function() {
+      lefts(lst).valueOf().should.equal(`[ab]`);
+      lefts(list(r)).should.equal(emptyList);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      lefts.bind(null, 0).should.throw();
+    });
+  });
+  describe(`rights()`, function() {
+    it(`should extract all the Right values from a list`, function() {
+      rights(lst).valueOf().should.equal(`[1:2:[]]`);
+      rights(list(l)).should.equal(emptyList);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      rights.bind(null, 0).should.throw();
+    });
+  });
+  describe(`partitionEithers()`, function() {
+    it(`should partition a list of Either values into a tuple of Left and Right values`, function() {
+      const p = partitionEithers(lst);
+      fst(p).valueOf().should.equal(`[ab]`);
+      snd(p).valueOf().should.equal(`[1:2:[]]`);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      partitionEithers.bind(null, 0).should.throw();
+    });
+  });
+});
@@ -19,7 +19,12 @@ describe(`error handling functions`, function() {
   describe(`error()`, function() {
     it(`should throw errors`, function() {
       error.emptyList.bind(null, 0, 0).should.throw(Error);
+      error.eof.bind(null, 0).should.throw(Error);
+      error.falsified.bind(null, 0, 0, 0, 0, 0).should.throw(Error);
+      error.innerMonad.bind(null, 0).should.throw(Error);
       error.listError.bind(null, 0, 0).should.throw(Error);
+      error.missingMethod.bind(null, 0, 0, 0).should.throw(Error);
+      error.nonExhaustive.bind(null, 0, 0).should.throw(Error);
       error.nothing.bind(null, 0, 0).should.throw(Error);
       error.rangeError.bind(null, 0, 0).should.throw(Error);
       error.returnError.bind(null, 0, 0).should.throw(Error);
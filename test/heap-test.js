@@ -0,0 +1,200 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/heap-test.js
+ *
+ * @file Tests for Heap data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Foldable,
+  Functor,
+  show,
+  type,
+  compare,
+  foldr,
+  fromJust,
+  Nothing,
+  list,
+  listRange,
+  emptyList,
+  reverse,
+  fromArrayToList,
+  fromListToArray,
+  emptyHeap,
+  emptyHeapBy,
+  heapInsert,
+  heapFindMin,
+  heapDeleteMin,
+  heapMerge,
+  heapSize,
+  fromListToHeap,
+  fromListToHeapBy,
+  heapToSortedList,
+  heapSort,
+  heapSortBy,
+  isHeap
+} from '../source';
+
+describe(`Heap data type`, function() {
+  const h = fromListToHeap(list(5,3,8,1,9,2,2));
+  const desc = (x, y) => compare(y, x);
+  const shuffled = fromArrayToList(fromListToArray(listRange(0, 500)).map(i => (i * 7919) % 500));
+  it(`should return [Object Heap] when cast to a string`, function() {
+    h.toString().should.equal(`[Object Heap]`);
+  });
+  it(`should return its values in order as its value`, function() {
+    h.valueOf().should.equal(`Heap [1, 2, 2, 3, 5, 8, 9]`);
+    emptyHeap.valueOf().should.equal(`Heap []`);
+  });
+  it(`should have a type made from the type of its values`, function() {
+    type(h).should.equal(`Heap number`);
+    type(emptyHeap).should.equal(`Heap`);
+  });
+  describe(`emptyHeap`, function() {
+    it(`should be a heap with no values`, function() {
+      isHeap(emptyHeap).should.be.true();
+      heapSize(emptyHeap).should.equal(0);
+      heapFindMin(emptyHeap).should.equal(Nothing);
+    });
+  });
+  describe(`emptyHeapBy()`, function() {
+    it(`should return an empty heap ordered by a comparison function`, function() {
+      const mx = emptyHeapBy(desc);
+      heapFindMin(heapInsert(2, heapInsert(5, mx))).valueOf().should.equal(`Just 5`);
+    });
+    it(`should throw an error if the argument is not a function`, function() {
+      emptyHeapBy.bind(null, 1).should.throw();
+    });
+  });
+  describe(`heapInsert()`, function() {
+    it(`should insert a value into a heap`, function() {
+      heapInsert(0, h).valueOf().should.equal(`Heap [0, 1, 2, 2, 3, 5, 8, 9]`);
+      heapInsert(4)(h).valueOf().should.equal(`Heap [1, 2, 2, 3, 4, 5, 8, 9]`);
+      heapInsert(1, emptyHeap).valueOf().should.equal(`Heap [1]`);
+    });
+    it(`should throw an error if the second argument is not a heap`, function() {
+      heapInsert.bind(null, 1, list(1)).should.throw();
+    });
+    it(`should throw an error if the value is not the same type as the heap`, function() {
+      heapInsert.bind(null, `a`, h).should.throw();
+    });
+  });
+  describe(`heapFindMin()`, function() {
+    it(`should return the least value of a heap in a Just`, function() {
+      heapFindMin(h).valueOf().should.equal(`Just 1`);
+      heapFindMin(fromListToHeap(list(`b`, `a`))).valueOf().should.equal(`Just a`);
+    });
+    it(`should return Nothing if the heap is empty`, function() {
+      heapFindMin(emptyHeap).should.equal(Nothing);
+    });
+    it(`should throw an error if the argument is not a heap`, function() {
+      heapFindMin.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`heapDeleteMin()`, function() {
+    it(`should delete the least value of a heap`, function() {
+      heapDeleteMin(h).valueOf().should.equal(`Heap [2, 2, 3, 5, 8, 9]`);
+      heapSize(heapDeleteMin(h)).should.equal(6);
+    });
+    it(`should return the same heap if it is empty`, function() {
+      heapDeleteMin(emptyHeap).should.equal(emptyHeap);
+    });
+  });
+  describe(`heapMerge()`, function() {
+    it(`should merge two heaps`, function() {
+      heapMerge(h, fromListToHeap(list(4,6))).valueOf()
+        .should.equal(`Heap [1, 2, 2, 3, 4, 5, 6, 8, 9]`);
+      heapMerge(emptyHeap)(h).valueOf().should.equal(`Heap [1, 2, 2, 3, 5, 8, 9]`);
+    });
+    it(`should throw an error if the heaps are ordered by different functions`, function() {
+      heapMerge.bind(null, h, fromListToHeapBy(desc, list(4,6))).should.throw();
+    });
+    it(`should throw an error if the heaps are not the same type`, function() {
+      heapMerge.bind(null, h, fromListToHeap(list(`a`))).should.throw();
+    });
+    it(`should throw an error if either argument is not a heap`, function() {
+      heapMerge.bind(null, h, list(1)).should.throw();
+      heapMerge.bind(null, list(1), h).should.throw();
+    });
+  });
+  describe(`heapSize()`, function() {
+    it(`should return the number of values in a heap`, function() {
+      heapSize(h).should.equal(7);
+      heapSize(fromListToHeap(listRange(0, 1000))).should.equal(1000);
+    });
+    it(`should throw an error if the argument is not a heap`, function() {
+      heapSize.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`fromListToHeap()`, function() {
+    it(`should create a heap from the values of a list`, function() {
+      fromListToHeap(list(3,1,2)).valueOf().should.equal(`Heap [1, 2, 3]`);
+      fromListToHeap(emptyList).valueOf().should.equal(`Heap []`);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      fromListToHeap.bind(null, [3,1,2]).should.throw();
+    });
+  });
+  describe(`fromListToHeapBy()`, function() {
+    it(`should create a heap ordered by a comparison function`, function() {
+      fromListToHeapBy(desc, list(1,3,2)).valueOf().should.equal(`Heap [3, 2, 1]`);
+      fromJust(heapFindMin(fromListToHeapBy(desc)(list(1,3,2)))).should.equal(3);
+    });
+    it(`should throw an error if the first argument is not a function`, function() {
+      fromListToHeapBy.bind(null, 1, list(1)).should.throw();
+    });
+  });
+  describe(`heapToSortedList()`, function() {
+    it(`should convert a heap into a list of its values from least to greatest`, function() {
+      heapToSortedList(h).valueOf().should.equal(`[1:2:2:3:5:8:9:[]]`);
+      heapToSortedList(fromListToHeap(shuffled)).valueOf()
+        .should.equal(listRange(0, 500).valueOf());
+    });
+    it(`should throw an error if the argument is not a heap`, function() {
+      heapToSortedList.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`heapSort()`, function() {
+    it(`should sort a list`, function() {
+      heapSort(list(9,8,7,1,2,3)).valueOf().should.equal(`[1:2:3:7:8:9:[]]`);
+      heapSort(shuffled).valueOf().should.equal(listRange(0, 500).valueOf());
+      heapSort(emptyList).should.equal(emptyList);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      heapSort.bind(null, [3,1,2]).should.throw();
+    });
+  });
+  describe(`heapSortBy()`, function() {
+    it(`should sort a list using a comparison function`, function() {
+      heapSortBy(desc, list(1,3,2)).valueOf().should.equal(`[3:2:1:[]]`);
+      heapSortBy(desc, shuffled).valueOf().should.equal(reverse(listRange(0, 500)).valueOf());
+    });
+  });
+  describe(`isHeap()`, function() {
+    it(`should return true if the argument is a heap and false otherwise`, function() {
+      isHeap(h).should.be.true();
+      isHeap(list(1,2,3)).should.be.false();
+    });
+  });
+  describe(`Foldable`, function() {
+    it(`should fold the values of a heap from least to greatest`, function() {
+      Foldable(h).should.be.true();
+      foldr((x, acc) => acc.concat(x), [], h).should.eql([9, 8, 5, 3, 2, 2, 1]);
+    });
+  });
+  describe(`Functor`, function() {
+    it(`should not be a functor`, function() {
+      Functor(h).should.be.false();
+    });
+  });
+  it(`should be persistent`, function() {
+    heapInsert(0, h);
+    heapDeleteMin(h);
+    show(h).should.equal(`Heap [1, 2, 2, 3, 5, 8, 9]`);
+  });
+});
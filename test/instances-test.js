@@ -0,0 +1,95 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/instances-test.js
+ *
+ * @file Tests for type class instances of native JavaScript data types.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Eq,
+  Monoid,
+  Foldable,
+  Functor,
+  Applicative,
+  Monad,
+  id,
+  isEq,
+  mempty,
+  mappend,
+  mconcat,
+  foldr,
+  fmap,
+  pure,
+  ap,
+  inject,
+  flatMap,
+  join,
+  Do,
+  doM,
+  traverse,
+  tell,
+  runWriter,
+  list
+} from '../source';
+
+describe(`Type class instances for native data types`, function() {
+  const arr = [1,2,3];
+  const double = x => x * 2;
+  describe(`Array`, function() {
+    it(`should be a member of the type classes it has instances for`, function() {
+      [Eq, Monoid, Foldable, Functor, Applicative, Monad].every(c => c(arr)).should.be.true();
+    });
+    it(`should compare the lengths and values of arrays for equality`, function() {
+      isEq(arr, [1,2,3]).should.be.true();
+      isEq([list(1), [2]], [list(1), [2]]).should.be.true();
+      isEq(arr, [1,2]).should.be.false();
+      isEq(arr, [1,2,4]).should.be.false();
+    });
+    it(`should be a monoid`, function() {
+      mempty(arr).should.eql([]);
+      mappend(arr, [4,5]).should.eql([1,2,3,4,5]);
+      mappend(mempty(arr), arr).should.eql(arr);
+      mconcat([[1], [2,3], []]).should.eql(arr);
+    });
+    it(`should be foldable`, function() {
+      foldr((x, acc) => acc.concat(x), [], arr).should.eql([3,2,1]);
+      foldr((x, y) => x - y, 0, arr).should.equal(2);
+    });
+    it(`should be a functor`, function() {
+      fmap(double, arr).should.eql([2,4,6]);
+      fmap(id, arr).should.eql(arr);
+      fmap(parseInt, [`1`, `2`, `3`]).should.eql(arr);
+    });
+    it(`should be an applicative functor`, function() {
+      pure(arr, 5).should.eql([5]);
+      ap([double, x => x + 10], arr).should.eql([2,4,6,11,12,13]);
+    });
+    it(`should be a monad`, function() {
+      flatMap(arr, x => [x, -x]).should.eql([1,-1,2,-2,3,-3]);
+      inject(arr, 1).should.eql([1]);
+      join([[1], [2,3]]).should.eql(arr);
+      Do(arr).flatMap(x => [x, x]).m().should.eql([1,1,2,2,3,3]);
+      doM(function* () {
+        const x = yield [1,2];
+        const y = yield [10,20];
+        return x + y;
+      }).should.eql([11,21,12,22]);
+    });
+    it(`should work as an applicative for traverse`, function() {
+      traverse(x => [x, -x], list(1,2)).map(xs => xs.valueOf())
+        .should.eql([`[1:2:[]]`, `[1:-2:[]]`, `[-1:2:[]]`, `[-1:-2:[]]`]);
+    });
+  });
+  describe(`String`, function() {
+    it(`should be a monoid`, function() {
+      mempty(`abc`).should.equal(``);
+      mappend(`abc`, `def`).should.equal(`abcdef`);
+      runWriter(Do(tell(`a`)).chain(tell(`b`)).m()).valueOf().should.equal(`((),'ab')`);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/io-test.js
+ *
+ * @file Tests for IO data type.
+ * @license ISC
+ */
+
+/* global describe, it, console */
+
+import {tmpdir} from 'os';
+
+import {join} from 'path';
+
+import {
+  existsSync,
+  readFileSync,
+  unlinkSync
+} from 'fs';
+
+import {
+  id,
+  fmap,
+  pure,
+  ap,
+  inject,
+  flatMap,
+  chain,
+  liftM,
+  Do,
+  unit,
+  runIO,
+  unsafePerformIO,
+  putStr,
+  putStrLn,
+  getLine,
+  readFile,
+  writeFile,
+  isIO
+} from '../source';
+
+describe(`IO data type`, function() {
+  const output = () => {
+    const out = [];
+    return {write: s => out.push(s), out};
+  }
+  const path = join(tmpdir(), `maryamyriameliamurphies-io-test.txt`);
+  const greet = Do(putStrLn(`What is your name?`))
+    .chain(getLine)
+    .flatMap(name => putStrLn(`Hello, ${name}!`));
+  it(`should return [Object IO] when cast to a string`, function() {
+    getLine.toString().should.equal(`[Object IO]`);
+  });
+  it(`should return its correct type`, function() {
+    getLine.typeOf().should.equal(`IO`);
+  });
+  it(`should not perform its action until it is run`, function() {
+    const stdout = output();
+    const m = flatMap(putStrLn(`a`), () => putStrLn(`b`));
+    stdout.out.should.eql([]);
+    runIO(m, {stdout});
+    stdout.out.should.eql([`a\n`, `b\n`]);
+  });
+  describe(`Functor instance`, function() {
+    it(`should map a function over the result of an IO`, function() {
+      runIO(fmap(s => s.length, getLine), {stdin: `hello`}).should.equal(5);
+      runIO(fmap(id, getLine), {stdin: `hello`}).should.equal(`hello`);
+    });
+  });
+  describe(`Applicative instance`, function() {
+    it(`should lift a value into an IO with no side effects`, function() {
+      runIO(pure(getLine, 1)).should.equal(1);
+    });
+    it(`should apply a function in an IO to an IO, performing both actions in order`, function() {
+      const f = fmap(x => y => `${x} ${y}`, getLine);
+      runIO(ap(f, getLine), {stdin: [`first`, `second`]}).should.equal(`first second`);
+    });
+  });
+  describe(`Monad instance`, function() {
+    it(`should sequence actions`, function() {
+      const stdout = output();
+      runIO(flatMap(getLine, putStrLn), {stdin: `echo`, stdout}).should.equal(unit);
+      stdout.out.should.eql([`echo\n`]);
+      runIO(chain(getLine, getLine), {stdin: `a\nb\n`}).should.equal(`b`);
+      runIO(liftM(s => s.toUpperCase(), getLine), {stdin: `a`}).should.equal(`A`);
+      runIO(inject(getLine, 7)).should.equal(7);
+    });
+    it(`should work with Do blocks`, function() {
+      const stdout = output();
+      greet.valueOf().should.equal(`IO >>= [Object IO]`);
+      runIO(greet.m(), {stdin: `world`, stdout});
+      stdout.out.should.eql([`What is your name?\n`, `Hello, world!\n`]);
+    });
+    it(`should perform long chains of actions without overflowing the stack`, function() {
+      this.timeout(20000);
+      const n = 100000;
+      const inc = x => pure(getLine, x + 1);
+      let m = pure(getLine, 0);
+      for (let i = 0; i < n; i += 1) { m = flatMap(m, inc); }
+      runIO(m).should.equal(n);
+      const loop = k => k === 0 ? pure(getLine, 0) : flatMap(inc(0), () => loop(k - 1));
+      runIO(loop(n)).should.equal(0);
+      let f = pure(getLine, 0);
+      for (let i = 0; i < n; i += 1) { f = fmap(x => x + 1, f); }
+      runIO(f).should.equal(n);
+      const stdout = output();
+      let g = putStr(``);
+      for (let i = 0; i < n; i += 1) { g = chain(g, putStr(`a`)); }
+      runIO(g, {stdout});
+      stdout.out.length.should.equal(n + 1);
+    });
+  });
+  describe(`runIO()`, function() {
+    it(`should read input from a string, an array, or any other iterable`, function() {
+      const gen = function* () { yield `x`; }
+      runIO(getLine, {stdin: `a\r\nb`}).should.equal(`a`);
+      runIO(getLine, {stdin: [`a`, `b`]}).should.equal(`a`);
+      runIO(getLine, {stdin: gen()}).should.equal(`x`);
+    });
+    it(`should throw an error if the argument is not an IO`, function() {
+      runIO.bind(null, 0).should.throw();
+    });
+  });
+  describe(`unsafePerformIO()`, function() {
+    it(`should perform the action described by an IO and return its result`, function() {
+      unsafePerformIO(inject(getLine, 1)).should.equal(1);
+    });
+    it(`should write the output of the action to the console a line at a time`, function() {
+      const log = console.log;
+      const lines = [];
+      console.log = s => lines.push(s);
+      try {
+        unsafePerformIO(Do(putStr(`a`)).chain(putStrLn(`b`)).chain(putStr(`c`)).m());
+      } finally {
+        console.log = log;
+      }
+      lines.should.eql([`ab`, `c`]);
+    });
+    it(`should throw an error if the argument is not an IO`, function() {
+      unsafePerformIO.bind(null, 0).should.throw();
+    });
+  });
+  describe(`putStr()`, function() {
+    it(`should write a string to the output`, function() {
+      const stdout = output();
+      runIO(Do(putStr(`a`)).chain(putStr(`b`)).m(), {stdout});
+      stdout.out.join(``).should.equal(`ab`);
+    });
+    it(`should throw an error if the argument is not a string`, function() {
+      putStr.bind(null, 0).should.throw();
+    });
+  });
+  describe(`putStrLn()`, function() {
+    it(`should write a string and a newline to the output`, function() {
+      const stdout = output();
+      runIO(putStrLn(`a`), {stdout}).should.equal(unit);
+      stdout.out.should.eql([`a\n`]);
+    });
+    it(`should throw an error if the argument is not a string`, function() {
+      putStrLn.bind(null, 0).should.throw();
+    });
+  });
+  describe(`getLine`, function() {
+    it(`should read a line from the input`, function() {
+      runIO(getLine, {stdin: `line 1\nline 2\n`}).should.equal(`line 1`);
+    });
+    it(`should throw an error at the end of the input`, function() {
+      runIO.bind(null, chain(getLine, getLine), {stdin: `one line\n`}).should.throw();
+      runIO.bind(null, getLine).should.throw();
+      runIO.bind(null, getLine, {stdin: []})
+        .should.throw(`*** Error: Function 'getLine' reached the end of its input.`);
+    });
+  });
+  describe(`readFile() and writeFile()`, function() {
+    it(`should write a string to a file and read it back`, function() {
+      const copy = Do(writeFile(path, `contents`)).chain(readFile(path));
+      existsSync(path).should.be.false();
+      try {
+        runIO(copy.m()).should.equal(`contents`);
+        readFileSync(path, `utf8`).should.equal(`contents`);
+      } finally {
+        unlinkSync(path);
+      }
+    });
+    it(`should throw an error if the arguments are not strings`, function() {
+      readFile.bind(null, 0).should.throw();
+      writeFile.bind(null, 0, ``).should.throw();
+      writeFile.bind(null, path, 0).should.throw();
+    });
+  });
+  describe(`isIO()`, function() {
+    it(`should return true if the argument is an IO`, function() {
+      isIO(getLine).should.be.true();
+      isIO(putStrLn(`a`)).should.be.true();
+    });
+    it(`should return false if the argument is not an IO`, function() {
+      isIO(0).should.be.false();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/laws-test.js
+ *
+ * @file Tests for type class laws.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Eq,
+  Ord,
+  Semigroup,
+  Monoid,
+  Functor,
+  Applicative,
+  Monad,
+  LT,
+  GT,
+  checkLaws,
+  choose,
+  maybeOf,
+  isEmpty,
+  head,
+  length,
+  just,
+  Nothing,
+  list,
+  toSum,
+  tuple
+} from '../source';
+
+import {Type} from '../source/type';
+
+describe(`Type class laws`, function() {
+  const int = random => Math.floor(random() * 10);
+  const randomMaybe = random => random() < 0.2 ? Nothing : just(int(random));
+  const randomList = random => list(...Array.from({length: int(random) % 4}, () => int(random)));
+  const randomArray = random => Array.from({length: int(random) % 4}, () => int(random));
+  class Counter extends Type {
+    constructor(a, count) {
+      super();
+      this.a = a;
+      this.count = count;
+    }
+    static isEq(a, b) { return a.a === b.a && a.count === b.count; }
+    static fmap(f, c) { return new Counter(f(c.a), c.count + 1); }
+    valueOf() { return `Counter ${this.a} ${this.count}`; }
+  }
+  class Broken extends Type {
+    constructor(a) {
+      super();
+      this.a = a;
+    }
+    static isEq(a, b) { return a.a < b.a; }
+    static compare(a, b) { return a.a < b.a ? LT : GT; }
+    static mempty() { return new Broken(1); }
+    static mappend(a, b) { return new Broken(a.a - b.a); }
+    valueOf() { return `Broken ${this.a}`; }
+  }
+  const randomBroken = random => new Broken(int(random));
+  describe(`checkLaws()`, function() {
+    it(`should return an empty list if the laws of a type class hold`, function() {
+      [Eq, Ord, Functor, Applicative, Monad].every(c => isEmpty(checkLaws(c, randomMaybe)))
+        .should.be.true();
+      isEmpty(checkLaws(Monoid, random => random() < 0.2 ? Nothing : just(randomArray(random))))
+        .should.be.true();
+      [Functor, Applicative, Monad].every(c => isEmpty(checkLaws(c, randomList, 20))).should.be.true();
+      [Monoid, Functor, Applicative, Monad].every(c => isEmpty(checkLaws(c, randomArray, 20)))
+        .should.be.true();
+      isEmpty(checkLaws(Monoid, random => toSum(int(random)))).should.be.true();
+      isEmpty(checkLaws(Semigroup, randomArray, 20)).should.be.true();
+      isEmpty(checkLaws(Ord, random => tuple(int(random), int(random)))).should.be.true();
+    });
+    it(`should accept a generator`, function() {
+      [Eq, Ord, Functor, Applicative, Monad].every(c => isEmpty(checkLaws(c, maybeOf(choose(0, 9)))))
+        .should.be.true();
+    });
+    it(`should compare the results of the laws with isEq`, function() {
+      const nested = random => just(tuple(int(random), list(tuple(int(random), `a`))));
+      [Functor, Applicative, Monad].every(c => isEmpty(checkLaws(c, nested, 20))).should.be.true();
+    });
+    it(`should test the same values with the same seed`, function() {
+      const failures = checkLaws(Eq, randomBroken, 100, 42);
+      head(failures).should.equal(head(checkLaws(Eq, randomBroken, 100, 42)));
+      head(failures).should.endWith(`, seed 42)`);
+    });
+    it(`should describe each law that does not hold with a counterexample`, function() {
+      const failures = checkLaws(Functor, () => new Counter(1, 0));
+      length(failures).should.equal(2);
+      head(failures).should.startWith(`Functor identity does not hold for Counter 1 0 (n = `);
+    });
+    it(`should find counterexamples for the laws of Eq, Ord, Semigroup, and Monoid`, function() {
+      length(checkLaws(Eq, randomBroken)).should.equal(2);
+      length(checkLaws(Ord, randomBroken)).should.equal(3);
+      length(checkLaws(Semigroup, randomBroken)).should.equal(1);
+      length(checkLaws(Monoid, randomBroken)).should.equal(2);
+      head(checkLaws(Monoid, randomBroken)).should.startWith(`Monoid left identity does not hold`);
+    });
+    it(`should be curried`, function() {
+      isEmpty(checkLaws(Monad)(randomMaybe, 10)).should.be.true();
+    });
+    it(`should throw an error if the type class is not supported`, function() {
+      checkLaws.bind(null, x => x, randomMaybe).should.throw();
+    });
+    it(`should throw an error if the generator is not a function`, function() {
+      checkLaws.bind(null, Monad, just(1)).should.throw();
+    });
+    it(`should throw an error if the generated values are not members of the type class`, function() {
+      checkLaws.bind(null, Monad, int).should.throw();
+    });
+  });
+});
@@ -12,6 +12,9 @@
 
 import {
   list,
+  fromListToArray,
+  listInf,
+  take,
   scanl,
   scanr
 } from '../../source';
@@ -21,7 +24,10 @@ describe(`Tests for functions for building lists`, function() {
   const f = (x, y) => x - y;
   describe(`scanl()`, function() {
     it(`should scan a list from the right and return a list of successive reduced values`, function() {
-      scanl(f, 0, lst).should.eql(list(0,-1,-3,-6));
+      fromListToArray(scanl(f, 0, lst)).should.eql([0,-1,-3,-6]);
+    });
+    it(`should lazily scan an infinite list`, function() {
+      fromListToArray(take(4, scanl(f, 0, listInf(1)))).should.eql([0,-1,-3,-6]);
     });
     it(`should throw an error if the third argument is not a list`, function() {
       scanl.bind(null, f, 0, 0).should.throw();
@@ -12,6 +12,10 @@
 
 import {
   list,
+  fromListToArray,
+  listInf,
+  repeat,
+  take,
   concat,
   concatMap
 } from '../../source';
@@ -24,7 +28,11 @@ describe(`Tests for special folds for lists`, function() {
   describe(`concat()`, function() {
     const xss = list(lst1, lst2, lst3);
     it(`should concatenate the elements in a container of lists`, function() {
-      concat(xss).should.eql(list(1,2,3,4,5,6,7,8,9));
+      fromListToArray(concat(xss)).should.eql([1,2,3,4,5,6,7,8,9]);
+    });
+    it(`should lazily concatenate infinite lists`, function() {
+      fromListToArray(take(4, concat(repeat(lst1)))).should.eql([1,2,3,1]);
+      fromListToArray(take(4, concat(list(lst1, listInf(4))))).should.eql([1,2,3,4]);
     });
     it(`should throw an error if the argument is not a list`, function() {
       concat.bind(null, 0).should.throw();
@@ -35,7 +43,10 @@ describe(`Tests for special folds for lists`, function() {
   });
   describe(`concatMap()`, function() {
     it(`should map a function that returns a list over a list and concatenate the result`, function() {
-      concatMap(f, lst1).should.eql(list(3,6,9));
+      fromListToArray(concatMap(f, lst1)).should.eql([3,6,9]);
+    });
+    it(`should lazily map over an infinite list and concatenate the result`, function() {
+      fromListToArray(take(3, concatMap(f, listInf(1)))).should.eql([3,6,9]);
     });
   });
 });
@@ -31,3 +31,7 @@ export {zip} from './zip-test';
 export {set} from './set-test';
 
 export {ordering} from './ordering-test';
+
+export {safe} from './safe-test';
+
+export {performance} from './performance-test';
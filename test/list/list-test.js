@@ -12,6 +12,7 @@
 
 import {
   even,
+  isEq,
   Nothing,
   just,
   tuple,
@@ -23,6 +24,7 @@ import {
   listFilter,
   listAppend,
   cons,
+  lazyCons,
   head,
   last,
   tail,
@@ -33,9 +35,12 @@ import {
   isList,
   isEmpty,
   fromArrayToList,
+  fromIterable,
   fromListToArray,
   fromListToString,
   fromStringToList,
+  listInf,
+  cycle,
   take
 } from '../../source';
 
@@ -54,6 +59,34 @@ describe(`List data type`, function() {
     lst1.valueOf().should.equal(`[1:2:3:[]]`);
     str.valueOf().should.equal(`[abc]`);
   });
+  it(`should implement the iteration protocol`, function() {
+    [...lst1].should.eql(arr);
+    [...lst3].should.eql([]);
+    const [x, y, ...zs] = lst2;
+    x.should.equal(4);
+    y.should.equal(5);
+    zs.should.eql([6]);
+  });
+  it(`should iterate lazily over lazy and infinite lists`, function() {
+    const xs = [];
+    for (const x of listInf(1)) {
+      if (x > 5) { break; }
+      xs.push(x);
+    }
+    xs.should.eql([1,2,3,4,5]);
+    const [a, b, c, d] = cycle(list(1,2));
+    [a, b, c, d].should.eql([1,2,1,2]);
+    [...listRangeLazy(1,5)].should.eql([1,2,3,4,5]);
+  });
+  it(`should compare lists by their lengths and the equality of their elements`, function() {
+    isEq(lst1, list(1,2,3)).should.be.true();
+    isEq(list(1,2), lst1).should.be.false();
+    isEq(lst1, list(1,2)).should.be.false();
+    isEq(list(tuple(1,2)), list(tuple(1,2))).should.be.true();
+    isEq(list(lst1, lst2), list(list(1,2,3), list(4,5,6))).should.be.true();
+    isEq(lst3, emptyList).should.be.true();
+    isEq(take(100000, listInf(1)), take(100000, listInf(1))).should.be.true();
+  });
   describe(`emptyList`, function() {
     it(`should be an empty list`, function() {
       lst3.should.equal(emptyList);
@@ -123,6 +156,49 @@ describe(`List data type`, function() {
       cons.bind(null, 3, str).should.throw();
     });
   });
+  describe(`lazyCons()`, function() {
+    it(`should create a new list from a head and a function that returns the tail`, function() {
+      lazyCons(3, () => lst2).valueOf().should.equal(`[3:4:5:6:[]]`);
+      lazyCons(3)(() => emptyList).valueOf().should.equal(`[3:[]]`);
+    });
+    it(`should not evaluate the tail until it is needed, and then only once`, function() {
+      let n = 0;
+      const xs = lazyCons(1, () => {
+        n += 1;
+        return lst2;
+      });
+      n.should.equal(0);
+      head(xs).should.equal(1);
+      n.should.equal(0);
+      tail(xs).should.equal(lst2);
+      tail(xs).should.equal(lst2);
+      n.should.equal(1);
+    });
+    it(`should build infinite and self-referential lists`, function() {
+      const nats = x => lazyCons(x, () => nats(x + 1));
+      fromListToArray(take(5, nats(1))).should.eql([1,2,3,4,5]);
+      const ones = lazyCons(1, () => ones);
+      fromListToArray(take(3, ones)).should.eql([1,1,1]);
+      length(take(100000, nats(1))).should.equal(100000);
+    });
+    it(`should not require Proxy support`, function() {
+      const P = global.Proxy;
+      global.Proxy = undefined;
+      try {
+        fromListToArray(take(3, listInf(1))).should.eql([1,2,3]);
+        fromListToArray(take(4, cycle(lst1))).should.eql([1,2,3,1]);
+        fromIterable(arr).valueOf().should.equal(`[1:2:3:[]]`);
+      } finally {
+        global.Proxy = P;
+      }
+    });
+    it(`should throw an error if the second argument is not a function`, function() {
+      lazyCons.bind(null, 3, lst2).should.throw();
+    });
+    it(`should throw an error if the function does not return a list`, function() {
+      tail.bind(null, lazyCons(3, () => 0)).should.throw();
+    });
+  });
   describe(`head()`, function() {
     it(`should extract the first element of a list`, function() {
       head(lst1).should.equal(1);
@@ -219,6 +295,30 @@ describe(`List data type`, function() {
       fromArrayToList.bind(null, 0).should.throw();
     });
   });
+  describe(`fromIterable()`, function() {
+    it(`should convert an iterable object into a list`, function() {
+      fromIterable(arr).valueOf().should.equal(`[1:2:3:[]]`);
+      fromIterable(`abc`).valueOf().should.equal(`[abc]`);
+      fromIterable(new Set([1,2,2,3])).valueOf().should.equal(`[1:2:3:[]]`);
+      fromIterable([]).should.equal(emptyList);
+    });
+    it(`should consume the iterable lazily`, function() {
+      let n = 0;
+      const gen = function* () {
+        while (true) { yield n += 1; }
+      }
+      const lst = fromIterable(gen());
+      take(5, lst).valueOf().should.equal(`[1:2:3:4:5:[]]`);
+      const consumed = n;
+      consumed.should.be.below(10);
+      take(3, lst).valueOf().should.equal(`[1:2:3:[]]`);
+      n.should.equal(consumed);
+    });
+    it(`should throw an error if the argument is not iterable`, function() {
+      fromIterable.bind(null, 0).should.throw();
+      fromIterable.bind(null, null).should.throw();
+    });
+  });
   describe(`fromListToArray()`, function() {
     it(`should convert a list into an array`, function() {
       fromListToArray(lst1).should.eql(arr);
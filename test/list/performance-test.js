@@ -0,0 +1,154 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/list/performance-test.js
+ *
+ * @file Tests for list functions on large inputs.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  even,
+  just,
+  fromJust,
+  isEq,
+  EQ,
+  compare,
+  foldr,
+  fmap,
+  flatMap,
+  traverse,
+  mapM,
+  sequence,
+  list,
+  listRange,
+  listAppend,
+  head,
+  last,
+  init,
+  length,
+  fromArrayToList,
+  fromListToArray,
+  map,
+  reverse,
+  concat,
+  foldl,
+  scanr,
+  take,
+  drop,
+  filter,
+  index,
+  zip,
+  mergeSort
+} from '../../source';
+
+describe(`Tests for list functions on large inputs`, function() {
+  this.timeout(20000);
+  const n = 200000;
+  const arr = Array.from({length: n}, (x, i) => i);
+  const lst = fromArrayToList(arr);
+  const add = (x, y) => x + y;
+  const sub = (x, y) => x - y;
+  describe(`list construction`, function() {
+    it(`should build a list from hundreds of thousands of values`, function() {
+      length(lst).should.equal(n);
+      last(lst).should.equal(n - 1);
+      length(list(...arr.slice(0, 50000))).should.equal(50000);
+      length(listRange(0, n)).should.equal(n);
+    });
+    it(`should convert hundreds of thousands of values to and from an array in order`, function() {
+      fromListToArray(fromArrayToList(arr)).should.eql(arr);
+    });
+  });
+  describe(`folds`, function() {
+    it(`should fold hundreds of thousands of values without overflowing the stack`, function() {
+      foldr(add, 0, lst).should.equal(n * (n - 1) / 2);
+      foldl(add, 0, lst).should.equal(n * (n - 1) / 2);
+      head(scanr(add, 0, lst)).should.equal(n * (n - 1) / 2);
+    });
+    it(`should fold hundreds of thousands of values in the right order`, function() {
+      foldr(sub, 0, lst).should.equal(arr.reduceRight((acc, x) => x - acc, 0));
+      foldl(sub, 0, lst).should.equal(arr.reduce((acc, x) => acc - x, 0));
+    });
+  });
+  describe(`traverse()`, function() {
+    it(`should traverse tens of thousands of values without overflowing the stack`, function() {
+      const f = x => list(x);
+      const xs = take(20000, lst);
+      fromListToArray(head(traverse(f, xs))).should.eql(arr.slice(0, 20000));
+      length(head(mapM(f, xs))).should.equal(20000);
+      length(head(sequence(fmap(f, xs)))).should.equal(20000);
+      length(fromJust(traverse(x => just(x), xs))).should.equal(20000);
+    });
+  });
+  describe(`listAppend()`, function() {
+    it(`should append lists of hundreds of thousands of values`, function() {
+      length(listAppend(lst, lst)).should.equal(n * 2);
+      length(concat(list(lst, lst, lst))).should.equal(n * 3);
+    });
+    it(`should share the second list rather than copy it`, function() {
+      drop(n, listAppend(lst, lst)).should.equal(lst);
+    });
+  });
+  describe(`map()`, function() {
+    it(`should map over hundreds of thousands of values`, function() {
+      last(map(x => x * 2, lst)).should.equal((n - 1) * 2);
+      last(fmap(x => x * 2, lst)).should.equal((n - 1) * 2);
+      length(flatMap(take(50000, lst), x => list(x, x))).should.equal(100000);
+    });
+    it(`should map over hundreds of thousands of values in order`, function() {
+      fromListToArray(map(x => x * 2, lst)).should.eql(arr.map(x => x * 2));
+    });
+  });
+  describe(`mergeSort()`, function() {
+    it(`should sort hundreds of thousands of values`, function() {
+      const sorted = mergeSort(reverse(lst));
+      head(sorted).should.equal(0);
+      last(sorted).should.equal(n - 1);
+      index(sorted, 1000).should.equal(1000);
+    });
+  });
+  describe(`other list functions`, function() {
+    it(`should handle hundreds of thousands of values without overflowing the stack`, function() {
+      lst.valueOf().length.should.be.above(n);
+      isEq(lst, lst).should.be.true();
+      compare(lst, lst).should.equal(EQ);
+      last(reverse(lst)).should.equal(0);
+      length(filter(even, lst)).should.equal(n / 2);
+      length(zip(lst, lst)).should.equal(n);
+      length(drop(n / 2, take(n, lst))).should.equal(n / 2);
+      last(init(lst)).should.equal(n - 2);
+      index(lst, n - 1).should.equal(n - 1);
+    });
+  });
+  describe(`running time`, function() {
+    const xs = fromArrayToList(arr.slice(0, n / 8));
+    const ys = fromArrayToList(arr.slice(0, n / 4));
+    const time = f => {
+      const start = Date.now();
+      f();
+      return Date.now() - start;
+    };
+    // A quadratic function takes about four times as long on twice the input, a linear one twice.
+    // The best of several alternating runs is compared, to leave out pauses for garbage collection.
+    const scales = f => {
+      let small = Infinity;
+      let large = Infinity;
+      for (let i = 0; i < 5; i += 1) {
+        small = Math.min(small, time(() => f(xs)));
+        large = Math.min(large, time(() => f(ys)));
+      }
+      large.should.be.below(3 * small + 25);
+    };
+    it(`should grow linearly with the length of the list`, function() {
+      scales(as => foldr(add, 0, as));
+      scales(as => foldl(add, 0, as));
+      scales(as => last(reverse(as)));
+      scales(as => length(listAppend(as, as)));
+      scales(as => last(map(x => x * 2, as)));
+    });
+  });
+});
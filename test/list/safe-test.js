@@ -0,0 +1,106 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/list/safe-test.js
+ *
+ * @file Tests for safe list functions.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Nothing,
+  fromJust,
+  emptyList,
+  list,
+  listInf,
+  take,
+  headMay,
+  lastMay,
+  tailMay,
+  initMay,
+  indexMay,
+  cycleMay
+} from '../../source';
+
+describe(`Tests for safe list functions`, function() {
+  const lst = list(1,2,3);
+  describe(`headMay()`, function() {
+    it(`should return the first element of a list wrapped in a Just`, function() {
+      headMay(lst).valueOf().should.equal(`Just 1`);
+      headMay(list(null, 1)).valueOf().should.equal(`Just null`);
+    });
+    it(`should return Nothing if the list is empty`, function() {
+      headMay(emptyList).should.equal(Nothing);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      headMay.bind(null, 0).should.throw();
+    });
+  });
+  describe(`lastMay()`, function() {
+    it(`should return the last element of a list wrapped in a Just`, function() {
+      lastMay(lst).valueOf().should.equal(`Just 3`);
+      isNaN(fromJust(lastMay(list(1, NaN)))).should.be.true();
+    });
+    it(`should return Nothing if the list is empty`, function() {
+      lastMay(emptyList).should.equal(Nothing);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      lastMay.bind(null, 0).should.throw();
+    });
+  });
+  describe(`tailMay()`, function() {
+    it(`should return the tail of a list wrapped in a Just`, function() {
+      tailMay(lst).valueOf().should.equal(`Just [2:3:[]]`);
+    });
+    it(`should return Nothing if the list is empty`, function() {
+      tailMay(emptyList).should.equal(Nothing);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      tailMay.bind(null, 0).should.throw();
+    });
+  });
+  describe(`initMay()`, function() {
+    it(`should return all but the last element of a list wrapped in a Just`, function() {
+      initMay(lst).valueOf().should.equal(`Just [1:2:[]]`);
+    });
+    it(`should return Nothing if the list is empty`, function() {
+      initMay(emptyList).should.equal(Nothing);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      initMay.bind(null, 0).should.throw();
+    });
+  });
+  describe(`indexMay()`, function() {
+    it(`should return the value at the specified index wrapped in a Just`, function() {
+      indexMay(lst, 0).valueOf().should.equal(`Just 1`);
+      indexMay(lst)(2).valueOf().should.equal(`Just 3`);
+      indexMay(list(1, null), 1).valueOf().should.equal(`Just null`);
+      indexMay(listInf(1), 1000).valueOf().should.equal(`Just 1001`);
+    });
+    it(`should look up large indices without overflowing the stack`, function() {
+      indexMay(listInf(1), 100000).valueOf().should.equal(`Just 100001`);
+    });
+    it(`should return Nothing if the index is out of range`, function() {
+      indexMay(lst, 3).should.equal(Nothing);
+      indexMay(lst, -1).should.equal(Nothing);
+      indexMay(emptyList, 0).should.equal(Nothing);
+    });
+    it(`should throw an error if the first argument is not a list`, function() {
+      indexMay.bind(null, 0, 0).should.throw();
+    });
+  });
+  describe(`cycleMay()`, function() {
+    it(`should return the infinite repetition of a list wrapped in a Just`, function() {
+      take(7, fromJust(cycleMay(lst))).valueOf().should.equal(`[1:2:3:1:2:3:1:[]]`);
+    });
+    it(`should return Nothing if the list is empty`, function() {
+      cycleMay(emptyList).should.equal(Nothing);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      cycleMay.bind(null, 0).should.throw();
+    });
+  });
+});
@@ -18,7 +18,10 @@ import {
   just,
   tuple,
   list,
+  fromListToArray,
   listRange,
+  listInf,
+  take,
   lookup,
   filter
 } from '../../source';
@@ -39,7 +42,10 @@ describe(`Tests for functions for searching lists`, function() {
     const f = x => and(odd(x), greaterThan(x, 10));
     const g = x => x + 1;
     it(`should return the list of elements in a list for which a function f returns true`, function() {
-      filter(f, lst).should.eql(list(27,29,31,33,35,37,39,41,43,45,47,49));
+      fromListToArray(filter(f, lst)).should.eql([11,13,15,17,19,21,23]);
+    });
+    it(`should lazily filter an infinite list`, function() {
+      fromListToArray(take(3, filter(f, listInf(1)))).should.eql([11,13,15]);
     });
     it(`should throw an error if the second argument is not a list`, function() {
       filter.bind(null, f, 0).should.throw();
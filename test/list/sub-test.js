@@ -14,10 +14,14 @@ import {
   isEq,
   Nothing,
   just,
+  fst,
+  snd,
   tuple,
   emptyList,
   list,
+  fromListToArray,
   fromStringToList,
+  listInf,
   take,
   drop,
   splitAt,
@@ -68,7 +72,10 @@ describe(`Tests for sublist functions`, function() {
   });
   describe(`takeWhile()`, function() {
     it(`should return the longest prefix of a list of values that satisfy a predicate function`, function() {
-      takeWhile(f, lst2).should.eql(list(1,2));
+      fromListToArray(takeWhile(f, lst2)).should.eql([1,2]);
+    });
+    it(`should return a finite prefix of an infinite list`, function() {
+      fromListToArray(takeWhile(f, listInf(1))).should.eql([1,2]);
     });
     it(`should throw an error if the second argument is not a list`, function() {
       takeWhile.bind(null, f, 0).should.throw();
@@ -90,7 +97,9 @@ describe(`Tests for sublist functions`, function() {
   });
   describe(`span()`, function() {
     it(`should return a tuple of the longest prefix of a list of values that satisfy a predicate function and the rest of the list`, function() {
-      span(f, lst2).should.eql(tuple(list(1,2),list(3,4,1,2,3,4)));
+      const xs = span(f, lst2);
+      fromListToArray(fst(xs)).should.eql([1,2]);
+      fromListToArray(snd(xs)).should.eql([3,4,1,2,3,4]);
     });
     it(`should throw an error if the second argument is not a list`, function() {
       span.bind(null, f, 0).should.throw();
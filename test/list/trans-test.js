@@ -16,7 +16,9 @@ import {
   ap,
   emptyList,
   list,
+  fromListToArray,
   fromStringToList,
+  listInf,
   take,
   map,
   reverse,
@@ -46,16 +48,16 @@ describe(`List data type`, function() {
   const apTake = ap(takeList, lst2);
   describe(`map()`, function() {
     it(`should map a function over a list and return the results in a new list`, function() {
-      map(f, lst1).should.eql(list(3,6,9,12,15));
+      fromListToArray(map(f, lst1)).should.eql([3,6,9,12,15]);
       // map a list of binary functions over a list to apply one argument, map again to fully apply
-      ap(lstf, lst2).should.eql(list(3,6,9,3,6,9,3,6,9));
-      ap(ap1, lst2).should.eql(list(1,1,1,2,2,2,3,3,3,1,1,1,2,2,2,3,3,3,1,1,1,2,2,2,3,3,3));
-      ap(ap2, lst2).should.eql(list(1,2,3,2,4,6,3,6,9,1,2,3,2,4,6,3,6,9,1,2,3,2,4,6,3,6,9));
-      ap(apTake, abcs).should.eql(list(
-        list(`a`),list(`a`,`b`),list(`a`,`b`,`c`),
-        list(`a`),list(`a`,`b`),list(`a`,`b`,`c`),
-        list(`a`),list(`a`,`b`),list(`a`,`b`,`c`)
-      ));
+      fromListToArray(ap(lstf, lst2)).should.eql([3,6,9,3,6,9,3,6,9]);
+      fromListToArray(ap(ap1, lst2)).should.eql([1,1,1,2,2,2,3,3,3,1,1,1,2,2,2,3,3,3,1,1,1,2,2,2,3,3,3]);
+      fromListToArray(ap(ap2, lst2)).should.eql([1,2,3,2,4,6,3,6,9,1,2,3,2,4,6,3,6,9,1,2,3,2,4,6,3,6,9]);
+      ap(apTake, abcs).valueOf().should.equal(`[[a]:[ab]:[abc]:[a]:[ab]:[abc]:[a]:[ab]:[abc]:[]]`);
+    });
+    it(`should lazily map a function over an infinite list`, function() {
+      fromListToArray(take(5, map(f, listInf(1)))).should.eql([3,6,9,12,15]);
+      fromListToArray(take(3, map(f, map(f, listInf(1))))).should.eql([9,18,27]);
     });
     it(`should throw an error if the second argument is not a list`, function() {
       map.bind(null, f, 0).should.throw();
@@ -89,7 +91,7 @@ describe(`List data type`, function() {
     const xs = list(0,0,0);
     const xss = list(l1, l2, l3);
     it(`should insert a list in between the lists in a list of lists`, function() {
-      intercalate(xs, xss).should.eql(list(1,1,1,0,0,0,2,2,2,0,0,0,3,3,3,0,0,0,4,4,4,0,0,0,5,5,5));
+      fromListToArray(intercalate(xs, xss)).should.eql([1,1,1,0,0,0,2,2,2,0,0,0,3,3,3]);
     });
   });
   describe(`transpose()`, function() {
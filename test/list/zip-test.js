@@ -14,6 +14,10 @@ import {
   tuple,
   emptyList,
   list,
+  fromListToArray,
+  listInf,
+  repeat,
+  take,
   zip,
   zip3,
   zipWith,
@@ -30,12 +34,16 @@ describe(`Tests for functions for zipping and unzipping lists`, function() {
   const g2 = (x, y, z) => x + y + z;
   describe(`zip()`, function() {
     it(`should take two lists and return a list of corresponding pairs`, function() {
-      zip(lst1, lst2).should.eql(list(tuple(1,5),tuple(2,4),tuple(3,3),tuple(4,2),tuple(5,1)));
+      zip(lst1, lst2).valueOf().should.equal(`[(1,5):(2,4):(3,3):(4,2):(5,1):[]]`);
     });
     it(`should return the empty list if either argument is the empty list`, function() {
       zip(emptyList, lst1).should.equal(emptyList);
       zip(lst1, emptyList).should.equal(emptyList);
     });
+    it(`should lazily zip infinite lists`, function() {
+      zip(lst1, listInf(1)).valueOf().should.equal(`[(1,1):(2,2):(3,3):(4,4):(5,5):[]]`);
+      take(2, zip(listInf(1), repeat(`a`))).valueOf().should.equal(`[(1,'a'):(2,'a'):[]]`);
+    });
     it(`should throw an error if either argument is not a list`, function() {
       zip.bind(null, lst1, 0).should.throw();
       zip.bind(null, 0, lst2).should.throw();
@@ -43,7 +51,7 @@ describe(`Tests for functions for zipping and unzipping lists`, function() {
   });
   describe(`zip3()`, function() {
     it(`should take three lists and return a list of triples`, function() {
-      zip3(lst1, lst2, lst3).should.eql(list(tuple(1,5,6),tuple(2,4,7),tuple(3,3,8),tuple(4,2,9),tuple(5,1,10)));
+      zip3(lst1, lst2, lst3).valueOf().should.equal(`[(1,5,6):(2,4,7):(3,3,8):(4,2,9):(5,1,10):[]]`);
     });
     it(`should return the empty list if any argument is the empty list`, function() {
       zip3(emptyList, lst1, lst2).should.equal(emptyList);
@@ -58,8 +66,11 @@ describe(`Tests for functions for zipping and unzipping lists`, function() {
   });
   describe(`zipWith()`, function() {
     it(`should zip two lists using a provided function`, function() {
-      zipWith(f1, lst1, lst2).should.eql(list(tuple(3,25),tuple(6,16),tuple(9,9),tuple(12,4),tuple(15,1)));
-      zipWith(g1, lst1, lst2).should.eql(list(6,6,6,6,6));
+      zipWith(f1, lst1, lst2).valueOf().should.equal(`[(3,25):(6,16):(9,9):(12,4):(15,1):[]]`);
+      fromListToArray(zipWith(g1, lst1, lst2)).should.eql([6,6,6,6,6]);
+    });
+    it(`should lazily zip infinite lists using a provided function`, function() {
+      fromListToArray(take(3, zipWith(g1, listInf(1), listInf(1)))).should.eql([2,4,6]);
     });
     it(`should throw an error if either the second or third argument is not a list`, function() {
       zipWith.bind(null, f1, lst1, 0).should.throw();
@@ -68,8 +79,9 @@ describe(`Tests for functions for zipping and unzipping lists`, function() {
   });
   describe(`zipWith3()`, function() {
     it(`should zip three lists using a provided function`, function() {
-      zipWith3(f2, lst1, lst2, lst3).should.eql(list(tuple(3,25,0),tuple(6,16,1),tuple(9,9,0),tuple(12,4,1),tuple(15,1,0)));
-      zipWith3(g2, lst1, lst2, lst3).should.eql(list(12,13,14,15,16));
+      zipWith3(f2, lst1, lst2, lst3).valueOf()
+        .should.equal(`[(3,25,0):(6,16,1):(9,9,0):(12,4,1):(15,1,0):[]]`);
+      fromListToArray(zipWith3(g2, lst1, lst2, lst3)).should.eql([12,13,14,15,16]);
     });
     it(`should throw an error if any of the last three arguments is not a list`, function() {
       zipWith3.bind(null, f2, lst1, lst2, 0).should.throw();
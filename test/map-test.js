@@ -0,0 +1,334 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/map-test.js
+ *
+ * @file Tests for Map data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Functor,
+  Foldable,
+  Traversable,
+  Monoid,
+  show,
+  type,
+  isEq,
+  compare,
+  EQ,
+  LT,
+  GT,
+  mempty,
+  mappend,
+  foldr,
+  traverse,
+  fmap,
+  Nothing,
+  just,
+  isNothing,
+  isJust,
+  fromJust,
+  tuple,
+  list,
+  emptyList,
+  emptyMap,
+  mapSingleton,
+  mapInsert,
+  mapInsertWith,
+  mapDelete,
+  mapLookup,
+  mapMember,
+  mapAlter,
+  mapUnion,
+  mapUnionWith,
+  mapFoldrWithKey,
+  mapSize,
+  fromListToMap,
+  fromMapToList,
+  isMap
+} from '../source';
+
+describe(`Map data type`, function() {
+  const m = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+  const m1 = fromListToMap(list(tuple(5, `a`), tuple(3, `b`)));
+  const m2 = fromListToMap(list(tuple(5, `A`), tuple(7, `C`)));
+  const keys = m => mapFoldrWithKey((k, v, ks) => [k].concat(ks), [], m);
+  const isBalanced = m => {
+    if (mapSize(m) === 0) { return true; }
+    const l = mapSize(m.left());
+    const r = mapSize(m.right());
+    if (l + r > 1 && (l > 3 * r || r > 3 * l)) { return false; }
+    return isBalanced(m.left()) && isBalanced(m.right());
+  }
+  it(`should return [Object Map] when cast to a string`, function() {
+    m.toString().should.equal(`[Object Map]`);
+  });
+  it(`should return its keys and values in ascending order of its keys as its value`, function() {
+    m.valueOf().should.equal(`{3: b, 5: a}`);
+    emptyMap.valueOf().should.equal(`{}`);
+  });
+  it(`should have a type made from the types of its keys and values`, function() {
+    type(m).should.equal(`Map number string`);
+    type(emptyMap).should.equal(`Map`);
+  });
+  describe(`emptyMap`, function() {
+    it(`should be a map with no keys`, function() {
+      isMap(emptyMap).should.be.true();
+      mapSize(emptyMap).should.equal(0);
+    });
+  });
+  describe(`mapSingleton()`, function() {
+    it(`should return a map with a single key and value`, function() {
+      show(mapSingleton(1, `a`)).should.equal(`{1: a}`);
+      mapSingleton(1)(`a`).valueOf().should.equal(`{1: a}`);
+    });
+  });
+  describe(`mapInsert()`, function() {
+    it(`should insert a key and its value into a map`, function() {
+      mapInsert(7, `x`, m).valueOf().should.equal(`{3: b, 5: a, 7: x}`);
+      mapInsert(1, `x`)(m).valueOf().should.equal(`{1: x, 3: b, 5: a}`);
+    });
+    it(`should replace the value of a key that is already in the map`, function() {
+      mapInsert(5, `x`, m).valueOf().should.equal(`{3: b, 5: x}`);
+    });
+    it(`should not change the original map`, function() {
+      mapInsert(7, `x`, m);
+      m.valueOf().should.equal(`{3: b, 5: a}`);
+    });
+    it(`should keep the map balanced and its keys in order`, function() {
+      let big = emptyMap;
+      for (let i = 0; i < 500; i += 1) { big = mapInsert(i * 37 % 503, i, big); }
+      mapSize(big).should.equal(500);
+      isBalanced(big).should.be.true();
+      keys(big).every((k, i, ks) => i === 0 || ks[i - 1] < k).should.be.true();
+      let asc = emptyMap;
+      for (let i = 0; i < 500; i += 1) { asc = mapInsert(i, i, asc); }
+      isBalanced(asc).should.be.true();
+    });
+    it(`should accept any keys that can be compared`, function() {
+      const ms = fromListToMap(list(tuple(`b`, 1), tuple(`a`, 2)));
+      keys(ms).should.eql([`a`, `b`]);
+      const mm = fromListToMap(list(tuple(just(2), 1), tuple(Nothing, 2), tuple(just(1), 3)));
+      mm.valueOf().should.equal(`{Nothing: 2, Just 1: 3, Just 2: 1}`);
+    });
+    it(`should throw an error if the last argument is not a map`, function() {
+      mapInsert.bind(null, 1, 1, {}).should.throw();
+      mapInsert.bind(null, 1, 1, list(tuple(1, 1))).should.throw();
+    });
+    it(`should throw an error if the keys are not the same type`, function() {
+      mapInsert.bind(null, `a`, 1, m).should.throw();
+    });
+  });
+  describe(`mapInsertWith()`, function() {
+    it(`should combine the new value of a key with its old value`, function() {
+      const f = (x, y) => x + y;
+      mapInsertWith(f, 5, `x`, m).valueOf().should.equal(`{3: b, 5: xa}`);
+      mapInsertWith(f, 7, `x`, m).valueOf().should.equal(`{3: b, 5: a, 7: x}`);
+    });
+    it(`should throw an error if the first argument is not a function`, function() {
+      mapInsertWith.bind(null, 0, 5, `x`, m).should.throw();
+    });
+  });
+  describe(`mapDelete()`, function() {
+    it(`should delete a key and its value from a map`, function() {
+      mapDelete(5, m).valueOf().should.equal(`{3: b}`);
+      mapDelete(3)(mapDelete(5, m)).should.equal(emptyMap);
+    });
+    it(`should return the map unchanged if the key is not in it`, function() {
+      mapDelete(7, m).valueOf().should.equal(`{3: b, 5: a}`);
+      mapDelete(7, emptyMap).should.equal(emptyMap);
+    });
+    it(`should keep the map balanced and its keys in order`, function() {
+      let big = emptyMap;
+      for (let i = 0; i < 500; i += 1) { big = mapInsert(i, i, big); }
+      for (let i = 0; i < 400; i += 1) {
+        big = mapDelete(i * 7 % 500, big);
+        if (i % 50 === 0) { isBalanced(big).should.be.true(); }
+      }
+      mapSize(big).should.equal(100);
+      isBalanced(big).should.be.true();
+      keys(big).every((k, i, ks) => i === 0 || ks[i - 1] < k).should.be.true();
+    });
+    it(`should throw an error if the second argument is not a map`, function() {
+      mapDelete.bind(null, 1, [1]).should.throw();
+    });
+  });
+  describe(`mapLookup()`, function() {
+    it(`should return the value of a key in a Just`, function() {
+      mapLookup(5, m).valueOf().should.equal(`Just a`);
+      mapLookup(3)(m).valueOf().should.equal(`Just b`);
+    });
+    it(`should return Nothing if the key is not in the map`, function() {
+      mapLookup(7, m).should.equal(Nothing);
+      mapLookup(7, emptyMap).should.equal(Nothing);
+    });
+    it(`should throw an error if the second argument is not a map`, function() {
+      mapLookup.bind(null, 1, {1: 1}).should.throw();
+    });
+  });
+  describe(`mapMember()`, function() {
+    it(`should return true if a key is in a map and false otherwise`, function() {
+      mapMember(5, m).should.be.true();
+      mapMember(7, m).should.be.false();
+      mapMember(7, emptyMap).should.be.false();
+    });
+  });
+  describe(`mapAlter()`, function() {
+    const f = mb => isNothing(mb) ? just(`new`) : Nothing;
+    it(`should insert a key if the function returns Just a value for a missing key`, function() {
+      mapAlter(f, 7, m).valueOf().should.equal(`{3: b, 5: a, 7: new}`);
+    });
+    it(`should delete a key if the function returns Nothing`, function() {
+      mapAlter(f, 5, m).valueOf().should.equal(`{3: b}`);
+      mapAlter(() => Nothing, 7, m).valueOf().should.equal(`{3: b, 5: a}`);
+    });
+    it(`should update the value of a key`, function() {
+      mapAlter(fmap(x => x + x), 5, m).valueOf().should.equal(`{3: b, 5: aa}`);
+      mapAlter(fmap(x => x + x), 7)(m).valueOf().should.equal(`{3: b, 5: a}`);
+    });
+    it(`should throw an error if the function does not return a Maybe`, function() {
+      mapAlter.bind(null, () => 1, 5, m).should.throw();
+      mapAlter.bind(null, 1, 5, m).should.throw();
+    });
+  });
+  describe(`mapUnion()`, function() {
+    it(`should combine two maps, keeping the values of the first map`, function() {
+      mapUnion(m1, m2).valueOf().should.equal(`{3: b, 5: a, 7: C}`);
+      mapUnion(m2, m1).valueOf().should.equal(`{3: b, 5: A, 7: C}`);
+      mapUnion(m1, emptyMap).valueOf().should.equal(`{3: b, 5: a}`);
+    });
+    it(`should throw an error if either argument is not a map`, function() {
+      mapUnion.bind(null, m1, {}).should.throw();
+      mapUnion.bind(null, {}, m1).should.throw();
+    });
+  });
+  describe(`mapUnionWith()`, function() {
+    it(`should combine two maps, combining the values of keys that are in both`, function() {
+      const f = (x, y) => x + y;
+      mapUnionWith(f, m1, m2).valueOf().should.equal(`{3: b, 5: aA, 7: C}`);
+      mapUnionWith(f, mapInsert(1, `z`, m2), m1).valueOf()
+        .should.equal(`{1: z, 3: b, 5: Aa, 7: C}`);
+    });
+    it(`should keep the combined map balanced`, function() {
+      let evens = emptyMap;
+      let odds = emptyMap;
+      for (let i = 0; i < 200; i += 1) {
+        evens = mapInsert(i * 2, i, evens);
+        odds = mapInsert(i * 2 + 1, i, odds);
+      }
+      const u = mapUnionWith((x, y) => x + y, evens, odds);
+      mapSize(u).should.equal(400);
+      isBalanced(u).should.be.true();
+    });
+  });
+  describe(`mapFoldrWithKey()`, function() {
+    it(`should fold the keys and values of a map from the largest key to the smallest`, function() {
+      mapFoldrWithKey((k, v, acc) => `${acc}${k}${v}`, ``, m).should.equal(`5a3b`);
+      mapFoldrWithKey((k, v, acc) => acc + k, 0, emptyMap).should.equal(0);
+    });
+    it(`should throw an error if the first argument is not a function`, function() {
+      mapFoldrWithKey.bind(null, 0, 0, m).should.throw();
+    });
+  });
+  describe(`mapSize()`, function() {
+    it(`should return the number of keys in a map`, function() {
+      mapSize(m).should.equal(2);
+      mapSize(emptyMap).should.equal(0);
+    });
+    it(`should throw an error if the argument is not a map`, function() {
+      mapSize.bind(null, []).should.throw();
+    });
+  });
+  describe(`fromListToMap()`, function() {
+    it(`should create a map from a list of tuples, keeping the last value of each key`, function() {
+      fromListToMap(list(tuple(5, `a`), tuple(3, `b`), tuple(5, `c`))).valueOf()
+        .should.equal(`{3: b, 5: c}`);
+      fromListToMap(emptyList).should.equal(emptyMap);
+    });
+    it(`should throw an error if the argument is not a list of tuples`, function() {
+      fromListToMap.bind(null, [tuple(1, 2)]).should.throw();
+      fromListToMap.bind(null, list(1, 2)).should.throw();
+    });
+  });
+  describe(`fromMapToList()`, function() {
+    it(`should convert a map into a list of tuples in ascending order of their keys`, function() {
+      fromMapToList(m).valueOf().should.equal(`[(3,'b'):(5,'a'):[]]`);
+      fromMapToList(emptyMap).should.equal(emptyList);
+    });
+    it(`should be the inverse of fromListToMap`, function() {
+      isEq(fromListToMap(fromMapToList(m)), m).should.be.true();
+    });
+  });
+  describe(`isMap()`, function() {
+    it(`should return true if the argument is a map and false otherwise`, function() {
+      isMap(m).should.be.true();
+      isMap(fromMapToList(m)).should.be.false();
+      isMap(new Map()).should.be.false();
+    });
+  });
+  describe(`Eq`, function() {
+    it(`should compare maps by their keys and values`, function() {
+      isEq(m1, fromListToMap(list(tuple(3, `b`), tuple(5, `a`)))).should.be.true();
+      isEq(m1, m2).should.be.false();
+      isEq(m1, mapInsert(7, `c`, m1)).should.be.false();
+    });
+  });
+  describe(`Ord`, function() {
+    it(`should order maps by their keys and values in ascending order of their keys`, function() {
+      compare(m1, m2).should.equal(LT);
+      compare(m2, m1).should.equal(GT);
+      compare(m1, m).should.equal(EQ);
+      compare(m1, mapInsert(7, `c`, m1)).should.equal(LT);
+    });
+  });
+  describe(`Monoid`, function() {
+    it(`should be a monoid under union`, function() {
+      Monoid(m).should.be.true();
+      mempty(m).should.equal(emptyMap);
+      mappend(m1, m2).valueOf().should.equal(`{3: b, 5: a, 7: C}`);
+      foldr(mappend, emptyMap, list(m1, m2, mapSingleton(9, `z`))).valueOf()
+        .should.equal(`{3: b, 5: a, 7: C, 9: z}`);
+    });
+  });
+  describe(`Foldable`, function() {
+    it(`should fold the values of a map in ascending order of their keys`, function() {
+      Foldable(m).should.be.true();
+      foldr((x, acc) => x + acc, ``, m).should.equal(`ba`);
+    });
+  });
+  describe(`Functor`, function() {
+    it(`should map a function over the values of a map`, function() {
+      Functor(m).should.be.true();
+      fmap(x => `${x}!`, m).valueOf().should.equal(`{3: b!, 5: a!}`);
+      fmap(x => x, emptyMap).should.equal(emptyMap);
+    });
+  });
+  describe(`Traversable`, function() {
+    it(`should traverse the values of a map from left to right`, function() {
+      const n = fromListToMap(list(tuple(1, 1), tuple(2, 2)));
+      Traversable(m).should.be.true();
+      traverse(x => just(x + 1), n).valueOf().should.equal(`Just {1: 2, 2: 3}`);
+      traverse(x => x > 1 ? just(x) : Nothing, n).should.equal(Nothing);
+      traverse(x => list(x, x * 10), n).valueOf()
+        .should.equal(`[{1: 1, 2: 2}:{1: 1, 2: 20}:{1: 10, 2: 2}:{1: 10, 2: 20}:[]]`);
+    });
+    it(`should traverse large maps`, function() {
+      const n = 20000;
+      const big = Array.from({length: n}, (x, i) => i)
+        .reduce((m, i) => mapInsert(i, i, m), emptyMap);
+      const t = fromJust(traverse(x => just(x * 2), big));
+      mapSize(t).should.equal(n);
+      fromJust(mapLookup(n - 1, t)).should.equal((n - 1) * 2);
+    });
+    it(`should put an empty map into the applicative of the witness`, function() {
+      const m = traverse(x => just(x), emptyMap, Nothing);
+      isJust(m).should.be.true();
+      fromJust(m).should.equal(emptyMap);
+      traverse(x => just(x), emptyMap).valueOf().should.equal(`[{}:[]]`);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/match-test.js
+ *
+ * @file Tests for pattern matching.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  match,
+  data,
+  compare,
+  Nothing,
+  just,
+  left,
+  right,
+  tuple,
+  unit,
+  list,
+  emptyList,
+  tell,
+  get,
+  putStr,
+  fromListToMap,
+  emptyMap,
+  fromListToSet,
+  emptySet,
+  neCons,
+  fromListToArray,
+  fromListToSeq,
+  fromSeqToList,
+  emptySeq,
+  node,
+  fromJust,
+  fromListToZipper,
+  fromTreeToZipper,
+  fromListToHeap,
+  emptyHeap,
+  fromListToDeque,
+  emptyDeque
+} from '../source';
+
+describe(`Pattern matching`, function() {
+  const Shape = data(`Shape`, {Circle: [`radius`], Rect: [`w`, `h`]});
+  const {Circle, Rect} = Shape;
+  describe(`match()`, function() {
+    it(`should match Maybe values`, function() {
+      const f = m => match(m, {Nothing: () => 0, Just: x => x + 1});
+      f(Nothing).should.equal(0);
+      f(just(1)).should.equal(2);
+    });
+    it(`should match Either values`, function() {
+      const f = e => match(e, {Left: e => `error: ${e}`, Right: x => `ok: ${x}`});
+      f(left(`oops`)).should.equal(`error: oops`);
+      f(right(1)).should.equal(`ok: 1`);
+    });
+    it(`should match lists`, function() {
+      const sum = xs => match(xs, {Nil: () => 0, Cons: (x, xs) => x + sum(xs)});
+      sum(list(1,2,3)).should.equal(6);
+      sum(emptyList).should.equal(0);
+    });
+    it(`should match tuples`, function() {
+      match(tuple(1, 2), {Tuple: (a, b) => a + b}).should.equal(3);
+      match(tuple(1, 2, 3), {'Tuple _ _ c': c => c}).should.equal(3);
+      match(unit, {Tuple: () => `unit`}).should.equal(`unit`);
+    });
+    it(`should match orderings`, function() {
+      const f = (a, b) => match(compare(a, b), {LT: `less`, EQ: `equal`, GT: `greater`});
+      f(1, 2).should.equal(`less`);
+      f(2, 2).should.equal(`equal`);
+      f(3, 2).should.equal(`greater`);
+    });
+    it(`should match values of data types defined with data`, function() {
+      const area = s => match(s, {Circle: r => 3 * r * r, 'Rect w h': (w, h) => w * h});
+      area(Circle(1)).should.equal(3);
+      area(Rect(2, 3)).should.equal(6);
+    });
+    it(`should match collections as empty or as their first value and the rest`, function() {
+      const sum = c => match(c, {Empty: 0, Cons: (x, c) => x + sum(c)});
+      sum(fromListToSet(list(3,1,2,1))).should.equal(6);
+      sum(emptySet).should.equal(0);
+      sum(fromListToSeq(list(1,2,3))).should.equal(6);
+      sum(emptySeq).should.equal(0);
+      sum(fromListToDeque(list(1,2,3))).should.equal(6);
+      sum(emptyDeque).should.equal(0);
+      sum(fromListToHeap(list(3,1,2))).should.equal(6);
+      sum(emptyHeap).should.equal(0);
+      match(fromListToHeap(list(3,1,2)), {'Cons x _': x => x, Empty: 0}).should.equal(1);
+      const rest = match(fromListToSeq(list(1,2,3)), {'Cons _ s': s => s, Empty: emptySeq});
+      fromListToArray(fromSeqToList(rest)).should.eql([2,3]);
+    });
+    it(`should match maps as empty or as their first key and value and the rest`, function() {
+      const keys = m => match(m, {Empty: ``, Cons: (k, v, m) => `${k}=${v} ${keys(m)}`});
+      const m = fromListToMap(list(tuple(2, `b`), tuple(1, `a`), tuple(3, `c`)));
+      keys(m).should.equal(`1=a 2=b 3=c `);
+      keys(emptyMap).should.equal(``);
+    });
+    it(`should match writers and NonEmpty lists by their fields`, function() {
+      match(tell(`log`), {Writer: (a, w) => w}).should.equal(`log`);
+      match(neCons(1, list(2, 3)), {'NonEmpty x (Cons y _)': (x, y) => x + y}).should.equal(3);
+    });
+    it(`should match trees by their label and children`, function() {
+      const f = t => match(t, {'Node x Nil': x => `leaf ${x}`, 'Node x _': x => `node ${x}`});
+      f(node(1, emptyList)).should.equal(`leaf 1`);
+      f(node(1, list(node(2, emptyList)))).should.equal(`node 1`);
+    });
+    it(`should match zippers by their fields`, function() {
+      const z = fromJust(fromListToZipper(list(1,2,3)));
+      match(z, {'Zipper Nil x (Cons y _)': (x, y) => x + y}).should.equal(3);
+      const t = node(1, list(node(2, emptyList)));
+      match(fromTreeToZipper(t), {'TreeZipper (Node x _) Nil Nil': x => x}).should.equal(1);
+    });
+    it(`should match other data types by the name of their type`, function() {
+      match(get, {State: `state`}).should.equal(`state`);
+      match(putStr(`a`), {IO: `io`}).should.equal(`io`);
+    });
+    it(`should return the values of cases that are not functions`, function() {
+      match(just(1), {Nothing: 0, Just: 1}).should.equal(1);
+    });
+    it(`should match nested patterns`, function() {
+      const f = m => match(m, {
+        Nothing: `nothing`,
+        'Just (Just x)': x => `nested ${x}`,
+        Just: x => `just ${x}`
+      });
+      f(just(just(1))).should.equal(`nested 1`);
+      f(just(Nothing)).should.equal(`just Nothing`);
+      f(Nothing).should.equal(`nothing`);
+      match(list(just(1), Nothing), {'Cons (Just x) (Cons Nothing Nil)': x => x, _: -1})
+        .should.equal(1);
+      match(list(just(1)), {'Cons (Just x) (Cons Nothing Nil)': x => x, _: -1}).should.equal(-1);
+      match(just(Rect(1, 2)), {'Just (Rect _ h)': h => h, _: 0}).should.equal(2);
+    });
+    it(`should try the patterns in the order they are written`, function() {
+      match(just(1), {Just: `first`, 'Just x': `second`, Nothing: 0}).should.equal(`first`);
+    });
+    it(`should match any value with a wildcard or a variable`, function() {
+      match(just(1), {Nothing: 0, _: () => `anything`}).should.equal(`anything`);
+      match(just(1), {m: m => m.valueOf()}).should.equal(`Just 1`);
+      match(5, {_: `number`}).should.equal(`number`);
+    });
+    it(`should be curried`, function() {
+      match(just(3))({Just: x => x * 2, Nothing: 0}).should.equal(6);
+    });
+    it(`should throw an error if there is no pattern for a data constructor`, function() {
+      match.bind(null, just(1), {Just: x => x}).should.throw(/'Nothing' is not matched/);
+      match.bind(null, compare(1, 2), {LT: 0}).should.throw(/'EQ, GT' is not matched/);
+    });
+    it(`should throw an error if the value does not match any pattern`, function() {
+      match.bind(null, just(Nothing), {'Just (Just x)': x => x, Nothing: 0})
+        .should.throw(/'Just Nothing' is not matched/);
+    });
+    it(`should throw an error if a pattern is for a different data type`, function() {
+      match.bind(null, just(1), {Jsut: x => x, Nothing: 0}).should.throw();
+      match.bind(null, tuple(1, 2), {Tuple: 1, Nothing: 2}).should.throw();
+    });
+    it(`should throw an error if a pattern is not valid`, function() {
+      match.bind(null, just(1), {'Just (': 1, _: 0}).should.throw();
+      match.bind(null, just(1), {'Just x y': 1, Nothing: 0}).should.throw();
+      match.bind(null, just(1), {'Just 1': 1, _: 0}).should.throw();
+    });
+    it(`should throw an error if the value cannot be matched against data constructors`, function() {
+      match.bind(null, 1, {Just: 1}).should.throw();
+      match.bind(null, just(1), null).should.throw();
+    });
+  });
+});
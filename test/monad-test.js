@@ -19,11 +19,17 @@ import {
   join,
   liftM,
   Do,
+  doM,
   Nothing,
   just,
-  list
+  list,
+  runState,
+  get,
+  put
 } from '../source';
 
+import {Type} from '../source/type';
+
 describe(`Monad type class`, function() {
   const mb1 = just(1);
   const mb2 = just(5);
@@ -133,4 +139,69 @@ describe(`Monad type class`, function() {
   it(`should throw an error if the argument is not a monad`, function() {
     Do.bind(null, 0).should.throw();
   });
+  describe(`doM()`, function() {
+    it(`should bind the values of a sequence of monadic actions to names`, function() {
+      doM(function* () {
+        const x = yield just(1);
+        const y = yield doubleJust(x);
+        return x + y;
+      }).valueOf().should.equal(`Just 3`);
+    });
+    it(`should stop at the first action that fails`, function() {
+      let reached = false;
+      doM(function* () {
+        const x = yield just(1);
+        const y = yield Nothing;
+        reached = true;
+        return x + y;
+      }).should.equal(Nothing);
+      reached.should.be.false();
+    });
+    it(`should replay the block for every value bound by a list`, function() {
+      doM(function* () {
+        const x = yield list(1,2);
+        const y = yield list(10,20);
+        return x + y;
+      }).valueOf().should.equal(`[11:21:12:22:[]]`);
+      doM(function* () {
+        const x = yield lst;
+        return yield x === 2 ? list() : plusOne(x);
+      }).valueOf().should.equal(`[2:4:[]]`);
+    });
+    it(`should work with monads that are run more than once`, function() {
+      const counter = doM(function* () {
+        const n = yield get;
+        yield put(n + 1);
+        return n * 10;
+      });
+      runState(counter, 1).valueOf().should.equal(`(10,2)`);
+      runState(counter, 2).valueOf().should.equal(`(20,3)`);
+    });
+    it(`should work with any type that is a member of the Monad type class`, function() {
+      class Identity extends Type {
+        constructor(a) {
+          super();
+          this.value = () => a;
+        }
+        static fmap(f, m) { return new Identity(f(m.value())); }
+        static pure(a) { return new Identity(a); }
+        static ap(f, m) { return new Identity(f.value()(m.value())); }
+        static flatMap(m, f) { return f(m.value()); }
+      }
+      doM(function* () {
+        const x = yield new Identity(2);
+        const y = yield new Identity(3);
+        return x * y;
+      }).value().should.equal(6);
+    });
+    it(`should throw an error if the argument is not a function`, function() {
+      doM.bind(null, 0).should.throw();
+    });
+    it(`should throw an error if the generator does not yield any monads`, function() {
+      doM.bind(null, function* () { return 1; }).should.throw();
+    });
+    it(`should throw an error if the generator yields a value that is not a monad`, function() {
+      doM.bind(null, function* () { return yield 1; }).should.throw();
+    });
+  });
 });
@@ -17,6 +17,13 @@ import {
   mempty,
   mappend,
   mconcat,
+  toSum,
+  getSum,
+  toProduct,
+  getProduct,
+  foldr,
+  isEq,
+  compare,
   Nothing,
   just,
   unit,
@@ -85,4 +92,42 @@ describe(`Monoid type class`, function() {
       mconcat(lst6).should.eql(lst5);
     });
   });
+  describe(`toSum() and getSum()`, function() {
+    it(`should wrap a number in a monoid under addition`, function() {
+      getSum(mappend(toSum(2), toSum(3))).should.equal(5);
+      getSum(mempty(toSum(2))).should.equal(0);
+      getSum(foldr(mappend, toSum(0), [1,2,3,4].map(toSum))).should.equal(10);
+      isEq(toSum(1), toSum(1)).should.be.true();
+      toSum(1).valueOf().should.equal(`Sum 1`);
+      toSum(1).typeOf().should.equal(`Sum number`);
+    });
+    it(`should order sums by the numbers they wrap`, function() {
+      compare(toSum(1), toSum(2)).should.equal(LT);
+      compare(toSum(2), toSum(1)).should.equal(GT);
+      compare(toSum(2), toSum(2)).should.equal(EQ);
+    });
+    it(`should throw an error if the argument is not a number or a Sum`, function() {
+      toSum.bind(null, `1`).should.throw();
+      getSum.bind(null, 1).should.throw();
+      mappend.bind(null, toSum(1), toProduct(1)).should.throw();
+    });
+  });
+  describe(`toProduct() and getProduct()`, function() {
+    it(`should wrap a number in a monoid under multiplication`, function() {
+      getProduct(mappend(toProduct(2), toProduct(3))).should.equal(6);
+      getProduct(mempty(toProduct(2))).should.equal(1);
+      isEq(toProduct(2), toProduct(3)).should.be.false();
+      toProduct(1).valueOf().should.equal(`Product 1`);
+      toProduct(1).typeOf().should.equal(`Product number`);
+    });
+    it(`should order products by the numbers they wrap`, function() {
+      compare(toProduct(1), toProduct(2)).should.equal(LT);
+      compare(toProduct(3), toProduct(2)).should.equal(GT);
+      compare(toProduct(2), toProduct(2)).should.equal(EQ);
+    });
+    it(`should throw an error if the argument is not a number or a Product`, function() {
+      toProduct.bind(null, `1`).should.throw();
+      getProduct.bind(null, 1).should.throw();
+    });
+  });
 });
@@ -0,0 +1,213 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/nonempty-test.js
+ *
+ * @file Tests for NonEmpty data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Eq,
+  Semigroup,
+  Monoid,
+  Foldable,
+  Traversable,
+  Functor,
+  Applicative,
+  Monad,
+  type,
+  isEq,
+  compare,
+  LT,
+  GT,
+  mappend,
+  foldr,
+  traverse,
+  fmap,
+  pure,
+  ap,
+  flatMap,
+  checkLaws,
+  Nothing,
+  just,
+  isJust,
+  fromJust,
+  emptyList,
+  list,
+  isEmpty,
+  fromStringToList,
+  nonEmpty,
+  neCons,
+  neHead,
+  neTail,
+  neLast,
+  neToList,
+  neMap,
+  groupNE,
+  isNonEmpty
+} from '../source';
+
+describe(`NonEmpty data type`, function() {
+  const ne = neCons(1, list(2,3));
+  const ne1 = neCons(1, emptyList);
+  const randomNonEmpty = () => {
+    const int = () => Math.floor(Math.random() * 3);
+    return neCons(int(), Math.random() < 0.5 ? emptyList : list(int(), int()));
+  }
+  it(`should return [Object NonEmpty] when cast to a string`, function() {
+    ne.toString().should.equal(`[Object NonEmpty]`);
+  });
+  it(`should return its head and tail, separated by :|, as its value`, function() {
+    ne.valueOf().should.equal(`1 :| [2:3:[]]`);
+    ne1.valueOf().should.equal(`1 :| [[]]`);
+  });
+  it(`should have a type made from the type of its values`, function() {
+    type(ne).should.equal(`NonEmpty number`);
+  });
+  describe(`nonEmpty()`, function() {
+    it(`should return Just a NonEmpty if the list is not empty`, function() {
+      isJust(nonEmpty(list(1,2,3))).should.be.true();
+      fromJust(nonEmpty(list(1,2,3))).valueOf().should.equal(`1 :| [2:3:[]]`);
+    });
+    it(`should return Nothing if the list is empty`, function() {
+      nonEmpty(emptyList).should.equal(Nothing);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      nonEmpty.bind(null, [1,2,3]).should.throw();
+    });
+  });
+  describe(`neCons()`, function() {
+    it(`should construct a NonEmpty from a head and a list of the rest of its values`, function() {
+      neCons(1, list(2,3)).valueOf().should.equal(`1 :| [2:3:[]]`);
+      neCons(1)(emptyList).valueOf().should.equal(`1 :| [[]]`);
+    });
+    it(`should throw an error if the second argument is not a list`, function() {
+      neCons.bind(null, 1, [2]).should.throw();
+    });
+    it(`should throw an error if the values are not the same type`, function() {
+      neCons.bind(null, `a`, list(1)).should.throw();
+    });
+  });
+  describe(`neHead()`, function() {
+    it(`should return the first value of a NonEmpty`, function() {
+      neHead(ne).should.equal(1);
+      neHead(ne1).should.equal(1);
+    });
+    it(`should throw an error if the argument is not a NonEmpty`, function() {
+      neHead.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`neTail()`, function() {
+    it(`should return a list of the values of a NonEmpty after the first`, function() {
+      neTail(ne).valueOf().should.equal(`[2:3:[]]`);
+      isEmpty(neTail(ne1)).should.be.true();
+    });
+    it(`should throw an error if the argument is not a NonEmpty`, function() {
+      neTail.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`neLast()`, function() {
+    it(`should return the last value of a NonEmpty`, function() {
+      neLast(ne).should.equal(3);
+      neLast(ne1).should.equal(1);
+    });
+    it(`should throw an error if the argument is not a NonEmpty`, function() {
+      neLast.bind(null, emptyList).should.throw();
+    });
+  });
+  describe(`neToList()`, function() {
+    it(`should convert a NonEmpty into a list`, function() {
+      neToList(ne).valueOf().should.equal(`[1:2:3:[]]`);
+      neToList(ne1).valueOf().should.equal(`[1:[]]`);
+    });
+    it(`should throw an error if the argument is not a NonEmpty`, function() {
+      neToList.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`neMap()`, function() {
+    it(`should map a function over the values of a NonEmpty`, function() {
+      neMap(x => x * 10, ne).valueOf().should.equal(`10 :| [20:30:[]]`);
+      neMap(x => x * 10)(ne1).valueOf().should.equal(`10 :| [[]]`);
+    });
+    it(`should throw an error if the arguments are not a function and a NonEmpty`, function() {
+      neMap.bind(null, 1, ne).should.throw();
+      neMap.bind(null, x => x, list(1)).should.throw();
+    });
+  });
+  describe(`groupNE()`, function() {
+    it(`should group adjacent equal values into a list of NonEmpty lists`, function() {
+      const groups = groupNE(list(1,1,2,3,3,3));
+      groups.valueOf().should.equal(`[1 :| [1:[]]:2 :| [[]]:3 :| [3:3:[]]:[]]`);
+      fmap(neHead, groupNE(fromStringToList(`Mississippi`))).valueOf().should.equal(`[Misisipi]`);
+      groupNE(emptyList).should.equal(emptyList);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      groupNE.bind(null, [1,1]).should.throw();
+    });
+  });
+  describe(`isNonEmpty()`, function() {
+    it(`should return true if the argument is a NonEmpty and false otherwise`, function() {
+      isNonEmpty(ne).should.be.true();
+      isNonEmpty(list(1)).should.be.false();
+      isNonEmpty(just(1)).should.be.false();
+    });
+  });
+  describe(`Eq`, function() {
+    it(`should compare NonEmpty lists by their values`, function() {
+      isEq(ne, neCons(1, list(2,3))).should.be.true();
+      isEq(ne, ne1).should.be.false();
+      isEq(neCons(just(1), emptyList), neCons(just(1), emptyList)).should.be.true();
+      isEmpty(checkLaws(Eq, randomNonEmpty)).should.be.true();
+    });
+  });
+  describe(`Ord`, function() {
+    it(`should order NonEmpty lists by their values from first to last`, function() {
+      compare(ne, neCons(1, list(3))).should.equal(LT);
+      compare(ne, ne1).should.equal(GT);
+    });
+  });
+  describe(`Semigroup`, function() {
+    it(`should append NonEmpty lists`, function() {
+      mappend(ne, ne1).valueOf().should.equal(`1 :| [2:3:1:[]]`);
+      isEmpty(checkLaws(Semigroup, randomNonEmpty)).should.be.true();
+    });
+    it(`should not be a monoid`, function() {
+      Monoid(ne).should.be.false();
+    });
+  });
+  describe(`Foldable`, function() {
+    it(`should fold the values of a NonEmpty`, function() {
+      Foldable(ne).should.be.true();
+      foldr((x, acc) => acc.concat(x), [], ne).should.eql([3, 2, 1]);
+    });
+  });
+  describe(`Functor`, function() {
+    it(`should map a function over the values of a NonEmpty`, function() {
+      fmap(x => x + 1, ne).valueOf().should.equal(`2 :| [3:4:[]]`);
+      isEmpty(checkLaws(Functor, randomNonEmpty)).should.be.true();
+    });
+  });
+  describe(`Traversable`, function() {
+    it(`should traverse the values of a NonEmpty from left to right`, function() {
+      Traversable(ne).should.be.true();
+      traverse(just, ne).valueOf().should.equal(`Just 1 :| [2:3:[]]`);
+      traverse(just, ne1).valueOf().should.equal(`Just 1 :| [[]]`);
+      traverse(x => x > 1 ? just(x) : Nothing, ne).should.equal(Nothing);
+      traverse(x => list(x, -x), neCons(1, list(2))).valueOf()
+        .should.equal(`[1 :| [2:[]]:1 :| [-2:[]]:-1 :| [2:[]]:-1 :| [-2:[]]:[]]`);
+    });
+  });
+  describe(`Monad`, function() {
+    it(`should chain functions that return NonEmpty lists`, function() {
+      Monad(ne).should.be.true();
+      flatMap(ne, x => neCons(x, list(x * 10))).valueOf().should.equal(`1 :| [10:2:20:3:30:[]]`);
+      pure(ne, 5).valueOf().should.equal(`5 :| [[]]`);
+      ap(neCons(x => x + 1, list(x => x * 2)), ne).valueOf().should.equal(`2 :| [3:4:2:4:6:[]]`);
+      [Applicative, Monad].every(c => isEmpty(checkLaws(c, randomNonEmpty))).should.be.true();
+    });
+  });
+});
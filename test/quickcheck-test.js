@@ -0,0 +1,296 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/quickcheck-test.js
+ *
+ * @file Tests for property-based testing.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  fmap,
+  pure,
+  ap,
+  flatMap,
+  Nothing,
+  just,
+  isJust,
+  isNothing,
+  fromJust,
+  tuple,
+  fst,
+  snd,
+  isTuple,
+  list,
+  head,
+  length,
+  reverse,
+  fromListToArray,
+  isList,
+  Arbitrary,
+  arbitrary,
+  shrink,
+  sized,
+  choose,
+  elements,
+  oneOf,
+  listOf,
+  maybeOf,
+  tupleOf,
+  generate,
+  isGen,
+  forAll,
+  property,
+  isProperty
+} from '../source';
+
+describe(`Property-based testing`, function() {
+  const sample = (g, n) => Array.from({length: 50}, (x, i) => generate(g, n, i));
+  const digit = choose(0, 9);
+  describe(`Gen data type`, function() {
+    it(`should return [Object Gen] when cast to a string`, function() {
+      digit.toString().should.equal(`[Object Gen]`);
+    });
+    it(`should be a functor`, function() {
+      sample(fmap(x => x * 10, digit), 0).every(x => x % 10 === 0 && x >= 0 && x <= 90)
+        .should.be.true();
+    });
+    it(`should be an applicative functor`, function() {
+      generate(pure(digit, 5), 0, 1).should.equal(5);
+      sample(ap(fmap(x => y => x + y, digit), choose(10, 19)), 0).every(x => x >= 10 && x <= 28)
+        .should.be.true();
+    });
+    it(`should be a monad`, function() {
+      sample(flatMap(choose(1, 5), n => choose(0, n)), 0).every(x => x >= 0 && x <= 5)
+        .should.be.true();
+    });
+  });
+  describe(`generate()`, function() {
+    it(`should generate the same value for the same seed`, function() {
+      const g = arbitrary(list(tuple(0, ``)));
+      generate(g, 20, 42).valueOf().should.equal(generate(g, 20, 42).valueOf());
+      generate(g)(20, 7).valueOf().should.equal(generate(g, 20, 7).valueOf());
+    });
+    it(`should generate values with a random seed if none is given`, function() {
+      sample(digit, 0).every(x => x >= 0 && x <= 9).should.be.true();
+      generate(digit, 0).should.be.within(0, 9);
+    });
+    it(`should throw an error if the arguments are not a Gen and a size`, function() {
+      generate.bind(null, 0, 10).should.throw();
+      generate.bind(null, digit, -1).should.throw();
+    });
+  });
+  describe(`sized()`, function() {
+    it(`should create a generator from the size of the values to generate`, function() {
+      sample(sized(n => choose(n, n)), 7).every(x => x === 7).should.be.true();
+    });
+    it(`should throw an error if the argument is not a function`, function() {
+      sized.bind(null, 0).should.throw();
+    });
+  });
+  describe(`choose()`, function() {
+    it(`should generate integers between two integers, inclusive`, function() {
+      const xs = sample(choose(-2, 2), 0);
+      xs.every(x => Number.isInteger(x) && x >= -2 && x <= 2).should.be.true();
+      xs.indexOf(-2).should.not.equal(-1);
+      xs.indexOf(2).should.not.equal(-1);
+    });
+    it(`should shrink values toward the integer in the range closest to 0`, function() {
+      const p = lo => forAll(choose(lo, 100), x => x < 50);
+      property.bind(null, p(-100), {seed: 1}).should.throw(/falsified by '50'/);
+      property.bind(null, p(60), {seed: 1}).should.throw(/falsified by '60'/);
+    });
+    it(`should throw an error if the arguments are not two integers in order`, function() {
+      choose.bind(null, 0.5, 1).should.throw();
+      choose.bind(null, 1, 0).should.throw();
+    });
+  });
+  describe(`elements()`, function() {
+    it(`should choose one of the values in an array or list`, function() {
+      sample(elements([`a`, `b`]), 0).every(x => x === `a` || x === `b`).should.be.true();
+      sample(elements(list(1,2,3)), 0).every(x => x === 1 || x === 2 || x === 3).should.be.true();
+    });
+    it(`should shrink values toward the values that come before them`, function() {
+      property.bind(null, forAll(elements([`a`, `b`, `c`]), x => x === `c`), {seed: 1})
+        .should.throw(/falsified by 'a'/);
+    });
+    it(`should throw an error if the argument is not a non-empty array or list`, function() {
+      elements.bind(null, []).should.throw();
+      elements.bind(null, 0).should.throw();
+    });
+  });
+  describe(`oneOf()`, function() {
+    it(`should use one of the given generators for each value`, function() {
+      const xs = sample(oneOf(choose(0, 0), choose(10, 10)), 0);
+      xs.every(x => x === 0 || x === 10).should.be.true();
+      xs.indexOf(0).should.not.equal(-1);
+      xs.indexOf(10).should.not.equal(-1);
+    });
+    it(`should throw an error if the arguments are not generators`, function() {
+      oneOf.bind(null).should.throw();
+      oneOf.bind(null, digit, 0).should.throw();
+    });
+  });
+  describe(`listOf()`, function() {
+    it(`should generate lists no longer than the size they are generated at`, function() {
+      const xss = sample(listOf(digit), 5);
+      xss.every(xs => isList(xs) && length(xs) <= 5).should.be.true();
+      fromListToArray(generate(listOf(digit), 0, 1)).should.eql([]);
+    });
+    it(`should throw an error if the argument is not a Gen`, function() {
+      listOf.bind(null, 0).should.throw();
+    });
+  });
+  describe(`maybeOf()`, function() {
+    it(`should generate both Just values and Nothing`, function() {
+      const ms = sample(maybeOf(digit), 0);
+      ms.some(isJust).should.be.true();
+      ms.some(isNothing).should.be.true();
+    });
+    it(`should throw an error if the argument is not a Gen`, function() {
+      maybeOf.bind(null, 0).should.throw();
+    });
+  });
+  describe(`tupleOf()`, function() {
+    it(`should generate tuples with a value from each generator`, function() {
+      sample(tupleOf(digit, elements([`a`])), 0).every(t => fst(t) <= 9 && snd(t) === `a`)
+        .should.be.true();
+    });
+    it(`should throw an error if there are not at least two generators`, function() {
+      tupleOf.bind(null, digit).should.throw();
+      tupleOf.bind(null, digit, 0).should.throw();
+    });
+  });
+  describe(`Arbitrary`, function() {
+    it(`should include numbers, strings, booleans, lists, Maybe values, and tuples`, function() {
+      [0, ``, true, list(1), just(1), tuple(1,2)].every(Arbitrary).should.be.true();
+      Arbitrary(digit).should.be.false();
+    });
+  });
+  describe(`arbitrary()`, function() {
+    it(`should generate integers or other numbers, depending on its argument`, function() {
+      sample(arbitrary(0), 10).every(x => Number.isInteger(x) && x >= -10 && x <= 10)
+        .should.be.true();
+      sample(arbitrary(0.5), 10).some(x => Number.isInteger(x) === false).should.be.true();
+    });
+    it(`should generate strings and booleans`, function() {
+      sample(arbitrary(``), 10).every(s => typeof s === `string` && s.length <= 10).should.be.true();
+      sample(arbitrary(false), 0).some(b => b).should.be.true();
+      sample(arbitrary(false), 0).some(b => !b).should.be.true();
+    });
+    it(`should generate lists, Maybe values, and tuples of the types they contain`, function() {
+      sample(arbitrary(list(``)), 10).every(xs => fromListToArray(xs).every(s => typeof s === `string`))
+        .should.be.true();
+      sample(arbitrary(just(true)), 10).filter(isJust).every(m => typeof fromJust(m) === `boolean`)
+        .should.be.true();
+      sample(arbitrary(tuple(0, list(true))), 10).every(t => isTuple(t) && isList(snd(t)))
+        .should.be.true();
+    });
+    it(`should throw an error if the type of values to generate cannot be determined`, function() {
+      arbitrary.bind(null, list()).should.throw();
+      arbitrary.bind(null, Nothing).should.throw();
+      arbitrary.bind(null, {}).should.throw();
+    });
+  });
+  describe(`shrink()`, function() {
+    it(`should shrink numbers toward 0`, function() {
+      shrink(10).valueOf().should.equal(`[0:5:8:9:[]]`);
+      shrink(-4).valueOf().should.equal(`[0:-2:-3:[]]`);
+      shrink(2.5).valueOf().should.equal(`[0:2:1.5:[]]`);
+      shrink(0).valueOf().should.equal(`[[]]`);
+    });
+    it(`should shrink strings and lists by removing elements and then shrinking them`, function() {
+      fromListToArray(shrink(`abc`)).should.eql([``, `bc`, `ac`, `ab`]);
+      fromListToArray(shrink(list(1,2))).map(xs => xs.valueOf())
+        .should.eql([`[[]]`, `[2:[]]`, `[1:[]]`, `[0:2:[]]`, `[1:0:[]]`, `[1:1:[]]`]);
+    });
+    it(`should shrink booleans, Maybe values, and tuples`, function() {
+      shrink(true).valueOf().should.equal(`[false:[]]`);
+      shrink(just(2)).valueOf().should.equal(`[Nothing:Just 0:Just 1:[]]`);
+      fromListToArray(shrink(tuple(2, true))).map(t => t.valueOf())
+        .should.eql([`(0,true)`, `(1,true)`, `(2,false)`]);
+    });
+    it(`should throw an error if the argument is not a member of Arbitrary`, function() {
+      shrink.bind(null, {}).should.throw();
+    });
+  });
+  describe(`forAll()`, function() {
+    it(`should create a property`, function() {
+      isProperty(forAll(digit, x => x < 10)).should.be.true();
+      isProperty(forAll(digit)(x => x < 10)).should.be.true();
+      forAll(digit, x => x < 10).toString().should.equal(`[Object Property]`);
+    });
+    it(`should throw an error if the arguments are not a Gen and a function`, function() {
+      forAll.bind(null, 0, x => x).should.throw();
+      forAll.bind(null, digit, 0).should.throw();
+    });
+  });
+  describe(`property()`, function() {
+    it(`should return true if a property holds for every value tested`, function() {
+      property(forAll(arbitrary(list(0)), xs => length(reverse(reverse(xs))) === length(xs)))
+        .should.be.true();
+      property(forAll(arbitrary(``), s => s.length >= 0), {tests: 10, size: 5}).should.be.true();
+    });
+    it(`should test the given number of values`, function() {
+      let n = 0;
+      property(forAll(digit, () => { n += 1; }), {tests: 25});
+      n.should.equal(25);
+    });
+    it(`should shrink a failing list to a minimal counterexample`, function() {
+      property.bind(null, forAll(arbitrary(list(0)), xs => length(xs) < 3))
+        .should.throw(/falsified by '\[0:0:0:\[\]\]'/);
+    });
+    it(`should shrink a failing tuple to a minimal counterexample`, function() {
+      property.bind(null, forAll(arbitrary(tuple(0, list(0))), t => fst(t) < 5 || length(snd(t)) < 2))
+        .should.throw(/falsified by '\(5,\[0:0:\[\]\]\)'/);
+    });
+    it(`should treat an error thrown by the predicate as a failure`, function() {
+      const p = forAll(arbitrary(list(0)), xs => {
+        if (length(xs) > 0 && head(xs) > 3) { throw Error(`too big`); }
+      });
+      property.bind(null, p).should.throw(/falsified by '\[4:\[\]\]'.*: too big\./);
+    });
+    it(`should generate the same values and report the same counterexample for a seed`, function() {
+      const p = forAll(arbitrary(list(0)), xs => length(xs) < 3);
+      const message = f => {
+        try { f(); } catch (e) { return e.message; }
+      };
+      const a = message(() => property(p, {seed: 42}));
+      a.should.match(/\(seed 42\)/);
+      message(() => property(p, {seed: 42})).should.equal(a);
+      message(() => property(p)).should.match(/\(seed \d+\)/);
+    });
+    it(`should shrink the values of a mapped generator by shrinking the values they came from`, function() {
+      property.bind(null, forAll(fmap(x => x + 100, digit), x => x < 105), {seed: 3})
+        .should.throw(/falsified by '105'/);
+      const tens = listOf(fmap(x => x * 10, digit));
+      property.bind(null, forAll(tens, xs => fromListToArray(xs).every(x => x < 50)))
+        .should.throw(/falsified by '\[50:\[\]\]'/);
+      const halves = fmap(x => Math.floor(x / 2), choose(0, 99));
+      property.bind(null, forAll(halves, x => x < 10), {seed: 3}).should.throw(/falsified by '10'/);
+    });
+    it(`should not shrink values whose generator does not know how`, function() {
+      property.bind(null, forAll(flatMap(digit, x => pure(digit, x + 100)), x => x < 105), {seed: 3})
+        .should.throw(/after \d+ tests, 0 shrinks/);
+    });
+    it(`should throw an error if the argument is not a property`, function() {
+      property.bind(null, digit).should.throw();
+    });
+  });
+  describe(`isGen()`, function() {
+    it(`should return true if the argument is a Gen`, function() {
+      isGen(arbitrary(0)).should.be.true();
+    });
+    it(`should return false if the argument is not a Gen`, function() {
+      isGen(0).should.be.false();
+    });
+  });
+  describe(`isProperty()`, function() {
+    it(`should return false if the argument is not a property`, function() {
+      isProperty(digit).should.be.false();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/reader-test.js
+ *
+ * @file Tests for Reader data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  id,
+  fmap,
+  pure,
+  ap,
+  inject,
+  flatMap,
+  chain,
+  liftM,
+  Do,
+  tuple,
+  reader,
+  runReader,
+  ask,
+  asks,
+  local,
+  isReader
+} from '../source';
+
+describe(`Reader data type`, function() {
+  const env = {host: `localhost`, port: 8080, depth: 0};
+  const host = asks(e => e.host);
+  const port = asks(e => e.port);
+  const depth = asks(e => e.depth);
+  const deeper = e => ({host: e.host, port: e.port, depth: e.depth + 1});
+  it(`should return [Object Reader] when cast to a string`, function() {
+    ask.toString().should.equal(`[Object Reader]`);
+  });
+  it(`should return its correct type`, function() {
+    ask.typeOf().should.equal(`Reader`);
+  });
+  describe(`Functor instance`, function() {
+    it(`should map a function over the result of a Reader`, function() {
+      runReader(fmap(x => x + 1, port), env).should.equal(8081);
+      runReader(fmap(id, port), env).should.equal(8080);
+    });
+  });
+  describe(`Applicative instance`, function() {
+    it(`should lift a value into a Reader that ignores its environment`, function() {
+      runReader(pure(ask, 1), env).should.equal(1);
+    });
+    it(`should apply a function in a Reader to a Reader in the same environment`, function() {
+      const f = asks(e => x => `${e.host}:${x}`);
+      runReader(ap(f, port), env).should.equal(`localhost:8080`);
+    });
+  });
+  describe(`Monad instance`, function() {
+    it(`should pass the same environment to a sequence of computations`, function() {
+      runReader(flatMap(host, h => fmap(p => `${h}:${p}`, port)), env).should.equal(`localhost:8080`);
+      runReader(chain(host, port), env).should.equal(8080);
+      runReader(liftM(x => x * 2, port), env).should.equal(16160);
+      runReader(inject(ask, 7), env).should.equal(7);
+    });
+    it(`should work with Do blocks`, function() {
+      const b = Do(host).flatMap(h => local(deeper, fmap(d => tuple(h, d), depth)));
+      b.valueOf().should.equal(`Reader >>= [Object Reader]`);
+      runReader(b.m(), env).valueOf().should.equal(`('localhost',1)`);
+    });
+  });
+  describe(`reader()`, function() {
+    it(`should embed a function of the environment into a Reader`, function() {
+      runReader(reader(e => e.port), env).should.equal(8080);
+    });
+    it(`should throw an error if the argument is not a function`, function() {
+      reader.bind(null, 0).should.throw();
+    });
+  });
+  describe(`runReader()`, function() {
+    it(`should run a Reader in an environment`, function() {
+      runReader(ask, 5).should.equal(5);
+      runReader(ask)(5).should.equal(5);
+    });
+    it(`should throw an error if the first argument is not a Reader`, function() {
+      runReader.bind(null, 0, 5).should.throw();
+    });
+  });
+  describe(`ask`, function() {
+    it(`should return the environment`, function() {
+      runReader(ask, env).should.equal(env);
+    });
+  });
+  describe(`asks()`, function() {
+    it(`should return the result of applying a function to the environment`, function() {
+      runReader(host, env).should.equal(`localhost`);
+    });
+    it(`should throw an error if the argument is not a function`, function() {
+      asks.bind(null, 0).should.throw();
+    });
+  });
+  describe(`local()`, function() {
+    it(`should run a Reader in a modified environment`, function() {
+      runReader(local(deeper, depth), env).should.equal(1);
+      runReader(local(deeper, local(deeper, depth)), env).should.equal(2);
+    });
+    it(`should not modify the environment of the computations that follow it`, function() {
+      runReader(chain(local(deeper, depth), depth), env).should.equal(0);
+    });
+    it(`should throw an error if the first argument is not a function`, function() {
+      local.bind(null, 0, depth).should.throw();
+    });
+    it(`should throw an error if the second argument is not a Reader`, function() {
+      local.bind(null, deeper, 0).should.throw();
+    });
+  });
+  describe(`isReader()`, function() {
+    it(`should return true if the argument is a Reader`, function() {
+      isReader(ask).should.be.true();
+    });
+    it(`should return false if the argument is not a Reader`, function() {
+      isReader(id).should.be.false();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/semigroup-test.js
+ *
+ * @file Tests for Semigroup type class.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Semigroup,
+  Monoid,
+  sconcat,
+  mappend,
+  toSum,
+  getSum,
+  emptyList,
+  list,
+  neCons
+} from '../source';
+
+describe(`Semigroup type class`, function() {
+  const ne = neCons(1, list(2,3));
+  describe(`Semigroup()`, function() {
+    it(`should return true for semigroups that are not monoids`, function() {
+      Semigroup(ne).should.be.true();
+      Monoid(ne).should.be.false();
+    });
+    it(`should return true for every monoid`, function() {
+      Semigroup(list(1)).should.be.true();
+      Semigroup([1]).should.be.true();
+      Semigroup(`a`).should.be.true();
+      Semigroup(toSum(1)).should.be.true();
+    });
+    it(`should return false for values that are not semigroups`, function() {
+      Semigroup(1).should.be.false();
+    });
+  });
+  describe(`mappend()`, function() {
+    it(`should append semigroups that are not monoids`, function() {
+      mappend(ne, neCons(4, emptyList)).valueOf().should.equal(`1 :| [2:3:4:[]]`);
+    });
+  });
+  describe(`sconcat()`, function() {
+    it(`should combine the semigroups in a NonEmpty list from left to right`, function() {
+      sconcat(neCons(list(1), list(list(2), list(3)))).valueOf().should.equal(`[1:2:3:[]]`);
+      sconcat(neCons(neCons(1, emptyList), list(ne))).valueOf().should.equal(`1 :| [1:2:3:[]]`);
+      sconcat(neCons(`a`, list(`b`, `c`))).should.equal(`abc`);
+      getSum(sconcat(neCons(toSum(1), list(toSum(2))))).should.equal(3);
+      sconcat(neCons(list(1), emptyList)).valueOf().should.equal(`[1:[]]`);
+    });
+    it(`should throw an error if the argument is not a NonEmpty`, function() {
+      sconcat.bind(null, list(list(1))).should.throw();
+    });
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/seq-test.js
+ *
+ * @file Tests for Seq data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Foldable,
+  Traversable,
+  Functor,
+  Monoid,
+  show,
+  type,
+  isEq,
+  compare,
+  EQ,
+  LT,
+  GT,
+  mempty,
+  mappend,
+  fmap,
+  foldr,
+  traverse,
+  fst,
+  snd,
+  just,
+  Nothing,
+  isJust,
+  fromJust,
+  list,
+  listRange,
+  emptyList,
+  fromListToArray,
+  emptySeq,
+  seqSingleton,
+  seqPushFront,
+  seqPushBack,
+  seqViewl,
+  seqViewr,
+  seqSplitAt,
+  seqIndex,
+  seqUpdate,
+  seqConcat,
+  seqLength,
+  fromListToSeq,
+  fromSeqToList,
+  isSeq
+} from '../source';
+
+describe(`Seq data type`, function() {
+  const s = fromListToSeq(list(1,2,3,4,5));
+  const big = fromListToSeq(listRange(0, 1000));
+  const values = s => fromListToArray(fromSeqToList(s));
+  it(`should return [Object Seq] when cast to a string`, function() {
+    s.toString().should.equal(`[Object Seq]`);
+  });
+  it(`should return its values in order as its value`, function() {
+    s.valueOf().should.equal(`<1, 2, 3, 4, 5>`);
+    emptySeq.valueOf().should.equal(`<>`);
+  });
+  it(`should have a type made from the type of its values`, function() {
+    type(s).should.equal(`Seq number`);
+    type(emptySeq).should.equal(`Seq`);
+  });
+  describe(`emptySeq`, function() {
+    it(`should be a sequence with no values`, function() {
+      isSeq(emptySeq).should.be.true();
+      seqLength(emptySeq).should.equal(0);
+    });
+  });
+  describe(`seqSingleton()`, function() {
+    it(`should return a sequence with a single value`, function() {
+      show(seqSingleton(1)).should.equal(`<1>`);
+    });
+  });
+  describe(`seqPushFront()`, function() {
+    it(`should add a value to the front of a sequence`, function() {
+      seqPushFront(0, s).valueOf().should.equal(`<0, 1, 2, 3, 4, 5>`);
+      seqPushFront(1)(emptySeq).valueOf().should.equal(`<1>`);
+    });
+    it(`should keep its values in order as the tree grows`, function() {
+      const xs = listRange(0, 100);
+      values(foldr(seqPushFront, emptySeq, xs)).should.eql(fromListToArray(xs));
+    });
+    it(`should throw an error if the second argument is not a sequence`, function() {
+      seqPushFront.bind(null, 1, list(1)).should.throw();
+    });
+    it(`should throw an error if the value is not the same type as the sequence`, function() {
+      seqPushFront.bind(null, `a`, s).should.throw();
+    });
+  });
+  describe(`seqPushBack()`, function() {
+    it(`should add a value to the back of a sequence`, function() {
+      seqPushBack(s, 6).valueOf().should.equal(`<1, 2, 3, 4, 5, 6>`);
+      seqPushBack(emptySeq)(1).valueOf().should.equal(`<1>`);
+    });
+    it(`should keep its values in order as the tree grows`, function() {
+      const xs = fromListToArray(listRange(0, 100));
+      values(xs.reduce(seqPushBack, emptySeq)).should.eql(xs);
+    });
+    it(`should throw an error if the value is not the same type as the sequence`, function() {
+      seqPushBack.bind(null, s, `a`).should.throw();
+    });
+  });
+  describe(`seqViewl()`, function() {
+    it(`should return the first value and the rest of a sequence in a Just`, function() {
+      const v = fromJust(seqViewl(s));
+      fst(v).should.equal(1);
+      snd(v).valueOf().should.equal(`<2, 3, 4, 5>`);
+    });
+    it(`should return Nothing if the sequence is empty`, function() {
+      seqViewl(emptySeq).should.equal(Nothing);
+    });
+    it(`should take every value off a sequence in order`, function() {
+      const xs = [];
+      for (let v = seqViewl(big); v !== Nothing; v = seqViewl(snd(fromJust(v)))) {
+        xs.push(fst(fromJust(v)));
+      }
+      xs.should.eql(values(big));
+    });
+    it(`should throw an error if the argument is not a sequence`, function() {
+      seqViewl.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`seqViewr()`, function() {
+    it(`should return the rest and the last value of a sequence in a Just`, function() {
+      const v = fromJust(seqViewr(s));
+      fst(v).valueOf().should.equal(`<1, 2, 3, 4>`);
+      snd(v).should.equal(5);
+    });
+    it(`should return Nothing if the sequence is empty`, function() {
+      seqViewr(emptySeq).should.equal(Nothing);
+    });
+    it(`should take every value off a sequence in reverse order`, function() {
+      const xs = [];
+      for (let v = seqViewr(big); v !== Nothing; v = seqViewr(fst(fromJust(v)))) {
+        xs.unshift(snd(fromJust(v)));
+      }
+      xs.should.eql(values(big));
+    });
+  });
+  describe(`seqSplitAt()`, function() {
+    it(`should split a sequence at an index`, function() {
+      seqSplitAt(2, s).valueOf().should.equal(`(<1, 2>,<3, 4, 5>)`);
+      seqSplitAt(0)(s).valueOf().should.equal(`(<>,<1, 2, 3, 4, 5>)`);
+    });
+    it(`should put all of the values on one side if the index is out of range`, function() {
+      seqSplitAt(-1, s).valueOf().should.equal(`(<>,<1, 2, 3, 4, 5>)`);
+      seqSplitAt(9, s).valueOf().should.equal(`(<1, 2, 3, 4, 5>,<>)`);
+    });
+    it(`should split a large sequence at every index`, function() {
+      const xs = values(big);
+      for (let i = 0; i <= 1000; i += 37) {
+        const p = seqSplitAt(i, big);
+        seqLength(fst(p)).should.equal(i);
+        values(fst(p)).should.eql(xs.slice(0, i));
+        values(snd(p)).should.eql(xs.slice(i));
+      }
+    });
+  });
+  describe(`seqIndex()`, function() {
+    it(`should return the value at an index of a sequence`, function() {
+      seqIndex(s, 0).should.equal(1);
+      seqIndex(s)(4).should.equal(5);
+    });
+    it(`should find every value of a large sequence`, function() {
+      for (let i = 0; i < 1000; i += 1) { seqIndex(big, i).should.equal(i); }
+    });
+    it(`should throw an error if the index is out of range`, function() {
+      seqIndex.bind(null, s, 5).should.throw();
+      seqIndex.bind(null, s, -1).should.throw();
+      seqIndex.bind(null, emptySeq, 0).should.throw();
+    });
+  });
+  describe(`seqUpdate()`, function() {
+    it(`should replace the value at an index of a sequence`, function() {
+      seqUpdate(1, 9, s).valueOf().should.equal(`<1, 9, 3, 4, 5>`);
+      seqUpdate(1, 9)(s).valueOf().should.equal(`<1, 9, 3, 4, 5>`);
+      s.valueOf().should.equal(`<1, 2, 3, 4, 5>`);
+    });
+    it(`should update values deep in a large sequence`, function() {
+      const u = seqUpdate(500, -1, big);
+      seqIndex(u, 500).should.equal(-1);
+      seqIndex(u, 499).should.equal(499);
+      seqLength(u).should.equal(1000);
+    });
+    it(`should return the same sequence if the index is out of range`, function() {
+      seqUpdate(7, 9, s).should.equal(s);
+    });
+    it(`should throw an error if the value is not the same type as the sequence`, function() {
+      seqUpdate.bind(null, 1, `a`, s).should.throw();
+    });
+  });
+  describe(`seqConcat()`, function() {
+    it(`should concatenate two sequences`, function() {
+      seqConcat(s, fromListToSeq(list(6,7))).valueOf().should.equal(`<1, 2, 3, 4, 5, 6, 7>`);
+      seqConcat(emptySeq, s).valueOf().should.equal(`<1, 2, 3, 4, 5>`);
+      seqConcat(s)(emptySeq).valueOf().should.equal(`<1, 2, 3, 4, 5>`);
+    });
+    it(`should concatenate large sequences`, function() {
+      const c = seqConcat(big, big);
+      seqLength(c).should.equal(2000);
+      seqIndex(c, 1500).should.equal(500);
+      values(c).should.eql(values(big).concat(values(big)));
+    });
+    it(`should throw an error if the sequences are not the same type`, function() {
+      seqConcat.bind(null, s, seqSingleton(`a`)).should.throw();
+    });
+    it(`should throw an error if either argument is not a sequence`, function() {
+      seqConcat.bind(null, s, [6]).should.throw();
+      seqConcat.bind(null, [6], s).should.throw();
+    });
+  });
+  describe(`seqLength()`, function() {
+    it(`should return the number of values in a sequence`, function() {
+      seqLength(s).should.equal(5);
+      seqLength(big).should.equal(1000);
+    });
+    it(`should throw an error if the argument is not a sequence`, function() {
+      seqLength.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`fromListToSeq()`, function() {
+    it(`should create a sequence from the values of a list`, function() {
+      fromListToSeq(list(3,1,2)).valueOf().should.equal(`<3, 1, 2>`);
+      fromListToSeq(emptyList).valueOf().should.equal(`<>`);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      fromListToSeq.bind(null, [1,2,3]).should.throw();
+    });
+  });
+  describe(`fromSeqToList()`, function() {
+    it(`should convert a sequence into a list of its values`, function() {
+      fromSeqToList(s).valueOf().should.equal(`[1:2:3:4:5:[]]`);
+      fromSeqToList(emptySeq).should.equal(emptyList);
+    });
+    it(`should throw an error if the argument is not a sequence`, function() {
+      fromSeqToList.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`isSeq()`, function() {
+    it(`should return true if the argument is a sequence and false otherwise`, function() {
+      isSeq(s).should.be.true();
+      isSeq(list(1,2,3)).should.be.false();
+      isSeq([1,2,3]).should.be.false();
+    });
+  });
+  describe(`Eq`, function() {
+    it(`should compare sequences by their values`, function() {
+      isEq(s, seqConcat(fromListToSeq(list(1,2)), fromListToSeq(list(3,4,5)))).should.be.true();
+      isEq(s, seqPushBack(s, 6)).should.be.false();
+      isEq(s, seqUpdate(0, 0, s)).should.be.false();
+    });
+  });
+  describe(`Ord`, function() {
+    it(`should order sequences by their values`, function() {
+      compare(s, seqUpdate(4, 9, s)).should.equal(LT);
+      compare(seqUpdate(4, 9, s), s).should.equal(GT);
+      compare(s, fromListToSeq(list(1,2,3,4,5))).should.equal(EQ);
+      compare(s, seqPushBack(s, 0)).should.equal(LT);
+    });
+  });
+  describe(`Monoid`, function() {
+    it(`should be a monoid under concatenation`, function() {
+      Monoid(s).should.be.true();
+      mempty(s).should.equal(emptySeq);
+      mappend(s, seqSingleton(6)).valueOf().should.equal(`<1, 2, 3, 4, 5, 6>`);
+    });
+  });
+  describe(`Foldable`, function() {
+    it(`should fold the values of a sequence in order`, function() {
+      Foldable(s).should.be.true();
+      foldr((x, acc) => acc.concat(x), [], s).should.eql([5, 4, 3, 2, 1]);
+    });
+  });
+  describe(`Traversable`, function() {
+    it(`should traverse the values of a sequence in order`, function() {
+      Traversable(s).should.be.true();
+      traverse(x => just(x * 2), s).valueOf().should.equal(`Just <2, 4, 6, 8, 10>`);
+      traverse(x => x > 3 ? Nothing : just(x), s).should.equal(Nothing);
+    });
+    it(`should traverse large sequences`, function() {
+      const n = 20000;
+      const t = fromJust(traverse(x => just(x * 2), fromListToSeq(listRange(0, n))));
+      seqLength(t).should.equal(n);
+      seqIndex(t, n - 1).should.equal((n - 1) * 2);
+    });
+    it(`should put an empty sequence into the applicative of the witness`, function() {
+      const m = traverse(x => just(x), emptySeq, Nothing);
+      isJust(m).should.be.true();
+      fromJust(m).should.equal(emptySeq);
+      traverse(x => just(x), emptySeq).valueOf().should.equal(`[<>:[]]`);
+    });
+  });
+  describe(`Functor`, function() {
+    it(`should map a function over the values of a sequence`, function() {
+      Functor(s).should.be.true();
+      fmap(x => x * 10, s).valueOf().should.equal(`<10, 20, 30, 40, 50>`);
+      values(fmap(x => x + 1, big)).should.eql(values(big).map(x => x + 1));
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/set-test.js
+ *
+ * @file Tests for Set data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Foldable,
+  Monoid,
+  Functor,
+  even,
+  show,
+  type,
+  isEq,
+  compare,
+  EQ,
+  LT,
+  GT,
+  mempty,
+  mappend,
+  foldr,
+  fst,
+  snd,
+  just,
+  Nothing,
+  list,
+  listRange,
+  emptyList,
+  emptySet,
+  setSingleton,
+  setInsert,
+  setDelete,
+  setMember,
+  setSize,
+  setUnion,
+  setIntersection,
+  setDifference,
+  isSubsetOf,
+  setMap,
+  setFilter,
+  setPartition,
+  fromListToSet,
+  fromSetToList,
+  isSet
+} from '../source';
+
+describe(`Set data type`, function() {
+  const s = fromListToSet(list(3,1,2,3,1));
+  const s1 = fromListToSet(list(1,2,3));
+  const s2 = fromListToSet(list(3,4));
+  it(`should return [Object Set] when cast to a string`, function() {
+    s.toString().should.equal(`[Object Set]`);
+  });
+  it(`should return its values in ascending order as its value`, function() {
+    s.valueOf().should.equal(`{1, 2, 3}`);
+    emptySet.valueOf().should.equal(`{}`);
+  });
+  it(`should have a type made from the type of its values`, function() {
+    type(s).should.equal(`Set number`);
+    type(emptySet).should.equal(`Set`);
+  });
+  describe(`emptySet`, function() {
+    it(`should be a set with no values`, function() {
+      isSet(emptySet).should.be.true();
+      setSize(emptySet).should.equal(0);
+    });
+  });
+  describe(`setSingleton()`, function() {
+    it(`should return a set with a single value`, function() {
+      show(setSingleton(1)).should.equal(`{1}`);
+    });
+  });
+  describe(`setInsert()`, function() {
+    it(`should insert a value into a set`, function() {
+      setInsert(5, s).valueOf().should.equal(`{1, 2, 3, 5}`);
+      setInsert(0)(s).valueOf().should.equal(`{0, 1, 2, 3}`);
+    });
+    it(`should return an equal set if the value is already in the set`, function() {
+      setInsert(2, s).valueOf().should.equal(`{1, 2, 3}`);
+      setSize(setInsert(2, s)).should.equal(3);
+    });
+    it(`should order values of any type that can be compared`, function() {
+      setInsert(`a`, fromListToSet(list(`c`, `b`))).valueOf().should.equal(`{a, b, c}`);
+      fromListToSet(list(just(2), Nothing, just(1))).valueOf()
+        .should.equal(`{Nothing, Just 1, Just 2}`);
+    });
+    it(`should throw an error if the second argument is not a set`, function() {
+      setInsert.bind(null, 1, [1]).should.throw();
+    });
+    it(`should throw an error if the values are not the same type`, function() {
+      setInsert.bind(null, `a`, s).should.throw();
+    });
+  });
+  describe(`setDelete()`, function() {
+    it(`should delete a value from a set`, function() {
+      setDelete(2, s).valueOf().should.equal(`{1, 3}`);
+    });
+    it(`should return an equal set if the value is not in the set`, function() {
+      setDelete(5, s).valueOf().should.equal(`{1, 2, 3}`);
+      setDelete(5, emptySet).valueOf().should.equal(`{}`);
+    });
+    it(`should throw an error if the second argument is not a set`, function() {
+      setDelete.bind(null, 1, list(1)).should.throw();
+    });
+  });
+  describe(`setMember()`, function() {
+    it(`should return true if a value is in a set and false otherwise`, function() {
+      setMember(2, s).should.be.true();
+      setMember(5, s).should.be.false();
+      setMember(5)(emptySet).should.be.false();
+    });
+  });
+  describe(`setSize()`, function() {
+    it(`should return the number of values in a set`, function() {
+      setSize(s).should.equal(3);
+      setSize(fromListToSet(listRange(0, 1000))).should.equal(1000);
+    });
+    it(`should throw an error if the argument is not a set`, function() {
+      setSize.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`setUnion()`, function() {
+    it(`should return the set of values that are in either set`, function() {
+      setUnion(s1, s2).valueOf().should.equal(`{1, 2, 3, 4}`);
+      setUnion(s1, emptySet).valueOf().should.equal(`{1, 2, 3}`);
+    });
+    it(`should throw an error if either argument is not a set`, function() {
+      setUnion.bind(null, s1, {}).should.throw();
+      setUnion.bind(null, {}, s1).should.throw();
+    });
+  });
+  describe(`setIntersection()`, function() {
+    it(`should return the set of values that are in both sets`, function() {
+      setIntersection(s1, s2).valueOf().should.equal(`{3}`);
+      setIntersection(s2, s1).valueOf().should.equal(`{3}`);
+      setIntersection(s1, emptySet).valueOf().should.equal(`{}`);
+    });
+    it(`should throw an error if either argument is not a set`, function() {
+      setIntersection.bind(null, s1, [3]).should.throw();
+    });
+  });
+  describe(`setDifference()`, function() {
+    it(`should return the set of values of the first set that are not in the second`, function() {
+      setDifference(s1, s2).valueOf().should.equal(`{1, 2}`);
+      setDifference(s2, s1).valueOf().should.equal(`{4}`);
+      setDifference(s1, s1).valueOf().should.equal(`{}`);
+    });
+    it(`should throw an error if either argument is not a set`, function() {
+      setDifference.bind(null, [1], s1).should.throw();
+    });
+  });
+  describe(`isSubsetOf()`, function() {
+    it(`should return true if every value of the first set is in the second`, function() {
+      isSubsetOf(fromListToSet(list(1,3)), s1).should.be.true();
+      isSubsetOf(s1, s1).should.be.true();
+      isSubsetOf(emptySet, s1).should.be.true();
+    });
+    it(`should return false otherwise`, function() {
+      isSubsetOf(fromListToSet(list(1,4)), s1).should.be.false();
+      isSubsetOf(s1, s2).should.be.false();
+    });
+  });
+  describe(`setMap()`, function() {
+    it(`should map a function over the values of a set`, function() {
+      setMap(x => x * 10, s1).valueOf().should.equal(`{10, 20, 30}`);
+      setMap(x => -x)(s1).valueOf().should.equal(`{-3, -2, -1}`);
+    });
+    it(`should drop values that the function maps to the same result`, function() {
+      setMap(x => x % 3, fromListToSet(list(1,2,3,4))).valueOf().should.equal(`{0, 1, 2}`);
+    });
+    it(`should throw an error if the first argument is not a function`, function() {
+      setMap.bind(null, 1, s1).should.throw();
+    });
+  });
+  describe(`setFilter()`, function() {
+    it(`should return the set of values that satisfy a predicate`, function() {
+      setFilter(even, fromListToSet(list(1,2,3,4))).valueOf().should.equal(`{2, 4}`);
+      setFilter(x => x > 10, s1).valueOf().should.equal(`{}`);
+    });
+    it(`should throw an error if the predicate does not return a boolean`, function() {
+      setFilter.bind(null, x => x, s1).should.throw();
+    });
+  });
+  describe(`setPartition()`, function() {
+    it(`should split a set by whether its values satisfy a predicate`, function() {
+      const p = setPartition(even, fromListToSet(list(1,2,3,4)));
+      p.valueOf().should.equal(`({2, 4},{1, 3})`);
+      fst(p).valueOf().should.equal(`{2, 4}`);
+      snd(p).valueOf().should.equal(`{1, 3}`);
+    });
+  });
+  describe(`fromListToSet()`, function() {
+    it(`should create a set from the values of a list, dropping duplicates`, function() {
+      fromListToSet(list(3,1,2,3,1)).valueOf().should.equal(`{1, 2, 3}`);
+      fromListToSet(emptyList).valueOf().should.equal(`{}`);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      fromListToSet.bind(null, [1,2,3]).should.throw();
+    });
+  });
+  describe(`fromSetToList()`, function() {
+    it(`should convert a set into a list of its values in ascending order`, function() {
+      fromSetToList(s).valueOf().should.equal(`[1:2:3:[]]`);
+      fromSetToList(emptySet).should.equal(emptyList);
+    });
+    it(`should throw an error if the argument is not a set`, function() {
+      fromSetToList.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`isSet()`, function() {
+    it(`should return true if the argument is a set and false otherwise`, function() {
+      isSet(s).should.be.true();
+      isSet(list(1,2,3)).should.be.false();
+      isSet(new Set([1])).should.be.false();
+    });
+  });
+  describe(`Eq`, function() {
+    it(`should compare sets by their values`, function() {
+      isEq(s1, fromListToSet(list(3,2,1))).should.be.true();
+      isEq(s1, s2).should.be.false();
+      isEq(s1, setInsert(4, s1)).should.be.false();
+    });
+  });
+  describe(`Ord`, function() {
+    it(`should order sets by their values in ascending order`, function() {
+      compare(s1, s2).should.equal(LT);
+      compare(s2, s1).should.equal(GT);
+      compare(s1, s).should.equal(EQ);
+      compare(s1, setInsert(4, s1)).should.equal(LT);
+    });
+  });
+  describe(`Monoid`, function() {
+    it(`should be a monoid under union`, function() {
+      Monoid(s).should.be.true();
+      mempty(s).valueOf().should.equal(`{}`);
+      mappend(s1, s2).valueOf().should.equal(`{1, 2, 3, 4}`);
+    });
+  });
+  describe(`Foldable`, function() {
+    it(`should fold the values of a set in ascending order`, function() {
+      Foldable(s).should.be.true();
+      foldr((x, acc) => acc.concat(x), [], s).should.eql([3, 2, 1]);
+    });
+  });
+  describe(`Functor`, function() {
+    it(`should not be a functor`, function() {
+      Functor(s).should.be.false();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/state-test.js
+ *
+ * @file Tests for State data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  id,
+  fmap,
+  pure,
+  ap,
+  inject,
+  flatMap,
+  chain,
+  liftM,
+  Do,
+  unit,
+  tuple,
+  fst,
+  snd,
+  list,
+  head,
+  tail,
+  isEmpty,
+  state,
+  runState,
+  evalState,
+  execState,
+  get,
+  put,
+  modify,
+  gets,
+  isState
+} from '../source';
+
+describe(`State data type`, function() {
+  const inc = modify(n => n + 1);
+  const double = x => x * 2;
+  const pop = state(xs => tuple(head(xs), tail(xs)));
+  const push = x => modify(xs => list(x, ...xs));
+  it(`should return [Object State] when cast to a string`, function() {
+    get.toString().should.equal(`[Object State]`);
+  });
+  it(`should return its correct type`, function() {
+    get.typeOf().should.equal(`State`);
+  });
+  describe(`Functor instance`, function() {
+    it(`should map a function over the result of a State`, function() {
+      runState(fmap(double, get), 5).valueOf().should.equal(`(10,5)`);
+      runState(fmap(id, get), 5).valueOf().should.equal(`(5,5)`);
+    });
+  });
+  describe(`Applicative instance`, function() {
+    it(`should lift a value into a State that leaves the state unchanged`, function() {
+      runState(pure(get, 1), 5).valueOf().should.equal(`(1,5)`);
+    });
+    it(`should apply a function in a State to a State, threading the state through both`, function() {
+      const f = state(n => tuple(double, n + 1));
+      runState(ap(f, get), 5).valueOf().should.equal(`(12,6)`);
+    });
+  });
+  describe(`Monad instance`, function() {
+    it(`should thread the state through a sequence of computations`, function() {
+      runState(flatMap(get, n => put(n * 3)), 2).valueOf().should.equal(`((),6)`);
+      runState(chain(inc, get), 2).valueOf().should.equal(`(3,3)`);
+      runState(liftM(double, get), 2).valueOf().should.equal(`(4,2)`);
+      runState(inject(get, 7), 2).valueOf().should.equal(`(7,2)`);
+    });
+    it(`should work with Do blocks`, function() {
+      const b = Do(get).flatMap(n => put(n + 1)).chain(inc).chain(gets(double));
+      b.valueOf().should.equal(`State >>= [Object State]`);
+      runState(b.m(), 1).valueOf().should.equal(`(6,3)`);
+    });
+    it(`should thread a stack through a sequence of pushes and pops`, function() {
+      const stack = Do(push(3)).chain(pop).flatMap(x => push(x * 10)).chain(pop);
+      evalState(stack.m(), list(1,2)).should.equal(30);
+      execState(stack.m(), list(1,2)).valueOf().should.equal(`[1:2:[]]`);
+    });
+    it(`should run long chains of computations without overflowing the stack`, function() {
+      let m = get;
+      for (let i = 0; i < 20000; i += 1) { m = flatMap(m, () => inc); }
+      execState(m, 0).should.equal(20000);
+      const loop = n => n === 0 ? get : flatMap(inc, () => loop(n - 1));
+      execState(loop(20000), 0).should.equal(20000);
+      let f = get;
+      for (let i = 0; i < 20000; i += 1) { f = fmap(x => x + 1, f); }
+      evalState(f, 0).should.equal(20000);
+    });
+    it(`should label the elements of a list with a counter`, function() {
+      const label = xs => isEmpty(xs) ? inject(get, list()) :
+        flatMap(get, n => flatMap(put(n + 1), () =>
+          fmap(ys => list(tuple(n, head(xs)), ...ys), label(tail(xs)))));
+      const p = runState(label(list(`a`,`b`,`c`)), 0);
+      fst(p).valueOf().should.equal(`[(0,'a'):(1,'b'):(2,'c'):[]]`);
+      snd(p).should.equal(3);
+    });
+  });
+  describe(`state()`, function() {
+    it(`should embed a state transition function into a State`, function() {
+      runState(pop, list(1,2,3)).valueOf().should.equal(`(1,[2:3:[]])`);
+    });
+    it(`should throw an error if the argument is not a function`, function() {
+      state.bind(null, 0).should.throw();
+    });
+  });
+  describe(`runState()`, function() {
+    it(`should return a tuple of the final result and the final state`, function() {
+      runState(get, 1).valueOf().should.equal(`(1,1)`);
+      runState(get)(1).valueOf().should.equal(`(1,1)`);
+    });
+    it(`should throw an error if the first argument is not a State`, function() {
+      runState.bind(null, 0, 1).should.throw();
+    });
+    it(`should throw an error if the state is undefined`, function() {
+      runState(get).bind(null, undefined).should.throw();
+      evalState(get).bind(null, undefined).should.throw();
+      execState(get).bind(null, undefined).should.throw();
+    });
+  });
+  describe(`evalState()`, function() {
+    it(`should return the final result of a State`, function() {
+      evalState(gets(double), 5).should.equal(10);
+    });
+    it(`should throw an error if the first argument is not a State`, function() {
+      evalState.bind(null, 0, 1).should.throw();
+    });
+  });
+  describe(`execState()`, function() {
+    it(`should return the final state of a State`, function() {
+      execState(inc, 5).should.equal(6);
+    });
+    it(`should throw an error if the first argument is not a State`, function() {
+      execState.bind(null, 0, 1).should.throw();
+    });
+  });
+  describe(`get`, function() {
+    it(`should return the state as the result`, function() {
+      runState(get, 5).valueOf().should.equal(`(5,5)`);
+    });
+  });
+  describe(`put()`, function() {
+    it(`should replace the state and return unit`, function() {
+      const p = runState(put(10), 5);
+      fst(p).should.equal(unit);
+      snd(p).should.equal(10);
+    });
+  });
+  describe(`modify()`, function() {
+    it(`should apply a function to the state and return unit`, function() {
+      runState(modify(double), 5).valueOf().should.equal(`((),10)`);
+    });
+    it(`should throw an error if the argument is not a function`, function() {
+      modify.bind(null, 0).should.throw();
+    });
+  });
+  describe(`gets()`, function() {
+    it(`should return the result of applying a function to the state`, function() {
+      runState(gets(double), 5).valueOf().should.equal(`(10,5)`);
+    });
+    it(`should throw an error if the argument is not a function`, function() {
+      gets.bind(null, 0).should.throw();
+    });
+  });
+  describe(`isState()`, function() {
+    it(`should return true if the argument is a State`, function() {
+      isState(get).should.be.true();
+      isState(put(1)).should.be.true();
+    });
+    it(`should return false if the argument is not a State`, function() {
+      isState(tuple(1,2)).should.be.false();
+    });
+  });
+});
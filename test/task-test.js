@@ -0,0 +1,241 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/task-test.js
+ *
+ * @file Tests for Task data type.
+ * @license ISC
+ */
+
+/* global describe, it, setTimeout, process */
+
+import {
+  id,
+  fmap,
+  pure,
+  ap,
+  inject,
+  flatMap,
+  chain,
+  liftM,
+  Do,
+  doM,
+  traverse,
+  unit,
+  emptyList,
+  list,
+  task,
+  fromPromise,
+  rejected,
+  fork,
+  toPromise,
+  isTask
+} from '../source';
+
+describe(`Task data type`, function() {
+  const wait = (ms, a, log) => task((reject, resolve) => {
+    if (log !== undefined) { log.push(`start ${a}`); }
+    setTimeout(() => {
+      if (log !== undefined) { log.push(`end ${a}`); }
+      resolve(a);
+    }, ms);
+  });
+  const fail = (ms, e) => task(reject => { setTimeout(() => reject(e), ms); });
+  const fetchLike = n => fromPromise(() => new Promise(resolve => setTimeout(() => resolve(n * 10), 5)));
+  const double = x => x * 2;
+  it(`should return [Object Task] when cast to a string`, function() {
+    wait(0, 1).toString().should.equal(`[Object Task]`);
+  });
+  it(`should return its correct type`, function() {
+    wait(0, 1).typeOf().should.equal(`Task`);
+  });
+  it(`should not run its computation until it is run`, function() {
+    let runs = 0;
+    const t = task((reject, resolve) => {
+      runs += 1;
+      resolve(runs);
+    });
+    runs.should.equal(0);
+    return toPromise(t).then(() => toPromise(t)).then(n => {
+      n.should.equal(2);
+    });
+  });
+  describe(`Functor instance`, function() {
+    it(`should map a function over the result of a Task`, function() {
+      return Promise.all([toPromise(fmap(double, wait(5, 2))), toPromise(fmap(id, wait(5, 2)))])
+        .then(xs => { xs.should.eql([4, 2]); });
+    });
+  });
+  describe(`Applicative instance`, function() {
+    it(`should lift a value into a Task`, function() {
+      return toPromise(pure(wait(0, 1), 5)).then(x => { x.should.equal(5); });
+    });
+    it(`should run both of its arguments at the same time`, function() {
+      const log = [];
+      const f = fmap(x => y => x + y, wait(20, 1, log));
+      return toPromise(ap(f, wait(10, 2, log))).then(x => {
+        x.should.equal(3);
+        log.should.eql([`start 1`, `start 2`, `end 2`, `end 1`]);
+      });
+    });
+    it(`should fail with the first error`, function() {
+      const f = fmap(x => y => x + y, fail(20, `slow`));
+      return toPromise(ap(f, fail(10, `fast`))).then(() => { throw Error(`resolved`); }, e => {
+        e.should.equal(`fast`);
+      });
+    });
+  });
+  describe(`Monad instance`, function() {
+    it(`should run a sequence of tasks one after the other`, function() {
+      const log = [];
+      const t = flatMap(wait(10, 1, log), x => wait(5, x + 1, log));
+      return toPromise(t).then(x => {
+        x.should.equal(2);
+        log.should.eql([`start 1`, `end 1`, `start 2`, `end 2`]);
+      });
+    });
+    it(`should work with the other monad functions`, function() {
+      return Promise.all([
+        toPromise(chain(wait(5, 1), wait(5, 2))),
+        toPromise(liftM(double, wait(5, 3))),
+        toPromise(inject(wait(5, 1), 4))
+      ]).then(xs => { xs.should.eql([2, 6, 4]); });
+    });
+    it(`should stop at the first failure`, function() {
+      let reached = false;
+      const t = flatMap(fail(5, `failed`), () => task(() => { reached = true; }));
+      return toPromise(t).then(() => { throw Error(`resolved`); }, e => {
+        e.should.equal(`failed`);
+        reached.should.be.false();
+      });
+    });
+    it(`should fail with the error thrown by a function it applies`, function() {
+      const boom = () => { throw Error(`boom`); };
+      return Promise.all([
+        toPromise(flatMap(wait(5, 1), boom)).then(() => { throw Error(`resolved`); }, e => e),
+        toPromise(fmap(boom, wait(5, 1))).then(() => { throw Error(`resolved`); }, e => e)
+      ]).then(es => { es.map(e => e.message).should.eql([`boom`, `boom`]); });
+    });
+    it(`should work with Do blocks`, function() {
+      const b = Do(wait(5, 1)).flatMap(x => wait(5, x + 1)).flatMap(x => fetchLike(x));
+      b.valueOf().should.equal(`Task >>= [Object Task]`);
+      return toPromise(b.m()).then(x => { x.should.equal(20); });
+    });
+    it(`should work with generator-based do blocks`, function() {
+      const t = doM(function* () {
+        const x = yield wait(5, 1);
+        const y = yield fetchLike(x);
+        return x + y;
+      });
+      return toPromise(t).then(x => { x.should.equal(11); });
+    });
+  });
+  describe(`Traversable instance`, function() {
+    it(`should run a task for each element of a list and collect the results`, function() {
+      return toPromise(traverse(fetchLike, list(1,2,3))).then(xs => {
+        xs.valueOf().should.equal(`[10:20:30:[]]`);
+      });
+    });
+    it(`should run the tasks at the same time, keeping the results in order`, function() {
+      const log = [];
+      const t = traverse(n => wait(30 - n * 10, n, log), list(1,2));
+      return toPromise(t).then(xs => {
+        xs.valueOf().should.equal(`[1:2:[]]`);
+        log.should.eql([`start 1`, `start 2`, `end 2`, `end 1`]);
+      });
+    });
+    it(`should traverse an empty list in the applicative of a given example value`, function() {
+      return toPromise(traverse(fetchLike, emptyList, wait(0, 0))).then(xs => {
+        xs.should.equal(emptyList);
+      });
+    });
+    it(`should fail if any of the tasks fails`, function() {
+      const t = traverse(n => n === 2 ? fail(5, `failed ${n}`) : wait(5, n), list(1,2,3));
+      return toPromise(t).then(() => { throw Error(`resolved`); }, e => {
+        e.should.equal(`failed 2`);
+      });
+    });
+  });
+  describe(`task()`, function() {
+    it(`should throw an error if the argument is not a function`, function() {
+      task.bind(null, 0).should.throw();
+    });
+  });
+  describe(`fromPromise()`, function() {
+    it(`should create a Task from a Promise or a function that returns a Promise`, function() {
+      return Promise.all([
+        toPromise(fromPromise(Promise.resolve(1))),
+        toPromise(fromPromise(() => Promise.resolve(2)))
+      ]).then(xs => { xs.should.eql([1, 2]); });
+    });
+    it(`should reject if the Promise rejects`, function() {
+      return toPromise(fromPromise(() => Promise.reject(`failed`)))
+        .then(() => { throw Error(`resolved`); }, e => { e.should.equal(`failed`); });
+    });
+    it(`should reject if the function throws instead of returning a Promise`, function(done) {
+      const t = fromPromise(() => { throw `failed`; });
+      fork(t, e => {
+        e.should.equal(`failed`);
+        done();
+      }, () => done(Error(`resolved`)));
+    });
+    it(`should resolve with the value returned by a function if it is not a Promise`, function() {
+      return toPromise(fromPromise(() => 3)).then(x => { x.should.equal(3); });
+    });
+    it(`should not leave an unhandled rejection if a callback throws`, function(done) {
+      const unhandled = [];
+      const listener = e => unhandled.push(e);
+      const calls = [];
+      process.on(`unhandledRejection`, listener);
+      fork(fromPromise(() => Promise.resolve(1)), e => calls.push(e), x => {
+        calls.push(x);
+        throw Error(`callback`);
+      });
+      setTimeout(() => {
+        process.removeListener(`unhandledRejection`, listener);
+        unhandled.should.eql([]);
+        calls.should.eql([1]);
+        done();
+      }, 20);
+    });
+    it(`should throw an error if the argument is not a Promise or a function`, function() {
+      fromPromise.bind(null, 0).should.throw();
+    });
+  });
+  describe(`rejected()`, function() {
+    it(`should create a Task that fails with an error`, function() {
+      return toPromise(fmap(double, rejected(`failed`)))
+        .then(() => { throw Error(`resolved`); }, e => { e.should.equal(`failed`); });
+    });
+  });
+  describe(`fork()`, function() {
+    it(`should run a Task with callbacks for failure and success`, function(done) {
+      fork(wait(5, 1), done, x => {
+        x.should.equal(1);
+        fork(rejected(`failed`))(e => {
+          e.should.equal(`failed`);
+          done();
+        }, done);
+      }).should.equal(unit);
+    });
+    it(`should throw an error if the arguments are not a Task and two functions`, function() {
+      fork.bind(null, 0, id, id).should.throw();
+      fork.bind(null, wait(0, 1), 0, id).should.throw();
+      fork.bind(null, wait(0, 1), id, 0).should.throw();
+    });
+  });
+  describe(`toPromise()`, function() {
+    it(`should throw an error if the argument is not a Task`, function() {
+      toPromise.bind(null, 0).should.throw();
+    });
+  });
+  describe(`isTask()`, function() {
+    it(`should return true if the argument is a Task`, function() {
+      isTask(wait(0, 1)).should.be.true();
+    });
+    it(`should return false if the argument is not a Task`, function() {
+      isTask(Promise.resolve(1)).should.be.false();
+    });
+  });
+});
@@ -0,0 +1,413 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/trans-test.js
+ *
+ * @file Tests for monad transformers.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  id,
+  fmap,
+  pure,
+  ap,
+  inject,
+  flatMap,
+  chain,
+  Do,
+  doM,
+  Nothing,
+  just,
+  left,
+  right,
+  tuple,
+  list,
+  head,
+  tail,
+  isEmpty,
+  runIO,
+  putStrLn,
+  getLine,
+  MaybeT,
+  ExceptT,
+  StateT,
+  ReaderT,
+  lift,
+  maybeT,
+  runMaybeT,
+  hoistMaybe,
+  isMaybeT,
+  exceptT,
+  runExceptT,
+  except,
+  throwE,
+  catchE,
+  isExceptT,
+  stateT,
+  runStateT,
+  evalStateT,
+  execStateT,
+  getT,
+  putT,
+  modifyT,
+  getsT,
+  isStateT,
+  readerT,
+  runReaderT,
+  askT,
+  asksT,
+  localT,
+  isReaderT
+} from '../source';
+
+describe(`Monad transformers`, function() {
+  const output = () => {
+    const out = [];
+    return {write: s => out.push(s), out};
+  }
+  const double = x => x * 2;
+  describe(`lift()`, function() {
+    it(`should lift an action in the inner monad into a transformer`, function() {
+      runMaybeT(lift(MaybeT, list(1,2))).valueOf().should.equal(`[Just 1:Just 2:[]]`);
+      runExceptT(lift(ExceptT, just(1))).valueOf().should.equal(`Just Right 1`);
+      runStateT(lift(StateT, just(1)), 5).valueOf().should.equal(`Just (1,5)`);
+      runReaderT(lift(ReaderT)(just(1)), 5).valueOf().should.equal(`Just 1`);
+    });
+    it(`should lift an action through a stack of transformers`, function() {
+      const m = lift(ReaderT, lift(StateT, right(1)));
+      runStateT(runReaderT(m, 0), 5).valueOf().should.equal(`Right (1,5)`);
+    });
+    it(`should throw an error if the first argument is not a transformer`, function() {
+      lift.bind(null, 0, just(1)).should.throw();
+      lift.bind(null, id, just(1)).should.throw();
+    });
+    it(`should throw an error if the second argument is not a monad`, function() {
+      lift.bind(null, MaybeT, 0).should.throw();
+    });
+  });
+  describe(`MaybeT`, function() {
+    const m = maybeT(list(just(1), Nothing));
+    it(`should return [Object MaybeT] when cast to a string`, function() {
+      m.toString().should.equal(`[Object MaybeT]`);
+    });
+    it(`should return its correct type`, function() {
+      m.typeOf().should.equal(`MaybeT`);
+    });
+    describe(`Functor instance`, function() {
+      it(`should map a function over the values in the inner monad`, function() {
+        runMaybeT(fmap(double, m)).valueOf().should.equal(`[Just 2:Nothing:[]]`);
+        runMaybeT(fmap(id, m)).valueOf().should.equal(`[Just 1:Nothing:[]]`);
+      });
+    });
+    describe(`Applicative instance`, function() {
+      it(`should lift a value into a MaybeT`, function() {
+        runMaybeT(chain(m, pure(m, 5))).valueOf().should.equal(`[Just 5:Nothing:[]]`);
+      });
+      it(`should apply a function in a MaybeT to a MaybeT`, function() {
+        const f = maybeT(list(just(double), just(id)));
+        runMaybeT(ap(f, m)).valueOf().should.equal(`[Just 2:Nothing:Just 1:Nothing:[]]`);
+      });
+    });
+    describe(`Monad instance`, function() {
+      it(`should stop at the first Nothing`, function() {
+        const stdout = output();
+        const n = Do(lift(MaybeT, putStrLn(`a`)))
+          .chain(hoistMaybe(Nothing))
+          .chain(lift(MaybeT, putStrLn(`b`)));
+        runIO(runMaybeT(n.m()), {stdout}).should.equal(Nothing);
+        stdout.out.should.eql([`a\n`]);
+      });
+      it(`should run every action if none of them fails`, function() {
+        const nonEmpty = s => hoistMaybe(s === `` ? Nothing : just(s));
+        const n = flatMap(lift(MaybeT, getLine), nonEmpty);
+        runIO(runMaybeT(n), {stdin: `hello`}).valueOf().should.equal(`Just hello`);
+        runIO(runMaybeT(n), {stdin: `\n`}).should.equal(Nothing);
+        runMaybeT(inject(m, 7), list()).valueOf().should.equal(`[Just 7:[]]`);
+      });
+    });
+    describe(`maybeT()`, function() {
+      it(`should throw an error if the argument is not a monad`, function() {
+        maybeT.bind(null, 0).should.throw();
+      });
+    });
+    describe(`runMaybeT()`, function() {
+      it(`should use an example of the inner monad if it is unknown`, function() {
+        runMaybeT(hoistMaybe(just(1)), list()).valueOf().should.equal(`[Just 1:[]]`);
+      });
+      it(`should throw an error if the inner monad cannot be determined`, function() {
+        runMaybeT.bind(null, hoistMaybe(just(1))).should.throw();
+        runMaybeT.bind(null, hoistMaybe(just(1)), 0).should.throw();
+      });
+      it(`should throw an error if the argument is not a MaybeT`, function() {
+        runMaybeT.bind(null, just(1)).should.throw();
+      });
+    });
+    describe(`hoistMaybe()`, function() {
+      it(`should throw an error if the argument is not a Maybe`, function() {
+        hoistMaybe.bind(null, 0).should.throw();
+      });
+    });
+    describe(`isMaybeT()`, function() {
+      it(`should return true if the argument is a MaybeT`, function() {
+        isMaybeT(m).should.be.true();
+      });
+      it(`should return false if the argument is not a MaybeT`, function() {
+        isMaybeT(just(1)).should.be.false();
+      });
+    });
+  });
+  describe(`ExceptT`, function() {
+    const m = exceptT(list(right(1), left(`error`)));
+    const failed = chain(lift(ExceptT, just(1)), throwE(`failed`));
+    it(`should return [Object ExceptT] when cast to a string`, function() {
+      m.toString().should.equal(`[Object ExceptT]`);
+    });
+    it(`should return its correct type`, function() {
+      m.typeOf().should.equal(`ExceptT`);
+    });
+    describe(`Functor instance`, function() {
+      it(`should map a function over the values in the inner monad`, function() {
+        runExceptT(fmap(double, m)).valueOf().should.equal(`[Right 2:Left error:[]]`);
+      });
+    });
+    describe(`Applicative instance`, function() {
+      it(`should apply a function in an ExceptT to an ExceptT`, function() {
+        const f = pure(m, double);
+        runExceptT(ap(f, m)).valueOf().should.equal(`[Right 2:Left error:[]]`);
+      });
+    });
+    describe(`Monad instance`, function() {
+      it(`should stop at the first Left and keep its error value`, function() {
+        const stdout = output();
+        const n = Do(lift(ExceptT, putStrLn(`a`)))
+          .chain(throwE(`failed`))
+          .chain(lift(ExceptT, putStrLn(`b`)));
+        runIO(runExceptT(n.m()), {stdout}).valueOf().should.equal(`Left failed`);
+        stdout.out.should.eql([`a\n`]);
+        runExceptT(failed).valueOf().should.equal(`Just Left failed`);
+      });
+      it(`should work with generator-based do blocks`, function() {
+        const n = doM(function* () {
+          const x = yield lift(ExceptT, just(2));
+          const y = yield except(right(3));
+          return x * y;
+        });
+        runExceptT(n).valueOf().should.equal(`Just Right 6`);
+      });
+    });
+    describe(`exceptT()`, function() {
+      it(`should throw an error if the argument is not a monad`, function() {
+        exceptT.bind(null, 0).should.throw();
+      });
+    });
+    describe(`runExceptT()`, function() {
+      it(`should use an example of the inner monad if it is unknown`, function() {
+        runExceptT(throwE(`failed`), just(1)).valueOf().should.equal(`Just Left failed`);
+      });
+      it(`should throw an error if the argument is not an ExceptT`, function() {
+        runExceptT.bind(null, right(1)).should.throw();
+        runExceptT.bind(null, throwE(`failed`)).should.throw();
+      });
+    });
+    describe(`except()`, function() {
+      it(`should throw an error if the argument is not an Either`, function() {
+        except.bind(null, 0).should.throw();
+      });
+    });
+    describe(`catchE()`, function() {
+      it(`should handle an error by running the handler instead`, function() {
+        runExceptT(catchE(failed, e => inject(failed, e.length))).valueOf()
+          .should.equal(`Just Right 6`);
+        runExceptT(catchE(failed)(e => throwE(`${e} again`))).valueOf()
+          .should.equal(`Just Left failed again`);
+      });
+      it(`should not run the handler if there is no error`, function() {
+        runExceptT(catchE(m, () => throwE(`unreachable`))).valueOf()
+          .should.equal(`[Right 1:Left unreachable:[]]`);
+      });
+      it(`should throw an error if the arguments are not an ExceptT and a function`, function() {
+        catchE.bind(null, 0, id).should.throw();
+        catchE.bind(null, failed, 0).should.throw();
+      });
+    });
+    describe(`isExceptT()`, function() {
+      it(`should return true if the argument is an ExceptT`, function() {
+        isExceptT(failed).should.be.true();
+      });
+      it(`should return false if the argument is not an ExceptT`, function() {
+        isExceptT(right(1)).should.be.false();
+      });
+    });
+  });
+  describe(`StateT`, function() {
+    const tick = chain(lift(StateT, list(1,2)), modifyT(n => n + 1));
+    it(`should return [Object StateT] when cast to a string`, function() {
+      getT.toString().should.equal(`[Object StateT]`);
+    });
+    it(`should return its correct type`, function() {
+      getT.typeOf().should.equal(`StateT`);
+    });
+    describe(`Functor instance`, function() {
+      it(`should map a function over the result of a StateT`, function() {
+        runStateT(fmap(double, chain(tick, getT)), 5).valueOf().should.equal(`[(12,6):(12,6):[]]`);
+      });
+    });
+    describe(`Applicative instance`, function() {
+      it(`should apply a function in a StateT to a StateT, threading the state`, function() {
+        const f = chain(tick, pure(getT, double));
+        runStateT(ap(f, getsT(id)), 1).valueOf().should.equal(`[(4,2):(4,2):[]]`);
+      });
+    });
+    describe(`Monad instance`, function() {
+      it(`should thread the state through the actions of the inner monad`, function() {
+        const stdout = output();
+        const m = flatMap(getT, n => chain(lift(StateT, putStrLn(`${n}`)), putT(n + 1)));
+        runIO(runStateT(chain(m, m), 1), {stdout}).valueOf().should.equal(`((),3)`);
+        stdout.out.should.eql([`1\n`, `2\n`]);
+      });
+      it(`should work with generator-based do blocks`, function() {
+        const m = doM(function* () {
+          const n = yield getT;
+          const x = yield lift(StateT, list(1,2));
+          yield putT(n + x);
+          return x * 10;
+        });
+        runStateT(m, 5).valueOf().should.equal(`[(10,6):(20,7):[]]`);
+      });
+    });
+    describe(`stateT()`, function() {
+      it(`should embed a state action in the inner monad into a StateT`, function() {
+        const pop = stateT(xs => isEmpty(xs) ? Nothing : just(tuple(head(xs), tail(xs))));
+        runStateT(chain(pop, pop), list(1,2,3)).valueOf().should.equal(`Just (2,[3:[]])`);
+        runStateT(chain(pop, pop), list(1)).should.equal(Nothing);
+      });
+      it(`should throw an error if the argument is not a function`, function() {
+        stateT.bind(null, 0).should.throw();
+      });
+    });
+    describe(`runStateT()`, function() {
+      it(`should use an example of the inner monad if it is unknown`, function() {
+        runStateT(putT(2), 1, right(0)).valueOf().should.equal(`Right ((),2)`);
+        runStateT(getT)(1, list()).valueOf().should.equal(`[(1,1):[]]`);
+      });
+      it(`should throw an error if the first argument is not a StateT`, function() {
+        runStateT.bind(null, 0, 1).should.throw();
+        runStateT.bind(null, getT, 1).should.throw();
+      });
+      it(`should throw an error if the state is undefined`, function() {
+        runStateT(getT).bind(null, undefined, list()).should.throw();
+        evalStateT(getT).bind(null, undefined, just(0)).should.throw();
+        execStateT(getT).bind(null, undefined, just(0)).should.throw();
+      });
+    });
+    describe(`evalStateT()`, function() {
+      it(`should return the final result in the inner monad`, function() {
+        evalStateT(chain(tick, getsT(double)), 1).valueOf().should.equal(`[4:4:[]]`);
+        evalStateT(getT, 1, just(0)).valueOf().should.equal(`Just 1`);
+      });
+    });
+    describe(`execStateT()`, function() {
+      it(`should return the final state in the inner monad`, function() {
+        execStateT(tick, 1).valueOf().should.equal(`[2:2:[]]`);
+        execStateT(putT(3), 1, just(0)).valueOf().should.equal(`Just 3`);
+        execStateT(putT(3))(1, just(0)).valueOf().should.equal(`Just 3`);
+      });
+    });
+    describe(`modifyT() and getsT()`, function() {
+      it(`should throw an error if the argument is not a function`, function() {
+        modifyT.bind(null, 0).should.throw();
+        getsT.bind(null, 0).should.throw();
+      });
+    });
+    describe(`isStateT()`, function() {
+      it(`should return true if the argument is a StateT`, function() {
+        isStateT(getT).should.be.true();
+      });
+      it(`should return false if the argument is not a StateT`, function() {
+        isStateT(just(1)).should.be.false();
+      });
+    });
+  });
+  describe(`ReaderT`, function() {
+    const config = {greeting: `Hello`, depth: 0};
+    const greet = flatMap(asksT(env => env.greeting), s => lift(ReaderT, putStrLn(s)));
+    it(`should return [Object ReaderT] when cast to a string`, function() {
+      askT.toString().should.equal(`[Object ReaderT]`);
+    });
+    it(`should return its correct type`, function() {
+      askT.typeOf().should.equal(`ReaderT`);
+    });
+    describe(`Functor instance`, function() {
+      it(`should map a function over the result of a ReaderT`, function() {
+        runReaderT(fmap(double, readerT(n => list(n, n + 1))), 1).valueOf()
+          .should.equal(`[2:4:[]]`);
+      });
+    });
+    describe(`Applicative instance`, function() {
+      it(`should apply a function in a ReaderT to a ReaderT in the same environment`, function() {
+        const f = readerT(n => just(x => x + n));
+        runReaderT(ap(f, askT), 2).valueOf().should.equal(`Just 4`);
+      });
+    });
+    describe(`Monad instance`, function() {
+      it(`should pass the environment to the actions of the inner monad`, function() {
+        const stdout = output();
+        runIO(runReaderT(chain(greet, greet), config), {stdout});
+        stdout.out.should.eql([`Hello\n`, `Hello\n`]);
+      });
+    });
+    describe(`runReaderT()`, function() {
+      it(`should use an example of the inner monad if it is unknown`, function() {
+        runReaderT(asksT(env => env.depth), config, list()).valueOf().should.equal(`[0:[]]`);
+      });
+      it(`should throw an error if the first argument is not a ReaderT`, function() {
+        runReaderT.bind(null, 0, config).should.throw();
+        runReaderT.bind(null, askT, config).should.throw();
+      });
+    });
+    describe(`asksT()`, function() {
+      it(`should throw an error if the argument is not a function`, function() {
+        asksT.bind(null, 0).should.throw();
+      });
+    });
+    describe(`localT()`, function() {
+      it(`should run a ReaderT in a modified environment`, function() {
+        const depth = chain(lift(ReaderT, just(1)), asksT(env => env.depth));
+        const deeper = env => ({greeting: env.greeting, depth: env.depth + 1});
+        const m = chain(localT(deeper, depth), depth);
+        runReaderT(localT(deeper, depth), config).valueOf().should.equal(`Just 1`);
+        runReaderT(m, config).valueOf().should.equal(`Just 0`);
+      });
+      it(`should throw an error if the arguments are not a function and a ReaderT`, function() {
+        localT.bind(null, 0, askT).should.throw();
+        localT.bind(null, id, 0).should.throw();
+      });
+    });
+    describe(`isReaderT()`, function() {
+      it(`should return true if the argument is a ReaderT`, function() {
+        isReaderT(askT).should.be.true();
+      });
+      it(`should return false if the argument is not a ReaderT`, function() {
+        isReaderT(just(1)).should.be.false();
+      });
+    });
+  });
+  describe(`Transformer stacks`, function() {
+    it(`should combine configuration, state, and failure`, function() {
+      const step = doM(function* () {
+        const config = yield askT;
+        const n = yield lift(ReaderT, getT);
+        if (n >= config.max) { yield lift(ReaderT, lift(StateT, left(`too big`))); }
+        yield lift(ReaderT, putT(n + config.step));
+        return n;
+      });
+      const run = s => runStateT(runReaderT(step, {max: 10, step: 2}), s, right(0));
+      run(1).valueOf().should.equal(`Right (1,3)`);
+      run(10).valueOf().should.equal(`Left too big`);
+    });
+  });
+});
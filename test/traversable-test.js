@@ -16,8 +16,11 @@ import {
   sequence,
   Nothing,
   just,
+  fromJust,
   tuple,
-  list
+  emptyList,
+  list,
+  fromListToArray
 } from '../source';
 
 describe(`Traversable type class`, function() {
@@ -34,6 +37,15 @@ describe(`Traversable type class`, function() {
       traverse(f, lst).should.eql(list(list(8,9,10)));
       traverse(f, Nothing).should.eql(just(Nothing));
     });
+    it(`should collect the results of traversing a list in the applicative returned by the function`, function() {
+      fromListToArray(fromJust(traverse(just, lst))).should.eql([1,2,3]);
+      traverse(x => x > 1 ? Nothing : just(x), lst).should.equal(Nothing);
+    });
+    it(`should traverse an empty structure in the applicative of a given example value`, function() {
+      traverse(just, emptyList, Nothing).valueOf().should.equal(just(emptyList).valueOf());
+      traverse(f, Nothing, list(1)).valueOf().should.equal(`[Nothing:[]]`);
+      traverse(f, emptyList).valueOf().should.equal(list(emptyList).valueOf());
+    });
     it(`should throw an error if the second argument is not a traversable type`, function() {
       traverse.bind(null, f, 0).should.throw();
     });
@@ -0,0 +1,225 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/tree-test.js
+ *
+ * @file Tests for Tree data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Foldable,
+  Traversable,
+  Functor,
+  Monad,
+  show,
+  type,
+  isEq,
+  compare,
+  EQ,
+  LT,
+  GT,
+  fmap,
+  foldr,
+  traverse,
+  pure,
+  ap,
+  flatMap,
+  tuple,
+  just,
+  Nothing,
+  list,
+  emptyList,
+  fromListToArray,
+  node,
+  rootLabel,
+  subForest,
+  flatten,
+  levels,
+  foldTreeDepthFirst,
+  foldTreeBreadthFirst,
+  unfoldTree,
+  drawTree,
+  isTree
+} from '../source';
+
+describe(`Tree data type`, function() {
+  const leaf = x => node(x, emptyList);
+  const t = node(1, list(node(2, list(leaf(4))), leaf(3)));
+  const push = (x, acc) => acc.concat(x);
+  it(`should return [Object Tree] when cast to a string`, function() {
+    t.toString().should.equal(`[Object Tree]`);
+  });
+  it(`should return its nodes and their children as its value`, function() {
+    t.valueOf().should.equal(`Node 1 [Node 2 [Node 4 []], Node 3 []]`);
+    leaf(1).valueOf().should.equal(`Node 1 []`);
+  });
+  it(`should have a type made from the type of its labels`, function() {
+    type(t).should.equal(`Tree number`);
+    type(leaf(`a`)).should.equal(`Tree string`);
+  });
+  describe(`node()`, function() {
+    it(`should create a tree from a label and a list of child trees`, function() {
+      show(node(1, list(leaf(2)))).should.equal(`Node 1 [Node 2 []]`);
+      show(node(1)(emptyList)).should.equal(`Node 1 []`);
+    });
+    it(`should throw an error if the children are not a list`, function() {
+      node.bind(null, 1, [leaf(2)]).should.throw();
+    });
+    it(`should throw an error if the children are not trees`, function() {
+      node.bind(null, 1, list(2, 3)).should.throw();
+    });
+    it(`should throw an error if the children are labeled with a different type`, function() {
+      node.bind(null, `a`, list(leaf(2)))
+        .should.throw(`*** Error: Node 2 [] is not a valid argument to function 'node'.`);
+    });
+  });
+  describe(`rootLabel()`, function() {
+    it(`should return the label of a tree`, function() {
+      rootLabel(t).should.equal(1);
+    });
+    it(`should throw an error if the argument is not a tree`, function() {
+      rootLabel.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`subForest()`, function() {
+    it(`should return the list of the children of a tree`, function() {
+      subForest(t).valueOf().should.equal(`[Node 2 [Node 4 []]:Node 3 []:[]]`);
+      subForest(leaf(1)).should.equal(emptyList);
+    });
+  });
+  describe(`flatten()`, function() {
+    it(`should return the labels of a tree in depth first order`, function() {
+      flatten(t).valueOf().should.equal(`[1:2:4:3:[]]`);
+      flatten(leaf(1)).valueOf().should.equal(`[1:[]]`);
+    });
+    it(`should throw an error if the argument is not a tree`, function() {
+      flatten.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`deep trees`, function() {
+    it(`should unfold, flatten, and fold trees without overflowing the stack`, function() {
+      const n = 20000;
+      const deep = unfoldTree(k => tuple(k, k < n ? list(k + 1) : emptyList), 1);
+      const xs = fromListToArray(flatten(deep));
+      xs.length.should.equal(n);
+      xs[n - 1].should.equal(n);
+      foldTreeDepthFirst((x, acc) => acc + x, 0, deep).should.equal(n * (n + 1) / 2);
+      foldTreeBreadthFirst((x, acc) => Math.max(x, acc), 0, deep).should.equal(n);
+    });
+  });
+  describe(`levels()`, function() {
+    it(`should return the labels of a tree level by level`, function() {
+      levels(t).valueOf().should.equal(`[[1:[]]:[2:3:[]]:[4:[]]:[]]`);
+      levels(leaf(1)).valueOf().should.equal(`[[1:[]]:[]]`);
+    });
+  });
+  describe(`foldTreeDepthFirst()`, function() {
+    it(`should fold the labels of a tree in depth first order`, function() {
+      foldTreeDepthFirst(push, [], t).should.eql([1, 2, 4, 3]);
+      foldTreeDepthFirst((x, acc) => acc - x, 0)(t).should.equal(-10);
+      foldTreeDepthFirst((...as) => as.length, 0, t).should.equal(2);
+    });
+    it(`should throw an error if the third argument is not a tree`, function() {
+      foldTreeDepthFirst.bind(null, push, [], list(1)).should.throw();
+    });
+  });
+  describe(`foldTreeBreadthFirst()`, function() {
+    it(`should fold the labels of a tree in breadth first order`, function() {
+      foldTreeBreadthFirst(push, [], t).should.eql([1, 2, 3, 4]);
+      foldTreeBreadthFirst(push, [], leaf(1)).should.eql([1]);
+      foldTreeBreadthFirst((...as) => as.length, 0, t).should.equal(2);
+    });
+    it(`should throw an error if the third argument is not a tree`, function() {
+      foldTreeBreadthFirst.bind(null, push, [], list(1)).should.throw();
+    });
+  });
+  describe(`unfoldTree()`, function() {
+    const f = n => tuple(n, n < 4 ? list(2 * n, 2 * n + 1) : emptyList);
+    it(`should build a tree from a seed value`, function() {
+      unfoldTree(f, 1).valueOf()
+        .should.equal(`Node 1 [Node 2 [Node 4 [], Node 5 []], Node 3 [Node 6 [], Node 7 []]]`);
+      unfoldTree(f)(5).valueOf().should.equal(`Node 5 []`);
+    });
+    it(`should throw an error if the function does not return a tuple of a value and a list`,
+      function() {
+        unfoldTree.bind(null, n => n, 1).should.throw();
+        unfoldTree.bind(null, n => tuple(n, [n + 1]), 1).should.throw();
+      });
+  });
+  describe(`drawTree()`, function() {
+    it(`should draw a tree with ASCII lines`, function() {
+      drawTree(t).should.equal(`1\n|\n+- 2\n|  |\n|  \`- 4\n|\n\`- 3`);
+      drawTree(leaf(1)).should.equal(`1`);
+    });
+    it(`should show each label with show`, function() {
+      drawTree(node(just(1), list(leaf(Nothing)))).should.equal(`Just 1\n|\n\`- Nothing`);
+    });
+    it(`should throw an error if the argument is not a tree`, function() {
+      drawTree.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`isTree()`, function() {
+    it(`should return true if the argument is a tree and false otherwise`, function() {
+      isTree(t).should.be.true();
+      isTree(list(1,2,3)).should.be.false();
+    });
+  });
+  describe(`Eq`, function() {
+    it(`should compare trees by their labels and shapes`, function() {
+      isEq(t, node(1, list(node(2, list(leaf(4))), leaf(3)))).should.be.true();
+      isEq(t, node(1, list(leaf(2), leaf(4), leaf(3)))).should.be.false();
+      isEq(leaf(1), leaf(2)).should.be.false();
+    });
+  });
+  describe(`Ord`, function() {
+    it(`should order trees by their labels and then by their children`, function() {
+      compare(leaf(1), leaf(2)).should.equal(LT);
+      compare(t, leaf(1)).should.equal(GT);
+      compare(t, node(1, list(node(2, list(leaf(4))), leaf(3)))).should.equal(EQ);
+      compare(t, node(1, list(node(2, list(leaf(5)))))).should.equal(LT);
+    });
+  });
+  describe(`Foldable`, function() {
+    it(`should fold the labels of a tree in depth first order`, function() {
+      Foldable(t).should.be.true();
+      foldr((x, acc) => acc.concat(x), [], t).should.eql([3, 4, 2, 1]);
+    });
+  });
+  describe(`Traversable`, function() {
+    it(`should traverse the labels of a tree, keeping its shape`, function() {
+      Traversable(t).should.be.true();
+      traverse(x => just(x * 2), t).valueOf()
+        .should.equal(`Just Node 2 [Node 4 [Node 8 []], Node 6 []]`);
+      traverse(x => x > 3 ? Nothing : just(x), t).should.equal(Nothing);
+    });
+  });
+  describe(`Functor`, function() {
+    it(`should map a function over the labels of a tree`, function() {
+      Functor(t).should.be.true();
+      fmap(x => x * 10, t).valueOf().should.equal(`Node 10 [Node 20 [Node 40 []], Node 30 []]`);
+    });
+  });
+  describe(`Monad`, function() {
+    it(`should lift a value into a leaf`, function() {
+      Monad(t).should.be.true();
+      pure(t, 5).valueOf().should.equal(`Node 5 []`);
+    });
+    it(`should replace each label with a tree, putting its children after the new ones`,
+      function() {
+        flatMap(t, x => node(x, list(leaf(x * 10)))).valueOf().should.equal(
+          `Node 1 [Node 10 [], Node 2 [Node 20 [], Node 4 [Node 40 []]], Node 3 [Node 30 []]]`);
+      });
+    it(`should apply a tree of functions to a tree`, function() {
+      const fs = node(x => x + 1, list(leaf(x => x * 2)));
+      ap(fs, node(5, list(leaf(6)))).valueOf()
+        .should.equal(`Node 6 [Node 7 [], Node 10 [Node 12 []]]`);
+    });
+    it(`should throw an error if the function does not return a tree`, function() {
+      flatMap.bind(null, t, x => x).should.throw();
+    });
+  });
+});
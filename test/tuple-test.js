@@ -21,7 +21,9 @@ import {
   isTuple,
   isUnit,
   fromArrayToTuple,
-  fromTupleToArray
+  fromTupleToArray,
+  isEq,
+  list
 } from '../source';
 
 /* eslint no-unused-vars: ["error", { "args": "none" }] */
@@ -54,6 +56,11 @@ describe(`Tuple data type`, function() {
     a.valueOf().should.equal(`(1,2)`);
     c.valueOf().should.equal(`('a','b')`);
   });
+  it(`should compare the values of tuples for equality with isEq`, function() {
+    isEq(tuple(1, tuple(2,3)), tuple(1, tuple(2,3))).should.be.true();
+    isEq(tuple(list(1,2), `a`), tuple(list(1,2), `a`)).should.be.true();
+    isEq(tuple(1, tuple(2,3)), tuple(1, tuple(2,4))).should.be.false();
+  });
   describe(`unit`, function() {
     it(`should be the empty tuple`, function() {
       unit.should.have.properties({"0": null});
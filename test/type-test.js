@@ -14,9 +14,13 @@ import {Type} from '../source/type';
 
 import {
   defines,
+  instance,
+  instanceFor,
   dataType,
   type,
   typeCheck,
+  Eq,
+  Monoid,
   tuple,
   list
 } from '../source';
@@ -31,6 +35,11 @@ describe(`Type system functions`, function() {
   it(`static method calls to Type.type should return the type of a data type`, function() {
     Type.type(t).should.equal(`Type`);
   });
+  it(`should have a single data constructor named after the type, with no fields, by default`, function() {
+    Type.tags().should.eql([`Type`]);
+    t.tag().should.equal(`Type`);
+    t.fields().should.eql([]);
+  });
   it(`static method calls to Type.type should throw an error if the argument is not of type Type`, function() {
     Type.type.bind(null, 0).should.throw();
   });
@@ -57,11 +66,62 @@ describe(`Type system functions`, function() {
       Eq(0).should.be.false;
     });
   });
+  describe(`instance()`, function() {
+    const Show = defines(`show`);
+    const Named = defines(`show`, `name`);
+    class Box {
+      constructor(a) { this.a = a; }
+    }
+    it(`should make the objects created by a constructor members of a type class`, function() {
+      Show(new Box(1)).should.be.false();
+      instance(Show, Box, {show: b => `Box ${b.a}`});
+      Show(new Box(1)).should.be.true();
+      instanceFor(Show, new Box(1)).show(new Box(1)).should.equal(`Box 1`);
+    });
+    it(`should count methods already registered or defined by the constructor toward a type class`, function() {
+      instance(Named, Box, {}).should.equal(instanceFor(Named, new Box(1)));
+      Named(new Box(1)).should.be.true();
+      instanceFor(Named, new Box(1)).name.should.equal(`Box`);
+    });
+    it(`should be curried`, function() {
+      instance(defines(`size`), Box)({size: () => 1}).size().should.equal(1);
+    });
+    it(`should throw an error if a method required by the type class is missing`, function() {
+      instance.bind(null, defines(`show`, `read`), Box, {show: id => id}).should.throw();
+    });
+    it(`should throw an error if the arguments are not a type class, a constructor, and methods`, function() {
+      instance.bind(null, b => b, Box, {}).should.throw();
+      instance.bind(null, Show, 0, {}).should.throw();
+      instance.bind(null, Show, Box, 0).should.throw();
+    });
+  });
+  describe(`instanceFor()`, function() {
+    it(`should return the registered instances of an object, which inherit from its constructor`, function() {
+      instanceFor(Monoid, []).name.should.equal(`Array`);
+      instanceFor(Monoid, []).isArray([]).should.be.true();
+      instanceFor(Monoid, []).should.equal(instanceFor(Monoid, [1]));
+      instanceFor(Monoid, []).should.not.equal(Array);
+    });
+    it(`should return the constructor of an object with no registered instances`, function() {
+      class Unit {
+        static isEq() { return true; }
+      }
+      instanceFor(Eq, new Unit()).should.equal(Unit);
+    });
+    it(`should throw an error if the object is not a member of the type class`, function() {
+      instanceFor.bind(null, Eq, 0).should.throw();
+      instanceFor.bind(null, b => b, lst).should.throw();
+    });
+  });
   describe(`dataType()`, function() {
     it(`should return the constructor function of an object`, function() {
       dataType(0).should.be.a.Function();
       dataType(lst).should.be.a.Function();
     });
+    it(`should not return the registered instances of an object`, function() {
+      dataType([]).should.equal(Array);
+      dataType(``).should.equal(String);
+    });
   });
   describe(`type()`, function() {
     it(`should return the type of an object`, function() {
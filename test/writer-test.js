@@ -0,0 +1,159 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/writer-test.js
+ *
+ * @file Tests for Writer data type.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  id,
+  LT,
+  EQ,
+  GT,
+  fmap,
+  pure,
+  ap,
+  inject,
+  flatMap,
+  chain,
+  liftM,
+  Do,
+  Nothing,
+  just,
+  unit,
+  tuple,
+  fst,
+  snd,
+  emptyList,
+  list,
+  listAppend,
+  fromStringToList,
+  reverse,
+  writer,
+  runWriter,
+  execWriter,
+  tell,
+  listen,
+  censor,
+  isWriter
+} from '../source';
+
+describe(`Writer data type`, function() {
+  const logged = x => writer(tuple(x, list(x)));
+  const w = logged(3);
+  it(`should return Writer <value> when cast to a string`, function() {
+    w.toString().should.equal(`Writer (3,[3:[]])`);
+  });
+  it(`should return its correct type`, function() {
+    w.typeOf().should.equal(`Writer [number] number`);
+  });
+  describe(`Functor instance`, function() {
+    it(`should map a function over the result of a Writer and leave its output unchanged`, function() {
+      runWriter(fmap(x => x * 2, w)).valueOf().should.equal(`(6,[3:[]])`);
+      runWriter(fmap(id, w)).valueOf().should.equal(`(3,[3:[]])`);
+    });
+  });
+  describe(`Applicative instance`, function() {
+    it(`should lift a value into a Writer with the empty output of its context`, function() {
+      fst(runWriter(pure(w, 1))).should.equal(1);
+      execWriter(pure(w, 1)).should.equal(emptyList);
+      execWriter(pure(tell(LT), 1)).should.equal(EQ);
+    });
+    it(`should apply a function in a Writer to a Writer and combine their output`, function() {
+      const f = writer(tuple(x => x * 2, list(0)));
+      runWriter(ap(f, w)).valueOf().should.equal(`(6,[0:3:[]])`);
+      runWriter(ap(pure(w, x => x * 2), w)).valueOf().should.equal(`(6,[3:[]])`);
+    });
+  });
+  describe(`Monad instance`, function() {
+    it(`should combine the output of a sequence of computations`, function() {
+      runWriter(flatMap(w, x => logged(x * 2))).valueOf().should.equal(`(6,[3:6:[]])`);
+      runWriter(chain(w, logged(4))).valueOf().should.equal(`(4,[3:4:[]])`);
+      runWriter(liftM(x => x + 1, w)).valueOf().should.equal(`(4,[3:[]])`);
+      runWriter(flatMap(w, x => inject(w, x + 1))).valueOf().should.equal(`(4,[3:[]])`);
+    });
+    it(`should work with Do blocks`, function() {
+      const b = Do(w).flatMap(x => logged(x + 1)).chain(tell(list(0))).flatMap(() => logged(5));
+      b.valueOf().should.equal(`Writer [number] number >>= Writer (5,[3:4:0:5:[]])`);
+    });
+    it(`should accumulate output in any Monoid`, function() {
+      const str = Do(tell(fromStringToList(`start `))).chain(tell(fromStringToList(`stop`)));
+      execWriter(str.m()).valueOf().should.equal(`[start stop]`);
+      execWriter(chain(tell(just(list(1))), tell(Nothing))).valueOf().should.equal(`Just [1:[]]`);
+      execWriter(chain(tell(LT), tell(GT))).should.equal(LT);
+    });
+  });
+  describe(`writer()`, function() {
+    it(`should embed a tuple of a result and its output into a Writer`, function() {
+      runWriter(writer(tuple(1, list(1)))).valueOf().should.equal(`(1,[1:[]])`);
+    });
+    it(`should throw an error if the argument is not a tuple`, function() {
+      writer.bind(null, 0).should.throw();
+    });
+    it(`should throw an error if the output is not a monoid`, function() {
+      writer.bind(null, tuple(1, 2)).should.throw();
+    });
+  });
+  describe(`runWriter()`, function() {
+    it(`should return a tuple of the result and the output of a Writer`, function() {
+      runWriter(w).valueOf().should.equal(`(3,[3:[]])`);
+    });
+    it(`should return the empty output if nothing was written`, function() {
+      snd(runWriter(pure(w, 1))).should.equal(emptyList);
+    });
+    it(`should throw an error if the argument is not a Writer`, function() {
+      runWriter.bind(null, 0).should.throw();
+    });
+  });
+  describe(`execWriter()`, function() {
+    it(`should return the output of a Writer`, function() {
+      execWriter(w).valueOf().should.equal(`[3:[]]`);
+    });
+    it(`should throw an error if the argument is not a Writer`, function() {
+      execWriter.bind(null, 0).should.throw();
+    });
+  });
+  describe(`tell()`, function() {
+    it(`should write output and return unit`, function() {
+      const p = runWriter(tell(list(1,2)));
+      fst(p).should.equal(unit);
+      execWriter(tell(list(1,2))).valueOf().should.equal(`[1:2:[]]`);
+    });
+    it(`should throw an error if the argument is not a monoid`, function() {
+      tell.bind(null, 0).should.throw();
+    });
+  });
+  describe(`listen()`, function() {
+    it(`should pair the result of a Writer with its output`, function() {
+      runWriter(listen(w)).valueOf().should.equal(`((3,[3:[]]),[3:[]])`);
+    });
+    it(`should throw an error if the argument is not a Writer`, function() {
+      listen.bind(null, 0).should.throw();
+    });
+  });
+  describe(`censor()`, function() {
+    it(`should apply a function to the output of a Writer`, function() {
+      execWriter(censor(reverse, tell(list(1,2,3)))).valueOf().should.equal(`[3:2:1:[]]`);
+      runWriter(censor(xs => listAppend(xs, list(0)), pure(w, 1))).valueOf().should.equal(`(1,[0:[]])`);
+    });
+    it(`should throw an error if the first argument is not a function`, function() {
+      censor.bind(null, 0, w).should.throw();
+    });
+    it(`should throw an error if the second argument is not a Writer`, function() {
+      censor.bind(null, reverse, 0).should.throw();
+    });
+  });
+  describe(`isWriter()`, function() {
+    it(`should return true if the argument is a Writer`, function() {
+      isWriter(w).should.be.true();
+    });
+    it(`should return false if the argument is not a Writer`, function() {
+      isWriter(list(1)).should.be.false();
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * maryamyriameliamurphies.js
+ * A library of Haskell-style morphisms ported to ES2015 JavaScript.
+ *
+ * test/zipper-test.js
+ *
+ * @file Tests for Zipper and TreeZipper data types.
+ * @license ISC
+ */
+
+/* global describe, it */
+
+import {
+  Foldable,
+  Functor,
+  show,
+  type,
+  isEq,
+  fmap,
+  foldr,
+  fromJust,
+  Nothing,
+  list,
+  listRange,
+  emptyList,
+  node,
+  subForest,
+  fromListToZipper,
+  fromZipperToList,
+  zipperFocus,
+  zipperLeft,
+  zipperRight,
+  zipperModify,
+  zipperInsertLeft,
+  zipperDelete,
+  isZipper,
+  fromTreeToZipper,
+  fromZipperToTree,
+  treeZipperFocus,
+  treeZipperParent,
+  treeZipperFirstChild,
+  treeZipperLeft,
+  treeZipperRight,
+  treeZipperRoot,
+  treeZipperModify,
+  isTreeZipper
+} from '../source';
+
+describe(`Zipper data type`, function() {
+  const z = fromJust(fromListToZipper(list(1,2,3)));
+  const r = fromJust(zipperRight(z));
+  it(`should return [Object Zipper] when cast to a string`, function() {
+    z.toString().should.equal(`[Object Zipper]`);
+  });
+  it(`should return the values on either side of its focus and the focus as its value`, function() {
+    z.valueOf().should.equal(`Zipper [] 1 [2:3:[]]`);
+    r.valueOf().should.equal(`Zipper [1:[]] 2 [3:[]]`);
+  });
+  it(`should have a type made from the type of its values`, function() {
+    type(z).should.equal(`Zipper number`);
+  });
+  describe(`fromListToZipper()`, function() {
+    it(`should return a zipper focused on the first value of a list in a Just`, function() {
+      show(fromListToZipper(list(1,2,3))).should.equal(`Just Zipper [] 1 [2:3:[]]`);
+    });
+    it(`should return Nothing if the list is empty`, function() {
+      fromListToZipper(emptyList).should.equal(Nothing);
+    });
+    it(`should throw an error if the argument is not a list`, function() {
+      fromListToZipper.bind(null, [1,2,3]).should.throw();
+    });
+  });
+  describe(`fromZipperToList()`, function() {
+    it(`should convert a zipper into a list of all of its values`, function() {
+      fromZipperToList(z).valueOf().should.equal(`[1:2:3:[]]`);
+      fromZipperToList(r).valueOf().should.equal(`[1:2:3:[]]`);
+    });
+    it(`should throw an error if the argument is not a zipper`, function() {
+      fromZipperToList.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`zipperFocus()`, function() {
+    it(`should return the value in focus`, function() {
+      zipperFocus(z).should.equal(1);
+      zipperFocus(r).should.equal(2);
+    });
+  });
+  describe(`zipperLeft()`, function() {
+    it(`should move the focus one value to the left in a Just`, function() {
+      zipperLeft(r).valueOf().should.equal(`Just Zipper [] 1 [2:3:[]]`);
+    });
+    it(`should return Nothing at the first value`, function() {
+      zipperLeft(z).should.equal(Nothing);
+    });
+    it(`should throw an error if the argument is not a zipper`, function() {
+      zipperLeft.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`zipperRight()`, function() {
+    it(`should move the focus one value to the right in a Just`, function() {
+      zipperRight(z).valueOf().should.equal(`Just Zipper [1:[]] 2 [3:[]]`);
+    });
+    it(`should return Nothing at the last value`, function() {
+      zipperRight(fromJust(zipperRight(r))).should.equal(Nothing);
+    });
+    it(`should visit every value of a list in order`, function() {
+      const xs = [];
+      let m = fromListToZipper(listRange(0, 100));
+      for (; m !== Nothing; m = zipperRight(fromJust(m))) { xs.push(zipperFocus(fromJust(m))); }
+      xs.length.should.equal(100);
+      xs[99].should.equal(99);
+    });
+  });
+  describe(`zipperModify()`, function() {
+    it(`should apply a function to the value in focus`, function() {
+      zipperModify(x => x * 10, r).valueOf().should.equal(`Zipper [1:[]] 20 [3:[]]`);
+      zipperModify(x => x + 1)(z).valueOf().should.equal(`Zipper [] 2 [2:3:[]]`);
+    });
+    it(`should throw an error if the function changes the type of the value`, function() {
+      zipperModify.bind(null, x => `${x}`, z).should.throw();
+    });
+  });
+  describe(`zipperInsertLeft()`, function() {
+    it(`should insert a value to the left of the focus without moving it`, function() {
+      const i = zipperInsertLeft(0, z);
+      i.valueOf().should.equal(`Zipper [0:[]] 1 [2:3:[]]`);
+      fromZipperToList(zipperInsertLeft(9, r)).valueOf().should.equal(`[1:9:2:3:[]]`);
+    });
+    it(`should throw an error if the value is not the same type as the zipper`, function() {
+      zipperInsertLeft.bind(null, `a`, z).should.throw();
+    });
+  });
+  describe(`zipperDelete()`, function() {
+    it(`should delete the value in focus and focus on the value to its right`, function() {
+      zipperDelete(r).valueOf().should.equal(`Just Zipper [1:[]] 3 []`);
+    });
+    it(`should focus on the value to the left if there is none to the right`, function() {
+      const e = fromJust(zipperRight(r));
+      zipperDelete(e).valueOf().should.equal(`Just Zipper [1:[]] 2 []`);
+    });
+    it(`should return Nothing if the value in focus is the only one`, function() {
+      zipperDelete(fromJust(fromListToZipper(list(1)))).should.equal(Nothing);
+    });
+  });
+  describe(`isZipper()`, function() {
+    it(`should return true if the argument is a zipper and false otherwise`, function() {
+      isZipper(z).should.be.true();
+      isZipper(list(1,2,3)).should.be.false();
+    });
+  });
+  describe(`Eq`, function() {
+    it(`should compare zippers by their values and focus`, function() {
+      isEq(r, fromJust(zipperRight(fromJust(fromListToZipper(list(1,2,3)))))).should.be.true();
+      isEq(z, r).should.be.false();
+    });
+  });
+  describe(`Foldable`, function() {
+    it(`should fold all of the values of a zipper in order`, function() {
+      Foldable(r).should.be.true();
+      foldr((x, acc) => acc.concat(x), [], r).should.eql([3, 2, 1]);
+    });
+  });
+  describe(`Functor`, function() {
+    it(`should map a function over the values of a zipper, keeping its focus`, function() {
+      Functor(r).should.be.true();
+      fmap(x => x * 10, r).valueOf().should.equal(`Zipper [10:[]] 20 [30:[]]`);
+    });
+  });
+});
+
+describe(`TreeZipper data type`, function() {
+  const leaf = x => node(x, emptyList);
+  const t = node(1, list(node(2, list(leaf(4))), leaf(3)));
+  const z = fromTreeToZipper(t);
+  const c = fromJust(treeZipperFirstChild(z));
+  it(`should return [Object TreeZipper] when cast to a string`, function() {
+    z.toString().should.equal(`[Object TreeZipper]`);
+  });
+  it(`should return the subtree in focus as its value`, function() {
+    c.valueOf().should.equal(`TreeZipper Node 2 [Node 4 []]`);
+  });
+  it(`should have a type made from the type of its labels`, function() {
+    type(z).should.equal(`TreeZipper number`);
+  });
+  describe(`fromTreeToZipper()`, function() {
+    it(`should return a zipper focused on the whole tree`, function() {
+      treeZipperFocus(z).should.equal(t);
+    });
+    it(`should throw an error if the argument is not a tree`, function() {
+      fromTreeToZipper.bind(null, list(1)).should.throw();
+    });
+  });
+  describe(`fromZipperToTree()`, function() {
+    it(`should convert a zipper back into the whole tree from anywhere in it`, function() {
+      isEq(fromZipperToTree(z), t).should.be.true();
+      isEq(fromZipperToTree(fromJust(treeZipperFirstChild(c))), t).should.be.true();
+    });
+  });
+  describe(`treeZipperFirstChild()`, function() {
+    it(`should move the focus to the first child in a Just`, function() {
+      treeZipperFocus(c).valueOf().should.equal(`Node 2 [Node 4 []]`);
+    });
+    it(`should return Nothing at a leaf`, function() {
+      treeZipperFirstChild(fromJust(treeZipperRight(c))).should.equal(Nothing);
+    });
+  });
+  describe(`treeZipperRight() and treeZipperLeft()`, function() {
+    it(`should move the focus between siblings in a Just`, function() {
+      const s = fromJust(treeZipperRight(c));
+      treeZipperFocus(s).valueOf().should.equal(`Node 3 []`);
+      treeZipperFocus(fromJust(treeZipperLeft(s))).valueOf().should.equal(`Node 2 [Node 4 []]`);
+    });
+    it(`should return Nothing if there is no sibling`, function() {
+      treeZipperLeft(c).should.equal(Nothing);
+      treeZipperRight(fromJust(treeZipperRight(c))).should.equal(Nothing);
+      treeZipperRight(z).should.equal(Nothing);
+    });
+  });
+  describe(`treeZipperParent()`, function() {
+    it(`should move the focus to the parent in a Just`, function() {
+      isEq(treeZipperFocus(fromJust(treeZipperParent(c))), t).should.be.true();
+    });
+    it(`should return Nothing at the root`, function() {
+      treeZipperParent(z).should.equal(Nothing);
+    });
+  });
+  describe(`treeZipperRoot()`, function() {
+    it(`should move the focus to the root`, function() {
+      const g = fromJust(treeZipperFirstChild(c));
+      isEq(treeZipperFocus(treeZipperRoot(g)), t).should.be.true();
+      treeZipperParent(treeZipperRoot(g)).should.equal(Nothing);
+    });
+  });
+  describe(`treeZipperModify()`, function() {
+    it(`should replace the subtree in focus, keeping the rest of the tree`, function() {
+      const m = treeZipperModify(t => node(20, subForest(t)), c);
+      fromZipperToTree(m).valueOf().should.equal(`Node 1 [Node 20 [Node 4 []], Node 3 []]`);
+      const s = treeZipperModify(fmap(x => x * 10))(fromJust(treeZipperRight(c)));
+      fromZipperToTree(s).valueOf().should.equal(`Node 1 [Node 2 [Node 4 []], Node 30 []]`);
+    });
+    it(`should throw an error if the function does not return a tree of the same type`, function() {
+      treeZipperModify.bind(null, t => 1, c).should.throw();
+      treeZipperModify.bind(null, t => leaf(`a`), c).should.throw();
+    });
+  });
+  describe(`isTreeZipper()`, function() {
+    it(`should return true if the argument is a tree zipper and false otherwise`, function() {
+      isTreeZipper(z).should.be.true();
+      isTreeZipper(t).should.be.false();
+    });
+  });
+});
@@ -1,14 +1,7 @@
 const m = require('maryamyriameliamurphies');
 
-const hello = str => { return m.print(`Hello ${str}!`), m.just(str); }
+const hello = str => m.putStrLn(`Hello ${str}!`);
 
-const str = m.just(`world`);
+const sayHello = m.flatMap(hello(`world`), () => hello(`monad`));
 
-const sayHello = () => {
-  m.Do(str)
-   .flatMap(hello)
-   .inject(`monad`)
-   .flatMap(hello);
-}
-
-sayHello();
+m.runIO(sayHello);